@@ -0,0 +1,24 @@
+#!/usr/bin/env node
+import { access } from 'node:fs/promises';
+import { LANGUAGE_CODES } from '../src/pipeline/languages.js';
+import { USAGE, fetchTessdata } from '../src/tessdata.js';
+
+const argv = process.argv.slice(2);
+if (argv.includes('-h') || argv.includes('--help')) {
+  process.stdout.write(`${USAGE}\n`);
+  process.exit(0);
+}
+const codes = [];
+const options = { log: (message) => process.stderr.write(`${message}\n`), exists: (file) => access(file).then(() => true, () => false) };
+for (let i = 0; i < argv.length; i++) {
+  if (argv[i] === '--dir') options.dir = argv[++i];
+  else if (argv[i] === '--source') options.source = argv[++i];
+  else codes.push(argv[i]);
+}
+
+try {
+  await fetchTessdata(codes.length > 0 ? codes : LANGUAGE_CODES, options);
+} catch (err) {
+  process.stderr.write(`${err.message}\n`);
+  process.exitCode = 1;
+}
@@ -0,0 +1,7 @@
+#!/usr/bin/env node
+import { createMockLLMServer } from '../src/mock-llm-server.js';
+
+const port = Number(process.argv[2] || process.env.PORT || 8089);
+createMockLLMServer().listen(port, () => {
+  process.stderr.write(`Mock LLM server on http://localhost:${port}/v1 (models "fail", "garbage" and "slow" misbehave)\n`);
+});
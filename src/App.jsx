@@ -1,8 +1,371 @@
-import React, { useState, useRef } from 'react';
-import { AlertCircle, CheckCircle, Edit, FileText, Zap, Eye, RefreshCw, Upload, Loader, Download, Image, X, ChevronRight, ChevronLeft } from 'lucide-react';
-import { getDocument, GlobalWorkerOptions } from 'pdfjs-dist';
+import React, { useState, useRef, useEffect, useMemo } from 'react';
+import { AlertCircle, CheckCircle, Edit, FileText, Zap, Eye, RefreshCw, Upload, Loader, Download, Image, X, ChevronRight, ChevronLeft, Check, XCircle, ZoomIn, ZoomOut, Square } from 'lucide-react';
+import { getDocument, GlobalWorkerOptions, OPS, version as pdfjsVersion } from 'pdfjs-dist';
 import pdfjsWorker from 'pdfjs-dist/build/pdf.worker?url';
-import Tesseract from 'tesseract.js';
+import { createWorker } from 'tesseract.js';
+import tesseractWorker from 'tesseract.js/dist/worker.min.js?url';
+import tesseractCore from 'tesseract.js-core/tesseract-core.wasm.js?url';
+import tesseractCoreSimd from 'tesseract.js-core/tesseract-core-simd.wasm.js?url';
+import { version as tesseractVersion } from 'tesseract.js/package.json';
+import { stringify as stringifyYAML } from 'yaml';
+import {
+  BENFORD_MIN_VALUES, DEFAULT_CORRECTION_PROVIDERS, DEFAULT_PREPROCESSING, DEFAULT_PROFILE, LANGUAGE_CODE, LANGUAGE_CODES, LANGUAGES, RULE_SETS, applyReview, attachCrossCheck, buildBatchExport, buildCSV, buildExport,
+  benfordTest, buildProvenance, buildReport, buildSearchablePDF, buildStatements, buildXLSX, calculateValidationScore, checkProfile, chooseRenderScale, compareReferenceFields, compareReferenceText, createFeedbackStore, detectLanguage, createJobQueue, createOpenAICompatibleProvider, createSessionStore, documentAmounts, feedbackExample,
+  groupRows, indexedDBBackend, isUsableTextLayer, mapBox, mapRows, memoryBackend, memoryStorage, parseReference, parseRuleSets, preprocessImage, profileFor, runPipeline,
+  runPipelineAsync, scanDpi, selectRuleSet, sha256Hex, simulateProfile, summarizeBatch, summarizeDocument, textLayerWords, toRGBA, trainModels
+} from './pipeline/index.js';
+
+// Every review decision, kept across sessions as training data for the Retraining stage
+const feedbackStore = createFeedbackStore(typeof window !== 'undefined' && window.localStorage ? window.localStorage : memoryStorage());
+
+// Documents, page renders, OCR pages and review work, kept across reloads
+const sessionStore = createSessionStore(typeof indexedDB !== 'undefined' ? indexedDBBackend() : memoryBackend());
+
+// Batch entries double as sessions, so their ids must stay unique across reloads
+const newDocumentId = () => `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+// Page previews, result boxes and text-layer words all use this pixel space
+const VIEW_SCALE = 1.5;
+
+// What read each page source, recorded in the provenance of exports
+const OCR_ENGINES = {
+  ocr: { name: 'tesseract.js', version: tesseractVersion },
+  text_layer: { name: 'pdf.js', version: pdfjsVersion }
+};
+
+const EXPORT_FORMATS = [
+  { format: 'json', name: 'JSON', desc: 'Results, statements and provenance' },
+  { format: 'csv', name: 'CSV', desc: 'One row per line item' },
+  { format: 'xlsx', name: 'Excel (XLSX)', desc: 'Line items, statement fields and a summary' },
+  { format: 'pdf', name: 'Searchable PDF', desc: 'Page images with the OCR text embedded', needsPages: true },
+  { format: 'report', name: 'Validation report (HTML)', desc: 'Score breakdown, problem lines and page thumbnails' },
+  { format: 'print', name: 'Print validation report', desc: 'Print it or save it as PDF' }
+];
+
+const downloadBlob = (blob, fileName) => {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = fileName;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+// Provenance of a batch entry; hashing reads its whole PDF
+const provenanceOf = async (entry) => buildProvenance({
+  fileName: entry.fileName,
+  fileSize: entry.file ? entry.file.size : null,
+  fileHash: entry.file ? await sha256Hex(await entry.file.arrayBuffer()) : null,
+  ocrData: entry.ocrData,
+  engines: OCR_ENGINES
+});
+
+// A page preview re-encoded as JPEG, at most `maxWidth` pixels wide. `sourceWidth` and
+// `sourceHeight` are the preview's own size, which boxes are measured in.
+const jpegOf = async (src, { maxWidth = Infinity, quality = 0.85 } = {}) => {
+  const img = new window.Image();
+  img.src = src;
+  await img.decode();
+  const scale = Math.min(1, maxWidth / img.naturalWidth);
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.round(img.naturalWidth * scale);
+  canvas.height = Math.round(img.naturalHeight * scale);
+  const context = canvas.getContext('2d');
+  context.fillStyle = '#fff';
+  context.fillRect(0, 0, canvas.width, canvas.height);
+  context.drawImage(img, 0, 0, canvas.width, canvas.height);
+  return { dataURL: canvas.toDataURL('image/jpeg', quality), width: canvas.width, height: canvas.height, sourceWidth: img.naturalWidth, sourceHeight: img.naturalHeight };
+};
+
+const dataURLBytes = (dataURL) => Uint8Array.from(atob(dataURL.slice(dataURL.indexOf(',') + 1)), c => c.charCodeAt(0));
+
+// Resolution of the scan on a pdf.js page, from the sizes of the images it paints
+const scannedImageDpi = async (page) => {
+  const { fnArray, argsArray } = await page.getOperatorList();
+  const images = [];
+  fnArray.forEach((fn, i) => {
+    if (fn === OPS.paintImageXObject) images.push({ width: argsArray[i][1], height: argsArray[i][2] });
+  });
+  const { width, height } = page.getViewport({ scale: 1 });
+  return scanDpi({ width, height }, images);
+};
+
+// Tesseract's worker, its WebAssembly core and the traineddata are served by the app, so
+// OCR works offline. Traineddata files (<code>.traineddata.gz) go in public/tessdata,
+// where `npm run fetch-tessdata` puts them, or wherever VITE_TESSDATA_PATH points.
+// The SIMD build of the core is faster where the browser supports it.
+const WASM_SIMD = typeof WebAssembly !== 'undefined'
+  && WebAssembly.validate(new Uint8Array([0, 97, 115, 109, 1, 0, 0, 0, 1, 5, 1, 96, 0, 1, 123, 3, 2, 1, 0, 10, 10, 1, 8, 0, 65, 0, 253, 15, 253, 98, 11]));
+const TESSERACT_PATHS = {
+  workerPath: tesseractWorker,
+  corePath: WASM_SIMD ? tesseractCoreSimd : tesseractCore,
+  langPath: import.meta.env.VITE_TESSDATA_PATH || `${import.meta.env.BASE_URL}tessdata`
+};
+
+// Suggestions for the OCR language field, which takes any Tesseract code: each language
+// with a vocabulary, alone and with English for filings that mix them
+const OCR_LANGUAGE_SUGGESTIONS = [
+  ...LANGUAGE_CODES.map(code => ({ code, name: LANGUAGES[code].name })),
+  ...LANGUAGE_CODES.filter(code => code !== 'eng').map(code => ({ code: `${code}+eng`, name: `${LANGUAGES[code].name} and English` }))
+];
+
+// Leave one core for the UI and pdf.js rendering
+const OCR_POOL_SIZE = Math.max(1, Math.min(4, ((typeof navigator !== 'undefined' && navigator.hardwareConcurrency) || 2) - 1));
+
+/**
+ * A reusable pool of Tesseract workers. Jobs queue until a worker is free, and each
+ * job's `onProgress` receives the logger messages of the worker running it.
+ * Tesseract cannot abort a job, so `terminate` drops queued jobs and kills the workers;
+ * callers race in-flight jobs against their own cancellation.
+ */
+const createOCRPool = async (size, language = 'eng') => {
+  const slots = await Promise.all(Array.from({ length: size }, async () => {
+    const slot = { onProgress: null };
+    slot.worker = await createWorker({ ...TESSERACT_PATHS, logger: (m) => { if (slot.onProgress) slot.onProgress(m); } });
+    await slot.worker.loadLanguage(language);
+    await slot.worker.initialize(language);
+    return slot;
+  }));
+  const idle = [...slots];
+  const queue = [];
+
+  const dispatch = () => {
+    while (idle.length > 0 && queue.length > 0) {
+      const slot = idle.shift();
+      const job = queue.shift();
+      slot.onProgress = job.onProgress;
+      slot.worker.recognize(job.image)
+        .then(({ data }) => job.resolve(data), job.reject)
+        .finally(() => {
+          slot.onProgress = null;
+          idle.push(slot);
+          dispatch();
+        });
+    }
+  };
+
+  return {
+    size,
+    language,
+    recognize: (image, onProgress) => new Promise((resolve, reject) => {
+      queue.push({ image, onProgress, resolve, reject });
+      dispatch();
+    }),
+    terminate: async () => {
+      for (const job of queue.splice(0)) job.reject(new Error('OCR pool terminated'));
+      await Promise.all(slots.map(slot => slot.worker.terminate()));
+    }
+  };
+};
+
+// An OCR document with every page still to be read
+const emptyOcrData = async (file) => {
+  try { GlobalWorkerOptions.workerSrc = pdfjsWorker; } catch (e) { /* ignore */ }
+  const pdf = await getDocument({ data: new Uint8Array(await file.arrayBuffer()) }).promise;
+  const pages = Array.from({ length: pdf.numPages }, (_, i) => ({ pageNumber: i + 1, done: false, lines: [] }));
+  return { fileName: file.name, pageCount: pdf.numPages, pages };
+};
+
+// The files in a drop, including everything inside dropped folders. Entries must be
+// taken from the DataTransfer before the first await.
+const droppedFiles = async (dataTransfer) => {
+  const entries = [...dataTransfer.items].map(item => (item.webkitGetAsEntry ? item.webkitGetAsEntry() : null)).filter(Boolean);
+  if (entries.length === 0) return [...dataTransfer.files];
+  const files = [];
+  const walk = async (entry) => {
+    if (entry.isFile) {
+      files.push(await new Promise((resolve, reject) => entry.file(resolve, reject)));
+    } else if (entry.isDirectory) {
+      const reader = entry.createReader();
+      // readEntries returns a directory in chunks, then an empty one
+      for (;;) {
+        const chunk = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+        if (chunk.length === 0) break;
+        for (const child of chunk) await walk(child);
+      }
+    }
+  };
+  for (const entry of entries) await walk(entry);
+  return files;
+};
+
+// Identifies a result line across the document; line ids restart on every page
+const lineKey = (line) => `${line.pageNumber}-${line.id}`;
+
+// The region of a rendered page under a bbox ([x0, y0, x1, y1] in page pixels)
+const PageCrop = ({ image, bbox, padding = 6 }) => {
+  const [x0, y0, x1, y1] = bbox;
+  return (
+    <div className="border border-gray-200 rounded-lg bg-white overflow-x-auto">
+      <div style={{
+        width: x1 - x0 + padding * 2,
+        height: y1 - y0 + padding * 2,
+        backgroundImage: `url(${image})`,
+        backgroundPosition: `${padding - x0}px ${padding - y0}px`,
+        backgroundRepeat: 'no-repeat'
+      }} />
+    </div>
+  );
+};
+
+// One preprocessing step as shown under the preview
+const describeStep = (step) => {
+  switch (step.step) {
+    case 'scale': return `${step.dpi} dpi`;
+    case 'grayscale': return 'grayscale';
+    case 'contrast': return `contrast ${step.low}–${step.high} stretched`;
+    case 'binarize': return step.method === 'otsu' ? `binarized at ${step.threshold}` : 'binarized (adaptive)';
+    case 'orientation': return step.rotation ? `rotated ${step.rotation}°` : 'upright';
+    case 'deskew': return `deskewed ${step.angle}°`;
+    case 'remove_lines': return `${step.horizontal + step.vertical} rule lines removed`;
+    case 'denoise': return `${step.specks} specks removed`;
+    default: return step.step;
+  }
+};
+
+// Preprocessing options for scanned pages; `onChange` receives the whole new settings object
+const PreprocessingSettings = ({ settings, onChange }) => {
+  const toggle = (key) => (
+    <label key={key} className="flex items-center gap-2">
+      <input type="checkbox" checked={settings[key]} disabled={!settings.enabled} onChange={(e) => onChange({ ...settings, [key]: e.target.checked })} />
+      {PREPROCESSING_LABELS[key]}
+    </label>
+  );
+  return (
+    <div className="text-sm text-gray-700 space-y-3">
+      <label className="flex items-center gap-2 font-medium">
+        <input type="checkbox" checked={settings.enabled} onChange={(e) => onChange({ ...settings, enabled: e.target.checked })} />
+        Preprocess scanned pages before OCR
+      </label>
+      <div className="flex flex-wrap items-center gap-x-5 gap-y-2">
+        <label className="flex items-center gap-2">
+          Resolution
+          <select value={settings.targetDpi} disabled={!settings.enabled} onChange={(e) => onChange({ ...settings, targetDpi: Number(e.target.value) })} className="px-2 py-1 border border-gray-300 rounded-lg bg-white">
+            {[200, 300, 400].map(dpi => <option key={dpi} value={dpi}>{dpi} dpi</option>)}
+          </select>
+        </label>
+        <label className="flex items-center gap-2">
+          Binarize
+          <select value={settings.binarize} disabled={!settings.enabled} onChange={(e) => onChange({ ...settings, binarize: e.target.value })} className="px-2 py-1 border border-gray-300 rounded-lg bg-white">
+            <option value="adaptive">Adaptive</option>
+            <option value="otsu">Global (Otsu)</option>
+            <option value="off">Off</option>
+          </select>
+        </label>
+        {['contrast', 'orientation', 'deskew', 'removeLines', 'denoise'].map(toggle)}
+      </div>
+    </div>
+  );
+};
+
+const PREPROCESSING_LABELS = {
+  contrast: 'Stretch contrast',
+  orientation: 'Detect orientation',
+  deskew: 'Deskew',
+  removeLines: 'Remove table rules',
+  denoise: 'Remove specks'
+};
+
+const STATUS_STROKES = {
+  auto_accept: '#16a34a',
+  quick_review: '#ca8a04',
+  manual_review: '#dc2626',
+  accepted: '#2563eb',
+  corrected: '#9333ea',
+  rejected: '#6b7280'
+};
+
+const BATCH_STATUS_TEXT = {
+  new: 'text-gray-500',
+  queued: 'text-gray-600',
+  running: 'text-blue-600',
+  done: 'text-green-700',
+  failed: 'text-red-600',
+  cancelled: 'text-orange-600'
+};
+
+const SEVERITY_TEXT = { error: 'text-red-600', warning: 'text-orange-600', info: 'text-gray-500' };
+
+// Scoring profiles edited in the app, one per document type, kept across sessions
+const PROFILES_KEY = 'ocr-validation-profiles';
+
+// The saved profiles that are valid, and why any were left out
+const loadProfiles = () => {
+  try {
+    const saved = JSON.parse(window.localStorage.getItem(PROFILES_KEY) || '[]');
+    if (!Array.isArray(saved)) return { profiles: [], error: 'The saved scoring profiles are not a list; using the default profile' };
+    const problems = saved.map((profile, i) => checkProfile(profile).map(p => `[${i}] ${p}`)).flat();
+    return {
+      profiles: saved.filter(profile => checkProfile(profile).length === 0),
+      error: problems.length ? `Some saved scoring profiles are invalid and were left out:\n${problems.join('\n')}` : null
+    };
+  } catch (err) {
+    return { profiles: [], error: `Could not read the saved scoring profiles: ${err.message}` };
+  }
+};
+
+const PROFILE_THRESHOLDS = [
+  { key: 'lowConfidence', name: 'Low OCR confidence', desc: 'Below it a line fails low_ocr_confidence and counts as an anomaly indicator' },
+  { key: 'lowNumericConfidence', name: 'Low numeric confidence', desc: 'Numbers read below it go to quick review' },
+  { key: 'lowLabelConfidence', name: 'Low label confidence', desc: 'Labels predicted below it count as an anomaly indicator' },
+  { key: 'anomaly', name: 'Anomaly score', desc: 'Lines scoring above it go to quick review' }
+];
+
+const PROFILE_WEIGHTS = [
+  { key: 'confidence', name: 'Confidence', desc: 'Points at 100% average OCR confidence' },
+  { key: 'anomalyPenalty', name: 'Anomaly penalty', desc: 'Points off at an average anomaly score of 1' },
+  { key: 'ruleFailurePenalty', name: 'Rule failure penalty', desc: 'Points off at one rule failure per line' },
+  { key: 'autoAcceptBonus', name: 'Auto-accept bonus', desc: 'Points when every line is auto-accepted or verified' }
+];
+
+const ROUTES = [
+  { status: 'auto_accept', name: 'Auto-accept' },
+  { status: 'quick_review', name: 'Quick review' },
+  { status: 'manual_review', name: 'Manual review' }
+];
+
+// Result-line boxes drawn over a rendered page. The SVG viewBox is the page's pixel size,
+// so boxes scale with the image at any zoom level.
+const BoundingBoxOverlay = ({ lines, width, height, selectedKey, onSelect }) => {
+  const [hovered, setHovered] = useState(null);
+
+  return (
+    <>
+      <svg viewBox={`0 0 ${width} ${height}`} preserveAspectRatio="none" className="absolute inset-0 w-full h-full">
+        {lines.map(line => {
+          const [x0, y0, x1, y1] = line.bbox;
+          const stroke = STATUS_STROKES[line.status] || '#6b7280';
+          const selected = lineKey(line) === selectedKey;
+          return (
+            <rect
+              key={lineKey(line)}
+              x={x0} y={y0} width={x1 - x0} height={y1 - y0}
+              fill={stroke} fillOpacity={selected ? 0.25 : 0.08}
+              stroke={stroke} strokeWidth={selected ? 3 : 1.5}
+              className="cursor-pointer"
+              onMouseEnter={() => setHovered(line)}
+              onMouseLeave={() => setHovered(null)}
+              onClick={() => onSelect(line)}
+            />
+          );
+        })}
+      </svg>
+      {hovered && (
+        <div
+          className="absolute z-10 max-w-sm p-3 bg-white border border-gray-200 rounded-lg shadow-lg text-xs pointer-events-none"
+          style={{ left: `${(hovered.bbox[0] / width) * 100}%`, top: `${(hovered.bbox[3] / height) * 100}%` }}
+        >
+          <div><span className="text-gray-500">Raw:</span> <span className="font-mono">{hovered.raw}</span></div>
+          <div><span className="text-gray-500">Normalized:</span> <span className="font-mono">{hovered.normalized}</span></div>
+          <div><span className="text-gray-500">Confidence:</span> {(hovered.confidence * 100).toFixed(0)}% · {hovered.status} · {hovered.source === 'text_layer' ? 'PDF text' : 'OCR'}</div>
+          {hovered.ruleFailures.map(f => (
+            <div key={f} className="text-red-600">{f}</div>
+          ))}
+        </div>
+      )}
+    </>
+  );
+};
 
 const OCRValidationSystem = () => {
   const [currentStage, setCurrentStage] = useState(0);
@@ -15,7 +378,99 @@ const OCRValidationSystem = () => {
   const [showPreview, setShowPreview] = useState(false);
   const [currentPage, setCurrentPage] = useState(0);
   const [validationScore, setValidationScore] = useState(null);
+  const [resultsPageFilter, setResultsPageFilter] = useState('all');
+  const [reviewDraft, setReviewDraft] = useState(null);
+  const [showBoxes, setShowBoxes] = useState(true);
+  const [previewZoom, setPreviewZoom] = useState(1);
+  const [previewSize, setPreviewSize] = useState(null);
+  const [textSource, setTextSource] = useState('auto');
+  // Tesseract language code, e.g. 'deu+eng', or 'auto' to detect it from the document
+  const [ocrLanguage, setOcrLanguage] = useState('auto');
+  const [languageError, setLanguageError] = useState(null);
+  const ocrLanguageValid = ocrLanguage === 'auto' || LANGUAGE_CODE.test(ocrLanguage);
+  const [preprocessing, setPreprocessing] = useState(DEFAULT_PREPROCESSING);
+  // Preprocessed page images by document id and page number, for the before/after view
+  const [processedRenders, setProcessedRenders] = useState({});
+  const [previewMode, setPreviewMode] = useState('original');
   const fileInputRef = useRef(null);
+  const ocrPoolRef = useRef(null);
+  const ocrPoolLanguageRef = useRef(null);
+  const ocrCancelRef = useRef(null);
+  const [ocrProgress, setOcrProgress] = useState(null);
+  // Rule sets loaded or edited in this session replace built-in ones with the same id
+  const [customRuleSets, setCustomRuleSets] = useState([]);
+  const [documentType, setDocumentType] = useState('auto');
+  const [activeRuleSet, setActiveRuleSet] = useState(null);
+  const [ruleEditor, setRuleEditor] = useState(null);
+  const ruleFileInputRef = useRef(null);
+  const ruleSets = [...customRuleSets, ...RULE_SETS.filter(builtIn => !customRuleSets.some(custom => custom.id === builtIn.id))];
+  const [feedbackCount, setFeedbackCount] = useState(() => feedbackStore.all().length);
+  const [training, setTraining] = useState(null);
+  const [useModels, setUseModels] = useState(false);
+  const feedbackFileInputRef = useRef(null);
+  // An OpenAI-compatible endpoint asked for corrections alongside the built-in providers.
+  // The API key stays in memory for this session only.
+  const [llmSettings, setLlmSettings] = useState({ enabled: false, endpoint: 'http://localhost:8089/v1', model: 'gpt-4o-mini', apiKey: '' });
+  const [correctionErrors, setCorrectionErrors] = useState([]);
+  // Scoring profiles by document type; the open document is scored with its rule set's
+  const [savedProfiles] = useState(() => (typeof window !== 'undefined' && window.localStorage ? loadProfiles() : { profiles: [], error: null }));
+  const [profiles, setProfiles] = useState(savedProfiles.profiles);
+  // Why saved profiles could not be used; cleared once a profile is saved over them
+  const [profileError, setProfileError] = useState(savedProfiles.error);
+  const activeProfile = profileFor(activeRuleSet ? activeRuleSet.documentType : undefined, profiles);
+  // Weights and thresholds being tried in the what-if simulator, or null
+  const [profileDraft, setProfileDraft] = useState(null);
+  const simulation = useMemo(() => (profileDraft && pipelineResults
+    ? simulateProfile(pipelineResults, profileDraft, { ruleSet: activeRuleSet, models: useModels && training ? training.models : undefined })
+    : null), [profileDraft, pipelineResults, activeRuleSet, useModels, training]);
+  // Benford digit test over the document's amounts and the value-check reasons per code
+  const valueChecks = useMemo(() => {
+    if (!pipelineResults) return null;
+    const counts = {};
+    for (const line of pipelineResults) {
+      for (const reason of line.anomalyReasons) counts[reason.code] = (counts[reason.code] || 0) + 1;
+    }
+    const amounts = documentAmounts(pipelineResults);
+    return {
+      amounts: amounts.length,
+      benford: benfordTest(amounts.map(a => a.value)),
+      counts: Object.entries(counts).sort(([, a], [, b]) => b - a)
+    };
+  }, [pipelineResults]);
+  // Every document added; the open one is mirrored in the state above
+  const [batch, setBatch] = useState([]);
+  const [activeDocumentId, setActiveDocumentId] = useState(null);
+  const [isDragging, setIsDragging] = useState(false);
+  const batchQueueRef = useRef(null);
+  const batchHandlersRef = useRef(null);
+  const folderInputRef = useRef(null);
+  // A ground truth or earlier export loaded for the open document, and how its results compare
+  const [reference, setReference] = useState(null);
+  const [showEqualLines, setShowEqualLines] = useState(false);
+  const referenceFileInputRef = useRef(null);
+  const comparing = Boolean(reference && reference.documentId === activeDocumentId && pipelineResults);
+  // The line diff is the costly part and only depends on what was read, so review
+  // decisions (which change pipelineResults) must not re-run it; this key changes only
+  // with a new run
+  const readTextKey = useMemo(() => (pipelineResults
+    ? pipelineResults.map(line => `${line.pageNumber}|${line.id}|${line.review ? line.review.original.normalized : line.normalized}`).join('\n')
+    : ''), [pipelineResults]);
+  const textComparison = useMemo(() => (comparing ? compareReferenceText(pipelineResults, reference.data) : null), [comparing, reference, readTextKey]);
+  const comparison = useMemo(() => (comparing
+    ? { ...textComparison, ...compareReferenceFields(pipelineResults, reference.data) }
+    : null), [comparing, textComparison, reference, pipelineResults]);
+  const batchRunning = batch.some(entry => entry.status === 'queued' || entry.status === 'running');
+  const currentPreprocessing = ocrData && ocrData.pages[currentPage] ? ocrData.pages[currentPage].preprocessing : null;
+  const currentProcessed = (processedRenders[activeDocumentId] || {})[currentPage + 1] || null;
+  const [recentSessions, setRecentSessions] = useState([]);
+  const [sessionError, setSessionError] = useState(null);
+  // What was last saved for each batch entry, so only changed entries are written
+  const savedSessionsRef = useRef(new Map());
+
+  // Workers outlive a single run; release them when the app unmounts
+  useEffect(() => () => {
+    if (ocrPoolRef.current) ocrPoolRef.current.then(pool => pool.terminate());
+  }, []);
 
   // Convert PDF Blob to preview images using pdf.js
   const generatePDFPreview = async (pdfBlob) => {
@@ -27,7 +482,7 @@ const OCRValidationSystem = () => {
 
     for (let i = 1; i <= pdf.numPages; i++) {
       const page = await pdf.getPage(i);
-      const viewport = page.getViewport({ scale: 1.5 });
+      const viewport = page.getViewport({ scale: VIEW_SCALE });
       const canvas = document.createElement('canvas');
       const context = canvas.getContext('2d');
       canvas.width = Math.floor(viewport.width);
@@ -42,317 +497,838 @@ const OCRValidationSystem = () => {
 
   // Store file Blob for later OCR processing (avoids ArrayBuffer detachment)
   const [pdfFile, setPdfFile] = useState(null);
+  const [exportMenuOpen, setExportMenuOpen] = useState(false);
+  // The export being prepared ('csv', 'batch-xlsx', ...), or null
+  const [exporting, setExporting] = useState(null);
 
-  // Quick PDF preview generation (fast, no OCR)
-  const processPDF = async (file) => {
+  // Quick PDF preview generation (fast, no OCR). A document opened again keeps the pages
+  // it has already read, and saved renders are shown instead of rendering again.
+  // Returns the preview, or null when the PDF cannot be read.
+  const processPDF = async (file, existingOcrData = null, savedRenders = null) => {
     setIsProcessing(true);
-    setCurrentStage(1);
+    setCurrentStage(0);
+    let preview = null;
 
     try {
       // Store the file Blob itself (not ArrayBuffer) to avoid detachment issues
       setPdfFile(file);
 
       // Generate preview images only
-      const preview = await generatePDFPreview(file);
+      preview = savedRenders ? { pages: savedRenders } : await generatePDFPreview(file);
       setPdfPreview(preview);
       setShowPreview(true);
 
-      // Set OCR data to empty structure; OCR runs later on demand
-      try { GlobalWorkerOptions.workerSrc = pdfjsWorker; } catch (e) { /* ignore */ }
-      const arrayBuffer = await file.arrayBuffer();
-      const loadingTask = getDocument({ data: arrayBuffer });
-      const pdf = await loadingTask.promise;
-
-      // Create empty OCR structure (will be filled when pipeline runs)
-      const emptyPages = [];
-      for (let p = 1; p <= pdf.numPages; p++) {
-        emptyPages.push({ pageNumber: p, lines: [] });
-      }
-
-      const ocrOutput = { fileName: file.name, pageCount: pdf.numPages, pages: emptyPages };
-      setOcrData(ocrOutput);
+      setOcrData(existingOcrData || await emptyOcrData(file));
     } catch (err) {
       console.error('PDF processing error:', err);
       alert('Error processing PDF: ' + err.message);
     }
 
     setIsProcessing(false);
+    return preview;
   };
 
-  const handleFileUpload = async (event) => {
-    const file = event.target.files[0];
-    if (!file) return;
-
-    if (file.type !== 'application/pdf') {
+  // Every PDF chosen or dropped joins the batch; the first opens when nothing is open
+  const addFiles = async (files) => {
+    const pdfs = files.filter(file => file.type === 'application/pdf' || /\.pdf$/i.test(file.name));
+    if (pdfs.length === 0) {
       alert('Please upload a PDF file');
       return;
     }
+    const entries = pdfs.map(file => ({
+      id: newDocumentId(),
+      file,
+      fileName: file.webkitRelativePath || file.name,
+      status: 'new',
+      error: null,
+      ocrData: null,
+      results: null,
+      validationScore: null,
+      ruleSet: null,
+      correctionErrors: []
+    }));
+    setBatch(prev => [...prev, ...entries]);
+    for (const entry of entries) saveSession(entry, { file: entry.file });
+    if (!uploadedFile) await openDocument(entries[0]);
+  };
 
-    setUploadedFile(file);
-    setPipelineResults(null);
-    setValidationScore(null);
-    await processPDF(file);
+  const handleFileUpload = async (event) => {
+    const files = [...event.target.files];
+    event.target.value = '';
+    if (files.length > 0) await addFiles(files);
   };
 
-  const calculateValidationScore = (results) => {
-    const nonEmpty = results.filter(l => l.valueType !== 'empty');
-    const totalLines = nonEmpty.length || 1;
-    const autoAccepted = results.filter(l => l.status === 'auto_accept').length;
-    const quickReview = results.filter(l => l.status === 'quick_review').length;
-    const manualReview = results.filter(l => l.status === 'manual_review').length;
-    const avgConfidence = nonEmpty.reduce((s, l) => s + (l.confidence || 0), 0) / totalLines;
-    const avgAnomalyScore = nonEmpty.reduce((s, l) => s + (l.anomalyScore || 0), 0) / totalLines;
-    const totalRuleFailures = nonEmpty.reduce((s, l) => s + (l.ruleFailures ? l.ruleFailures.length : 0), 0);
+  const handleDrop = async (event) => {
+    event.preventDefault();
+    setIsDragging(false);
+    await addFiles(await droppedFiles(event.dataTransfer));
+  };
+
+  // Show a batch document in the preview, results and review panels, at the page and
+  // line in `view` when it is a resumed session
+  const openDocument = async (entry, view = {}) => {
+    setActiveDocumentId(entry.id);
+    setUploadedFile(entry.file);
+    setOcrData(entry.ocrData);
+    setPipelineResults(entry.results);
+    setValidationScore(entry.validationScore);
+    setActiveRuleSet(entry.ruleSet);
+    setCorrectionErrors(entry.correctionErrors);
+    setResultsPageFilter(view.resultsPageFilter ?? 'all');
+    setSelectedLine(view.selectedLine ?? null);
+    setReviewDraft(null);
+    setCurrentPage(view.currentPage ?? 0);
+    if (view.textSource) setTextSource(view.textSource);
+    if (view.ocrLanguage) setOcrLanguage(view.ocrLanguage);
+    const savedRenders = await sessionStore.loadRenders(entry.id).catch(() => null);
+    const preview = await processPDF(entry.file, entry.ocrData, savedRenders);
+    if (preview && !savedRenders) sessionStore.saveRenders(entry.id, preview.pages).catch(err => setSessionError(err.message));
+    if (entry.results) setCurrentStage(stages.findIndex(s => s.name === 'Human Review'));
+  };
 
-    const confidenceScore = avgConfidence * 100;
-    const anomalyPenalty = avgAnomalyScore * 20;
-    const ruleFailurePenalty = (totalRuleFailures / totalLines) * 30;
-    const autoAcceptBonus = (autoAccepted / totalLines) * 10;
+  // Sessions: every batch entry is saved, with the open one's page, line and filters
+  const refreshSessions = () => sessionStore.list().then(setRecentSessions, err => setSessionError(err.message));
 
-    const overallScore = Math.max(0, Math.min(100, confidenceScore - anomalyPenalty - ruleFailurePenalty + autoAcceptBonus));
+  const saveSession = (entry, { file, view, withPages = true } = {}) => sessionStore.save({
+    id: entry.id,
+    fileName: entry.fileName,
+    file,
+    status: entry.status,
+    error: entry.error,
+    ocrData: withPages ? entry.ocrData : undefined,
+    results: entry.results,
+    validationScore: entry.validationScore,
+    ruleSet: entry.ruleSet,
+    correctionErrors: entry.correctionErrors,
+    view
+  }).catch(err => setSessionError(`Could not save ${entry.fileName}: ${err.message}`));
 
-    return {
-      overallScore: overallScore.toFixed(1),
-      totalLines,
-      autoAccepted,
-      quickReview,
-      manualReview,
-      avgConfidence: (avgConfidence * 100).toFixed(1),
-      avgAnomalyScore: avgAnomalyScore.toFixed(2),
-      totalRuleFailures,
-      accuracy: ((autoAccepted / totalLines) * 100).toFixed(1),
-      quality: confidenceScore.toFixed(1)
+  useEffect(() => {
+    refreshSessions();
+  }, [uploadedFile]);
+
+  // Changed entries are written a moment after the last change, so a burst of review
+  // decisions is one write. OCR pages are only rewritten when they changed.
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      for (const entry of batch) {
+        const view = entry.id === activeDocumentId ? { currentPage, selectedLine, resultsPageFilter, textSource, ocrLanguage } : undefined;
+        const saved = savedSessionsRef.current.get(entry.id);
+        if (saved && saved.entry === entry && (!view || JSON.stringify(view) === JSON.stringify(saved.view))) continue;
+        savedSessionsRef.current.set(entry.id, { entry, view: view || (saved && saved.view) });
+        saveSession(entry, { view, withPages: !saved || saved.entry.ocrData !== entry.ocrData });
+      }
+    }, 500);
+    return () => clearTimeout(timer);
+  }, [batch, activeDocumentId, currentPage, selectedLine, resultsPageFilter, textSource, ocrLanguage]);
+
+  const resumeSession = async (summary) => {
+    const open = batch.find(entry => entry.id === summary.id);
+    if (open) {
+      await openDocument(open, savedSessionsRef.current.get(open.id)?.view);
+      return;
+    }
+    const session = await sessionStore.load(summary.id).catch(err => {
+      setSessionError(err.message);
+      return null;
+    });
+    if (!session || !session.file) {
+      alert(`${summary.fileName} can no longer be opened: its saved PDF is missing.`);
+      return;
+    }
+    // A run interrupted by the reload starts again from the pages it had read
+    const interrupted = session.status === 'queued' || session.status === 'running';
+    const entry = {
+      id: summary.id,
+      file: session.file,
+      fileName: session.fileName,
+      status: interrupted ? (session.results ? 'done' : 'new') : session.status,
+      error: session.error,
+      ocrData: session.ocrData,
+      results: session.results,
+      validationScore: session.validationScore,
+      ruleSet: session.ruleSet,
+      correctionErrors: session.correctionErrors || []
     };
+    savedSessionsRef.current.set(entry.id, { entry, view: session.view });
+    setBatch(prev => [...prev, entry]);
+    await openDocument(entry, session.view);
   };
 
-  const pipeline = {
-    normalize: (lines) => {
-      return lines.map(line => {
-        if (!line.raw || !line.raw.toString().trim()) return { ...line, normalized: '', parsedValue: null, valueType: 'empty' };
-
-        let normalized = line.raw.toString()
-          .replace(/O/g, '0')
-          .replace(/l(?=\d)/g, '1')
-          .replace(/I/g, '1')
-          .replace(/\s+/g, ' ')
-          .trim();
-        const valueMatch = normalized.match(/\$?\s*([\d,]+)/);
-        const parsedValue = valueMatch ? parseFloat(valueMatch[1].replace(/,/g, '')) : null;
-
-        return {
-          ...line,
-          normalized,
-          parsedValue,
-          valueType: parsedValue !== null ? 'numeric' : normalized ? 'text' : 'empty'
-        };
-      });
-    },
+  const deleteSession = async (summary) => {
+    if (!window.confirm(`Delete the saved session for ${summary.fileName}? Its OCR output and review decisions are lost.`)) return;
+    if (batchQueueRef.current) batchQueueRef.current.remove(summary.id);
+    setBatch(prev => prev.filter(entry => entry.id !== summary.id));
+    setProcessedRenders(prev => ({ ...prev, [summary.id]: undefined }));
+    savedSessionsRef.current.delete(summary.id);
+    await sessionStore.remove(summary.id).catch(err => setSessionError(err.message));
+    refreshSessions();
+  };
 
-    predictLabels: (lines) => {
-      const labelPatterns = {
-        'header': /balance\s+sheet|income\s+statement|cash\s+flow/i,
-        'section_header': /^(assets|liabilities|equity|revenue|expenses)$/i,
-        'subsection': /current\s+(assets|liabilities)|shareholders/i,
-        'line_item': /cash|receivable|payable|inventory|stock|earnings/i,
-        'total': /total/i,
-        'date': /\d{4}|december|january/i
-      };
+  const deleteAllSessions = async () => {
+    if (!window.confirm(`Delete all ${recentSessions.length} saved sessions?`)) return;
+    const ids = new Set(recentSessions.map(summary => summary.id));
+    if (batchQueueRef.current) for (const id of ids) batchQueueRef.current.remove(id);
+    setBatch(prev => prev.filter(entry => !ids.has(entry.id)));
+    savedSessionsRef.current.clear();
+    await sessionStore.clear().catch(err => setSessionError(err.message));
+    refreshSessions();
+  };
 
-      return lines.map(line => {
-        if (line.valueType === 'empty') {
-          return { ...line, predictedLabel: 'blank_line', labelConfidence: 1.0 };
-        }
+  // Review decisions and re-runs on the open document are kept in its batch entry
+  useEffect(() => {
+    if (!activeDocumentId) return;
+    setBatch(prev => prev.map(entry => (entry.id === activeDocumentId
+      ? { ...entry, ocrData, results: pipelineResults, validationScore, ruleSet: activeRuleSet, correctionErrors, ...(pipelineResults ? { status: 'done', error: null } : {}) }
+      : entry)));
+  }, [activeDocumentId, ocrData, pipelineResults, validationScore, activeRuleSet, correctionErrors]);
 
-        let predictedLabel = 'unknown';
-        let confidence = 0.5;
+  // Closes the document; its saved session stays in the recent documents list
+  const closeActiveDocument = () => {
+    setBatch(prev => prev.filter(entry => entry.id !== activeDocumentId));
+    setProcessedRenders(prev => ({ ...prev, [activeDocumentId]: undefined }));
+    if (batchQueueRef.current) batchQueueRef.current.remove(activeDocumentId);
+    setActiveDocumentId(null);
+    setUploadedFile(null);
+    setPdfFile(null);
+    setOcrData(null);
+    setPipelineResults(null);
+    setValidationScore(null);
+    setActiveRuleSet(null);
+    setCorrectionErrors([]);
+    setResultsPageFilter('all');
+    setSelectedLine(null);
+    setReviewDraft(null);
+    setPdfPreview(null);
+    setShowPreview(false);
+    setCurrentStage(0);
+  };
 
-        for (const [label, pattern] of Object.entries(labelPatterns)) {
-          if (pattern.test(line.normalized)) {
-            predictedLabel = label;
-            confidence = 0.9;
-            break;
-          }
-        }
+  // Pages already read with the current text source, language and preprocessing settings
+  // are kept, so a run that was cancelled resumes with the pages it had not finished. Each
+  // page goes to `onPageDone` as soon as it is read, and each preprocessed image to
+  // `onPreprocessed`. Returns the updated document, with the OCR language it was read in.
+  const performOCR = async (file, data, onPageDone = undefined, onPreprocessed = undefined) => {
+    if (!file || !data) return data;
+    const preprocessingOptions = preprocessing.enabled ? preprocessing : null;
+    // A language detected earlier stands while the setting stays on 'auto'
+    const expectedLanguage = ocrLanguage !== 'auto' ? ocrLanguage : data.languageDetected ? data.language : null;
+    const current = (page) => page.done && page.textSource === textSource
+      && (page.source === 'text_layer' || ((!expectedLanguage || (page.language || 'eng') === expectedLanguage)
+        && JSON.stringify(page.preprocessing ? page.preprocessing.options : null) === JSON.stringify(preprocessingOptions)));
 
-        return { ...line, predictedLabel, labelConfidence: confidence };
-      });
-    },
+    let cancel;
+    const cancelled = new Promise(resolve => { cancel = resolve; });
+    ocrCancelRef.current = cancel;
+    let wasCancelled = false;
+    cancelled.then(() => { wasCancelled = true; });
 
-    validateRules: (lines) => {
-      return lines.map(line => {
-        if (line.valueType === 'empty') {
-          return { ...line, ruleFailures: [], rulePassed: true };
-        }
+    const pagesOutput = data.pages.map(page => (current(page) ? page : { pageNumber: page.pageNumber, done: false, lines: [] }));
+    const updatePage = (pageNumber, update) => setOcrProgress(prev => ({ ...prev, [pageNumber]: { ...prev[pageNumber], ...update } }));
+    setOcrProgress(Object.fromEntries(pagesOutput.map(page => [page.pageNumber, page.done ? { status: 'done', progress: 1 } : { status: 'queued', progress: 0 }])));
 
-        const failures = [];
-        if (line.valueType === 'numeric' && line.parsedValue === null) {
-          failures.push('numeric_parse_failed');
+    try {
+      GlobalWorkerOptions.workerSrc = pdfjsWorker;
+      // Get fresh ArrayBuffer from the Blob each time (avoids detachment issues)
+      const arrayBuffer = await file.arrayBuffer();
+      const loadingTask = getDocument({ data: new Uint8Array(arrayBuffer) });
+      const pdf = await loadingTask.promise;
+      setCurrentStage(stages.findIndex(s => s.name === (preprocessingOptions ? 'Preprocessing' : 'OCR Extraction')));
+
+      // Workers start on the first page that needs OCR; digital documents never load them.
+      // Workers for another language are replaced.
+      const getPool = (language) => {
+        if (ocrPoolRef.current && ocrPoolLanguageRef.current !== language) {
+          ocrPoolRef.current.then(pool => pool.terminate(), () => {});
+          ocrPoolRef.current = null;
         }
-        if (line.confidence < 0.90 && line.valueType !== 'empty') {
-          failures.push('low_ocr_confidence');
+        if (!ocrPoolRef.current) {
+          ocrPoolLanguageRef.current = language;
+          setLanguageError(null);
+          ocrPoolRef.current = createOCRPool(OCR_POOL_SIZE, language).catch(err => {
+            ocrPoolRef.current = null;
+            setLanguageError(`Could not load the OCR language ${language} (${err.message || err}). Traineddata is read from ${TESSERACT_PATHS.langPath}.`);
+            throw err;
+          });
         }
-        if (line.valueType === 'numeric' && /[OlI]/.test(line.raw)) {
-          failures.push('suspicious_chars_in_number');
+        return ocrPoolRef.current;
+      };
+
+      // With 'auto', the language is detected once, on the first page that needs OCR:
+      // from text already read or the first pages' text layers, else from the first page
+      // read in English, which gets enough of other Latin-script languages right. Other
+      // languages are read together with English for the English terms filings carry.
+      let languagePromise = null;
+      const documentLanguage = () => languagePromise || (languagePromise = (async () => {
+        if (expectedLanguage) return expectedLanguage;
+        const texts = pagesOutput.filter(page => page.done).flatMap(page => page.lines.map(line => line.raw));
+        for (let p = 1; p <= Math.min(pdf.numPages, 3) && !detectLanguage(texts); p++) {
+          const content = await (await pdf.getPage(p)).getTextContent();
+          texts.push(...content.items.map(item => item.str));
         }
-        if (line.predictedLabel === 'total' && line.valueType !== 'numeric') {
-          failures.push('total_line_missing_value');
+        if (!detectLanguage(texts)) {
+          const page = await pdf.getPage(1);
+          const viewport = page.getViewport({ scale: VIEW_SCALE });
+          const canvas = document.createElement('canvas');
+          canvas.width = Math.floor(viewport.width);
+          canvas.height = Math.floor(viewport.height);
+          await page.render({ canvasContext: canvas.getContext('2d'), viewport }).promise;
+          const { text } = await (await getPool('eng')).recognize(canvas);
+          texts.push(text);
         }
+        const detected = detectLanguage(texts) || 'eng';
+        return detected === 'eng' ? 'eng' : `${detected}+eng`;
+      })());
 
-        return { ...line, ruleFailures: failures, rulePassed: failures.length === 0 };
-      });
-    },
+      const processPage = async (p) => {
+        const page = await pdf.getPage(p);
+        const viewport = page.getViewport({ scale: VIEW_SCALE });
 
-    detectAnomalies: (lines) => {
-      return lines.map(line => {
-        if (line.valueType === 'empty') {
-          return { ...line, anomalyScore: 0, isAnomaly: false };
-        }
+        // Digital pages use their embedded text; scanned pages (or textSource 'ocr') go to OCR
+        const textWords = textSource === 'ocr' ? [] : textLayerWords(await page.getTextContent(), viewport);
+        const useTextLayer = textSource !== 'ocr' && isUsableTextLayer(textWords);
+        const runOCR = !useTextLayer || textSource === 'cross_check';
 
-        let anomalyScore = 0;
-        if (line.confidence < 0.90) anomalyScore += 0.3;
-        if (line.ruleFailures && line.ruleFailures.length > 0) anomalyScore += 0.4;
-        if (line.labelConfidence < 0.7) anomalyScore += 0.2;
-        if (line.confidence < 0.85 && line.valueType === 'numeric') anomalyScore += 0.2;
+        // OCR words are in page-view pixels of the image Tesseract read, which preprocessing
+        // may have turned upright; `toInput` carries them back onto the page as rendered
+        const ocrWords = [];
+        let toInput = [1, 0, 0, 1, 0, 0];
+        let render = { scale: VIEW_SCALE, dpi: VIEW_SCALE * 72 };
+        let pagePreprocessing = null;
+        let language = null;
+        if (runOCR) {
+          if (!expectedLanguage) updatePage(p, { status: 'detecting language' });
+          language = await Promise.race([documentLanguage(), cancelled]);
+          if (wasCancelled) return;
+          updatePage(p, { status: 'rendering' });
+          if (preprocessingOptions) render = chooseRenderScale(page.getViewport({ scale: 1 }), preprocessingOptions, await scannedImageDpi(page));
+          const renderViewport = page.getViewport({ scale: render.scale });
+          let canvas = document.createElement('canvas');
+          const ctx = canvas.getContext('2d');
+          canvas.width = Math.floor(renderViewport.width);
+          canvas.height = Math.floor(renderViewport.height);
 
-        return { ...line, anomalyScore: Math.min(anomalyScore, 1.0), isAnomaly: anomalyScore > 0.5 };
-      });
-    },
+          await page.render({ canvasContext: ctx, viewport: renderViewport }).promise;
+          if (wasCancelled) return;
 
-    suggestCorrections: (lines) => {
-      return lines.map(line => {
-        let suggestions = [];
-        if (line.ruleFailures && line.ruleFailures.includes('suspicious_chars_in_number')) {
-          const corrected = line.raw.toString().replace(/O/g, '0').replace(/l/g, '1').replace(/I/g, '1');
-          suggestions.push({ type: 'text_correction', original: line.raw, suggested: corrected, confidence: 0.85, reason: 'OCR character correction (O→0, l/I→1)' });
+          if (preprocessingOptions) {
+            updatePage(p, { status: 'preprocessing' });
+            const result = preprocessImage(ctx.getImageData(0, 0, canvas.width, canvas.height), preprocessingOptions, { dpi: render.dpi });
+            canvas = document.createElement('canvas');
+            canvas.width = result.image.width;
+            canvas.height = result.image.height;
+            canvas.getContext('2d').putImageData(new ImageData(toRGBA(result.image), result.image.width, result.image.height), 0, 0);
+            toInput = result.toInput;
+            pagePreprocessing = { options: preprocessingOptions, dpi: render.dpi, rotation: result.rotation, skew: result.skew, steps: result.steps };
+            if (onPreprocessed) {
+              const shown = document.createElement('canvas');
+              shown.width = Math.round(canvas.width * VIEW_SCALE / render.scale);
+              shown.height = Math.round(canvas.height * VIEW_SCALE / render.scale);
+              shown.getContext('2d').drawImage(canvas, 0, 0, shown.width, shown.height);
+              onPreprocessed(p, shown.toDataURL('image/png'));
+            }
+          }
+
+          // Run Tesseract OCR on this page
+          updatePage(p, { status: 'queued for OCR' });
+          try {
+            const pool = await Promise.race([getPool(language), cancelled]);
+            if (wasCancelled) return;
+            const data = await Promise.race([
+              pool.recognize(canvas, (m) => updatePage(p, { status: m.status, progress: m.status === 'recognizing text' ? m.progress : 0 })),
+              cancelled
+            ]);
+            if (wasCancelled) return;
+
+            const toView = VIEW_SCALE / render.scale;
+            for (const w of data.words || []) {
+              if (w.text && w.text.trim()) {
+                const bbox = [w.bbox.x0, w.bbox.y0, w.bbox.x1, w.bbox.y1].map(v => v * toView);
+                const confidence = Math.min((w.confidence || 0) / 100.0, 0.99);
+                ocrWords.push({ raw: w.text, bbox, confidence, source: 'ocr' });
+              }
+            }
+          } catch (ocrErr) {
+            if (wasCancelled) return;
+            console.warn('OCR error on page', p, ocrErr);
+            // Fallback: return empty lines
+          }
         }
-        if (line.confidence < 0.85 && line.valueType === 'numeric') {
-          suggestions.push({ type: 'manual_verification', original: line.raw, suggested: line.normalized, confidence: 0.70, reason: 'Low confidence numeric value - manual verification recommended' });
+
+        // Rows are rebuilt on the upright image, where lines of text run level
+        const toViewScale = VIEW_SCALE / render.scale;
+        const pageOcrWords = ocrWords.map(w => ({ ...w, bbox: mapBox(w.bbox, toInput, toViewScale) }));
+        const words = useTextLayer ? textWords : pageOcrWords;
+        let lines = useTextLayer ? groupRows(textWords) : mapRows(groupRows(ocrWords), toInput, toViewScale);
+        if (useTextLayer && runOCR) lines = attachCrossCheck(lines, pageOcrWords);
+
+        pagesOutput[p - 1] = {
+          pageNumber: p,
+          source: useTextLayer ? (runOCR ? 'text_layer+ocr' : 'text_layer') : 'ocr',
+          textSource,
+          ...(language ? { language } : {}),
+          preprocessing: pagePreprocessing,
+          done: true,
+          words,
+          lines
+        };
+        if (onPageDone) onPageDone(pagesOutput[p - 1]);
+        updatePage(p, { status: 'done', progress: 1 });
+      };
+
+      // One lane per worker pulls the next unfinished page, so pages render and OCR concurrently
+      const pending = pagesOutput.filter(page => !page.done).map(page => page.pageNumber);
+      await Promise.all(Array.from({ length: OCR_POOL_SIZE }, async () => {
+        while (pending.length > 0 && !wasCancelled) {
+          const p = pending.shift();
+          await processPage(p).catch(err => console.warn('Page', p, 'failed:', err));
         }
-        return { ...line, suggestions };
-      });
+      }));
+    } catch (err) {
+      console.error('OCR perform error:', err);
+    }
+
+    ocrCancelRef.current = null;
+    const language = expectedLanguage || (languagePromise ? await languagePromise.catch(() => null) : null);
+    return { ...data, pages: pagesOutput, language: language || undefined, languageDetected: ocrLanguage === 'auto' && Boolean(language) };
+  };
+
+  // Stop dispatching pages and kill the busy workers; finished pages are kept
+  const cancelOCR = () => {
+    if (!ocrCancelRef.current) return;
+    ocrCancelRef.current();
+    const poolPromise = ocrPoolRef.current;
+    ocrPoolRef.current = null;
+    if (poolPromise) poolPromise.then(pool => pool.terminate());
+  };
+
+  // OCR for the pages not yet read, then every pipeline stage. `overrides` replaces the
+  // rule sets, document type or models in state, for a run started right after they change.
+  const runDocument = async (id, file, data, overrides = {}, onStage = undefined) => {
+    const ocrResult = await performOCR(
+      file,
+      data,
+      (page) => sessionStore.savePage(id, page).catch(err => setSessionError(err.message)),
+      (pageNumber, image) => setProcessedRenders(prev => ({ ...prev, [id]: { ...prev[id], [pageNumber]: image } }))
+    );
+    setOcrProgress(null);
+    if (!ocrResult || !ocrResult.pages || !ocrResult.pages.some(page => page.done)) {
+      return { ocrData: ocrResult, error: 'OCR failed or no data extracted' };
+    }
+
+    const correctionErrors = [];
+    const run = await runPipelineAsync(ocrResult, {
+      onStage,
+      ruleSets: overrides.ruleSets || ruleSets,
+      documentType: overrides.documentType || documentType,
+      profiles: overrides.profiles || profiles,
+      models: 'models' in overrides ? overrides.models : (useModels && training ? training.models : undefined),
+      correctionProviders: llmSettings.enabled && llmSettings.endpoint
+        ? [...DEFAULT_CORRECTION_PROVIDERS, createOpenAICompatibleProvider({ endpoint: llmSettings.endpoint, model: llmSettings.model || undefined, apiKey: llmSettings.apiKey || undefined })]
+        : DEFAULT_CORRECTION_PROVIDERS,
+      onProviderError: (error) => correctionErrors.push(error)
+    });
+    return { ocrData: ocrResult, results: run.results, validationScore: run.validationScore, ruleSet: run.ruleSet, correctionErrors };
+  };
+
+  // Results are ready for the Human Review stage
+  const showRun = (run) => {
+    setCurrentStage(stages.findIndex(s => s.name === 'Human Review'));
+    setOcrData(run.ocrData);
+    setPipelineResults(run.results);
+    setValidationScore(run.validationScore);
+    setActiveRuleSet(run.ruleSet);
+    setCorrectionErrors(run.correctionErrors);
+  };
+
+  const handleRunPipeline = async (overrides = {}) => {
+    if (!ocrData) return;
+    if (!ocrLanguageValid) {
+      alert(`"${ocrLanguage}" is not a Tesseract language code. Use codes joined with +, e.g. deu+eng.`);
+      return;
+    }
+
+    setIsProcessing(true);
+    let run;
+    try {
+      run = await runDocument(activeDocumentId, pdfFile, ocrData, overrides, (stage) => setCurrentStage(stages.findIndex(s => s.name === stage.name)));
+    } catch (err) {
+      alert('Validation failed: ' + err.message);
+      return;
+    } finally {
+      setIsProcessing(false);
+    }
+
+    if (run.error) {
+      if (run.ocrData) setOcrData(run.ocrData);
+      alert('OCR failed or no data extracted. Please check your PDF.');
+      return;
+    }
+    showRun(run);
+  };
+
+  // Batch: documents run one after another on the shared OCR pool. The queue outlives
+  // renders, so it calls back through a ref that always holds this render's handlers.
+  batchHandlersRef.current = {
+    run: async (entry) => {
+      const active = entry.id === activeDocumentId;
+      const data = entry.ocrData || await emptyOcrData(entry.file);
+      // Saved before OCR starts so pages saved as they are read belong to a known page count
+      if (!entry.ocrData) await saveSession({ ...entry, ocrData: data });
+      const run = await runDocument(entry.id, entry.file, data, {}, active ? (stage) => setCurrentStage(stages.findIndex(s => s.name === stage.name)) : undefined);
+      if (run.error) throw new Error(run.error);
+      return run;
     },
+    update: (job) => {
+      setBatch(prev => prev.map(entry => (entry.id === job.id ? { ...entry, status: job.status, error: job.error || null, ...(job.result || {}) } : entry)));
+      if (job.status === 'done' && job.id === activeDocumentId) showRun(job.result);
+    }
+  };
 
-    makeDecisions: (lines) => {
-      return lines.map(line => {
-        if (line.valueType === 'empty') return { ...line, status: 'auto_accept' };
-        let status = 'auto_accept';
-        if (line.ruleFailures && line.ruleFailures.length > 0) status = 'manual_review';
-        else if (line.anomalyScore > 0.5) status = 'quick_review';
-        else if (line.confidence < 0.85 && line.valueType === 'numeric') status = 'quick_review';
-        return { ...line, status };
-      });
+  const runBatch = () => {
+    if (!batchQueueRef.current) {
+      batchQueueRef.current = createJobQueue(entry => batchHandlersRef.current.run(entry), { onUpdate: job => batchHandlersRef.current.update(job) });
     }
+    for (const entry of batch.filter(e => ['new', 'failed', 'cancelled'].includes(e.status))) batchQueueRef.current.add(entry.id, entry);
   };
 
-  const performOCR = async () => {
-    if (!pdfFile || !ocrData) return ocrData;
+  // Documents not started yet stay in the batch; the one being read keeps its finished pages
+  const stopBatch = () => {
+    batchQueueRef.current.cancel();
+    cancelOCR();
+  };
 
+  // JSON roll-up, or one CSV table or workbook over the processed documents
+  const exportBatch = async (format = 'json') => {
+    setExporting(`batch-${format}`);
     try {
-      GlobalWorkerOptions.workerSrc = pdfjsWorker;
-      // Get fresh ArrayBuffer from the Blob each time (avoids detachment issues)
-      const arrayBuffer = await pdfFile.arrayBuffer();
-      const loadingTask = getDocument({ data: new Uint8Array(arrayBuffer) });
-      const pdf = await loadingTask.promise;
-      const pagesOutput = [];
+      const documents = await Promise.all(batch.map(async entry => (entry.results
+        ? { ...entry, profile: profileFor(entry.ruleSet ? entry.ruleSet.documentType : undefined, profiles), provenance: await provenanceOf(entry) }
+        : entry)));
+      const processed = documents.filter(entry => entry.results);
+      const name = `ocr-validation-batch-${Date.now()}`;
+      if (format === 'csv') downloadBlob(new Blob([buildCSV(processed)], { type: 'text/csv;charset=utf-8' }), `${name}.csv`);
+      else if (format === 'xlsx') downloadBlob(new Blob([buildXLSX(processed)], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' }), `${name}.xlsx`);
+      else downloadBlob(new Blob([JSON.stringify(buildBatchExport(documents), null, 2)], { type: 'application/json' }), `${name}.json`);
+    } catch (err) {
+      alert(`Export failed: ${err.message}`);
+    } finally {
+      setExporting(null);
+    }
+  };
 
-      for (let p = 1; p <= pdf.numPages; p++) {
-        setCurrentStage(2);
-        const page = await pdf.getPage(p);
-        const viewport = page.getViewport({ scale: 1.5 });
-        const canvas = document.createElement('canvas');
-        const ctx = canvas.getContext('2d');
-        canvas.width = Math.floor(viewport.width);
-        canvas.height = Math.floor(viewport.height);
-
-        await page.render({ canvasContext: ctx, viewport }).promise;
-
-        // Run Tesseract OCR on this page
-        let lines = [];
-        try {
-          const { data } = await Tesseract.recognize(canvas, 'eng', {
-            logger: m => { /* silent */ }
-          });
+  // Rule editor: YAML text of a rule set, tried on the current document before it is saved
+  const openRuleEditor = () => {
+    const ruleSet = documentType === 'auto'
+      ? activeRuleSet || selectRuleSet(ocrData ? ocrData.pages.flatMap(page => page.lines) : [], ruleSets)
+      : selectRuleSet([], ruleSets, documentType);
+    setRuleEditor({ text: stringifyYAML(ruleSet), error: null, test: null });
+  };
 
-          const words = data.words || [];
-          let id = 1;
-          for (const w of words) {
-            if (w.text && w.text.trim()) {
-              const bbox = [w.bbox.x0, w.bbox.y0, w.bbox.x1, w.bbox.y1];
-              const confidence = Math.min((w.confidence || 0) / 100.0, 0.99);
-              lines.push({ id: id++, raw: w.text, bbox, confidence });
-            }
-          }
-        } catch (ocrErr) {
-          console.warn('OCR error on page', p, ocrErr);
-          // Fallback: return empty lines
-        }
+  const readRuleEditor = () => {
+    try {
+      const [ruleSet] = parseRuleSets(ruleEditor.text);
+      return ruleSet;
+    } catch (err) {
+      setRuleEditor({ ...ruleEditor, error: err.message, test: null });
+      return null;
+    }
+  };
 
-        pagesOutput.push({ pageNumber: p, lines });
+  const countRuleFailures = (lines) => {
+    const counts = {};
+    for (const line of lines) {
+      for (const detail of line.ruleDetails || []) {
+        const key = `${detail.rule}|${detail.severity || 'error'}`;
+        counts[key] = (counts[key] || 0) + 1;
       }
+    }
+    return counts;
+  };
 
-      const updatedOcrData = { ...ocrData, pages: pagesOutput };
-      setOcrData(updatedOcrData);
-      return updatedOcrData;
-    } catch (err) {
-      console.error('OCR perform error:', err);
-      return ocrData; // Return what we have
+  const testRuleSet = () => {
+    const ruleSet = readRuleEditor();
+    if (!ruleSet) return;
+    if (!ocrData || !ocrData.pages.some(page => page.done)) {
+      setRuleEditor({ ...ruleEditor, error: 'Run the pipeline once so there are pages to test on.', test: null });
+      return;
     }
+    const { results, validationScore: score } = runPipeline(ocrData, { ruleSet, profiles });
+    const before = pipelineResults ? countRuleFailures(pipelineResults) : {};
+    const after = countRuleFailures(results);
+    const rules = [...new Set([...Object.keys(after), ...Object.keys(before)])].map(key => {
+      const [rule, severity] = key.split('|');
+      return { rule, severity, count: after[key] || 0, previous: before[key] || 0 };
+    }).sort((a, b) => b.count - a.count);
+    setRuleEditor({ ...ruleEditor, error: null, test: { ruleSet: ruleSet.name, score, rules } });
   };
 
-  const runPipeline = async () => {
-    if (!ocrData) return;
+  // Runs the stages after OCR again. Pages already read are kept, except scanned pages
+  // read with another OCR language or other preprocessing settings, which are read again.
+  const revalidate = async () => {
+    const reviewed = (pipelineResults || []).some(line => line.review);
+    if (reviewed && !window.confirm('Re-validating discards the review decisions made so far. Continue?')) return;
+    await handleRunPipeline();
+  };
 
-    // Perform OCR if not already done
-    setIsProcessing(true);
-    const ocrResult = await performOCR();
-    setIsProcessing(false);
+  const saveRuleSet = async () => {
+    const ruleSet = readRuleEditor();
+    if (!ruleSet) return;
+    const updatedCustom = [ruleSet, ...customRuleSets.filter(custom => custom.id !== ruleSet.id)];
+    setCustomRuleSets(updatedCustom);
+    setDocumentType(ruleSet.id);
+    setRuleEditor(null);
 
-    if (!ocrResult || !ocrResult.pages || ocrResult.pages.length === 0) {
-      alert('OCR failed or no data extracted. Please check your PDF.');
+    const reviewed = (pipelineResults || []).some(line => line.review);
+    if (pipelineResults && (!reviewed || window.confirm('Re-validating with the new rules discards the review decisions made so far. Continue?'))) {
+      await handleRunPipeline({
+        ruleSets: [...updatedCustom, ...RULE_SETS.filter(builtIn => !updatedCustom.some(custom => custom.id === builtIn.id))],
+        documentType: ruleSet.id
+      });
+    }
+  };
+
+  const loadRuleFile = async (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+    setRuleEditor({ text: await file.text(), error: null, test: null });
+  };
+
+  const downloadRuleSet = () => {
+    const ruleSet = readRuleEditor();
+    if (!ruleSet) return;
+    downloadBlob(new Blob([ruleEditor.text], { type: 'application/yaml' }), `${ruleSet.id}.rules.yaml`);
+  };
+
+  // Retraining: models learned from the stored review decisions
+  const handleTrain = () => {
+    const result = trainModels(feedbackStore.all());
+    setTraining(result);
+    if (!result.models.label && !result.models.anomaly) setUseModels(false);
+  };
+
+  const toggleModels = async (enabled) => {
+    setUseModels(enabled);
+    const reviewed = (pipelineResults || []).some(line => line.review);
+    if (pipelineResults && (!reviewed || window.confirm('Re-validating discards the review decisions made so far. Continue?'))) {
+      await handleRunPipeline({ models: enabled ? training.models : undefined });
+    }
+  };
+
+  // Scoring profiles: the what-if draft becomes the profile for the open document's type
+  useEffect(() => {
+    if (typeof window !== 'undefined' && window.localStorage) window.localStorage.setItem(PROFILES_KEY, JSON.stringify(profiles));
+  }, [profiles]);
+
+  const setDraftValue = (group, key, value) => {
+    setProfileDraft({ ...profileDraft, [group]: { ...profileDraft[group], [key]: value } });
+  };
+
+  const saveProfile = async () => {
+    const { documentType: type, name } = activeRuleSet;
+    const profile = { ...profileDraft, id: type, name, documentType: type };
+    const problems = checkProfile(profile);
+    if (problems.length > 0) {
+      alert(`The profile cannot be saved:\n${problems.join('\n')}`);
       return;
     }
+    const updated = [profile, ...profiles.filter(p => p.documentType !== type)];
+    setProfiles(updated);
+    setProfileDraft(null);
+    setProfileError(null);
+
+    const reviewed = pipelineResults.some(line => line.review);
+    if (!reviewed || window.confirm('Re-validating with the new thresholds discards the review decisions made so far. Continue?')) {
+      await handleRunPipeline({ profiles: updated });
+    } else {
+      // The new weights still apply to the score; the thresholds wait for the next run
+      setValidationScore(calculateValidationScore(pipelineResults, profile.weights));
+    }
+  };
+
+  const exportFeedback = () => {
+    downloadBlob(new Blob([feedbackStore.export()], { type: 'application/json' }), `ocr-feedback-${Date.now()}.json`);
+  };
 
-    setCurrentStage(3);
-    await new Promise(r => setTimeout(r, 200));
-    let results = ocrResult.pages[0].lines;
-    results = pipeline.normalize(results);
-    setCurrentStage(4);
-    await new Promise(r => setTimeout(r, 200));
-    results = pipeline.predictLabels(results);
-    setCurrentStage(5);
-    await new Promise(r => setTimeout(r, 200));
-    results = pipeline.validateRules(results);
-    setCurrentStage(6);
-    await new Promise(r => setTimeout(r, 200));
-    results = pipeline.detectAnomalies(results);
-    setCurrentStage(7);
-    await new Promise(r => setTimeout(r, 200));
-    results = pipeline.suggestCorrections(results);
-    setCurrentStage(8);
-    await new Promise(r => setTimeout(r, 200));
-    results = pipeline.makeDecisions(results);
-    setCurrentStage(9);
-
-    setPipelineResults(results);
-    const score = calculateValidationScore(results);
-    setValidationScore(score);
-  };
-
-  const exportResults = () => {
-    const exportData = { fileName: uploadedFile?.name, processedAt: new Date().toISOString(), validationScore, results: pipelineResults };
-    const blob = new Blob([JSON.stringify(exportData, null, 2)], { type: 'application/json' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = `ocr-validation-${Date.now()}.json`;
-    a.click();
+  const importFeedback = async (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+    try {
+      feedbackStore.import(await file.text());
+      setFeedbackCount(feedbackStore.all().length);
+    } catch (err) {
+      alert('Could not import feedback: ' + err.message);
+    }
   };
 
+  const loadReference = async (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+    try {
+      setReference({ documentId: activeDocumentId, fileName: file.name, data: parseReference(await file.text()) });
+    } catch (err) {
+      alert('Could not load the reference: ' + err.message);
+    }
+  };
+
+  const clearFeedback = () => {
+    if (!window.confirm(`Delete all ${feedbackCount} stored review decisions?`)) return;
+    feedbackStore.clear();
+    setFeedbackCount(0);
+    setTraining(null);
+    setUseModels(false);
+  };
+
+  const exportResults = async (format) => {
+    setExportMenuOpen(false);
+    // Opened before anything is awaited, while the click still allows pop-ups
+    const printWindow = format === 'print' ? window.open('', '_blank') : null;
+    setExporting(format);
+    try {
+      const exported = {
+        fileName: uploadedFile?.name,
+        validationScore,
+        results: pipelineResults,
+        ruleSet: activeRuleSet,
+        profile: activeProfile,
+        comparison: comparison || undefined,
+        provenance: await provenanceOf({ fileName: uploadedFile?.name, file: pdfFile, ocrData })
+      };
+      const name = `ocr-validation-${Date.now()}`;
+      const previews = pdfPreview ? pdfPreview.pages : [];
+
+      if (format === 'json') {
+        downloadBlob(new Blob([JSON.stringify(buildExport(exported), null, 2)], { type: 'application/json' }), `${name}.json`);
+      } else if (format === 'csv') {
+        downloadBlob(new Blob([buildCSV([exported])], { type: 'text/csv;charset=utf-8' }), `${name}.csv`);
+      } else if (format === 'xlsx') {
+        downloadBlob(new Blob([buildXLSX([exported])], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' }), `${name}.xlsx`);
+      } else if (format === 'pdf') {
+        const pages = [];
+        for (const [i, src] of previews.entries()) {
+          const image = await jpegOf(src);
+          const page = ocrData.pages.find(p => p.pageNumber === i + 1);
+          pages.push({
+            image: { data: dataURLBytes(image.dataURL), width: image.width, height: image.height },
+            scale: VIEW_SCALE,
+            words: page && page.done !== false ? page.words || [] : []
+          });
+        }
+        const title = (uploadedFile?.name || 'document').replace(/\.pdf$/i, '');
+        downloadBlob(new Blob([buildSearchablePDF(pages, { title, subject: 'Searchable copy with the OCR text layer' })], { type: 'application/pdf' }), `${title}-searchable.pdf`);
+      } else {
+        const thumbnails = [];
+        for (const [i, src] of previews.entries()) {
+          const image = await jpegOf(src, { maxWidth: 800, quality: 0.75 });
+          thumbnails.push({ pageNumber: i + 1, src: image.dataURL, width: image.sourceWidth, height: image.sourceHeight });
+        }
+        const html = buildReport({ ...exported, thumbnails });
+        if (format === 'report') {
+          downloadBlob(new Blob([html], { type: 'text/html;charset=utf-8' }), `${name}-report.html`);
+        } else if (printWindow) {
+          printWindow.document.write(html);
+          printWindow.document.close();
+          printWindow.addEventListener('load', () => printWindow.print());
+        } else {
+          alert('The browser blocked the report window. Allow pop-ups for this page, or download the HTML report and print it.');
+        }
+      }
+    } catch (err) {
+      if (printWindow) printWindow.close();
+      alert(`Export failed: ${err.message}`);
+    } finally {
+      setExporting(null);
+    }
+  };
+
+  // Review queue: every line the decision engine routed to a human, manual_review first.
+  // Reviewed lines keep their slot so a decision can be revisited.
+  const reviewPriority = { manual_review: 0, quick_review: 1 };
+  const routedStatus = (line) => (line.review ? line.review.previousStatus : line.status);
+  const reviewQueue = (pipelineResults || [])
+    .filter(line => routedStatus(line) in reviewPriority)
+    .filter(line => resultsPageFilter === 'all' || line.pageNumber === resultsPageFilter)
+    .sort((a, b) => reviewPriority[routedStatus(a)] - reviewPriority[routedStatus(b)]);
+  const pendingReviews = reviewQueue.filter(line => !line.review).length;
+  const activeReviewLine = reviewQueue.find(line => lineKey(line) === selectedLine)
+    || reviewQueue.find(line => !line.review)
+    || reviewQueue[0];
+
+  const selectReviewItem = (index) => {
+    const line = reviewQueue[Math.max(0, Math.min(reviewQueue.length - 1, index))];
+    if (!line) return;
+    setSelectedLine(lineKey(line));
+    setReviewDraft(null);
+  };
+
+  const submitReview = (line, decision, edits) => {
+    const key = lineKey(line);
+    const updated = pipelineResults.map(l => (lineKey(l) === key ? applyReview(l, decision, edits) : l));
+    setPipelineResults(updated);
+    setFeedbackCount(feedbackStore.add([feedbackExample(updated.find(l => lineKey(l) === key), uploadedFile?.name)]));
+    setValidationScore(calculateValidationScore(updated, activeProfile.weights));
+    setReviewDraft(null);
+
+    // Move on to the next item still waiting for a decision
+    const index = reviewQueue.indexOf(line);
+    const next = reviewQueue.slice(index + 1).find(l => !l.review) || reviewQueue.find(l => !l.review && lineKey(l) !== key);
+    if (next) setSelectedLine(lineKey(next));
+  };
+
+  const acceptSuggestion = (line, suggestion) => {
+    if (suggestion.target === 'label') return submitReview(line, 'edited', { label: suggestion.suggested });
+    if (suggestion.target !== 'cell' || !line.cells) return submitReview(line, 'accepted');
+    const cells = line.cells.map((c, i) => (i === suggestion.cellIndex ? suggestion.suggested : c.normalized));
+    return submitReview(line, 'edited', { cells });
+  };
+
+  // Structured statements follow review decisions: corrected values, rejected lines dropped
+  const statements = pipelineResults ? buildStatements(pipelineResults) : null;
+
+  // Selecting a line (preview box or results row): open it in review and bring its row into view
+  const selectResultLine = (line) => {
+    setSelectedLine(lineKey(line));
+    setReviewDraft(null);
+    const row = document.getElementById(`result-${lineKey(line)}`);
+    if (row) row.scrollIntoView({ block: 'nearest', behavior: 'smooth' });
+  };
+
+  const startEdit = (line) => {
+    setSelectedLine(lineKey(line));
+    setReviewDraft({ label: line.label || '', predictedLabel: line.predictedLabel, cells: (line.cells || []).map(c => c.normalized) });
+  };
+
+  // Keyboard review: ↑/↓ (or j/k) move, a accept, r reject, e edit, 1–9 apply a suggestion
+  useEffect(() => {
+    if (!activeReviewLine || reviewDraft) return undefined;
+    const onKeyDown = (e) => {
+      if (['INPUT', 'TEXTAREA', 'SELECT'].includes(e.target.tagName) || e.metaKey || e.ctrlKey || e.altKey) return;
+      const index = reviewQueue.indexOf(activeReviewLine);
+      const suggestion = /^[1-9]$/.test(e.key) ? activeReviewLine.suggestions[Number(e.key) - 1] : null;
+      if (e.key === 'ArrowDown' || e.key === 'j') selectReviewItem(index + 1);
+      else if (e.key === 'ArrowUp' || e.key === 'k') selectReviewItem(index - 1);
+      else if (e.key === 'a') submitReview(activeReviewLine, 'accepted');
+      else if (e.key === 'r') submitReview(activeReviewLine, 'rejected');
+      else if (e.key === 'e') startEdit(activeReviewLine);
+      else if (suggestion) acceptSuggestion(activeReviewLine, suggestion);
+      else return;
+      e.preventDefault();
+    };
+    window.addEventListener('keydown', onKeyDown);
+    return () => window.removeEventListener('keydown', onKeyDown);
+  });
+
   const getStatusColor = (status) => {
     switch (status) {
       case 'auto_accept': return 'bg-green-100 text-green-700 border-green-300';
       case 'quick_review': return 'bg-yellow-100 text-yellow-700 border-yellow-300';
       case 'manual_review': return 'bg-red-100 text-red-700 border-red-300';
+      case 'accepted': return 'bg-blue-100 text-blue-700 border-blue-300';
+      case 'corrected': return 'bg-purple-100 text-purple-700 border-purple-300';
+      case 'rejected': return 'bg-gray-200 text-gray-700 border-gray-400';
       default: return 'bg-gray-100 text-gray-700';
     }
   };
@@ -365,21 +1341,35 @@ const OCRValidationSystem = () => {
     return 'text-red-600';
   };
 
+  const batchSummaries = batch.map(summarizeDocument);
+  const batchSummary = summarizeBatch(batchSummaries);
+
   const stages = [
     { name: 'PDF Ingestion', icon: FileText, desc: 'Convert PDF to images' },
-    { name: 'OCR Extraction', icon: Eye, desc: 'Extract text & confidence' },
+    { name: 'Preprocessing', icon: Image, desc: 'Straighten, binarize and clean scanned pages' },
+    { name: 'OCR Extraction', icon: Eye, desc: 'Extract text & rebuild table rows' },
     { name: 'Normalization', icon: Edit, desc: 'Clean OCR errors' },
-    { name: 'Field Prediction', icon: Zap, desc: 'Identify field labels' },
+    { name: 'Field Prediction', icon: Zap, desc: 'Identify field labels and map them to statement fields' },
     { name: 'Rule Validation', icon: CheckCircle, desc: 'Check constraints' },
-    { name: 'Anomaly Detection', icon: AlertCircle, desc: 'ML-based analysis' },
-    { name: 'LLM Correction', icon: RefreshCw, desc: 'Smart suggestions' },
+    { name: 'Anomaly Detection', icon: AlertCircle, desc: 'Statistical value checks and anomaly scores' },
+    { name: 'LLM Correction', icon: RefreshCw, desc: 'Lexicon, arithmetic and LLM suggestions' },
     { name: 'Decision Engine', icon: CheckCircle, desc: 'Auto-routing' },
     { name: 'Human Review', icon: Eye, desc: 'Manual verification' },
-    { name: 'Retraining', icon: RefreshCw, desc: 'Improve models' }
+    { name: 'Retraining', icon: RefreshCw, desc: 'Learn labels and anomaly weights from review decisions' }
   ];
 
   return (
-    <div className="min-h-screen bg-gradient-to-br from-gray-50 via-blue-50 to-gray-50 p-6">
+    <div
+      className="min-h-screen bg-gradient-to-br from-gray-50 via-blue-50 to-gray-50 p-6"
+      onDragOver={(e) => { e.preventDefault(); setIsDragging(true); }}
+      onDragLeave={(e) => { if (!e.currentTarget.contains(e.relatedTarget)) setIsDragging(false); }}
+      onDrop={handleDrop}
+    >
+      {isDragging && (
+        <div className="fixed inset-4 z-20 border-4 border-dashed border-blue-400 bg-blue-50/80 rounded-2xl flex items-center justify-center pointer-events-none">
+          <span className="text-lg font-medium text-blue-700">Drop PDFs or folders to add them to the batch</span>
+        </div>
+      )}
       <div className="max-w-6xl mx-auto">
         <div className="bg-white border-b border-gray-200 shadow-sm rounded-lg p-6 mb-6">
           <div className="flex items-center justify-between">
@@ -388,28 +1378,84 @@ const OCRValidationSystem = () => {
               <p className="text-sm text-gray-600 mt-1">Annual Report Filing Compliance System</p>
             </div>
             {pipelineResults && (
-              <button onClick={exportResults} className="flex items-center gap-2 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition shadow-sm">
-                <Download className="w-4 h-4" />
-                Export Results
-              </button>
+              <div className="relative">
+                <button onClick={() => setExportMenuOpen(open => !open)} disabled={Boolean(exporting)} className="flex items-center gap-2 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition shadow-sm disabled:opacity-50">
+                  {exporting && !exporting.startsWith('batch') ? <Loader className="w-4 h-4 animate-spin" /> : <Download className="w-4 h-4" />}
+                  Export Results
+                </button>
+                {exportMenuOpen && (
+                  <div className="absolute right-0 mt-2 w-72 bg-white border border-gray-200 rounded-lg shadow-lg z-10 py-1">
+                    {EXPORT_FORMATS.map(({ format, name, desc, needsPages }) => (
+                      <button key={format} onClick={() => exportResults(format)} disabled={needsPages && !pdfPreview} className="w-full text-left px-4 py-2 hover:bg-gray-50 disabled:opacity-50">
+                        <div className="text-sm font-medium text-gray-900">{name}</div>
+                        <div className="text-xs text-gray-500">{desc}</div>
+                      </button>
+                    ))}
+                  </div>
+                )}
+              </div>
             )}
           </div>
         </div>
 
+        <input ref={fileInputRef} type="file" accept=".pdf" multiple onChange={handleFileUpload} className="hidden" />
+        <input ref={folderInputRef} type="file" webkitdirectory="" onChange={handleFileUpload} className="hidden" />
+
         {!uploadedFile && (
           <div className="bg-white rounded-2xl shadow-sm border border-gray-200 p-12 text-center mb-6">
             <div className="max-w-md mx-auto">
               <div className="w-20 h-20 bg-blue-100 rounded-full flex items-center justify-center mx-auto mb-4">
                 <Upload className="w-10 h-10 text-blue-600" />
               </div>
-              <h2 className="text-xl font-semibold text-gray-900 mb-2">Upload Annual Report PDF</h2>
-              <p className="text-gray-600 mb-6">Upload your PDF to extract and validate financial data</p>
-              <input ref={fileInputRef} type="file" accept=".pdf" onChange={handleFileUpload} className="hidden" />
-              <button onClick={() => fileInputRef.current?.click()} className="inline-flex items-center gap-2 px-6 py-3 bg-blue-600 text-white rounded-xl hover:bg-blue-700 transition shadow-sm font-medium">
-                <Upload className="w-5 h-5" />
-                Choose PDF File
-              </button>
-              <p className="text-xs text-gray-500 mt-4">Maximum file size: 10MB</p>
+              <h2 className="text-xl font-semibold text-gray-900 mb-2">Upload Annual Report PDFs</h2>
+              <p className="text-gray-600 mb-6">Upload one PDF, several, or a folder of filings to extract and validate financial data</p>
+              <div className="flex justify-center gap-2">
+                <button onClick={() => fileInputRef.current?.click()} className="inline-flex items-center gap-2 px-6 py-3 bg-blue-600 text-white rounded-xl hover:bg-blue-700 transition shadow-sm font-medium">
+                  <Upload className="w-5 h-5" />
+                  Choose PDF Files
+                </button>
+                <button onClick={() => folderInputRef.current?.click()} className="inline-flex items-center gap-2 px-6 py-3 bg-gray-100 text-gray-700 rounded-xl hover:bg-gray-200 transition font-medium">
+                  <FileText className="w-5 h-5" />
+                  Choose Folder
+                </button>
+              </div>
+              <p className="text-xs text-gray-500 mt-4">Or drop PDFs and folders anywhere on the page. Maximum file size: 10MB</p>
+            </div>
+          </div>
+        )}
+
+        {!uploadedFile && (recentSessions.length > 0 || sessionError) && (
+          <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6 mb-6">
+            <div className="flex items-center justify-between mb-4">
+              <div>
+                <h2 className="text-lg font-semibold text-gray-900">Recent documents</h2>
+                <div className="text-sm text-gray-600">Saved in this browser; resume where you left off</div>
+              </div>
+              {recentSessions.length > 1 && (
+                <button onClick={deleteAllSessions} className="px-3 py-1.5 text-sm text-red-700 bg-red-100 rounded-lg hover:bg-red-200 transition">Delete all</button>
+              )}
+            </div>
+            {sessionError && (
+              <div className="mb-3 p-3 bg-red-50 text-red-700 text-sm rounded-lg">{sessionError}</div>
+            )}
+            <div className="divide-y divide-gray-100">
+              {recentSessions.map(summary => (
+                <div key={summary.id} className="flex items-center justify-between gap-4 py-3">
+                  <div className="min-w-0">
+                    <div className="font-medium text-gray-900 truncate">{summary.fileName}</div>
+                    <div className="text-xs text-gray-600">
+                      {summary.pageCount ? `${summary.pagesRead} of ${summary.pageCount} pages read` : 'Not read yet'}
+                      {summary.overallScore !== null && <> · score {summary.overallScore}</>}
+                      {(summary.reviewed > 0 || summary.waiting > 0) && <> · {summary.reviewed} reviewed, {summary.waiting} waiting</>}
+                      {' '}· {new Date(summary.updatedAt).toLocaleString()}
+                    </div>
+                  </div>
+                  <div className="flex items-center gap-2 shrink-0">
+                    <button onClick={() => resumeSession(summary)} className="px-3 py-1.5 text-sm bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition">Resume</button>
+                    <button onClick={() => deleteSession(summary)} className="px-3 py-1.5 text-sm text-red-700 bg-red-100 rounded-lg hover:bg-red-200 transition">Delete</button>
+                  </div>
+                </div>
+              ))}
             </div>
           </div>
         )}
@@ -424,6 +1470,7 @@ const OCRValidationSystem = () => {
                 <div>
                   <h3 className="font-medium text-gray-900">{uploadedFile.name}</h3>
                   <p className="text-sm text-gray-600">{(uploadedFile.size / 1024).toFixed(1)} KB</p>
+                  {sessionError && <p className="text-xs text-red-600">{sessionError}</p>}
                 </div>
               </div>
               <div className="flex items-center gap-2">
@@ -431,32 +1478,208 @@ const OCRValidationSystem = () => {
                   <Image className="w-4 h-4" />
                   {showPreview ? 'Hide' : 'Show'} Preview
                 </button>
-                <button onClick={() => { setUploadedFile(null); setPdfFile(null); setOcrData(null); setPipelineResults(null); setValidationScore(null); setPdfPreview(null); setShowPreview(false); setCurrentStage(0); }} className="px-4 py-2 text-red-700 bg-red-100 rounded-lg hover:bg-red-200 transition flex items-center gap-2">
+                <button onClick={closeActiveDocument} className="px-4 py-2 text-gray-700 bg-gray-100 rounded-lg hover:bg-gray-200 transition flex items-center gap-2">
                   <X className="w-4 h-4" />
-                  Remove
+                  Close
                 </button>
               </div>
             </div>
           </div>
         )}
 
+        {batch.length > 1 && (
+          <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6 mb-6">
+            <div className="flex items-center justify-between gap-4 mb-4">
+              <div>
+                <h2 className="text-lg font-semibold text-gray-900">Batch</h2>
+                <div className="text-sm text-gray-600">
+                  {batchSummary.documents} documents · {batchSummary.byStatus.done || 0} processed
+                  {batchSummary.averageScore !== null && <> · average score {batchSummary.averageScore} (lowest {batchSummary.lowestScore})</>}
+                  {' '}· {batchSummary.review.pending} lines waiting for review
+                </div>
+              </div>
+              <div className="flex flex-wrap gap-2">
+                <button onClick={() => fileInputRef.current?.click()} className="px-4 py-2 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 transition flex items-center gap-2 text-sm">
+                  <Upload className="w-4 h-4" />
+                  Add files
+                </button>
+                {batchRunning ? (
+                  <button onClick={stopBatch} className="px-4 py-2 text-red-700 bg-red-100 rounded-lg hover:bg-red-200 transition flex items-center gap-2 text-sm">
+                    <X className="w-4 h-4" />
+                    Stop
+                  </button>
+                ) : (
+                  <button onClick={runBatch} disabled={isProcessing || !ocrLanguageValid || !batch.some(entry => ['new', 'failed', 'cancelled'].includes(entry.status))} className="px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 transition flex items-center gap-2 text-sm disabled:opacity-50">
+                    <Zap className="w-4 h-4" />
+                    Run all
+                  </button>
+                )}
+                <button onClick={() => exportBatch('json')} disabled={!batchSummary.byStatus.done || Boolean(exporting)} className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition flex items-center gap-2 text-sm disabled:opacity-50">
+                  {exporting === 'batch-json' ? <Loader className="w-4 h-4 animate-spin" /> : <Download className="w-4 h-4" />}
+                  Export Batch
+                </button>
+                {['csv', 'xlsx'].map(format => (
+                  <button key={format} onClick={() => exportBatch(format)} disabled={!batchSummary.byStatus.done || Boolean(exporting)} className="px-3 py-2 border border-blue-300 text-blue-700 rounded-lg hover:bg-blue-50 transition text-sm disabled:opacity-50">
+                    {exporting === `batch-${format}` ? <Loader className="w-4 h-4 animate-spin" /> : format.toUpperCase()}
+                  </button>
+                ))}
+              </div>
+            </div>
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm border border-gray-200 rounded-lg">
+                <thead className="bg-gray-50 text-gray-600">
+                  <tr>
+                    <th className="text-left px-3 py-2 font-medium">File</th>
+                    <th className="text-left px-3 py-2 font-medium">Status</th>
+                    <th className="text-right px-3 py-2 font-medium">Score</th>
+                    <th className="text-right px-3 py-2 font-medium">Pages</th>
+                    <th className="text-right px-3 py-2 font-medium">Manual</th>
+                    <th className="text-right px-3 py-2 font-medium">Quick</th>
+                    <th className="text-right px-3 py-2 font-medium">Waiting</th>
+                    <th className="text-right px-3 py-2 font-medium">Errors</th>
+                    <th className="text-right px-3 py-2 font-medium">Warnings</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {batch.map((entry, i) => {
+                    const summary = batchSummaries[i];
+                    return (
+                      <tr key={entry.id} onClick={() => entry.id !== activeDocumentId && !isProcessing && openDocument(entry)} className={`border-t border-gray-100 cursor-pointer ${entry.id === activeDocumentId ? 'bg-blue-50' : 'hover:bg-gray-50'}`}>
+                        <td className="px-3 py-2 text-gray-900">{entry.fileName}</td>
+                        <td className={`px-3 py-2 ${BATCH_STATUS_TEXT[entry.status]}`} title={entry.error || undefined}>
+                          {entry.status === 'running' ? <span className="flex items-center gap-1"><Loader className="w-3 h-3 animate-spin" />running</span> : entry.status}
+                        </td>
+                        <td className={`px-3 py-2 text-right font-medium ${summary.overallScore === null ? 'text-gray-400' : summary.overallScore >= 90 ? 'text-green-700' : summary.overallScore >= 75 ? 'text-yellow-700' : 'text-red-700'}`}>{summary.overallScore ?? '—'}</td>
+                        <td className="px-3 py-2 text-right text-gray-600">{summary.pages ?? (entry.ocrData ? entry.ocrData.pageCount : '—')}</td>
+                        <td className="px-3 py-2 text-right text-gray-600">{summary.review.manual}</td>
+                        <td className="px-3 py-2 text-right text-gray-600">{summary.review.quick}</td>
+                        <td className="px-3 py-2 text-right text-gray-900">{summary.review.pending}</td>
+                        <td className={`px-3 py-2 text-right ${summary.failures.error ? 'text-red-600' : 'text-gray-600'}`}>{summary.failures.error}</td>
+                        <td className={`px-3 py-2 text-right ${summary.failures.warning ? 'text-orange-600' : 'text-gray-600'}`}>{summary.failures.warning}</td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        )}
+
         {showPreview && pdfPreview && (
           <div className="bg-white rounded-xl shadow-lg border border-gray-200 p-6 mb-6">
             <div className="flex items-center justify-between mb-4">
               <h3 className="text-lg font-semibold text-gray-900">Document Preview</h3>
               <div className="flex items-center gap-2">
+                {pipelineResults && (
+                  <button onClick={() => setShowBoxes(!showBoxes)} className={`px-3 py-2 rounded-lg transition flex items-center gap-2 text-sm ${showBoxes ? 'bg-blue-100 text-blue-700' : 'text-gray-700 bg-gray-100 hover:bg-gray-200'}`}>
+                    <Square className="w-4 h-4" />
+                    Boxes
+                  </button>
+                )}
+                <button onClick={() => setPreviewZoom(z => Math.max(0.5, z - 0.25))} className="p-2 hover:bg-gray-100 rounded-lg transition"><ZoomOut className="w-5 h-5 text-gray-600" /></button>
+                <span className="text-sm text-gray-600 w-12 text-center">{Math.round(previewZoom * 100)}%</span>
+                <button onClick={() => setPreviewZoom(z => Math.min(4, z + 0.25))} className="p-2 hover:bg-gray-100 rounded-lg transition"><ZoomIn className="w-5 h-5 text-gray-600" /></button>
                 <button onClick={() => setCurrentPage(p => Math.max(0, p-1))} className="p-2 hover:bg-gray-100 rounded-lg transition"><ChevronLeft className="w-5 h-5 text-gray-600" /></button>
                 <span className="text-sm text-gray-600">Page {currentPage+1} of {pdfPreview.pages.length}</span>
                 <button onClick={() => setCurrentPage(p => Math.min(pdfPreview.pages.length-1, p+1))} className="p-2 hover:bg-gray-100 rounded-lg transition"><ChevronRight className="w-5 h-5 text-gray-600" /></button>
               </div>
             </div>
-            <div className="border border-gray-200 rounded-lg overflow-hidden bg-gray-50">
-              <img src={pdfPreview.pages[currentPage]} alt="PDF Preview" className="w-full h-auto" />
+            {(currentProcessed || currentPreprocessing) && (
+              <div className="flex flex-wrap items-center justify-between gap-2 mb-3">
+                <div className="flex flex-wrap gap-1 text-xs">
+                  {currentPreprocessing && currentPreprocessing.steps.map(step => (
+                    <span key={step.step} className="px-2 py-0.5 bg-gray-100 text-gray-700 rounded">{describeStep(step)}</span>
+                  ))}
+                </div>
+                {currentProcessed && (
+                  <div className="flex rounded-lg border border-gray-200 overflow-hidden text-sm">
+                    {[['original', 'Original'], ['processed', 'Preprocessed'], ['compare', 'Side by side']].map(([mode, label]) => (
+                      <button key={mode} onClick={() => setPreviewMode(mode)} className={`px-3 py-1.5 transition ${previewMode === mode ? 'bg-blue-100 text-blue-700' : 'text-gray-700 hover:bg-gray-100'}`}>{label}</button>
+                    ))}
+                  </div>
+                )}
+              </div>
+            )}
+            <div className={`grid gap-3 ${currentProcessed && previewMode === 'compare' ? 'grid-cols-2' : 'grid-cols-1'}`}>
+              {(!currentProcessed || previewMode !== 'processed') && (
+                <div className="border border-gray-200 rounded-lg overflow-auto bg-gray-50 max-h-[80vh]">
+                  <div className="relative" style={{ width: `${previewZoom * 100}%` }}>
+                    <img src={pdfPreview.pages[currentPage]} alt="PDF Preview" className="w-full h-auto" onLoad={(e) => setPreviewSize({ width: e.target.naturalWidth, height: e.target.naturalHeight })} />
+                    {showBoxes && pipelineResults && previewSize && (
+                      <BoundingBoxOverlay
+                        lines={pipelineResults.filter(line => line.pageNumber === currentPage + 1 && line.valueType !== 'empty' && line.bbox)}
+                        width={previewSize.width}
+                        height={previewSize.height}
+                        selectedKey={selectedLine}
+                        onSelect={selectResultLine}
+                      />
+                    )}
+                  </div>
+                </div>
+              )}
+              {currentProcessed && previewMode !== 'original' && (
+                <div className="border border-gray-200 rounded-lg overflow-auto bg-gray-50 max-h-[80vh]">
+                  <div style={{ width: `${previewZoom * 100}%` }}>
+                    <img src={currentProcessed} alt="Preprocessed page" className="w-full h-auto" />
+                  </div>
+                </div>
+              )}
             </div>
+            {(currentProcessed || currentPreprocessing) && (
+              <details className="mt-3">
+                <summary className="text-sm text-gray-600 cursor-pointer">Preprocessing settings</summary>
+                <div className="mt-3 flex flex-wrap items-end justify-between gap-3">
+                  <PreprocessingSettings settings={preprocessing} onChange={setPreprocessing} />
+                  {!isProcessing && !batchRunning && (
+                    <button onClick={revalidate} className="px-4 py-2 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 transition flex items-center gap-2 text-sm">
+                      <RefreshCw className="w-4 h-4" />
+                      Read scanned pages again
+                    </button>
+                  )}
+                </div>
+              </details>
+            )}
+            {showBoxes && pipelineResults && (
+              <div className="flex items-center gap-4 mt-3 text-xs text-gray-600">
+                {Object.entries(STATUS_STROKES).map(([status, color]) => (
+                  <span key={status} className="flex items-center gap-1"><span className="w-3 h-3 rounded-sm border-2" style={{ borderColor: color }} />{status}</span>
+                ))}
+              </div>
+            )}
           </div>
         )}
 
-        {isProcessing && (
+        {ocrProgress && (
+          <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6 mb-6">
+            <div className="flex items-center justify-between mb-3">
+              <div className="flex items-center gap-3">
+                <Loader className="w-5 h-5 animate-spin text-blue-600" />
+                <span className="text-gray-700 font-medium">
+                  Reading pages: {Object.values(ocrProgress).filter(p => p.status === 'done').length} of {Object.keys(ocrProgress).length} done
+                </span>
+              </div>
+              <button onClick={cancelOCR} className="px-4 py-2 text-red-700 bg-red-100 rounded-lg hover:bg-red-200 transition flex items-center gap-2 text-sm">
+                <X className="w-4 h-4" />
+                Cancel
+              </button>
+            </div>
+            <div className="w-full h-2 bg-gray-100 rounded-full overflow-hidden mb-4">
+              <div className="h-full bg-blue-600 transition-all" style={{ width: `${(Object.values(ocrProgress).reduce((s, p) => s + p.progress, 0) / Object.keys(ocrProgress).length) * 100}%` }} />
+            </div>
+            <div className="grid grid-cols-4 md:grid-cols-8 gap-2 max-h-48 overflow-y-auto">
+              {Object.entries(ocrProgress).map(([pageNumber, page]) => (
+                <div key={pageNumber} className="text-xs text-gray-600" title={page.status}>
+                  <div>Page {pageNumber}</div>
+                  <div className="h-1.5 bg-gray-100 rounded-full overflow-hidden">
+                    <div className={`h-full ${page.status === 'done' ? 'bg-green-500' : 'bg-blue-400'}`} style={{ width: `${page.progress * 100}%` }} />
+                  </div>
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+
+        {isProcessing && !ocrProgress && (
           <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-8 mb-6">
             <div className="flex items-center justify-center gap-3">
               <Loader className="w-6 h-6 animate-spin text-blue-600" />
@@ -490,9 +1713,141 @@ const OCRValidationSystem = () => {
           </div>
         )}
 
-        {ocrData && !pipelineResults && !isProcessing && (
+        {pipelineResults && !isProcessing && !batchRunning && ocrData.pages.some(page => !page.done) && (
+          <div className="bg-yellow-50 rounded-xl border border-yellow-200 p-4 mb-6 flex items-center justify-between">
+            <span className="text-sm text-yellow-800">
+              OCR was cancelled: {ocrData.pages.filter(page => !page.done).length} pages were not read. Results cover the finished pages only.
+            </span>
+            <button onClick={() => handleRunPipeline()} className="px-4 py-2 bg-yellow-600 text-white rounded-lg hover:bg-yellow-700 transition text-sm">Read remaining pages</button>
+          </div>
+        )}
+
+        {ocrData && !isProcessing && (
+          <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6 mb-6">
+            <div className="flex items-center justify-between gap-4">
+              <div>
+                <h2 className="text-lg font-semibold text-gray-900">Validation Rules</h2>
+                {activeRuleSet && (
+                  <div className="text-sm text-gray-600">
+                    Results validated with <span className="font-medium">{activeRuleSet.name}</span> ({activeRuleSet.rules.length} rules)
+                    {ocrData.language && <> · OCR language <span className="font-medium">{ocrData.language}</span>{ocrData.languageDetected ? ' (detected)' : ''}</>}
+                  </div>
+                )}
+              </div>
+              <div className="flex items-center gap-2">
+                <select value={documentType} onChange={(e) => setDocumentType(e.target.value)} className="px-3 py-2 text-sm border border-gray-300 rounded-lg bg-white">
+                  <option value="auto">Detect from headings</option>
+                  {ruleSets.map(ruleSet => (
+                    <option key={ruleSet.id} value={ruleSet.id}>{ruleSet.name}</option>
+                  ))}
+                </select>
+                {pipelineResults && (
+                  <button onClick={revalidate} title="Runs the stages after OCR again with the current rules and settings" className="px-4 py-2 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 transition flex items-center gap-2 text-sm">
+                    <RefreshCw className="w-4 h-4" />
+                    Re-validate (keeps OCR)
+                  </button>
+                )}
+                <button onClick={() => (ruleEditor ? setRuleEditor(null) : openRuleEditor())} className="px-4 py-2 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 transition flex items-center gap-2 text-sm">
+                  <Edit className="w-4 h-4" />
+                  {ruleEditor ? 'Close editor' : 'Edit rules'}
+                </button>
+              </div>
+            </div>
+
+            {ruleEditor && (
+              <div className="mt-4 space-y-3">
+                <textarea
+                  value={ruleEditor.text}
+                  onChange={(e) => setRuleEditor({ ...ruleEditor, text: e.target.value })}
+                  spellCheck={false}
+                  rows={18}
+                  className="w-full p-3 font-mono text-xs border border-gray-300 rounded-lg"
+                />
+                {ruleEditor.error && (
+                  <pre className="p-3 bg-red-50 text-red-700 text-xs rounded-lg whitespace-pre-wrap">{ruleEditor.error}</pre>
+                )}
+                <div className="flex flex-wrap gap-2">
+                  <button onClick={testRuleSet} className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition text-sm">Test on this document</button>
+                  <button onClick={saveRuleSet} className="px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 transition text-sm">{pipelineResults ? 'Save and re-validate' : 'Save'}</button>
+                  <button onClick={() => ruleFileInputRef.current.click()} className="px-4 py-2 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 transition flex items-center gap-2 text-sm">
+                    <Upload className="w-4 h-4" />
+                    Load file
+                  </button>
+                  <button onClick={downloadRuleSet} className="px-4 py-2 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 transition flex items-center gap-2 text-sm">
+                    <Download className="w-4 h-4" />
+                    Download
+                  </button>
+                  <input ref={ruleFileInputRef} type="file" accept=".json,.yaml,.yml" onChange={loadRuleFile} className="hidden" />
+                </div>
+                {ruleEditor.test && (
+                  <div className="text-sm">
+                    <div className="text-gray-700 mb-2">
+                      {ruleEditor.test.ruleSet}: score {ruleEditor.test.score.overallScore} · {ruleEditor.test.score.manualReview} manual · {ruleEditor.test.score.quickReview} quick review
+                      {validationScore && <span className="text-gray-500"> (now {validationScore.overallScore})</span>}
+                    </div>
+                    <table className="w-full text-sm border border-gray-200 rounded-lg">
+                      <thead className="bg-gray-50 text-gray-600">
+                        <tr>
+                          <th className="text-left px-3 py-2 font-medium">Rule</th>
+                          <th className="text-left px-3 py-2 font-medium">Severity</th>
+                          <th className="text-right px-3 py-2 font-medium">Lines failing</th>
+                          {pipelineResults && <th className="text-right px-3 py-2 font-medium">Current rules</th>}
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {ruleEditor.test.rules.length === 0 && (
+                          <tr><td colSpan={4} className="px-3 py-2 text-gray-500">No rule fails on this document.</td></tr>
+                        )}
+                        {ruleEditor.test.rules.map(({ rule, severity, count, previous }) => (
+                          <tr key={`${rule}-${severity}`} className="border-t border-gray-100">
+                            <td className="px-3 py-2 font-mono text-gray-900">{rule}</td>
+                            <td className={`px-3 py-2 ${SEVERITY_TEXT[severity] || SEVERITY_TEXT.error}`}>{severity}</td>
+                            <td className="px-3 py-2 text-right text-gray-900">{count}</td>
+                            {pipelineResults && <td className="px-3 py-2 text-right text-gray-500">{previous}</td>}
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                )}
+              </div>
+            )}
+          </div>
+        )}
+
+        {ocrData && !pipelineResults && !isProcessing && !batchRunning && (
           <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6 mb-6 text-center">
-            <button onClick={runPipeline} className="inline-flex items-center gap-2 px-8 py-3 bg-gradient-to-r from-green-600 to-green-700 text-white rounded-xl hover:from-green-700 hover:to-green-800 transition shadow-lg font-medium">
+            <div className="mb-4">
+              <label className="text-sm text-gray-600 mr-2">Text source</label>
+              <select value={textSource} onChange={(e) => setTextSource(e.target.value)} className="px-3 py-2 text-sm border border-gray-300 rounded-lg bg-white">
+                <option value="auto">PDF text layer, OCR for scanned pages</option>
+                <option value="cross_check">PDF text layer cross-checked with OCR</option>
+                <option value="ocr">OCR every page</option>
+              </select>
+            </div>
+            <div className="mb-4">
+              <label className="text-sm text-gray-600 mr-2">OCR language</label>
+              <input
+                list="ocr-languages"
+                value={ocrLanguage}
+                onChange={(e) => setOcrLanguage(e.target.value.trim())}
+                title="Tesseract language codes, several joined with + (deu+eng), or auto to detect the language"
+                className={`px-3 py-2 text-sm border rounded-lg w-40 ${ocrLanguageValid ? 'border-gray-300' : 'border-red-400'}`}
+              />
+              <datalist id="ocr-languages">
+                <option value="auto">Detect from the document</option>
+                {OCR_LANGUAGE_SUGGESTIONS.map(({ code, name }) => <option key={code} value={code}>{name}</option>)}
+              </datalist>
+              {!ocrLanguageValid && <div className="text-xs text-red-600 mt-1">Use Tesseract language codes joined with +, e.g. deu+eng, or auto</div>}
+              {languageError && <div className="text-xs text-red-600 mt-1">{languageError}</div>}
+            </div>
+            <details className="mb-4 text-left max-w-2xl mx-auto">
+              <summary className="text-sm text-gray-600 cursor-pointer text-center">Scan preprocessing</summary>
+              <div className="mt-3">
+                <PreprocessingSettings settings={preprocessing} onChange={setPreprocessing} />
+              </div>
+            </details>
+            <button onClick={() => handleRunPipeline()} disabled={!ocrLanguageValid} className="inline-flex items-center gap-2 px-8 py-3 bg-gradient-to-r from-green-600 to-green-700 text-white rounded-xl hover:from-green-700 hover:to-green-800 transition shadow-lg font-medium disabled:opacity-50">
               <Zap className="w-5 h-5" />
               Run Validation Pipeline
             </button>
@@ -511,12 +1866,596 @@ const OCRValidationSystem = () => {
                 <div>Lines: {validationScore.totalLines}</div>
                 <div>Auto-accepted: {validationScore.autoAccepted}</div>
                 <div>Manual review: {validationScore.manualReview}</div>
+                <div>Reviewed: {validationScore.humanVerified} verified · {validationScore.rejected} rejected</div>
                 <div>Avg Confidence: {validationScore.avgConfidence}%</div>
               </div>
             </div>
+            {validationScore.breakdown && (
+              <div className="mt-4 grid grid-cols-2 md:grid-cols-4 gap-2 text-sm">
+                {[
+                  ['Average OCR confidence', `+${validationScore.breakdown.confidence}`, `${validationScore.avgConfidence}% × ${activeProfile.weights.confidence}`],
+                  ['Anomaly penalty', `−${validationScore.breakdown.anomalyPenalty}`, `average anomaly score ${validationScore.avgAnomalyScore} × ${activeProfile.weights.anomalyPenalty}`],
+                  ['Rule failure penalty', `−${validationScore.breakdown.ruleFailurePenalty}`, `${validationScore.totalRuleFailures} failures over ${validationScore.totalLines} lines × ${activeProfile.weights.ruleFailurePenalty}`],
+                  ['Auto-accept bonus', `+${validationScore.breakdown.autoAcceptBonus}`, `${validationScore.autoAccepted + validationScore.humanVerified} of ${validationScore.totalLines} lines × ${activeProfile.weights.autoAcceptBonus}`]
+                ].map(([label, value, how]) => (
+                  <div key={label} className="p-3 rounded-lg border border-gray-200 bg-white">
+                    <div className="text-xs text-gray-500">{label}</div>
+                    <div className="text-lg font-semibold text-gray-900">{value}</div>
+                    <div className="text-xs text-gray-500">{how}</div>
+                  </div>
+                ))}
+              </div>
+            )}
+            {validationScore.pages.length > 1 && (
+              <div className="mt-4 grid grid-cols-2 md:grid-cols-4 gap-2">
+                {validationScore.pages.map(page => (
+                  <button key={page.pageNumber} onClick={() => setResultsPageFilter(page.pageNumber)} className={`text-left p-3 rounded-lg border transition ${resultsPageFilter === page.pageNumber ? 'border-blue-500 bg-blue-50' : 'border-gray-200 bg-white hover:bg-gray-50'}`}>
+                    <div className="text-xs text-gray-500">Page {page.pageNumber}</div>
+                    <div className={`text-lg font-semibold ${getScoreColor(parseFloat(page.overallScore))}`}>{page.overallScore}</div>
+                    <div className="text-xs text-gray-600">{page.manualReview} manual · {page.quickReview} quick</div>
+                  </button>
+                ))}
+              </div>
+            )}
+          </div>
+        )}
+
+        {pipelineResults && activeRuleSet && (
+          <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6 mb-6">
+            <div className="flex items-center justify-between gap-4">
+              <div>
+                <h2 className="text-lg font-semibold text-gray-900">Scoring Profile</h2>
+                <div className="text-sm text-gray-600">
+                  {profiles.some(p => p.documentType === activeRuleSet.documentType) ? <>Profile for <span className="font-medium">{activeProfile.name}</span></> : 'Default profile'}
+                  {' '}· routes lines at confidence {activeProfile.thresholds.lowConfidence} (numbers {activeProfile.thresholds.lowNumericConfidence}) and anomaly score {activeProfile.thresholds.anomaly}
+                </div>
+              </div>
+              <button onClick={() => setProfileDraft(profileDraft ? null : activeProfile)} className="px-4 py-2 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 transition flex items-center gap-2 text-sm">
+                <Edit className="w-4 h-4" />
+                {profileDraft ? 'Close simulator' : 'What-if simulator'}
+              </button>
+            </div>
+
+            {profileError && (
+              <pre className="mt-4 p-3 bg-red-50 text-red-700 text-xs rounded-lg whitespace-pre-wrap">{profileError}</pre>
+            )}
+
+            {profileDraft && simulation && (
+              <div className="mt-4 grid md:grid-cols-2 gap-6">
+                <div className="space-y-3 text-sm">
+                  {PROFILE_THRESHOLDS.map(({ key, name, desc }) => (
+                    <label key={key} className="block" title={desc}>
+                      <div className="flex justify-between text-gray-700">
+                        <span>{name}</span>
+                        <span className="font-mono">{profileDraft.thresholds[key].toFixed(2)}</span>
+                      </div>
+                      <input type="range" min="0" max="1" step="0.01" value={profileDraft.thresholds[key]} onChange={(e) => setDraftValue('thresholds', key, Number(e.target.value))} className="w-full" />
+                    </label>
+                  ))}
+                  <div className="grid grid-cols-2 gap-3 pt-2">
+                    {PROFILE_WEIGHTS.map(({ key, name, desc }) => (
+                      <label key={key} className="block text-gray-700" title={desc}>
+                        {name}
+                        <input type="number" min="0" step="1" value={profileDraft.weights[key]} onChange={(e) => setDraftValue('weights', key, e.target.value === '' ? 0 : Number(e.target.value))} className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg" />
+                      </label>
+                    ))}
+                  </div>
+                </div>
+                <div className="text-sm">
+                  <table className="w-full border border-gray-200 rounded-lg">
+                    <thead className="bg-gray-50 text-gray-600">
+                      <tr>
+                        <th className="text-left px-3 py-2 font-medium">Routed to</th>
+                        <th className="text-right px-3 py-2 font-medium">Now</th>
+                        <th className="text-right px-3 py-2 font-medium">Simulated</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {ROUTES.map(({ status, name }) => (
+                        <tr key={status} className="border-t border-gray-100">
+                          <td className="px-3 py-2"><span className={`px-2 py-0.5 rounded text-xs border ${getStatusColor(status)}`}>{name}</span></td>
+                          <td className="px-3 py-2 text-right text-gray-500">{simulation.current[status]}</td>
+                          <td className="px-3 py-2 text-right text-gray-900 font-medium">{simulation.simulated[status]}</td>
+                        </tr>
+                      ))}
+                      <tr className="border-t border-gray-200">
+                        <td className="px-3 py-2 text-gray-700">Score</td>
+                        <td className="px-3 py-2 text-right text-gray-500">{validationScore.overallScore}</td>
+                        <td className={`px-3 py-2 text-right font-medium ${getScoreColor(parseFloat(simulation.validationScore.overallScore))}`}>{simulation.validationScore.overallScore}</td>
+                      </tr>
+                    </tbody>
+                  </table>
+                  <div className="mt-3 text-gray-700">
+                    {simulation.moves.length === 0
+                      ? <span className="text-gray-500">No line would be routed differently.</span>
+                      : simulation.moves.map(({ from, to, count }) => (
+                        <div key={`${from}-${to}`}>{count} {count === 1 ? 'line' : 'lines'} {ROUTES.find(r => r.status === from)?.name.toLowerCase() || from} → {ROUTES.find(r => r.status === to)?.name.toLowerCase() || to}</div>
+                      ))}
+                  </div>
+                  <div className="mt-4 flex flex-wrap gap-2">
+                    <button onClick={saveProfile} className="px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 transition text-sm">Save for {activeRuleSet.name} and re-validate</button>
+                    <button onClick={() => setProfileDraft(DEFAULT_PROFILE)} className="px-4 py-2 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 transition text-sm">Reset to defaults</button>
+                  </div>
+                </div>
+              </div>
+            )}
+          </div>
+        )}
+
+        {statements && Object.keys(statements).length > 0 && (
+          <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6 mb-6">
+            <h2 className="text-lg font-semibold text-gray-900 mb-4">Financial Statements</h2>
+            <div className="space-y-6">
+              {Object.entries(statements).map(([type, statement]) => (
+                <div key={type}>
+                  <div className="text-sm font-medium text-gray-900 mb-2">
+                    {statement.name}
+                    {statement.scale !== 1 && <span className="text-gray-500 font-normal"> · amounts ×{statement.scale.toLocaleString()}</span>}
+                  </div>
+                  <div className="max-h-80 overflow-y-auto border border-gray-200 rounded-lg">
+                    <table className="w-full text-sm">
+                      <thead className="bg-gray-50 text-gray-600 sticky top-0">
+                        <tr>
+                          <th className="text-left px-3 py-2 font-medium">Field</th>
+                          {statement.periods.map(period => (
+                            <th key={period} className="text-right px-3 py-2 font-medium">{period}</th>
+                          ))}
+                          <th className="text-right px-3 py-2 font-medium">Confidence</th>
+                          <th className="text-left px-3 py-2 font-medium">Source</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {Object.entries(statement.fields).map(([key, field]) => {
+                          const sourceKey = `${field.source.pageNumber}-${field.source.id}`;
+                          return (
+                            <tr key={key} onClick={() => selectResultLine(field.source)} className={`border-t border-gray-100 cursor-pointer ${sourceKey === selectedLine ? 'bg-blue-50' : 'hover:bg-gray-50'}`}>
+                              <td className="px-3 py-2 text-gray-900">
+                                {field.label}
+                                <div className="text-xs font-mono text-gray-400">{key}</div>
+                              </td>
+                              {statement.periods.map(period => (
+                                <td key={period} className="px-3 py-2 text-right text-gray-900">{field.values[period] !== undefined ? field.values[period].toLocaleString() : '—'}</td>
+                              ))}
+                              <td className={`px-3 py-2 text-right ${field.confidence >= 0.85 ? 'text-green-700' : 'text-yellow-700'}`}>{(field.confidence * 100).toFixed(0)}%</td>
+                              <td className="px-3 py-2 text-gray-600">Page {field.source.pageNumber} · {field.source.text}</td>
+                            </tr>
+                          );
+                        })}
+                      </tbody>
+                    </table>
+                  </div>
+                </div>
+              ))}
+            </div>
           </div>
         )}
 
+        {valueChecks && (
+          <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6 mb-6">
+            <h2 className="text-lg font-semibold text-gray-900 mb-1">Value Checks</h2>
+            <p className="text-sm text-gray-500 mb-4">
+              First digits against Benford's law, magnitudes against sibling line items, digit slips in failing totals and repeated amounts
+            </p>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+              <div>
+                <h3 className="text-sm font-medium text-gray-700 mb-2">First digits</h3>
+                {valueChecks.benford ? (
+                  <>
+                    <div className="flex items-end gap-2 h-32">
+                      {valueChecks.benford.digits.map(d => (
+                        <div key={d.digit} className="flex-1 flex flex-col items-center justify-end h-full" title={`${d.count} amounts (${(d.observed * 100).toFixed(1)}%), Benford ${(d.expected * 100).toFixed(1)}%`}>
+                          <div className="w-full flex items-end justify-center gap-0.5 h-full">
+                            <div className={`w-1/2 rounded-t ${valueChecks.benford.excessDigits.includes(d.digit) ? 'bg-red-400' : 'bg-blue-400'}`} style={{ height: `${Math.min(100, d.observed * 200)}%` }} />
+                            <div className="w-1/2 rounded-t bg-gray-300" style={{ height: `${Math.min(100, d.expected * 200)}%` }} />
+                          </div>
+                          <div className="text-xs text-gray-500 mt-1">{d.digit}</div>
+                        </div>
+                      ))}
+                    </div>
+                    <p className={`text-xs mt-2 ${valueChecks.benford.conforms ? 'text-green-700' : 'text-red-600'}`}>
+                      {valueChecks.benford.conforms ? 'Conforms' : 'Does not conform'} over {valueChecks.benford.n} amounts
+                      {' '}(χ² {valueChecks.benford.chiSquare.toFixed(1)}, MAD {valueChecks.benford.mad.toFixed(4)}) · observed in blue, expected in gray
+                    </p>
+                  </>
+                ) : (
+                  <p className="text-sm text-gray-500">
+                    {valueChecks.amounts} amounts; the digit test needs at least {BENFORD_MIN_VALUES} of 10 or more
+                  </p>
+                )}
+              </div>
+              <div>
+                <h3 className="text-sm font-medium text-gray-700 mb-2">Anomaly reasons</h3>
+                {valueChecks.counts.length > 0 ? (
+                  <div className="space-y-1 text-sm">
+                    {valueChecks.counts.map(([code, count]) => (
+                      <div key={code} className="flex justify-between">
+                        <span className="font-mono text-yellow-700">{code}</span>
+                        <span className="text-gray-600">{count} {count === 1 ? 'line' : 'lines'}</span>
+                      </div>
+                    ))}
+                  </div>
+                ) : (
+                  <p className="text-sm text-gray-500">No anomalies found</p>
+                )}
+              </div>
+            </div>
+          </div>
+        )}
+
+        {pipelineResults && (
+          <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6 mb-6">
+            <div className="flex items-center justify-between gap-4 mb-4">
+              <div>
+                <h2 className="text-lg font-semibold text-gray-900">Reference Comparison</h2>
+                <div className="text-sm text-gray-600">
+                  {comparison ? <>Compared with <span className="font-medium">{reference.fileName}</span></> : 'Load a ground truth (JSON or CSV) or an earlier validated export of this document to measure how accurate the results are'}
+                </div>
+              </div>
+              <div className="flex gap-2">
+                <button onClick={() => referenceFileInputRef.current.click()} className="px-4 py-2 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 transition flex items-center gap-2 text-sm">
+                  <Upload className="w-4 h-4" />
+                  Load reference
+                </button>
+                {comparison && <button onClick={() => setReference(null)} className="px-4 py-2 text-red-700 bg-red-100 rounded-lg hover:bg-red-200 transition text-sm">Clear</button>}
+                <input ref={referenceFileInputRef} type="file" accept=".json,.csv" onChange={loadReference} className="hidden" />
+              </div>
+            </div>
+
+            {comparison && (
+              <div className="space-y-4 text-sm">
+                <div className="grid grid-cols-2 md:grid-cols-5 gap-2">
+                  {[
+                    ['Character error rate', comparison.text && comparison.text.cer, comparison.text ? `${comparison.text.characterErrors} of ${comparison.text.characters} characters` : 'No reference text', true],
+                    ['Word error rate', comparison.text && comparison.text.wer, comparison.text ? `${comparison.text.wordErrors} of ${comparison.text.words} words` : 'No reference text', true],
+                    ['Field precision', comparison.fields && comparison.fields.precision, comparison.fields ? `${comparison.fields.falsePositives} fields not in the reference` : 'No reference fields', false],
+                    ['Field recall', comparison.fields && comparison.fields.recall, comparison.fields ? `${comparison.fields.falseNegatives} reference fields not found` : 'No reference fields', false],
+                    ['Values matching', comparison.values && comparison.values.accuracy, comparison.values ? `${comparison.values.matched} of ${comparison.values.compared} compared` : 'No reference fields', false]
+                  ].map(([label, rate, how, lowerIsBetter]) => (
+                    <div key={label} className="p-3 rounded-lg border border-gray-200 bg-white">
+                      <div className="text-xs text-gray-500">{label}</div>
+                      <div className={`text-lg font-semibold ${rate === null || rate === undefined ? 'text-gray-400' : getScoreColor(lowerIsBetter ? 100 - rate * 100 : rate * 100)}`}>
+                        {rate === null || rate === undefined ? '—' : `${(rate * 100).toFixed(1)}%`}
+                      </div>
+                      <div className="text-xs text-gray-500">{how}</div>
+                    </div>
+                  ))}
+                </div>
+
+                {comparison.values && comparison.values.mismatches.length > 0 && (
+                  <table className="w-full border border-gray-200 rounded-lg">
+                    <thead className="bg-gray-50 text-gray-600">
+                      <tr>
+                        <th className="text-left px-3 py-2 font-medium">Field</th>
+                        <th className="text-left px-3 py-2 font-medium">Period</th>
+                        <th className="text-right px-3 py-2 font-medium">Reference</th>
+                        <th className="text-right px-3 py-2 font-medium">Results</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {comparison.values.mismatches.map(m => (
+                        <tr key={`${m.statement}.${m.field}.${m.period}`} className="border-t border-gray-100">
+                          <td className="px-3 py-2 text-gray-900">
+                            {m.label}
+                            <div className="text-xs font-mono text-gray-400">{m.statement}.{m.field}</div>
+                          </td>
+                          <td className="px-3 py-2 text-gray-600">{m.period}</td>
+                          <td className="px-3 py-2 text-right text-gray-900">{m.expected.toLocaleString()}</td>
+                          <td className="px-3 py-2 text-right text-red-600">{m.actual === null ? 'missing' : m.actual.toLocaleString()}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                )}
+
+                {comparison.fields && (comparison.fields.missing.length > 0 || comparison.fields.extra.length > 0) && (
+                  <div className="space-y-1 text-xs">
+                    {comparison.fields.missing.length > 0 && (
+                      <div className="text-red-600">Not found: {comparison.fields.missing.map(f => <span key={`${f.statement}.${f.field}`} className="font-mono mr-2">{f.field}</span>)}</div>
+                    )}
+                    {comparison.fields.extra.length > 0 && (
+                      <div className="text-yellow-700">Not in the reference: {comparison.fields.extra.map(f => <span key={`${f.statement}.${f.field}`} className="font-mono mr-2">{f.field}</span>)}</div>
+                    )}
+                  </div>
+                )}
+
+                {comparison.lines && (
+                  <div>
+                    <div className="flex items-center justify-between mb-2">
+                      <div className="text-gray-600">
+                        {comparison.lines.changed} changed · {comparison.lines.missing} missing · {comparison.lines.extra} extra · {comparison.lines.equal} matching lines
+                      </div>
+                      <label className="flex items-center gap-2 text-gray-600">
+                        <input type="checkbox" checked={showEqualLines} onChange={(e) => setShowEqualLines(e.target.checked)} />
+                        Show matching lines
+                      </label>
+                    </div>
+                    <div className="max-h-96 overflow-y-auto border border-gray-200 rounded-lg font-mono text-xs">
+                      {comparison.lines.diff.filter(d => showEqualLines || d.type !== 'equal').map((d, i) => (
+                        <div key={i} className={`flex gap-3 px-3 py-1 border-t border-gray-100 ${d.type === 'missing' ? 'bg-red-50' : d.type === 'extra' ? 'bg-green-50' : ''}`}>
+                          <span className="w-12 text-gray-400">{d.pageNumber === null ? '' : `p. ${d.pageNumber}`}</span>
+                          <span className="w-16 text-gray-500">{d.type}</span>
+                          <span className="flex-1 whitespace-pre-wrap">
+                            {d.segments ? d.segments.map((segment, j) => (
+                              <span key={j} className={segment.type === 'delete' ? 'bg-red-100 text-red-800 line-through' : segment.type === 'insert' ? 'bg-green-100 text-green-800' : 'text-gray-700'}>{segment.text}</span>
+                            )) : d.type === 'missing' ? <span className="text-red-800 line-through">{d.expected}</span> : d.type === 'extra' ? <span className="text-green-800">{d.actual}</span> : <span className="text-gray-700">{d.actual}</span>}
+                          </span>
+                        </div>
+                      ))}
+                    </div>
+                    <div className="text-xs text-gray-500 mt-1">Struck out in red: in the reference only; in green: in the results only</div>
+                  </div>
+                )}
+              </div>
+            )}
+          </div>
+        )}
+
+        {pipelineResults && (
+          <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6 mb-6">
+            <div className="flex items-center justify-between mb-4">
+              <h2 className="text-lg font-semibold text-gray-900">Line Results</h2>
+              <select value={resultsPageFilter} onChange={(e) => setResultsPageFilter(e.target.value === 'all' ? 'all' : Number(e.target.value))} className="px-3 py-2 text-sm border border-gray-300 rounded-lg bg-white">
+                <option value="all">All pages</option>
+                {validationScore.pages.map(page => (
+                  <option key={page.pageNumber} value={page.pageNumber}>Page {page.pageNumber}</option>
+                ))}
+              </select>
+            </div>
+            <div className="max-h-96 overflow-y-auto border border-gray-200 rounded-lg">
+              <table className="w-full text-sm">
+                <thead className="bg-gray-50 text-gray-600 sticky top-0">
+                  <tr>
+                    <th className="text-left px-3 py-2 font-medium">Page</th>
+                    <th className="text-left px-3 py-2 font-medium">Text</th>
+                    <th className="text-left px-3 py-2 font-medium">Values</th>
+                    <th className="text-left px-3 py-2 font-medium">Label</th>
+                    <th className="text-right px-3 py-2 font-medium">Confidence</th>
+                    <th className="text-left px-3 py-2 font-medium">Status</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {pipelineResults
+                    .filter(line => line.valueType !== 'empty' && (resultsPageFilter === 'all' || line.pageNumber === resultsPageFilter))
+                    .map(line => (
+                      <tr key={lineKey(line)} id={`result-${lineKey(line)}`} onClick={() => selectResultLine(line)} className={`border-t border-gray-100 cursor-pointer ${lineKey(line) === selectedLine ? 'bg-blue-50' : 'hover:bg-gray-50'}`}>
+                        <td className="px-3 py-2 text-gray-500">
+                          {line.pageNumber}
+                          <div className="text-xs text-gray-400">{line.source === 'text_layer' ? 'PDF text' : 'OCR'}</div>
+                        </td>
+                        <td className="px-3 py-2 text-gray-900">
+                          {line.normalized}
+                          {line.raw !== line.normalized && (
+                            <div className="text-xs text-gray-400">OCR: {line.raw}</div>
+                          )}
+                          {line.ruleDetails.map((detail, i) => (
+                            <div key={i} className={`text-xs mt-1 ${SEVERITY_TEXT[detail.severity] || SEVERITY_TEXT.error}`}>
+                              <span className="font-mono">{detail.rule}</span>: {detail.message}
+                            </div>
+                          ))}
+                          {line.anomalyReasons.map((reason, i) => (
+                            <div key={i} className="text-xs text-yellow-700 mt-1">
+                              <span className="font-mono">{reason.code}</span>: {reason.message}
+                            </div>
+                          ))}
+                        </td>
+                        <td className="px-3 py-2 text-gray-600 whitespace-nowrap">
+                          {Object.entries(line.values).sort(([a], [b]) => b.localeCompare(a)).map(([period, value]) => (
+                            <div key={period}><span className="text-xs text-gray-400">{period}</span> {value.toLocaleString()}</div>
+                          ))}
+                        </td>
+                        <td className="px-3 py-2 text-gray-600">
+                          {line.predictedLabel}
+                          {line.field && (
+                            <div className="text-xs font-mono text-blue-700" title={`${line.field.label} (match ${(line.field.score * 100).toFixed(0)}%)`}>{line.field.key}</div>
+                          )}
+                        </td>
+                        <td className="px-3 py-2 text-right text-gray-600">{(line.confidence * 100).toFixed(0)}%</td>
+                        <td className="px-3 py-2"><span className={`px-2 py-0.5 rounded border text-xs ${getStatusColor(line.status)}`}>{line.status}</span></td>
+                      </tr>
+                    ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        )}
+
+        {activeReviewLine && (
+          <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6 mb-6">
+            <div className="mb-4">
+              <h2 className="text-lg font-semibold text-gray-900">Human Review</h2>
+              <p className="text-sm text-gray-600">{pendingReviews} of {reviewQueue.length} items waiting · ↑/↓ move · A accept · R reject · E edit · 1–9 apply suggestion</p>
+            </div>
+            <div className="grid grid-cols-3 gap-4">
+              <div className="max-h-[32rem] overflow-y-auto border border-gray-200 rounded-lg">
+                {reviewQueue.map(line => (
+                  <button key={lineKey(line)} onClick={() => selectReviewItem(reviewQueue.indexOf(line))} className={`w-full text-left px-3 py-2 border-b border-gray-100 transition ${line === activeReviewLine ? 'bg-blue-50' : 'hover:bg-gray-50'}`}>
+                    <div className="flex items-center justify-between gap-2">
+                      <span className="text-sm text-gray-900 truncate">{line.normalized}</span>
+                      <span className={`px-2 py-0.5 rounded border text-xs whitespace-nowrap ${getStatusColor(line.status)}`}>{line.status}</span>
+                    </div>
+                    <div className="text-xs text-gray-500">Page {line.pageNumber}</div>
+                  </button>
+                ))}
+              </div>
+
+              <div className="col-span-2 space-y-4">
+                {pdfPreview && activeReviewLine.bbox && (
+                  <PageCrop image={pdfPreview.pages[activeReviewLine.pageNumber - 1]} bbox={activeReviewLine.bbox} />
+                )}
+                <div className="text-sm space-y-1">
+                  <div><span className="text-gray-500">OCR text:</span> <span className="font-mono text-gray-900">{activeReviewLine.raw}</span></div>
+                  <div><span className="text-gray-500">Normalized:</span> <span className="font-mono text-gray-900">{activeReviewLine.normalized}</span></div>
+                  <div><span className="text-gray-500">Confidence:</span> {(activeReviewLine.confidence * 100).toFixed(0)}% · <span className="text-gray-500">Label:</span> {activeReviewLine.predictedLabel}{activeReviewLine.field && ` · ${activeReviewLine.field.label}`}</div>
+                  {activeReviewLine.review && (
+                    <div className="text-gray-500">Reviewed ({activeReviewLine.review.decision}); originally "{activeReviewLine.review.original.normalized}"</div>
+                  )}
+                </div>
+
+                {(activeReviewLine.ruleFailures.length > 0 || activeReviewLine.anomalyReasons.length > 0) && (
+                  <div className="text-xs space-y-1">
+                    {activeReviewLine.ruleFailures.filter(f => !activeReviewLine.ruleDetails.some(d => d.rule === f)).map(f => (
+                      <div key={f} className="text-red-600">{f}</div>
+                    ))}
+                    {activeReviewLine.ruleDetails.map((detail, i) => (
+                      <div key={i} className={SEVERITY_TEXT[detail.severity] || SEVERITY_TEXT.error}>
+                        <span className="font-mono">{detail.rule}</span>: {detail.message}
+                      </div>
+                    ))}
+                    {activeReviewLine.anomalyReasons.map((reason, i) => (
+                      <div key={i} className="text-yellow-700">
+                        <span className="font-mono">{reason.code}</span>: {reason.message}
+                      </div>
+                    ))}
+                  </div>
+                )}
+
+                {activeReviewLine.suggestions.length > 0 && (
+                  <div className="space-y-2">
+                    {activeReviewLine.suggestions.map((suggestion, i) => (
+                      <div key={i} className="flex items-center justify-between gap-3 p-3 bg-gray-50 rounded-lg text-sm">
+                        <div>
+                          <div className="text-gray-900"><span className="font-mono">{suggestion.original}</span> → <span className="font-mono">{suggestion.suggested}</span></div>
+                          <div className="text-xs text-gray-500">{suggestion.reason} ({(suggestion.confidence * 100).toFixed(0)}%) · {suggestion.provider}</div>
+                        </div>
+                        <button onClick={() => acceptSuggestion(activeReviewLine, suggestion)} className="px-3 py-1 text-sm bg-white border border-gray-300 rounded-lg hover:bg-gray-100 transition whitespace-nowrap">Apply ({i + 1})</button>
+                      </div>
+                    ))}
+                  </div>
+                )}
+
+                {reviewDraft ? (
+                  <form
+                    onSubmit={(e) => { e.preventDefault(); submitReview(activeReviewLine, 'edited', reviewDraft); }}
+                    onKeyDown={(e) => { if (e.key === 'Escape') setReviewDraft(null); }}
+                    className="space-y-2"
+                  >
+                    <div className="flex gap-2">
+                      <input autoFocus value={reviewDraft.label} onChange={(e) => setReviewDraft({ ...reviewDraft, label: e.target.value })} className="flex-1 px-3 py-2 text-sm border border-gray-300 rounded-lg" placeholder="Label" />
+                      <select value={reviewDraft.predictedLabel} onChange={(e) => setReviewDraft({ ...reviewDraft, predictedLabel: e.target.value })} className="px-3 py-2 text-sm border border-gray-300 rounded-lg bg-white" title="Line type">
+                        {[...new Set([...(activeRuleSet ? activeRuleSet.labels.map(l => l.label) : []), reviewDraft.predictedLabel, 'unknown'])].map(label => (
+                          <option key={label} value={label}>{label}</option>
+                        ))}
+                      </select>
+                    </div>
+                    <div className="flex gap-2">
+                      {reviewDraft.cells.map((text, i) => (
+                        <label key={i} className="flex-1 text-xs text-gray-500">
+                          {activeReviewLine.cells[i].period || `Value ${i + 1}`}
+                          <input value={text} onChange={(e) => setReviewDraft({ ...reviewDraft, cells: reviewDraft.cells.map((t, j) => (j === i ? e.target.value : t)) })} className="w-full mt-1 px-3 py-2 text-sm font-mono text-gray-900 border border-gray-300 rounded-lg" />
+                        </label>
+                      ))}
+                    </div>
+                    <div className="flex gap-2">
+                      <button type="submit" className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition text-sm">Save correction</button>
+                      <button type="button" onClick={() => setReviewDraft(null)} className="px-4 py-2 text-gray-700 bg-gray-100 rounded-lg hover:bg-gray-200 transition text-sm">Cancel</button>
+                    </div>
+                  </form>
+                ) : (
+                  <div className="flex gap-2">
+                    <button onClick={() => submitReview(activeReviewLine, 'accepted')} className="flex items-center gap-2 px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 transition text-sm"><Check className="w-4 h-4" />Accept</button>
+                    <button onClick={() => submitReview(activeReviewLine, 'rejected')} className="flex items-center gap-2 px-4 py-2 text-red-700 bg-red-100 rounded-lg hover:bg-red-200 transition text-sm"><XCircle className="w-4 h-4" />Reject</button>
+                    <button onClick={() => startEdit(activeReviewLine)} className="flex items-center gap-2 px-4 py-2 text-gray-700 bg-gray-100 rounded-lg hover:bg-gray-200 transition text-sm"><Edit className="w-4 h-4" />Edit</button>
+                  </div>
+                )}
+              </div>
+            </div>
+          </div>
+        )}
+
+        <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6 mb-6">
+          <h2 className="text-lg font-semibold text-gray-900">Correction Providers</h2>
+          <div className="text-sm text-gray-600 mb-4">
+            OCR character fixes and the financial lexicon always run. An OpenAI-compatible endpoint is also asked about flagged lines when enabled; <span className="font-mono">npm run mock-llm</span> starts a local stand-in.
+          </div>
+          <label className="flex items-center gap-2 text-sm text-gray-700 mb-3">
+            <input type="checkbox" checked={llmSettings.enabled} onChange={(e) => setLlmSettings({ ...llmSettings, enabled: e.target.checked })} />
+            Ask an LLM endpoint for corrections (applies from the next run)
+          </label>
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-3 text-sm">
+            <label className="block">
+              <span className="text-gray-600">Endpoint</span>
+              <input value={llmSettings.endpoint} onChange={(e) => setLlmSettings({ ...llmSettings, endpoint: e.target.value })} disabled={!llmSettings.enabled} className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg font-mono disabled:bg-gray-50" />
+            </label>
+            <label className="block">
+              <span className="text-gray-600">Model</span>
+              <input value={llmSettings.model} onChange={(e) => setLlmSettings({ ...llmSettings, model: e.target.value })} disabled={!llmSettings.enabled} className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg font-mono disabled:bg-gray-50" />
+            </label>
+            <label className="block">
+              <span className="text-gray-600">API key (not stored)</span>
+              <input type="password" value={llmSettings.apiKey} onChange={(e) => setLlmSettings({ ...llmSettings, apiKey: e.target.value })} disabled={!llmSettings.enabled} className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg font-mono disabled:bg-gray-50" />
+            </label>
+          </div>
+          {correctionErrors.length > 0 && (
+            <div className="mt-4 p-3 bg-orange-50 border border-orange-200 rounded-lg text-sm text-orange-800">
+              <div className="font-medium">{correctionErrors.length} correction provider errors in the last run; the pipeline carried on without them</div>
+              <ul className="mt-1 space-y-0.5">
+                {correctionErrors.slice(0, 5).map((error, i) => (
+                  <li key={i}>{error.provider} on page {error.line.pageNumber}, line {error.line.id}: {error.message}</li>
+                ))}
+              </ul>
+            </div>
+          )}
+        </div>
+
+        <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6 mb-6">
+          <div className="flex items-center justify-between gap-4 mb-4">
+            <div>
+              <h2 className="text-lg font-semibold text-gray-900">Retraining</h2>
+              <div className="text-sm text-gray-600">{feedbackCount} review decisions stored in this browser</div>
+            </div>
+            <div className="flex flex-wrap gap-2">
+              <button onClick={handleTrain} disabled={feedbackCount === 0} className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition text-sm disabled:opacity-50">Train models</button>
+              <button onClick={exportFeedback} disabled={feedbackCount === 0} className="px-4 py-2 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 transition flex items-center gap-2 text-sm disabled:opacity-50">
+                <Download className="w-4 h-4" />
+                Export
+              </button>
+              <button onClick={() => feedbackFileInputRef.current.click()} className="px-4 py-2 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 transition flex items-center gap-2 text-sm">
+                <Upload className="w-4 h-4" />
+                Import
+              </button>
+              <button onClick={clearFeedback} disabled={feedbackCount === 0} className="px-4 py-2 text-red-700 bg-red-100 rounded-lg hover:bg-red-200 transition text-sm disabled:opacity-50">Clear</button>
+              <input ref={feedbackFileInputRef} type="file" accept=".json" onChange={importFeedback} className="hidden" />
+            </div>
+          </div>
+
+          {training && (
+            <div className="space-y-3 text-sm">
+              <div className="text-gray-600">
+                Trained on {training.evaluation.trainSize} decisions, measured on {training.evaluation.testSize} held out.
+              </div>
+              <table className="w-full border border-gray-200 rounded-lg">
+                <thead className="bg-gray-50 text-gray-600">
+                  <tr>
+                    <th className="text-left px-3 py-2 font-medium">Model</th>
+                    <th className="text-right px-3 py-2 font-medium">Held-out lines</th>
+                    <th className="text-right px-3 py-2 font-medium">Accuracy before</th>
+                    <th className="text-right px-3 py-2 font-medium">Accuracy after</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {[['Line labels (naive Bayes)', training.evaluation.label, training.models.label], ['Anomaly weights (logistic regression)', training.evaluation.anomaly, training.models.anomaly]].map(([name, result, model]) => (
+                    <tr key={name} className="border-t border-gray-100">
+                      <td className="px-3 py-2 text-gray-900">
+                        {name}
+                        {!model && <div className="text-xs text-gray-500">Not enough decisions yet</div>}
+                      </td>
+                      <td className="px-3 py-2 text-right text-gray-600">{result.examples}</td>
+                      <td className="px-3 py-2 text-right text-gray-600">{result.before === null ? '—' : `${(result.before * 100).toFixed(0)}%`}</td>
+                      <td className={`px-3 py-2 text-right ${result.after !== null && result.before !== null && result.after >= result.before ? 'text-green-700' : 'text-gray-600'}`}>{result.after === null ? '—' : `${(result.after * 100).toFixed(0)}%`}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              {(training.models.label || training.models.anomaly) && (
+                <label className="flex items-center gap-2 text-gray-700">
+                  <input type="checkbox" checked={useModels} onChange={(e) => toggleModels(e.target.checked)} />
+                  Use the trained models for labels and anomaly scores{pipelineResults ? ' (re-validates the document)' : ''}
+                </label>
+              )}
+            </div>
+          )}
+        </div>
+
       </div>
     </div>
   );
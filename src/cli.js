@@ -0,0 +1,241 @@
+// Command-line runner for the validation pipeline. Reads OCR JSON documents (the shape
+// of the app's `ocrData`) or digital PDFs and writes the same export as "Export Results",
+// or for several inputs the same roll-up as "Export Batch". CSV, XLSX and the HTML
+// report are written with --format.
+
+import { readFile, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import {
+  DEFAULT_CORRECTION_PROVIDERS, LANGUAGE_CODE, RULE_SETS, buildBatchExport, buildCSV, buildExport, buildProvenance, buildReport, buildXLSX, checkOCRDocument,
+  compareWithReference, createFeedbackStore, createOpenAICompatibleProvider, groupRows, isUsableTextLayer, memoryStorage, parseProfiles, parseReference, parseRuleSets, runPipelineAsync, selectRuleSet, sha256Hex,
+  textLayerWords, trainModels
+} from './pipeline/index.js';
+
+const FORMATS = ['json', 'csv', 'xlsx', 'html'];
+
+export const USAGE = `Usage: ocr-validate <input.json|input.pdf>... [options]
+
+Options:
+  -o, --out <file>               Write the results here instead of stdout
+  --format <format>              json, csv, xlsx or html (the validation report; one input only);
+                                 default: from the --out extension, else json
+  --decimal-separator <. or ,>   Decimal separator for ambiguous amounts (default: inferred)
+  --language <code>              Language of the document, e.g. deu or deu+eng (default: the document's
+                                 language, else detected); supported: eng, deu, fra, spa
+  --rules <file>                 Rule sets to validate with (JSON or YAML) instead of the built-in ones
+  --document-type <type>         Rule set to use, by document type or id (default: auto)
+  --profiles <file>              Scoring profiles (JSON or YAML): weights and routing thresholds
+                                 per document type, e.g. saved from the app
+  --reference <file>             Compare the results with a ground truth or an earlier validated export
+                                 (JSON or CSV; one input only): error rates, field precision and recall
+                                 and value mismatches, added to the JSON export as \`comparison\`
+  --feedback <file>              Train label and anomaly models on a feedback export from the app and use them
+  --llm-endpoint <url>           Also ask an OpenAI-compatible endpoint (e.g. http://localhost:8089/v1) for corrections;
+                                 the API key is read from OCR_LLM_API_KEY
+  --llm-model <name>             Model to ask (default: gpt-4o-mini)
+  -h, --help                     Show this help
+
+PDF input uses the embedded text layer. Pages without one (scanned pages) are
+skipped with a warning; OCR them in the app instead. With several inputs the output
+is a batch roll-up (CSV and XLSX: one table with a File column); inputs that cannot
+be read are listed as failed.`;
+
+export const parseArgs = (argv) => {
+  const args = { inputs: [], out: null, format: undefined, decimalSeparator: undefined, language: undefined, rules: null, documentType: 'auto', profiles: null, reference: null, feedback: null, llmEndpoint: null, llmModel: undefined, help: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '-h' || arg === '--help') args.help = true;
+    else if (arg === '-o' || arg === '--out') args.out = argv[++i];
+    else if (arg === '--format') args.format = argv[++i];
+    else if (arg === '--decimal-separator') args.decimalSeparator = argv[++i];
+    else if (arg === '--language') args.language = argv[++i];
+    else if (arg === '--rules') args.rules = argv[++i];
+    else if (arg === '--document-type') args.documentType = argv[++i];
+    else if (arg === '--profiles') args.profiles = argv[++i];
+    else if (arg === '--reference') args.reference = argv[++i];
+    else if (arg === '--feedback') args.feedback = argv[++i];
+    else if (arg === '--llm-endpoint') args.llmEndpoint = argv[++i];
+    else if (arg === '--llm-model') args.llmModel = argv[++i];
+    else if (arg.startsWith('-')) throw new Error(`Unknown option: ${arg}`);
+    else args.inputs.push(arg);
+  }
+  if (args.format === undefined && args.out) {
+    const extension = path.extname(args.out).slice(1).toLowerCase();
+    if (FORMATS.includes(extension)) args.format = extension;
+  }
+  if (args.format !== undefined && !FORMATS.includes(args.format)) throw new Error(`--format must be one of ${FORMATS.join(', ')}`);
+  if (args.format === 'html' && args.inputs.length > 1) throw new Error('--format html writes the report for one input only');
+  if (args.reference && args.inputs.length > 1) throw new Error('--reference compares one input only');
+  if (args.decimalSeparator !== undefined && !['.', ','].includes(args.decimalSeparator)) {
+    throw new Error('--decimal-separator must be "." or ","');
+  }
+  if (args.language !== undefined && args.language !== 'auto' && !LANGUAGE_CODE.test(args.language || '')) {
+    throw new Error('--language must be "auto" or language codes joined with "+", e.g. deu+eng');
+  }
+  return args;
+};
+
+// Each page's text layer at the app's render scale, so bboxes match the app's previews
+export const readPdfTextLayer = async (data, fileName) => {
+  const { default: pdfjs } = await import('pdfjs-dist/legacy/build/pdf.js');
+  const pdf = await pdfjs.getDocument({ data: new Uint8Array(data), verbosity: 0 }).promise;
+  const pages = [];
+  for (let p = 1; p <= pdf.numPages; p++) {
+    const page = await pdf.getPage(p);
+    const viewport = page.getViewport({ scale: 1.5 });
+    const words = textLayerWords(await page.getTextContent(), viewport);
+    const usable = isUsableTextLayer(words);
+    pages.push({ pageNumber: p, source: 'text_layer', done: usable, words: usable ? words : [], lines: usable ? groupRows(words) : [] });
+  }
+  return { fileName, pageCount: pdf.numPages, pages };
+};
+
+// The OCR document in a JSON or PDF input and its provenance, or the reason it cannot be used
+const loadInput = async (input, stderr) => {
+  const fileName = path.basename(input);
+  try {
+    const data = await readFile(input);
+    const file = { fileName, fileSize: data.length, fileHash: await sha256Hex(data) };
+    if (path.extname(input).toLowerCase() === '.pdf') {
+      const ocrData = await readPdfTextLayer(data, fileName);
+      const skipped = ocrData.pages.filter(page => !page.done).map(page => page.pageNumber);
+      if (skipped.length > 0) stderr.write(`${input}: no usable text layer on pages ${skipped.join(', ')}; skipped\n`);
+      const { default: pdfjs } = await import('pdfjs-dist/legacy/build/pdf.js');
+      return { ocrData, provenance: buildProvenance({ ...file, ocrData, engines: { text_layer: { name: 'pdf.js', version: pdfjs.version } } }) };
+    }
+    const ocrData = JSON.parse(data.toString('utf8'));
+    const problems = checkOCRDocument(ocrData);
+    if (problems.length > 0) {
+      return { error: `${input} is not an OCR document:\n${problems.slice(0, 10).map(p => `  ${p}`).join('\n')}` };
+    }
+    return { ocrData, provenance: buildProvenance({ ...file, ocrData }) };
+  } catch (err) {
+    return { error: `Cannot read ${input}: ${err.message}` };
+  }
+};
+
+const describeComparison = ({ text, fields, values }) => {
+  const percent = (value) => (value === null ? 'n/a' : `${(value * 100).toFixed(1)}%`);
+  return [
+    text && `CER ${percent(text.cer)}, WER ${percent(text.wer)}`,
+    fields && `fields precision ${percent(fields.precision)}, recall ${percent(fields.recall)}`,
+    values && `${values.mismatches.length} of ${values.compared} values differ`
+  ].filter(Boolean).join('; ');
+};
+
+// Returns the process exit code: 0 on success, 1 on bad input, 2 on bad usage
+export const main = async (argv, { stdout = process.stdout, stderr = process.stderr } = {}) => {
+  let args;
+  try {
+    args = parseArgs(argv);
+  } catch (err) {
+    stderr.write(`${err.message}\n\n${USAGE}\n`);
+    return 2;
+  }
+  if (args.help || args.inputs.length === 0) {
+    (args.help ? stdout : stderr).write(`${USAGE}\n`);
+    return args.help ? 0 : 2;
+  }
+
+  let ruleSets = RULE_SETS;
+  try {
+    if (args.rules) ruleSets = parseRuleSets(await readFile(args.rules, 'utf8'));
+    selectRuleSet([], ruleSets, args.documentType);
+  } catch (err) {
+    stderr.write(`${args.rules ? `${args.rules}: ` : ''}${err.message}\n`);
+    return 1;
+  }
+
+  let profiles;
+  if (args.profiles) {
+    try {
+      profiles = parseProfiles(await readFile(args.profiles, 'utf8'));
+    } catch (err) {
+      stderr.write(`${args.profiles}: ${err.message}\n`);
+      return 1;
+    }
+  }
+
+  let reference;
+  if (args.reference) {
+    try {
+      reference = parseReference(await readFile(args.reference, 'utf8'));
+    } catch (err) {
+      stderr.write(`${args.reference}: ${err.message}\n`);
+      return 1;
+    }
+  }
+
+  let models;
+  if (args.feedback) {
+    try {
+      const store = createFeedbackStore(memoryStorage());
+      store.import(await readFile(args.feedback, 'utf8'));
+      const { models: trained, evaluation } = trainModels(store.all());
+      const percent = (value) => (value === null ? 'n/a' : `${(value * 100).toFixed(0)}%`);
+      stderr.write(`Trained on ${evaluation.trainSize} decisions; held-out accuracy labels ${percent(evaluation.label.before)} -> ${percent(evaluation.label.after)}, anomalies ${percent(evaluation.anomaly.before)} -> ${percent(evaluation.anomaly.after)}\n`);
+      models = trained;
+    } catch (err) {
+      stderr.write(`${args.feedback}: ${err.message}\n`);
+      return 1;
+    }
+  }
+
+  const correctionProviders = args.llmEndpoint
+    ? [...DEFAULT_CORRECTION_PROVIDERS, createOpenAICompatibleProvider({ endpoint: args.llmEndpoint, model: args.llmModel, apiKey: process.env.OCR_LLM_API_KEY })]
+    : DEFAULT_CORRECTION_PROVIDERS;
+
+  const documents = [];
+  for (const input of args.inputs) {
+    const { ocrData, provenance, error } = await loadInput(input, stderr);
+    if (error) {
+      stderr.write(`${error}\n`);
+      if (args.inputs.length === 1) return 1;
+      documents.push({ fileName: path.basename(input), status: 'failed', error: error.split('\n')[0] });
+      continue;
+    }
+    let run;
+    try {
+      run = await runPipelineAsync(ocrData, {
+        decimalSeparator: args.decimalSeparator,
+        language: args.language,
+        ruleSets,
+        documentType: args.documentType,
+        profiles,
+        models,
+        correctionProviders,
+        onProviderError: ({ provider, message, line }) => stderr.write(`Corrections from ${provider} failed on page ${line.pageNumber} line ${line.id}: ${message}\n`)
+      });
+    } catch (err) {
+      const message = `${input}: validation failed: ${err.message}`;
+      stderr.write(`${message}\n`);
+      if (args.inputs.length === 1) return 1;
+      documents.push({ fileName: path.basename(input), status: 'failed', error: message });
+      continue;
+    }
+    const { results, validationScore, ruleSet, profile } = run;
+    const comparison = reference ? compareWithReference(results, reference) : undefined;
+    if (comparison) stderr.write(`Compared with ${args.reference}: ${describeComparison(comparison)}\n`);
+    documents.push({ fileName: ocrData.fileName || path.basename(input), status: 'done', results, validationScore, ruleSet, profile, provenance, comparison });
+  }
+
+  const batch = documents.length > 1 ? buildBatchExport(documents) : null;
+  const processed = documents.filter(d => d.status === 'done');
+  let output;
+  if (args.format === 'csv') output = buildCSV(processed);
+  else if (args.format === 'xlsx') output = buildXLSX(processed);
+  else if (args.format === 'html') output = buildReport(documents[0]);
+  else output = `${JSON.stringify(batch || buildExport(documents[0]), null, 2)}\n`;
+  if (args.out) {
+    await writeFile(args.out, output);
+    if (batch) {
+      stderr.write(`Wrote ${documents.length} documents to ${args.out} (average score ${batch.summary.averageScore ?? 'n/a'}, ${batch.summary.byStatus.failed || 0} failed)\n`);
+    } else {
+      const [{ results, validationScore, ruleSet }] = documents;
+      stderr.write(`Wrote ${results.length} lines to ${args.out} (score ${validationScore.overallScore}, rules: ${ruleSet.id})\n`);
+    }
+  } else {
+    stdout.write(output);
+  }
+  return documents.some(d => d.status === 'failed') ? 1 : 0;
+};
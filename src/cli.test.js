@@ -0,0 +1,271 @@
+import { mkdtemp, readFile, rm, writeFile } from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { afterEach, beforeEach, describe, expect, it } from 'vitest';
+import { main, parseArgs } from './cli.js';
+import { createFeedbackStore, memoryStorage } from './pipeline/feedback.js';
+import { createMockLLMServer } from './mock-llm-server.js';
+import { BALANCE_SHEET_ROWS, ocrDocument } from './pipeline/test-fixtures.js';
+
+// A one-page PDF with Helvetica text at [x, y, text] positions (PDF points, origin bottom left)
+const makePdf = (texts) => {
+  const content = texts.map(([x, y, text]) => `BT /F1 10 Tf ${x} ${y} Td (${text}) Tj ET`).join('\n');
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+    '<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Contents 4 0 R /Resources << /Font << /F1 5 0 R >> >> >>',
+    `<< /Length ${content.length} >>\nstream\n${content}\nendstream`,
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>'
+  ];
+  let pdf = '%PDF-1.4\n';
+  const offsets = objects.map((object, i) => {
+    const offset = pdf.length;
+    pdf += `${i + 1} 0 obj\n${object}\nendobj\n`;
+    return offset;
+  });
+  const xref = pdf.length;
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n${offsets.map(o => `${String(o).padStart(10, '0')} 00000 n \n`).join('')}`;
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+  return Buffer.from(pdf, 'latin1');
+};
+
+const capture = () => {
+  const stream = { text: '', write: (chunk) => { stream.text += chunk; } };
+  return stream;
+};
+
+describe('parseArgs', () => {
+  it('reads the input and options', () => {
+    expect(parseArgs(['in.json', '-o', 'out.json', '--decimal-separator', ','])).toEqual({ inputs: ['in.json'], out: 'out.json', format: 'json', decimalSeparator: ',', rules: null, documentType: 'auto', profiles: null, reference: null, feedback: null, llmEndpoint: null, llmModel: undefined, help: false });
+  });
+
+  it('rejects unknown options, bad separators and bad language codes', () => {
+    expect(() => parseArgs(['--nope'])).toThrow('Unknown option: --nope');
+    expect(() => parseArgs(['in.json', '--decimal-separator', ';'])).toThrow('--decimal-separator');
+    expect(parseArgs(['in.json', '--language', 'deu+eng']).language).toBe('deu+eng');
+    expect(() => parseArgs(['in.json', '--language', 'German'])).toThrow('--language');
+  });
+});
+
+describe('main', () => {
+  let dir;
+  beforeEach(async () => { dir = await mkdtemp(path.join(os.tmpdir(), 'ocr-validate-')); });
+  afterEach(async () => { await rm(dir, { recursive: true, force: true }); });
+
+  it('runs the pipeline on an OCR JSON file and writes the export', async () => {
+    const input = path.join(dir, 'ocr.json');
+    const out = path.join(dir, 'results.json');
+    await writeFile(input, JSON.stringify(ocrDocument([BALANCE_SHEET_ROWS])));
+    const stderr = capture();
+
+    expect(await main([input, '--out', out], { stdout: capture(), stderr })).toBe(0);
+    const exported = JSON.parse(await readFile(out, 'utf8'));
+    expect(exported.fileName).toBe('report.pdf');
+    expect(exported.results).toHaveLength(BALANCE_SHEET_ROWS.length);
+    expect(exported.validationScore.autoAccepted).toBe(exported.results.length);
+    expect(stderr.text).toMatch(/^Wrote 17 lines to /);
+  });
+
+  it('reads the text layer of a PDF and prints to stdout', async () => {
+    const input = path.join(dir, 'statement.pdf');
+    await writeFile(input, makePdf([
+      [50, 700, 'Cash'], [300, 700, '1,234'],
+      [50, 680, 'Receivables'], [300, 680, '100'],
+      [50, 660, 'Total assets'], [300, 660, '1,334']
+    ]));
+    const stdout = capture();
+
+    expect(await main([input], { stdout, stderr: capture() })).toBe(0);
+    const { results, provenance } = JSON.parse(stdout.text);
+    expect(results.map(l => [l.label, l.parsedValue, l.source])).toEqual([
+      ['Cash', 1234, 'text_layer'],
+      ['Receivables', 100, 'text_layer'],
+      ['Total assets', 1334, 'text_layer']
+    ]);
+    expect(provenance.file).toMatchObject({ name: 'statement.pdf', sha256: expect.stringMatching(/^[0-9a-f]{64}$/) });
+    expect(provenance.ocr.sources).toEqual([{ source: 'text_layer', engine: 'pdf.js', version: expect.any(String), pages: [1] }]);
+  });
+
+  it('writes CSV, XLSX or the HTML report by --format or the --out extension', async () => {
+    const input = path.join(dir, 'ocr.json');
+    await writeFile(input, JSON.stringify(ocrDocument([BALANCE_SHEET_ROWS])));
+
+    const csv = path.join(dir, 'results.csv');
+    expect(await main([input, '-o', csv], { stdout: capture(), stderr: capture() })).toBe(0);
+    expect((await readFile(csv, 'utf8')).split('\r\n')[0]).toBe('\ufeffPage,Line,Label,Type,Field,2023,2022,Scale,Confidence,Status,Review,Rule failures,Anomaly score,OCR text');
+
+    const xlsx = path.join(dir, 'results.xlsx');
+    expect(await main([input, '-o', xlsx], { stdout: capture(), stderr: capture() })).toBe(0);
+    expect((await readFile(xlsx)).subarray(0, 2).toString()).toBe('PK');
+
+    const stdout = capture();
+    expect(await main([input, '--format', 'html'], { stdout, stderr: capture() })).toBe(0);
+    expect(stdout.text).toMatch(/^<!DOCTYPE html>/);
+    expect(parseArgs([input, '-o', 'out.txt']).format).toBe(undefined);
+    expect(() => parseArgs([input, input, '--format', 'html'])).toThrow('one input only');
+    expect(() => parseArgs([input, '--format', 'pdf'])).toThrow('--format must be one of');
+  });
+
+  it('validates with the rule sets in a --rules file', async () => {
+    const input = path.join(dir, 'ocr.json');
+    const rules = path.join(dir, 'rules.yaml');
+    await writeFile(input, JSON.stringify(ocrDocument([BALANCE_SHEET_ROWS])));
+    await writeFile(rules, [
+      'id: strict',
+      'name: Strict',
+      'documentType: balance_sheet',
+      'labels: [{ label: line_item, pattern: cash }]',
+      'rules:',
+      '  - { id: cash_cap, when: { predictedLabel: line_item }, range: { field: parsedValue, max: 50 } }'
+    ].join('\n'));
+    const stdout = capture();
+
+    expect(await main([input, '--rules', rules], { stdout, stderr: capture() })).toBe(0);
+    const exported = JSON.parse(stdout.text);
+    expect(exported.ruleSet.id).toBe('strict');
+    expect(exported.results.find(l => l.label === 'Cash').ruleFailures).toEqual(['cash_cap']);
+  });
+
+  it('fails on an invalid rule file or unknown document type', async () => {
+    const input = path.join(dir, 'ocr.json');
+    const rules = path.join(dir, 'rules.json');
+    await writeFile(input, JSON.stringify(ocrDocument([BALANCE_SHEET_ROWS])));
+    await writeFile(rules, '{"id": "x"}');
+    const stderr = capture();
+
+    expect(await main([input, '--rules', rules], { stdout: capture(), stderr })).toBe(1);
+    expect(stderr.text).toContain('name must be a non-empty string');
+    expect(await main([input, '--document-type', 'cash_flow'], { stdout: capture(), stderr })).toBe(1);
+    expect(stderr.text).toContain('No rule set for document type "cash_flow"');
+  });
+
+  it('scores and routes with the profile in a --profiles file', async () => {
+    const input = path.join(dir, 'ocr.json');
+    const profiles = path.join(dir, 'profiles.yaml');
+    await writeFile(input, JSON.stringify(ocrDocument([BALANCE_SHEET_ROWS], { confidence: 0.88 })));
+    await writeFile(profiles, 'id: lenient\nname: Lenient\ndocumentType: balance_sheet\nthresholds: { lowConfidence: 0.85 }\n');
+    const stdout = capture();
+
+    expect(await main([input, '--profiles', profiles], { stdout, stderr: capture() })).toBe(0);
+    const exported = JSON.parse(stdout.text);
+    expect(exported.profile).toMatchObject({ id: 'lenient', thresholds: { lowConfidence: 0.85, anomaly: 0.5 } });
+    expect(exported.validationScore.manualReview).toBe(0);
+
+    await writeFile(profiles, 'id: x\nname: X\ndocumentType: "*"\nthresholds: { anomaly: 2 }\n');
+    const stderr = capture();
+    expect(await main([input, '--profiles', profiles], { stdout: capture(), stderr })).toBe(1);
+    expect(stderr.text).toContain('thresholds.anomaly must be between 0 and 1');
+  });
+
+  it('compares with a --reference export', async () => {
+    const input = path.join(dir, 'ocr.json');
+    const reference = path.join(dir, 'reference.json');
+    await writeFile(reference, JSON.stringify({
+      statements: { balance_sheet: { cash_and_equivalents: { 2023: 100, 2022: 95 }, goodwill: { 2023: 20 } } }
+    }));
+    await writeFile(input, JSON.stringify(ocrDocument([BALANCE_SHEET_ROWS])));
+    const stdout = capture();
+    const stderr = capture();
+
+    expect(await main([input, '--reference', reference], { stdout, stderr })).toBe(0);
+    const { comparison } = JSON.parse(stdout.text);
+    expect(comparison.values.mismatches).toEqual([expect.objectContaining({ field: 'cash_and_equivalents', period: '2022', expected: 95, actual: 90 })]);
+    expect(comparison.fields).toMatchObject({ truePositives: 1, falseNegatives: 1 });
+    expect(stderr.text).toContain(`Compared with ${reference}: fields precision 10.0%, recall 50.0%; 1 of 2 values differ`);
+
+    await writeFile(reference, '{"pages": []}');
+    const failed = capture();
+    expect(await main([input, '--reference', reference], { stdout: capture(), stderr: failed })).toBe(1);
+    expect(failed.text).toContain('must be an export');
+    expect(() => parseArgs([input, input, '--reference', reference])).toThrow('one input only');
+  });
+
+  it('trains models on a --feedback export', async () => {
+    const input = path.join(dir, 'ocr.json');
+    const feedback = path.join(dir, 'feedback.json');
+    await writeFile(input, JSON.stringify(ocrDocument([[['Sum of assets', '10'], ['Goodwill', '4']]])));
+    const store = createFeedbackStore(memoryStorage());
+    store.add(['Sum of assets', 'Sum of liabilities', 'Sum of equity', 'Goodwill', 'Intangibles', 'Leases'].map((text, i) => ({
+      id: `old.pdf#1-${i}`, text, valueCount: 1, label: text.startsWith('Sum') ? 'total' : 'line_item', machineLabel: 'unknown'
+    })));
+    await writeFile(feedback, store.export());
+    const stdout = capture();
+    const stderr = capture();
+
+    expect(await main([input, '--feedback', feedback], { stdout, stderr })).toBe(0);
+    expect(stderr.text).toMatch(/^Trained on \d+ decisions/);
+    const { results } = JSON.parse(stdout.text);
+    expect(results.map(l => [l.predictedLabel, l.labelSource])).toEqual([['total', 'model'], ['line_item', 'model']]);
+  });
+
+  it('asks an --llm-endpoint for corrections and reports its failures', async () => {
+    const server = createMockLLMServer();
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const endpoint = `http://127.0.0.1:${server.address().port}/v1`;
+    const input = path.join(dir, 'ocr.json');
+    await writeFile(input, JSON.stringify(ocrDocument([[['Cash', '1O0']]])));
+    try {
+      const stdout = capture();
+      expect(await main([input, '--llm-endpoint', endpoint, '--llm-model', 'mock'], { stdout, stderr: capture() })).toBe(0);
+      expect(JSON.parse(stdout.text).results[0].suggestions[0]).toMatchObject({ suggested: '100', provider: 'openai_compatible' });
+
+      const stderr = capture();
+      expect(await main([input, '--llm-endpoint', endpoint, '--llm-model', 'fail'], { stdout: capture(), stderr })).toBe(0);
+      expect(stderr.text).toMatch(/^Corrections from openai_compatible failed on page 1 line \d+: HTTP 500/);
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+
+  it('writes a batch roll-up for several inputs and lists the ones it cannot read', async () => {
+    const first = path.join(dir, 'first.json');
+    const second = path.join(dir, 'second.json');
+    const out = path.join(dir, 'batch.json');
+    await writeFile(first, JSON.stringify({ ...ocrDocument([BALANCE_SHEET_ROWS]), fileName: 'first.pdf' }));
+    await writeFile(second, JSON.stringify({ ...ocrDocument([[['Cash', '1O0']]]), fileName: 'second.pdf' }));
+    const stderr = capture();
+
+    expect(await main([first, second, path.join(dir, 'missing.json'), '-o', out], { stdout: capture(), stderr })).toBe(1);
+    expect(stderr.text).toMatch(/Cannot read .*missing\.json/);
+    expect(stderr.text).toMatch(/Wrote 3 documents to .* \(average score [\d.]+, 1 failed\)/);
+    const batch = JSON.parse(await readFile(out, 'utf8'));
+    expect(batch.summary).toMatchObject({ documents: 3, byStatus: { done: 2, failed: 1 } });
+    expect(batch.documents.map(d => [d.summary.fileName, d.summary.status, Boolean(d.export)])).toEqual([
+      ['first.pdf', 'done', true], ['second.pdf', 'done', true], ['missing.json', 'failed', false]
+    ]);
+    expect(batch.documents[1].summary.review.manual).toBe(1);
+  });
+
+  it('fails on input that is not an OCR document', async () => {
+    const input = path.join(dir, 'bad.json');
+    await writeFile(input, '{"pages": [{"lines": []}]}');
+    const stderr = capture();
+    expect(await main([input], { stdout: capture(), stderr })).toBe(1);
+    expect(stderr.text).toContain('pages[0].pageNumber must be a number');
+
+    await writeFile(input, '{"pages": [{"pageNumber": 1, "words": [{"raw": "Cash"}]}]}');
+    const words = capture();
+    expect(await main([input], { stdout: capture(), stderr: words })).toBe(1);
+    expect(words.text).toContain('pages[0].words[0].bbox is undefined, expected array');
+  });
+
+  it('reports a document the pipeline cannot validate and goes on with the rest', async () => {
+    const bad = path.join(dir, 'bad.json');
+    const good = path.join(dir, 'good.json');
+    await writeFile(bad, JSON.stringify({ pages: [{ pageNumber: 1, lines: [{ id: 1, raw: 'Cash 100', bbox: [0, 0, 1, 1], confidence: 0.9, cells: 'x' }] }] }));
+    await writeFile(good, JSON.stringify(ocrDocument([BALANCE_SHEET_ROWS])));
+    const stderr = capture();
+    expect(await main([bad], { stdout: capture(), stderr })).toBe(1);
+    expect(stderr.text).toContain(`${bad}: validation failed:`);
+
+    const stdout = capture();
+    expect(await main([bad, good], { stdout, stderr: capture() })).toBe(1);
+    expect(JSON.parse(stdout.text).documents.map(d => [d.summary.fileName, d.summary.status])).toEqual([['bad.json', 'failed'], ['report.pdf', 'done']]);
+  });
+
+  it('prints usage without an input', async () => {
+    const stderr = capture();
+    expect(await main([], { stdout: capture(), stderr })).toBe(2);
+    expect(stderr.text).toContain('Usage: ocr-validate');
+  });
+});
@@ -0,0 +1,86 @@
+// A stand-in for an OpenAI-compatible chat completions server, for trying the HTTP
+// correction provider without a model. It answers the prompt createOpenAICompatibleProvider
+// sends by fixing O/l/I/S/B misreads in the value cells. The model name picks a failure
+// mode: "fail" answers 500, "garbage" answers text that is not JSON and "slow" waits
+// `slowMs` before answering.
+
+import http from 'node:http';
+
+const DIGIT_LOOKALIKES = { O: '0', o: '0', l: '1', I: '1', S: '5', B: '8' };
+
+const fixCell = (text) => (/\d/.test(text) ? text.replace(/[OolISB]/g, ch => DIGIT_LOOKALIKES[ch]) : text);
+
+const readBody = (req) => new Promise((resolve, reject) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => resolve(body));
+  req.on('error', reject);
+});
+
+// The app calls it straight from the browser
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'POST, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization'
+};
+
+const send = (res, status, data) => {
+  res.writeHead(status, { ...CORS_HEADERS, 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(data));
+};
+
+/**
+ * @param {{ slowMs?: number }} [options]
+ * @returns {import('node:http').Server}  Not yet listening; call listen()
+ */
+export const createMockLLMServer = ({ slowMs = 30000 } = {}) => http.createServer(async (req, res) => {
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204, CORS_HEADERS);
+    res.end();
+    return;
+  }
+  if (req.method !== 'POST' || !/\/chat\/completions$/.test(req.url)) {
+    send(res, 404, { error: { message: `No route for ${req.method} ${req.url}` } });
+    return;
+  }
+  let request;
+  try {
+    request = JSON.parse(await readBody(req));
+  } catch (err) {
+    send(res, 400, { error: { message: 'Body is not JSON' } });
+    return;
+  }
+  if (request.model === 'fail') {
+    send(res, 500, { error: { message: 'Mock failure' } });
+    return;
+  }
+  if (request.model === 'slow') await new Promise(resolve => setTimeout(resolve, slowMs));
+
+  let content = 'I am not sure.';
+  if (request.model !== 'garbage') {
+    const user = (request.messages || []).filter(m => m.role === 'user').pop();
+    let prompt = {};
+    try {
+      prompt = JSON.parse(user ? user.content : '{}');
+    } catch (err) {
+      // Not our prompt format; answer with no changes
+    }
+    const cells = ((prompt.line && prompt.line.cells) || []).map(cell => {
+      const fixed = fixCell(cell.text || '');
+      return fixed === cell.text ? null : fixed;
+    });
+    const changed = cells.some(c => c !== null);
+    content = JSON.stringify({
+      label: null,
+      cells,
+      confidence: changed ? 0.9 : 0.5,
+      reason: changed ? 'Letters read in place of digits' : 'No change needed'
+    });
+  }
+  send(res, 200, {
+    id: `mock-${Date.now()}`,
+    object: 'chat.completion',
+    model: request.model,
+    choices: [{ index: 0, message: { role: 'assistant', content }, finish_reason: 'stop' }]
+  });
+});
@@ -0,0 +1,85 @@
+// Reading amounts as printed in financial statements.
+
+// Currency markers that may prefix or suffix an amount ("$ 1,234", "1.234 EUR")
+export const CURRENCY = /^([$€£¥₹]|USD|EUR|GBP|CHF|JPY|INR)$/;
+const CURRENCY_SYMBOLS = { '$': 'USD', '€': 'EUR', '£': 'GBP', '¥': 'JPY', '₹': 'INR' };
+
+// An amount as printed in a statement, allowing the letters OCR confuses with digits:
+// optional sign or opening parenthesis, currency, digits with any grouping, closing
+// parenthesis or trailing minus, percent
+const NUMERIC_TOKEN = /^[(\-−–]?\s*(?:[$€£¥₹]|USD|EUR|GBP|CHF|JPY|INR)?\s*[\dOoIl][\dOoIl.,'’\s]*\s*(?:[$€£¥₹]|USD|EUR|GBP|CHF|JPY|INR)?\)?[-−–]?%?$/;
+
+export const isNumericToken = (text) => /\d/.test(text) && NUMERIC_TOKEN.test(text.trim());
+
+// O/o → 0 and I/l → 1, but only inside tokens that are already numbers, so label text
+// such as "OPERATING INCOME" is never touched
+export const fixNumericChars = (text) => (isNumericToken(text)
+  ? text.replace(/[Oo]/g, '0').replace(/[Il]/g, '1')
+  : text);
+
+// Statement-level scale notes: "(in thousands)", "$'000", "€m", and the German, French
+// and Spanish ones ("in Tausend", "TEUR", "Mio. €", "en milliers", "en miles de euros")
+export const detectScale = (text) => {
+  if (/\bin\s+billions\b|\bin\s+milliarden\b|\bmrd\.?\s*(?:€|eur\b)|\ben\s+milliards\b/i.test(text)) return 1e9;
+  if (/\bin\s+millions\b|\(\s*[$€£]\s*m\s*\)|\bin\s+[$€£]m\b/i.test(text)) return 1e6;
+  if (/\bin\s+millionen\b|\bmio\.?\s*(?:€|eur\b)|\bin\s+mio\b|\ben\s+millions\b|\ben\s+millones\b/i.test(text)) return 1e6;
+  if (/\bin\s+thousands\b|(?:[$€£¥]|USD|EUR|GBP)\s*['’]?\s*000s?\b|['’]000s?\b/i.test(text)) return 1e3;
+  if (/\bin\s+tausend\b|\bT(?:EUR\b|€)|\bk€|\ben\s+milliers\b|\ben\s+miles\b/i.test(text)) return 1e3;
+  return null;
+};
+
+// Which character a document uses as its decimal separator, from the amounts that are
+// unambiguous ("1.234,56" or "12,5" vs "1,234.56" or "12.5"); `fallback` when they
+// are even, usually the default of the document's language
+export const inferDecimalSeparator = (texts, fallback = '.') => {
+  let comma = 0;
+  let dot = 0;
+  for (const text of texts) {
+    for (const token of text.split(/\s+/)) {
+      if (/\d\.\d{3},\d{1,2}\b|^\(?-?\d+,\d{1,2}\)?$/.test(token)) comma++;
+      else if (/\d,\d{3}\.\d{1,2}\b|^\(?-?\d+\.\d{1,2}\)?$/.test(token)) dot++;
+    }
+  }
+  return comma > dot ? ',' : dot > comma ? '.' : fallback;
+};
+
+/**
+ * Parse a printed amount. Understands parentheses and leading/trailing minus as
+ * negatives, currency symbols and codes, percent signs, and both "1,234,567.89" and
+ * "1.234.567,89" grouping. A single separator followed by exactly three digits is
+ * ambiguous and resolved with `decimalSeparator`.
+ *
+ * @returns {{ value: number, currency: string|null, isPercent: boolean }|null}
+ */
+export const parseAmount = (text, { decimalSeparator = '.' } = {}) => {
+  if (!text || !isNumericToken(text)) return null;
+  let t = fixNumericChars(text.trim());
+
+  const isPercent = t.endsWith('%');
+  let negative = false;
+  if (/^\(.*\)$/.test(t.replace(/%$/, ''))) negative = true;
+  if (/^[-−–]/.test(t) || /[-−–]%?$/.test(t)) negative = true;
+
+  const currencyMatch = t.match(/[$€£¥₹]|USD|EUR|GBP|CHF|JPY|INR/);
+  const currency = currencyMatch ? (CURRENCY_SYMBOLS[currencyMatch[0]] || currencyMatch[0]) : null;
+
+  t = t.replace(/[()%$€£¥₹\-−–]|USD|EUR|GBP|CHF|JPY|INR/g, '').replace(/['’\s]/g, '');
+  if (!/^\d[\d.,]*$/.test(t)) return null;
+
+  const dots = (t.match(/\./g) || []).length;
+  const commas = (t.match(/,/g) || []).length;
+  let decimal = null;
+  if (dots && commas) {
+    decimal = t.lastIndexOf('.') > t.lastIndexOf(',') ? '.' : ',';
+  } else if (dots + commas === 1) {
+    const sep = dots ? '.' : ',';
+    const digitsAfter = t.length - t.indexOf(sep) - 1;
+    decimal = digitsAfter === 3 ? (sep === decimalSeparator ? sep : null) : sep;
+  }
+
+  const grouping = decimal === ',' ? /\./g : decimal === '.' ? /,/g : /[.,]/g;
+  const value = parseFloat(t.replace(grouping, '').replace(',', '.'));
+  if (Number.isNaN(value)) return null;
+
+  return { value: negative ? -value : value, currency, isPercent };
+};
@@ -0,0 +1,86 @@
+import { describe, expect, it } from 'vitest';
+import { detectScale, fixNumericChars, inferDecimalSeparator, isNumericToken, parseAmount } from './amounts.js';
+
+describe('parseAmount', () => {
+  it.each([
+    ['1,234,567', 1234567],
+    ['1,234.50', 1234.5],
+    ['(12,345)', -12345],
+    ['-1,234', -1234],
+    ['1234-', -1234],
+    ['1.234.567,89', 1234567.89],
+    ['12,5', 12.5],
+    ['1 234 567', 1234567],
+    ["1'234'567", 1234567]
+  ])('parses %s', (text, value) => {
+    expect(parseAmount(text).value).toBe(value);
+  });
+
+  it('records currency symbols and codes', () => {
+    expect(parseAmount('$ 5,000')).toMatchObject({ value: 5000, currency: 'USD' });
+    expect(parseAmount('€ 1.234,5')).toMatchObject({ value: 1234.5, currency: 'EUR' });
+    expect(parseAmount('CHF 10')).toMatchObject({ value: 10, currency: 'CHF' });
+  });
+
+  it('marks percentages', () => {
+    expect(parseAmount('12.5%')).toMatchObject({ value: 12.5, isPercent: true });
+  });
+
+  it('resolves a lone separator before three digits with the document locale', () => {
+    expect(parseAmount('1,234').value).toBe(1234);
+    expect(parseAmount('1,234', { decimalSeparator: ',' }).value).toBe(1.234);
+    expect(parseAmount('1.234', { decimalSeparator: ',' }).value).toBe(1234);
+  });
+
+  it('reads O and l inside numbers as digits', () => {
+    expect(parseAmount('1O0').value).toBe(100);
+    expect(parseAmount('l,234').value).toBe(1234);
+  });
+
+  it('returns null for text', () => {
+    expect(parseAmount('OPERATING')).toBeNull();
+    expect(parseAmount('—')).toBeNull();
+    expect(parseAmount('')).toBeNull();
+  });
+});
+
+describe('fixNumericChars', () => {
+  it('leaves words alone', () => {
+    expect(fixNumericChars('OPERATING')).toBe('OPERATING');
+    expect(fixNumericChars('INCOME')).toBe('INCOME');
+  });
+
+  it('fixes numeric tokens', () => {
+    expect(fixNumericChars('1O,OOl')).toBe('10,001');
+  });
+});
+
+describe('isNumericToken', () => {
+  it('requires a digit', () => {
+    expect(isNumericToken('(1,234)')).toBe(true);
+    expect(isNumericToken('lO')).toBe(false);
+    expect(isNumericToken('10-K')).toBe(false);
+  });
+});
+
+describe('detectScale', () => {
+  it.each([
+    ['(in thousands of U.S. dollars)', 1e3],
+    ["$'000", 1e3],
+    ['EUR 000s', 1e3],
+    ['In millions', 1e6],
+    ['(€m)', 1e6],
+    ['in billions', 1e9],
+    ['Total assets 2000', null]
+  ])('%s', (text, scale) => {
+    expect(detectScale(text)).toBe(scale);
+  });
+});
+
+describe('inferDecimalSeparator', () => {
+  it('votes on unambiguous amounts', () => {
+    expect(inferDecimalSeparator(['Cash 1.234,56 2.000,10', 'Debt 1,000'])).toBe(',');
+    expect(inferDecimalSeparator(['Cash 1,234.56'])).toBe('.');
+    expect(inferDecimalSeparator(['no numbers here'])).toBe('.');
+  });
+});
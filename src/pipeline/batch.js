@@ -0,0 +1,131 @@
+// Batches of documents: a job queue that runs them one after another and the per-file
+// summaries shown on the batch dashboard and written to the roll-up export.
+
+const REVIEW_STATUSES = ['manual_review', 'quick_review'];
+
+/**
+ * Runs `run(payload)` for each job added, `concurrency` at a time, in the order added.
+ * `onUpdate` receives a copy of a job whenever its status changes:
+ * queued → running → done | failed, or queued → cancelled.
+ *
+ * @param {(payload: any) => Promise<any>} run
+ * @param {{ concurrency?: number, onUpdate?: (job: { id: string, status: string, result?: any, error?: string }) => void }} [options]
+ */
+export const createJobQueue = (run, { concurrency = 1, onUpdate = () => {} } = {}) => {
+  const jobs = [];
+  let active = 0;
+  let idleWaiters = [];
+
+  const update = (job, changes) => {
+    Object.assign(job, changes);
+    onUpdate({ id: job.id, status: job.status, result: job.result, error: job.error });
+  };
+
+  const pump = () => {
+    while (active < concurrency) {
+      const job = jobs.find(j => j.status === 'queued');
+      if (!job) break;
+      active++;
+      update(job, { status: 'running' });
+      Promise.resolve()
+        .then(() => run(job.payload))
+        .then(result => update(job, { status: 'done', result, error: undefined }), err => update(job, { status: 'failed', error: err.message || String(err) }))
+        .finally(() => {
+          active--;
+          pump();
+        });
+    }
+    if (active === 0) {
+      for (const resolve of idleWaiters.splice(0)) resolve();
+    }
+  };
+
+  return {
+    // Queues a job, or queues it again when it already finished, failed or was cancelled
+    add: (id, payload) => {
+      const existing = jobs.find(j => j.id === id);
+      if (existing && (existing.status === 'queued' || existing.status === 'running')) return;
+      if (existing) {
+        existing.payload = payload;
+        update(existing, { status: 'queued', result: undefined, error: undefined });
+      } else {
+        const job = { id, payload, status: 'queued' };
+        jobs.push(job);
+        update(job, {});
+      }
+      pump();
+    },
+    // Drops jobs that have not started; running ones finish
+    cancel: () => {
+      for (const job of jobs.filter(j => j.status === 'queued')) update(job, { status: 'cancelled' });
+    },
+    remove: (id) => {
+      const index = jobs.findIndex(j => j.id === id && j.status !== 'running');
+      if (index >= 0) jobs.splice(index, 1);
+    },
+    isBusy: () => active > 0,
+    // Resolves once nothing is running or queued
+    whenIdle: () => (active === 0 ? Promise.resolve() : new Promise(resolve => idleWaiters.push(resolve)))
+  };
+};
+
+/**
+ * One row of the batch dashboard: the document's score, how many of its lines went to
+ * review and are still waiting, and its rule failures by severity and rule.
+ *
+ * @param {{ fileName: string, status: string, error?: string|null, results?: object[]|null,
+ *   validationScore?: object|null, ruleSet?: { id: string }|null }} document
+ */
+export const summarizeDocument = ({ fileName, status, error = null, results = null, validationScore = null, ruleSet = null }) => {
+  const lines = results || [];
+  const routed = (line) => (line.review ? line.review.previousStatus : line.status);
+  const failures = { error: 0, warning: 0, info: 0, byRule: {} };
+  for (const line of lines) {
+    for (const detail of line.ruleDetails || []) {
+      const severity = detail.severity || 'error';
+      failures[severity] = (failures[severity] || 0) + 1;
+      failures.byRule[detail.rule] = (failures.byRule[detail.rule] || 0) + 1;
+    }
+  }
+  return {
+    fileName,
+    status,
+    error,
+    ruleSet: ruleSet ? ruleSet.id : null,
+    overallScore: validationScore ? Number(validationScore.overallScore) : null,
+    pages: validationScore ? validationScore.pages.length : null,
+    lines: lines.filter(l => l.valueType !== 'empty').length,
+    review: {
+      manual: lines.filter(l => routed(l) === 'manual_review').length,
+      quick: lines.filter(l => routed(l) === 'quick_review').length,
+      pending: lines.filter(l => REVIEW_STATUSES.includes(l.status)).length,
+      reviewed: lines.filter(l => l.review).length
+    },
+    failures
+  };
+};
+
+/**
+ * Totals over the summaries of a batch. The average score counts processed documents only.
+ *
+ * @param {ReturnType<typeof summarizeDocument>[]} summaries
+ */
+export const summarizeBatch = (summaries) => {
+  const scored = summaries.filter(s => s.overallScore !== null);
+  const sum = (pick) => summaries.reduce((s, summary) => s + pick(summary), 0);
+  const byStatus = {};
+  for (const summary of summaries) byStatus[summary.status] = (byStatus[summary.status] || 0) + 1;
+  return {
+    documents: summaries.length,
+    byStatus,
+    averageScore: scored.length ? Number((scored.reduce((s, x) => s + x.overallScore, 0) / scored.length).toFixed(1)) : null,
+    lowestScore: scored.length ? Math.min(...scored.map(s => s.overallScore)) : null,
+    review: {
+      manual: sum(s => s.review.manual),
+      quick: sum(s => s.review.quick),
+      pending: sum(s => s.review.pending),
+      reviewed: sum(s => s.review.reviewed)
+    },
+    failures: { error: sum(s => s.failures.error), warning: sum(s => s.failures.warning), info: sum(s => s.failures.info) }
+  };
+};
@@ -0,0 +1,85 @@
+import { describe, expect, it } from 'vitest';
+import { createJobQueue, summarizeBatch, summarizeDocument } from './batch.js';
+import { applyReview } from './stages.js';
+import { buildBatchExport, runPipeline } from './index.js';
+import { BALANCE_SHEET_ROWS, ocrDocument } from './test-fixtures.js';
+
+const deferred = () => {
+  let resolve;
+  let reject;
+  const promise = new Promise((res, rej) => { resolve = res; reject = rej; });
+  return { promise, resolve, reject };
+};
+
+describe('createJobQueue', () => {
+  it('runs jobs one at a time in order and reports each status change', async () => {
+    const updates = [];
+    const pending = { a: deferred(), b: deferred(), c: deferred() };
+    const queue = createJobQueue(name => pending[name].promise, { onUpdate: job => updates.push(`${job.id}:${job.status}`) });
+    queue.add('a', 'a');
+    queue.add('b', 'b');
+    queue.add('c', 'c');
+    expect(updates).toEqual(['a:queued', 'a:running', 'b:queued', 'c:queued']);
+
+    pending.a.resolve(1);
+    pending.b.reject(new Error('unreadable'));
+    await new Promise(resolve => setTimeout(resolve, 0));
+    queue.cancel();
+    pending.c.resolve(3);
+    await queue.whenIdle();
+    expect(updates.slice(4)).toEqual(['a:done', 'b:running', 'b:failed', 'c:running', 'c:done']);
+    expect(queue.isBusy()).toBe(false);
+  });
+
+  it('cancels jobs that have not started and runs them again when re-added', async () => {
+    const statuses = {};
+    const queue = createJobQueue(async name => name.toUpperCase(), {
+      onUpdate: job => { statuses[job.id] = [job.status, job.result ?? job.error]; }
+    });
+    queue.add('a', 'a');
+    queue.add('b', 'b');
+    queue.cancel();
+    await queue.whenIdle();
+    expect(statuses).toEqual({ a: ['done', 'A'], b: ['cancelled', undefined] });
+
+    queue.add('b', 'b');
+    await queue.whenIdle();
+    expect(statuses.b).toEqual(['done', 'B']);
+  });
+});
+
+describe('summarizeDocument', () => {
+  it('counts review routing and rule failures', () => {
+    const rows = BALANCE_SHEET_ROWS.map(r => (r[0] === 'Cash' ? ['Cash', '1O0', '95'] : r));
+    const { results, validationScore, ruleSet } = runPipeline(ocrDocument([rows]));
+    const cash = results.findIndex(l => l.label === 'Cash');
+    results[cash] = applyReview(results[cash], 'accepted');
+
+    const summary = summarizeDocument({ fileName: 'a.pdf', status: 'done', results, validationScore, ruleSet });
+    expect(summary).toMatchObject({ fileName: 'a.pdf', status: 'done', ruleSet: 'balance_sheet', pages: 1, error: null });
+    expect(summary.overallScore).toBe(Number(validationScore.overallScore));
+    expect(summary.review.reviewed).toBe(1);
+    expect(summary.review.pending).toBe(summary.review.manual + summary.review.quick - 1);
+    expect(summary.failures.byRule).toMatchObject({ suspicious_chars_in_number: 1, total_does_not_foot: 1 });
+    expect(summary.failures).toMatchObject({ error: 2, warning: 0 });
+  });
+
+  it('summarizes documents that were not processed', () => {
+    expect(summarizeDocument({ fileName: 'b.pdf', status: 'failed', error: 'Bad PDF' })).toMatchObject({
+      status: 'failed', error: 'Bad PDF', overallScore: null, lines: 0, review: { manual: 0, pending: 0 }
+    });
+  });
+});
+
+describe('summarizeBatch and buildBatchExport', () => {
+  it('totals the documents and averages the processed ones', () => {
+    const done = { fileName: 'a.pdf', status: 'done', ...runPipeline(ocrDocument([BALANCE_SHEET_ROWS])) };
+    const queued = { fileName: 'b.pdf', status: 'queued' };
+    const exported = buildBatchExport([done, queued]);
+
+    expect(exported.summary).toEqual(summarizeBatch([summarizeDocument(done), summarizeDocument(queued)]));
+    expect(exported.summary).toMatchObject({ documents: 2, byStatus: { done: 1, queued: 1 }, averageScore: Number(done.validationScore.overallScore) });
+    expect(exported.documents[0].export).toMatchObject({ fileName: 'a.pdf', results: done.results });
+    expect(exported.documents[1]).toEqual({ summary: summarizeDocument(queued) });
+  });
+});
@@ -0,0 +1,159 @@
+// Models learned from review feedback (see feedback.js): a naive Bayes classifier for
+// line labels and a logistic regression over the anomaly indicators of detectAnomalies.
+// Models are plain JSON so they can be stored and passed to runPipeline as `models`.
+
+import { normalizeLabel } from './fields.js';
+
+// Indicators detectAnomalies computes for every line, in the order of its default weights
+export const ANOMALY_FEATURES = [
+  'lowConfidence', 'ruleFailures', 'lowLabelConfidence', 'lowNumericConfidence', 'implausibleChange', 'columnNotFooting',
+  'benfordDeviation', 'magnitudeOutlier', 'digitSlip', 'duplicateValue'
+];
+
+const MIN_LABEL_EXAMPLES = 5;
+const MIN_ANOMALY_EXAMPLES = 5;
+
+/**
+ * Bag of features for the label model: the label's words, its first word, how many
+ * values the line has and a few shape cues.
+ *
+ * @param {{ text: string, valueCount: number }} line
+ * @returns {string[]}
+ */
+export const labelFeatures = ({ text, valueCount }) => {
+  const raw = (text || '').toString().trim();
+  const words = normalizeLabel(raw).split(' ').filter(Boolean);
+  const features = words.map(w => `word:${w}`);
+  features.push(words.length ? `first:${words[0]}` : 'empty');
+  features.push(`values:${Math.min(valueCount || 0, 3)}`);
+  if (raw.endsWith(':')) features.push('colon');
+  if (/[A-Z]/.test(raw) && raw === raw.toUpperCase()) features.push('caps');
+  return features;
+};
+
+/**
+ * Multinomial naive Bayes over labelFeatures. Returns null when there are too few
+ * labelled examples or only one label to learn.
+ *
+ * @param {Array<{ text: string, valueCount: number, label: string|null }>} examples
+ */
+export const trainLabelModel = (examples) => {
+  const labelled = examples.filter(e => e.label);
+  const classes = {};
+  const vocabulary = new Set();
+  for (const example of labelled) {
+    const entry = classes[example.label] || (classes[example.label] = { count: 0, total: 0, features: {} });
+    entry.count++;
+    for (const feature of labelFeatures(example)) {
+      entry.features[feature] = (entry.features[feature] || 0) + 1;
+      entry.total++;
+      vocabulary.add(feature);
+    }
+  }
+  if (labelled.length < MIN_LABEL_EXAMPLES || Object.keys(classes).length < 2) return null;
+  return { type: 'naive_bayes', examples: labelled.length, vocabularySize: vocabulary.size, classes };
+};
+
+/**
+ * @returns {{ label: string, probability: number }}
+ */
+export const predictLabelWithModel = (model, line) => {
+  const features = labelFeatures(line);
+  const total = Object.values(model.classes).reduce((s, c) => s + c.count, 0);
+  const scores = Object.entries(model.classes).map(([label, c]) => {
+    let logp = Math.log(c.count / total);
+    for (const feature of features) logp += Math.log(((c.features[feature] || 0) + 1) / (c.total + model.vocabularySize));
+    return { label, logp };
+  });
+  const best = Math.max(...scores.map(s => s.logp));
+  const sum = scores.reduce((s, x) => s + Math.exp(x.logp - best), 0);
+  const top = scores.reduce((a, b) => (b.logp > a.logp ? b : a));
+  return { label: top.label, probability: 1 / sum };
+};
+
+const sigmoid = (z) => 1 / (1 + Math.exp(-z));
+
+/**
+ * Logistic regression on the anomaly indicators, predicting whether a reviewer found the
+ * line wrong. Batch gradient descent with a little L2 so rare indicators stay sane.
+ * Returns null without enough examples of both outcomes.
+ *
+ * @param {Array<{ anomalyFeatures: Object<string, number>, isError: boolean }>} examples
+ */
+export const trainAnomalyModel = (examples, { epochs = 500, rate = 0.5, l2 = 0.01 } = {}) => {
+  const usable = examples.filter(e => e.anomalyFeatures);
+  const errors = usable.filter(e => e.isError).length;
+  if (usable.length < MIN_ANOMALY_EXAMPLES || errors === 0 || errors === usable.length) return null;
+
+  const rows = usable.map(e => ({ x: ANOMALY_FEATURES.map(f => e.anomalyFeatures[f] || 0), y: e.isError ? 1 : 0 }));
+  const weights = ANOMALY_FEATURES.map(() => 0);
+  let bias = 0;
+  for (let epoch = 0; epoch < epochs; epoch++) {
+    const gradient = weights.map(() => 0);
+    let biasGradient = 0;
+    for (const { x, y } of rows) {
+      const error = sigmoid(bias + x.reduce((s, v, i) => s + v * weights[i], 0)) - y;
+      x.forEach((v, i) => { gradient[i] += error * v; });
+      biasGradient += error;
+    }
+    weights.forEach((w, i) => { weights[i] -= rate * (gradient[i] / rows.length + l2 * w); });
+    bias -= rate * (biasGradient / rows.length);
+  }
+  return {
+    type: 'logistic_regression',
+    examples: rows.length,
+    bias: Number(bias.toFixed(4)),
+    weights: Object.fromEntries(ANOMALY_FEATURES.map((f, i) => [f, Number(weights[i].toFixed(4))]))
+  };
+};
+
+/** Probability that a line with these indicators is wrong */
+export const predictAnomalyWithModel = (model, anomalyFeatures) => sigmoid(
+  model.bias + ANOMALY_FEATURES.reduce((s, f) => s + (anomalyFeatures[f] || 0) * (model.weights[f] || 0), 0)
+);
+
+// Stable split: an example stays on the same side however the store grows
+const isHeldOut = (id, fraction) => {
+  let hash = 0;
+  for (const ch of String(id)) hash = (hash * 31 + ch.charCodeAt(0)) >>> 0;
+  return (hash % 1000) / 1000 < fraction;
+};
+
+const accuracy = (pairs) => (pairs.length ? Number((pairs.filter(([a, b]) => a === b).length / pairs.length).toFixed(3)) : null);
+
+/**
+ * Train both models and measure them on a held-out share of the examples against what
+ * the pipeline predicted at review time. The returned models are trained on every
+ * example; the evaluation uses models trained without the held-out ones.
+ *
+ * @param {object[]} examples  Feedback examples (feedback.js)
+ * @param {{ holdout?: number }} [options]
+ */
+export const trainModels = (examples, { holdout = 0.2 } = {}) => {
+  const test = examples.filter(e => isHeldOut(e.id, holdout));
+  const train = examples.filter(e => !isHeldOut(e.id, holdout));
+  const trialLabel = trainLabelModel(train);
+  const trialAnomaly = trainAnomalyModel(train);
+
+  const labelled = test.filter(e => e.label);
+  const withFeatures = test.filter(e => e.anomalyFeatures);
+  const evaluation = {
+    trainSize: train.length,
+    testSize: test.length,
+    label: {
+      examples: labelled.length,
+      before: accuracy(labelled.map(e => [e.machineLabel, e.label])),
+      after: trialLabel ? accuracy(labelled.map(e => [predictLabelWithModel(trialLabel, e).label, e.label])) : null
+    },
+    anomaly: {
+      examples: withFeatures.length,
+      before: accuracy(withFeatures.map(e => [Boolean(e.machineAnomaly), e.isError])),
+      after: trialAnomaly ? accuracy(withFeatures.map(e => [predictAnomalyWithModel(trialAnomaly, e.anomalyFeatures) > 0.5, e.isError])) : null
+    }
+  };
+
+  return {
+    models: { label: trainLabelModel(examples), anomaly: trainAnomalyModel(examples) },
+    evaluation
+  };
+};
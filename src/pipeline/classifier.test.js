@@ -0,0 +1,70 @@
+import { describe, expect, it } from 'vitest';
+import {
+  labelFeatures, predictAnomalyWithModel, predictLabelWithModel, trainAnomalyModel, trainLabelModel, trainModels
+} from './classifier.js';
+import { predictLabels } from './stages.js';
+
+const example = (id, text, label, extra = {}) => ({ id: `doc#1-${id}`, text, valueCount: 1, label, machineLabel: 'unknown', ...extra });
+
+// Reviewers labelled these; the patterns called them all "unknown"
+const LABELLED = [
+  ['Goodwill', 'line_item'], ['Intangible assets', 'line_item'], ['Deferred tax assets', 'line_item'],
+  ['Right-of-use assets', 'line_item'], ['Other assets', 'line_item'], ['Lease liabilities', 'line_item'],
+  ['Sum of assets', 'total'], ['Sum of liabilities', 'total'], ['Sum of equity', 'total'],
+  ['Sum of current assets', 'total'], ['Sum of current liabilities', 'total'], ['Sum of all', 'total']
+].map(([text, label], i) => example(i, text, label));
+
+const indicators = (lowConfidence, ruleFailures) => ({ lowConfidence, ruleFailures, lowLabelConfidence: 0, lowNumericConfidence: 0, implausibleChange: 0, columnNotFooting: 0 });
+
+describe('label model', () => {
+  it('describes a line by its words and shape', () => {
+    expect(labelFeatures({ text: 'TOTAL ASSETS:', valueCount: 5 })).toEqual(['word:total', 'word:assets', 'first:total', 'values:3', 'colon', 'caps']);
+  });
+
+  it('learns labels the patterns miss', () => {
+    const model = trainLabelModel(LABELLED);
+    expect(predictLabelWithModel(model, { text: 'Sum of non-current assets', valueCount: 1 }).label).toBe('total');
+    expect(predictLabelWithModel(model, { text: 'Deferred tax liabilities', valueCount: 1 })).toMatchObject({ label: 'line_item' });
+
+    const [line] = predictLabels([{ id: 1, label: 'Sum of equity and liabilities', valueType: 'numeric', cells: [{ parsedValue: 5 }] }], { models: { label: model } });
+    expect(line).toMatchObject({ predictedLabel: 'total', labelSource: 'model' });
+    expect(line.labelConfidence).toBeGreaterThan(0.6);
+  });
+
+  it('needs several examples of more than one label', () => {
+    expect(trainLabelModel(LABELLED.slice(0, 6))).toBeNull();
+    expect(trainLabelModel(LABELLED.slice(0, 3))).toBeNull();
+  });
+});
+
+describe('anomaly model', () => {
+  it('learns which indicators mean a reviewer will find an error', () => {
+    // Rule failures were real errors; low confidence alone never was
+    const examples = [
+      ...Array.from({ length: 6 }, () => ({ anomalyFeatures: indicators(0, 1), isError: true })),
+      ...Array.from({ length: 6 }, () => ({ anomalyFeatures: indicators(1, 0), isError: false })),
+      ...Array.from({ length: 3 }, () => ({ anomalyFeatures: indicators(0, 0), isError: false }))
+    ];
+    const model = trainAnomalyModel(examples);
+    expect(model.weights.ruleFailures).toBeGreaterThan(model.weights.lowConfidence);
+    expect(predictAnomalyWithModel(model, indicators(0, 1))).toBeGreaterThan(0.5);
+    expect(predictAnomalyWithModel(model, indicators(1, 0))).toBeLessThan(0.5);
+  });
+
+  it('needs both outcomes', () => {
+    expect(trainAnomalyModel(Array.from({ length: 8 }, () => ({ anomalyFeatures: indicators(1, 0), isError: false })))).toBeNull();
+  });
+});
+
+describe('trainModels', () => {
+  it('reports accuracy before and after on held-out examples', () => {
+    const examples = Array.from({ length: 8 }, (_, round) => LABELLED.map(e => ({ ...e, id: `${e.id}-${round}` }))).flat();
+    const { models, evaluation } = trainModels(examples);
+    expect(models.label.examples).toBe(examples.length);
+    expect(evaluation.trainSize + evaluation.testSize).toBe(examples.length);
+    expect(evaluation.testSize).toBeGreaterThan(0);
+    expect(evaluation.label.before).toBe(0);
+    expect(evaluation.label.after).toBe(1);
+    expect(evaluation.anomaly.after).toBeNull();
+  });
+});
@@ -0,0 +1,444 @@
+// Stage 7: correction suggestions from pluggable providers. The built-in providers fix
+// OCR character confusions and check labels and amounts against a financial lexicon and
+// the numbers around them; createOpenAICompatibleProvider asks a chat completions endpoint.
+// Providers that fail or time out are reported through `onProviderError` and skipped;
+// they never stop the pipeline.
+
+import { STATEMENT_SCHEMAS, normalizeLabel } from './fields.js';
+import { DEFAULT_PROFILE } from './profiles.js';
+
+/**
+ * @typedef {object} Suggestion
+ * @property {string} type          text_correction | value_correction | label_correction | manual_verification
+ * @property {'cell'|'label'|'line'} target  What applying it changes
+ * @property {number} [cellIndex]   For cell targets
+ * @property {string} original
+ * @property {string} suggested
+ * @property {number} confidence    0–1
+ * @property {string} reason
+ * @property {string} provider      Name of the provider that made it
+ * @property {object} [context]     What the provider based it on (for HTTP providers, the prompt)
+ *
+ * @typedef {object} CorrectionContext
+ * @property {string[]} before      Text of up to two lines above on the same page
+ * @property {string[]} after       Text of up to two lines below
+ * @property {string[]} issues      Rule failure and anomaly messages for the line
+ * @property {object[]} arithmetic  Footing and identity failures the line takes part in,
+ *   with period, expected, actual, difference and whether the line is the total
+ * @property {string|null} documentType
+ * @property {number} lowNumericConfidence  The scoring profile's threshold for flagging
+ *   numbers read with low confidence
+ *
+ * @typedef {object} CorrectionProvider
+ * @property {string} name
+ * @property {'flagged'|'all'} [scope]  Lines it is asked about: flagged (default) means
+ *   lines with rule failures, anomalies, low numeric confidence or failing arithmetic
+ * @property {(line: object, context: CorrectionContext) => Suggestion[]|Promise<Suggestion[]>} suggest
+ */
+
+const MAX_CONSECUTIVE_FAILURES = 3;
+const ASYNC_CONCURRENCY = 4;
+
+const cellRaw = (cell) => (cell.raw || '').toString();
+
+// O/o→0, l/I→1 inside value cells, and a nudge to verify low-confidence numbers
+export const ocrRulesProvider = {
+  name: 'ocr_rules',
+  scope: 'flagged',
+  suggest: (line, context) => {
+    const suggestions = [];
+    const lowConfidence = context ? context.lowNumericConfidence : DEFAULT_PROFILE.thresholds.lowNumericConfidence;
+    if (line.ruleFailures && line.ruleFailures.includes('suspicious_chars_in_number')) {
+      const cells = line.cells && line.cells.length ? line.cells : [{ raw: line.raw }];
+      cells.forEach((cell, cellIndex) => {
+        if (!/[OolI]/.test(cellRaw(cell))) return;
+        const corrected = cellRaw(cell).replace(/[Oo]/g, '0').replace(/[lI]/g, '1');
+        suggestions.push({
+          type: 'text_correction',
+          target: line.cells ? 'cell' : 'line',
+          ...(line.cells ? { cellIndex } : {}),
+          original: cellRaw(cell),
+          suggested: corrected,
+          confidence: 0.85,
+          reason: 'OCR character correction (O/o→0, l/I→1)',
+          context: { rule: 'suspicious_chars_in_number' }
+        });
+      });
+    }
+    if (line.confidence < lowConfidence && line.valueType === 'numeric') {
+      suggestions.push({
+        type: 'manual_verification',
+        target: 'line',
+        original: line.raw,
+        suggested: line.normalized,
+        confidence: 0.70,
+        reason: 'Low confidence numeric value - manual verification recommended',
+        context: { confidence: line.confidence }
+      });
+    }
+    return suggestions;
+  }
+};
+
+const LEXICON_EXTRA = [
+  'consolidated', 'statement', 'statements', 'balance', 'sheet', 'financial', 'position', 'notes', 'year', 'years', 'ended',
+  'period', 'thousands', 'millions', 'billions', 'amounts', 'total', 'current', 'assets', 'liabilities', 'equity', 'shareholders',
+  'stockholders', 'revenue', 'income', 'expenses', 'operating', 'activities', 'financing', 'investing', 'flows', 'provision',
+  'amortization', 'depreciation', 'dividends', 'payable', 'receivable', 'borrowings', 'leases', 'lease', 'deferred', 'taxes',
+  'interest', 'profit', 'comprehensive', 'accumulated', 'reserves', 'capital', 'shares', 'premium', 'retained', 'earnings',
+  'prepaid', 'accrued', 'liability', 'asset', 'minority', 'controlling', 'subsidiaries', 'associates', 'impairment', 'allowance',
+  'doubtful', 'accounts', 'marketable', 'securities', 'equivalents', 'continuing', 'discontinued', 'operations', 'attributable'
+];
+
+const editDistance = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+// Two amounts one OCR slip apart: a digit misread, two adjacent digits swapped, or a digit
+// dropped or doubled. Returns that kind of slip, or null.
+export const digitSlip = (a, b) => {
+  const x = String(Math.abs(a));
+  const y = String(Math.abs(b));
+  if (x === y) return null;
+  if (x.length === y.length) {
+    const diffs = [...x].map((ch, i) => (ch === y[i] ? -1 : i)).filter(i => i >= 0);
+    if (diffs.length === 1) return 'misread';
+    if (diffs.length === 2 && diffs[1] === diffs[0] + 1 && x[diffs[0]] === y[diffs[1]] && x[diffs[1]] === y[diffs[0]]) return 'transposed';
+    return null;
+  }
+  if (Math.abs(x.length - y.length) === 1 && editDistance(x, y) === 1) return x.length < y.length ? 'dropped' : 'doubled';
+  return null;
+};
+
+const formatLike = (value, raw, decimalSeparator) => {
+  const text = Math.abs(value).toLocaleString(decimalSeparator === ',' ? 'de-DE' : 'en-US', { maximumFractionDigits: 2 });
+  if (value >= 0) return text;
+  return /\(/.test(raw) ? `(${text})` : `-${text}`;
+};
+
+/**
+ * Checks label words against a lexicon of financial terms (the statement schema labels
+ * and synonyms plus common statement words), and amounts against the arithmetic around
+ * them: when a total does not foot and one figure is a single OCR slip away from making
+ * it foot, that figure is suggested.
+ *
+ * @param {string[]} [extraTerms]  More words to accept and correct towards
+ * @returns {CorrectionProvider}
+ */
+export const createLexiconProvider = (extraTerms = []) => {
+  const lexicon = new Set([
+    ...Object.values(STATEMENT_SCHEMAS).flatMap(schema => schema.fields.flatMap(f => [f.label, ...f.synonyms])).flatMap(text => normalizeLabel(text).split(' ')),
+    ...LEXICON_EXTRA,
+    ...extraTerms.map(t => t.toLowerCase())
+  ].filter(word => word.length >= 4));
+  const known = (word) => lexicon.has(word) || lexicon.has(word.replace(/s$/, '')) || lexicon.has(`${word}s`);
+  const words = [...lexicon];
+
+  const labelSuggestion = (line) => {
+    const label = (line.label || '').toString();
+    let changed = false;
+    const fixes = [];
+    const corrected = label.replace(/[A-Za-z]{4,}/g, (word) => {
+      const lower = word.toLowerCase();
+      if (known(lower)) return word;
+      const limit = lower.length >= 8 ? 2 : 1;
+      const scored = words.map(w => ({ w, d: Math.abs(w.length - lower.length) <= limit ? editDistance(lower, w) : limit + 1 })).filter(s => s.d <= limit);
+      const best = Math.min(...scored.map(s => s.d));
+      const closest = scored.filter(s => s.d === best);
+      if (closest.length !== 1) return word;
+      changed = true;
+      fixes.push({ word, lexiconWord: closest[0].w, distance: best });
+      const fix = closest[0].w;
+      if (word === word.toUpperCase()) return fix.toUpperCase();
+      return word[0] === word[0].toUpperCase() ? fix[0].toUpperCase() + fix.slice(1) : fix;
+    });
+    if (!changed) return [];
+    return [{
+      type: 'label_correction',
+      target: 'label',
+      original: label,
+      suggested: corrected,
+      confidence: fixes.every(f => f.distance === 1) ? 0.7 : 0.6,
+      reason: `Spelling of financial terms (${fixes.map(f => `${f.word}→${f.lexiconWord}`).join(', ')})`,
+      context: { fixes }
+    }];
+  };
+
+  const valueSuggestions = (line, context) => {
+    const suggestions = [];
+    for (const failure of context.arithmetic) {
+      const cellIndex = (line.cells || []).findIndex(c => c.period === failure.period || (failure.period === 'value' && c.parsedValue !== null));
+      const cell = line.cells && line.cells[cellIndex];
+      if (!cell || cell.parsedValue === null) continue;
+      // The total should equal its items; an item should move by the difference
+      const candidate = failure.isTotal ? failure.expected : cell.parsedValue + failure.difference;
+      const slip = digitSlip(cell.parsedValue, candidate);
+      if (!slip && !failure.isTotal) continue;
+      suggestions.push({
+        type: 'value_correction',
+        target: 'cell',
+        cellIndex,
+        original: cellRaw(cell),
+        suggested: formatLike(candidate, cellRaw(cell), line.decimalSeparator),
+        confidence: slip ? (slip === 'misread' ? 0.8 : 0.75) : 0.4,
+        reason: slip
+          ? `One ${slip} digit away from making ${failure.rule === 'total_does_not_foot' ? 'the total foot' : 'the balance sheet balance'}${failure.period === 'value' ? '' : ` in ${failure.period}`}`
+          : `The items sum to ${formatLike(candidate, '', line.decimalSeparator)}${failure.period === 'value' ? '' : ` in ${failure.period}`}`,
+        context: { rule: failure.rule, period: failure.period, expected: failure.expected, actual: failure.actual, difference: failure.difference, slip }
+      });
+    }
+    return suggestions;
+  };
+
+  return {
+    name: 'lexicon',
+    scope: 'all',
+    suggest: (line, context) => [...labelSuggestion(line), ...valueSuggestions(line, context)]
+  };
+};
+
+export const lexiconProvider = createLexiconProvider();
+
+export const DEFAULT_CORRECTION_PROVIDERS = [ocrRulesProvider, lexiconProvider];
+
+const CORRECTION_SYSTEM_PROMPT = [
+  'You correct OCR errors in one line of a financial statement.',
+  'Only fix characters the OCR misread; never invent figures the context does not support.',
+  'Reply with JSON only: {"label": string or null, "cells": [string or null, ...], "confidence": number from 0 to 1, "reason": string}.',
+  'Use null for anything that needs no change. "cells" follows the order of the input cells.'
+].join(' ');
+
+/**
+ * A provider backed by an OpenAI-compatible chat completions endpoint (OpenAI, a local
+ * llama.cpp or vLLM server, or scripts/mock-llm-server.js).
+ *
+ * @param {{
+ *   endpoint: string,        Base URL such as http://localhost:8089/v1, or the full /chat/completions URL
+ *   model?: string,
+ *   apiKey?: string,
+ *   timeoutMs?: number,
+ *   name?: string,
+ *   fetch?: typeof fetch
+ * }} options
+ * @returns {CorrectionProvider}
+ */
+export const createOpenAICompatibleProvider = ({ endpoint, model = 'gpt-4o-mini', apiKey, timeoutMs = 15000, name = 'openai_compatible', fetch: fetchImpl } = {}) => {
+  if (!endpoint) throw new Error('An endpoint URL is required');
+  const url = /\/chat\/completions\/?$/.test(endpoint) ? endpoint : `${endpoint.replace(/\/+$/, '')}/chat/completions`;
+
+  return {
+    name,
+    scope: 'flagged',
+    suggest: async (line, context) => {
+      const prompt = JSON.stringify({
+        documentType: context.documentType,
+        line: { label: line.label || null, cells: (line.cells || []).map(c => ({ text: cellRaw(c), period: c.period || null })), raw: line.raw },
+        linesAbove: context.before,
+        linesBelow: context.after,
+        issues: context.issues
+      });
+      const messages = [{ role: 'system', content: CORRECTION_SYSTEM_PROMPT }, { role: 'user', content: prompt }];
+
+      const controller = new AbortController();
+      const timer = setTimeout(() => controller.abort(), timeoutMs);
+      let reply;
+      try {
+        const response = await (fetchImpl || globalThis.fetch)(url, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json', ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}) },
+          body: JSON.stringify({ model, temperature: 0, messages }),
+          signal: controller.signal
+        });
+        if (!response.ok) throw new Error(`HTTP ${response.status} from ${url}`);
+        const data = await response.json();
+        const content = data && data.choices && data.choices[0] && data.choices[0].message && data.choices[0].message.content;
+        if (typeof content !== 'string') throw new Error('Response has no message content');
+        try {
+          reply = JSON.parse(content.trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, ''));
+        } catch (err) {
+          throw new Error('Reply is not JSON');
+        }
+      } catch (err) {
+        if (err.name === 'AbortError') throw new Error(`No reply within ${timeoutMs} ms`);
+        throw err;
+      } finally {
+        clearTimeout(timer);
+      }
+
+      const confidence = typeof reply.confidence === 'number' ? Math.max(0, Math.min(1, reply.confidence)) : 0.5;
+      const reason = typeof reply.reason === 'string' && reply.reason ? reply.reason : `Suggested by ${model}`;
+      const shared = { confidence, reason, context: { model, prompt } };
+      const suggestions = [];
+      if (typeof reply.label === 'string' && reply.label.trim() && reply.label.trim() !== (line.label || '').trim()) {
+        suggestions.push({ type: 'label_correction', target: 'label', original: line.label || '', suggested: reply.label.trim(), ...shared });
+      }
+      (Array.isArray(reply.cells) ? reply.cells : []).forEach((text, cellIndex) => {
+        const cell = line.cells && line.cells[cellIndex];
+        if (!cell || typeof text !== 'string' || !text.trim() || text.trim() === cellRaw(cell)) return;
+        suggestions.push({ type: 'text_correction', target: 'cell', cellIndex, original: cellRaw(cell), suggested: text.trim(), ...shared });
+      });
+      return suggestions;
+    }
+  };
+};
+
+const refKey = (ref) => `${ref.pageNumber}-${ref.id}`;
+
+// Failures of crossFoot's sums, where the first line should equal the sum of the rest.
+// Equation rules are left out: which side a line sits on is not recorded.
+const SUM_RULES = new Set(['total_does_not_foot', 'balance_sheet_identity_mismatch']);
+
+// Sum failures by the lines they involve: the total (or assets) line and every line
+// summed against it
+const arithmeticByLine = (lines) => {
+  const byLine = new Map();
+  const seen = new Set();
+  for (const line of lines) {
+    for (const detail of line.ruleDetails || []) {
+      if (!SUM_RULES.has(detail.rule) || detail.difference === undefined) continue;
+      const key = `${detail.rule}|${detail.period}|${detail.lines.map(refKey).join(',')}`;
+      if (seen.has(key)) continue;
+      seen.add(key);
+      detail.lines.forEach((ref, i) => {
+        const key = refKey(ref);
+        if (!byLine.has(key)) byLine.set(key, []);
+        byLine.get(key).push({
+          rule: detail.rule, period: detail.period, expected: detail.expected, actual: detail.actual, difference: detail.difference, isTotal: i === 0
+        });
+      });
+    }
+  }
+  return byLine;
+};
+
+const needsCorrection = (line, arithmetic, thresholds) => line.valueType !== 'empty' && (
+  (line.ruleFailures && line.ruleFailures.length > 0)
+  || line.isAnomaly
+  || (line.confidence < thresholds.lowNumericConfidence && line.valueType === 'numeric')
+  || arithmetic.length > 0
+);
+
+const contextFor = (lines, index, arithmetic, options) => {
+  const line = lines[index];
+  const samePage = (l) => l.pageNumber === line.pageNumber && l.valueType !== 'empty';
+  const textOf = (l) => (l.normalized || l.raw || '').toString();
+  return {
+    before: lines.slice(0, index).filter(samePage).slice(-2).map(textOf),
+    after: lines.slice(index + 1).filter(samePage).slice(0, 2).map(textOf),
+    issues: [...(line.ruleDetails || []).map(d => d.message), ...(line.anomalyReasons || []).map(r => r.message)],
+    arithmetic,
+    documentType: options.ruleSet ? options.ruleSet.documentType : null,
+    lowNumericConfidence: (options.profile || DEFAULT_PROFILE).thresholds.lowNumericConfidence
+  };
+};
+
+// Valid suggestions tagged with their provider, best first, without repeats
+const mergeSuggestions = (batches) => {
+  const merged = new Map();
+  for (const { provider, suggestions } of batches) {
+    for (const suggestion of Array.isArray(suggestions) ? suggestions : []) {
+      if (!suggestion || typeof suggestion.suggested !== 'string') continue;
+      const tagged = { ...suggestion, provider: suggestion.provider || provider.name, confidence: Math.max(0, Math.min(1, Number(suggestion.confidence) || 0)) };
+      const key = `${tagged.target}|${tagged.cellIndex ?? ''}|${tagged.type === 'manual_verification' ? 'verify' : tagged.suggested}`;
+      if (!merged.has(key) || merged.get(key).confidence < tagged.confidence) merged.set(key, tagged);
+    }
+  }
+  return [...merged.values()].sort((a, b) => b.confidence - a.confidence);
+};
+
+const planCorrections = (lines, options) => {
+  const providers = options.correctionProviders || DEFAULT_CORRECTION_PROVIDERS;
+  const arithmetic = arithmeticByLine(lines);
+  const { thresholds } = options.profile || DEFAULT_PROFILE;
+  return lines.map((line, index) => {
+    const lineArithmetic = arithmetic.get(refKey(line)) || [];
+    const flagged = needsCorrection(line, lineArithmetic, thresholds);
+    return {
+      line,
+      context: line.valueType === 'empty' ? null : contextFor(lines, index, lineArithmetic, options),
+      providers: line.valueType === 'empty' ? [] : providers.filter(p => (p.scope || 'flagged') === 'all' || flagged)
+    };
+  });
+};
+
+// Report a provider failure, and say so once when it is switched off for this run
+const failureTracker = (options) => {
+  const consecutive = new Map();
+  const report = (provider, line, message) => {
+    if (options.onProviderError) options.onProviderError({ provider: provider.name, message, line: { pageNumber: line.pageNumber, id: line.id } });
+  };
+  return {
+    disabled: (provider) => (consecutive.get(provider) || 0) >= MAX_CONSECUTIVE_FAILURES,
+    succeeded: (provider) => consecutive.set(provider, 0),
+    failed: (provider, line, err) => {
+      const count = (consecutive.get(provider) || 0) + 1;
+      consecutive.set(provider, count);
+      report(provider, line, err.message || String(err));
+      if (count === MAX_CONSECUTIVE_FAILURES) report(provider, line, `Skipped for the rest of this run after ${count} failures in a row`);
+    }
+  };
+};
+
+/**
+ * Stage 7 with synchronous providers (the default ones). An asynchronous provider is
+ * reported as failed; use suggestCorrectionsAsync (runPipelineAsync) for those.
+ */
+export const suggestCorrections = (lines, options = {}) => {
+  const failures = failureTracker(options);
+  return planCorrections(lines, options).map(({ line, context, providers }) => {
+    const batches = [];
+    for (const provider of providers) {
+      if (failures.disabled(provider)) continue;
+      try {
+        const suggestions = provider.suggest(line, context);
+        if (suggestions && typeof suggestions.then === 'function') {
+          suggestions.catch(() => {});
+          throw new Error('Provider is asynchronous; run the pipeline with runPipelineAsync');
+        }
+        failures.succeeded(provider);
+        batches.push({ provider, suggestions });
+      } catch (err) {
+        failures.failed(provider, line, err);
+      }
+    }
+    return { ...line, suggestions: mergeSuggestions(batches) };
+  });
+};
+
+/**
+ * Stage 7 with providers that may be asynchronous, a few lines at a time.
+ */
+export const suggestCorrectionsAsync = async (lines, options = {}) => {
+  const failures = failureTracker(options);
+  const plans = planCorrections(lines, options);
+  const results = new Array(plans.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < plans.length) {
+      const index = next++;
+      const { line, context, providers } = plans[index];
+      const batches = [];
+      for (const provider of providers) {
+        if (failures.disabled(provider)) continue;
+        try {
+          batches.push({ provider, suggestions: await provider.suggest(line, context) });
+          failures.succeeded(provider);
+        } catch (err) {
+          failures.failed(provider, line, err);
+        }
+      }
+      results[index] = { ...line, suggestions: mergeSuggestions(batches) };
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(ASYNC_CONCURRENCY, plans.length) }, worker));
+  return results;
+};
@@ -0,0 +1,145 @@
+import { afterAll, beforeAll, describe, expect, it } from 'vitest';
+import {
+  createLexiconProvider, createOpenAICompatibleProvider, digitSlip, ocrRulesProvider, suggestCorrections, suggestCorrectionsAsync
+} from './corrections.js';
+import { runPipeline, runPipelineAsync } from './index.js';
+import { BALANCE_SHEET_ROWS, ocrDocument } from './test-fixtures.js';
+import { createMockLLMServer } from '../mock-llm-server.js';
+
+const withRow = (label, row) => BALANCE_SHEET_ROWS.map(r => (r[0] === label ? row : r));
+const byLabel = (results, label) => results.find(l => l.label === label);
+
+describe('digitSlip', () => {
+  it('recognises single OCR slips between two amounts', () => {
+    expect(digitSlip(109, 100)).toBe('misread');
+    expect(digitSlip(1243, 1234)).toBe('transposed');
+    expect(digitSlip(120, 1200)).toBe('dropped');
+    expect(digitSlip(-1200, -120)).toBe('doubled');
+    expect(digitSlip(109, 90)).toBe(null);
+    expect(digitSlip(100, 100)).toBe(null);
+  });
+});
+
+describe('lexicon provider', () => {
+  it('corrects misspelt financial terms in labels', () => {
+    const { results } = runPipeline(ocrDocument([withRow('Receivables', ['Recelvables', '50', '10'])]));
+    expect(byLabel(results, 'Recelvables').suggestions).toEqual([expect.objectContaining({
+      type: 'label_correction', target: 'label', original: 'Recelvables', suggested: 'Receivables', provider: 'lexicon', confidence: 0.7
+    })]);
+    expect(results.filter(l => l.label !== 'Recelvables').every(l => l.suggestions.length === 0)).toBe(true);
+  });
+
+  it('accepts extra terms', () => {
+    const provider = createLexiconProvider(['Recelvables']);
+    expect(provider.suggest({ label: 'Recelvables' }, { arithmetic: [] })).toEqual([]);
+  });
+
+  it('suggests the amount one digit away from making a total foot', () => {
+    const { results } = runPipeline(ocrDocument([withRow('Cash', ['Cash', '109', '90'])]));
+    expect(byLabel(results, 'Cash').suggestions).toEqual([expect.objectContaining({
+      type: 'value_correction', target: 'cell', cellIndex: 0, original: '109', suggested: '100', confidence: 0.8, provider: 'lexicon',
+      context: expect.objectContaining({ rule: 'total_does_not_foot', period: '2023', slip: 'misread' })
+    })]);
+    // Receivables would have to change by two digits; the total by one
+    expect(byLabel(results, 'Receivables').suggestions).toEqual([]);
+    expect(byLabel(results, 'Total current assets').suggestions.map(s => s.suggested)).toEqual(['159']);
+  });
+});
+
+describe('suggestCorrections', () => {
+  const { results: lines, ruleSet } = runPipeline(ocrDocument([withRow('Cash', ['Cash', '1O0', '90'])]));
+
+  it('tags suggestions with their provider, best first', () => {
+    const low = { name: 'low', suggest: () => [{ type: 'text_correction', target: 'cell', cellIndex: 0, original: '1O0', suggested: '180', confidence: 0.3, reason: 'guess' }] };
+    const cash = byLabel(suggestCorrections(lines, { correctionProviders: [low, ocrRulesProvider] }), 'Cash');
+    expect(cash.suggestions.map(s => [s.provider, s.suggested])).toEqual([['ocr_rules', '100'], ['low', '180']]);
+  });
+
+  it('reports failing providers and carries on without them', () => {
+    const errors = [];
+    let calls = 0;
+    const broken = { name: 'broken', scope: 'all', suggest: () => { calls++; throw new Error('boom'); } };
+    const results = suggestCorrections(lines, { correctionProviders: [broken, ocrRulesProvider], onProviderError: e => errors.push(e) });
+
+    expect(byLabel(results, 'Cash').suggestions.map(s => s.provider)).toEqual(['ocr_rules']);
+    expect(calls).toBe(3);
+    expect(errors.map(e => e.message)).toEqual(['boom', 'boom', 'boom', 'Skipped for the rest of this run after 3 failures in a row']);
+    expect(errors[0]).toMatchObject({ provider: 'broken', line: { pageNumber: 1 } });
+  });
+
+  it('reports asynchronous providers when run synchronously', async () => {
+    const errors = [];
+    const remote = { name: 'remote', suggest: async () => [] };
+    suggestCorrections(lines, { correctionProviders: [remote], onProviderError: e => errors.push(e) });
+    expect(errors[0].message).toMatch(/runPipelineAsync/);
+
+    const results = await suggestCorrectionsAsync(lines, { correctionProviders: [remote, ocrRulesProvider], onProviderError: e => errors.push(e) });
+    expect(errors).toHaveLength(1);
+    expect(byLabel(results, 'Cash').suggestions.map(s => s.suggested)).toEqual(['100']);
+  });
+
+  it('only asks flagged lines unless a provider wants them all', () => {
+    const asked = [];
+    const recorder = { name: 'recorder', suggest: (line, context) => { asked.push([line.label, context]); return []; } };
+    suggestCorrections(lines, { correctionProviders: [recorder], ruleSet });
+    expect(asked.map(([label]) => label)).toEqual(['Cash']);
+    expect(asked[0][1]).toMatchObject({
+      before: ['Assets', 'Current assets'], after: ['Receivables 50 10', 'Total current assets 150 100'], documentType: 'balance_sheet'
+    });
+    expect(asked[0][1].issues[0]).toMatch(/O, o, l or I/);
+  });
+
+  it('flags and corrects a lowercase o read for 0', () => {
+    const { results } = runPipeline(ocrDocument([withRow('Cash', ['Cash', '1o0', '9o'])]));
+    const cash = byLabel(results, 'Cash');
+    expect(cash.ruleFailures).toContain('suspicious_chars_in_number');
+    expect(cash.suggestions.filter(s => s.provider === 'ocr_rules').map(s => [s.cellIndex, s.suggested])).toEqual([[0, '100'], [1, '90']]);
+  });
+});
+
+describe('OpenAI-compatible provider', () => {
+  let server;
+  let endpoint;
+  beforeAll(async () => {
+    server = createMockLLMServer({ slowMs: 1000 });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    endpoint = `http://127.0.0.1:${server.address().port}/v1`;
+  });
+  afterAll(async () => {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  const run = async (model, options = {}) => {
+    const errors = [];
+    const provider = createOpenAICompatibleProvider({ endpoint, model, timeoutMs: 200, ...options });
+    const { results } = await runPipelineAsync(ocrDocument([withRow('Cash', ['Cash', '1O0', '9O'])]), {
+      correctionProviders: [provider], onProviderError: e => errors.push(e)
+    });
+    return { cash: byLabel(results, 'Cash'), errors };
+  };
+
+  it('turns the reply into suggestions with the prompt as context', async () => {
+    const { cash, errors } = await run('mock');
+    expect(errors).toEqual([]);
+    expect(cash.suggestions.map(s => [s.type, s.cellIndex, s.suggested, s.provider])).toEqual([
+      ['text_correction', 0, '100', 'openai_compatible'],
+      ['text_correction', 1, '90', 'openai_compatible']
+    ]);
+    expect(cash.suggestions[0].confidence).toBe(0.9);
+    expect(JSON.parse(cash.suggestions[0].context.prompt).line.cells.map(c => c.text)).toEqual(['1O0', '9O']);
+    expect(cash.suggestions[0].context.model).toBe('mock');
+  });
+
+  it('reports server errors, bad replies and timeouts without failing the run', async () => {
+    expect((await run('fail')).errors[0].message).toMatch(/^HTTP 500 from http:\/\/127\.0\.0\.1:\d+\/v1\/chat\/completions$/);
+    expect((await run('garbage')).errors[0].message).toBe('Reply is not JSON');
+    const slow = await run('slow');
+    expect(slow.errors[0].message).toBe('No reply within 200 ms');
+    expect(slow.cash.suggestions).toEqual([]);
+  });
+
+  it('needs an endpoint', () => {
+    expect(() => createOpenAICompatibleProvider({})).toThrow('An endpoint URL is required');
+  });
+});
@@ -0,0 +1,181 @@
+// What "Export Results" and the CLI write: the versioned JSON document with its
+// provenance, and the line-item table behind the CSV, XLSX (xlsx.js) and report
+// (report.js) formats.
+
+import { buildStatements } from './fields.js';
+import { summarizeBatch, summarizeDocument } from './batch.js';
+
+export const EXPORT_FORMAT = 'ocr-validation-export';
+export const BATCH_EXPORT_FORMAT = 'ocr-validation-batch';
+// Bumped whenever a field of the export changes meaning or is removed; new fields
+// alone do not bump it. Exports from before versioning have no `format` or `version`.
+export const EXPORT_VERSION = 1;
+// Kept equal to the version in package.json (exports.test.js checks)
+export const PIPELINE_VERSION = '0.1.0';
+
+/**
+ * @typedef {{ source: string, engine: string|null, version: string|null, pages: number[] }} ProvenanceSource
+ * @typedef {{
+ *   file: { name: string|null, size: number|null, sha256: string|null },
+ *   ocr: { language: string|null, languageDetected: boolean, sources: ProvenanceSource[] },
+ *   pipeline: { name: string, version: string }
+ * }} Provenance
+ */
+
+// Hex SHA-256 of a file's bytes, with Web Crypto (browsers and Node 18+)
+export const sha256Hex = async (data) => {
+  const digest = await globalThis.crypto.subtle.digest('SHA-256', data);
+  return [...new Uint8Array(digest)].map(b => b.toString(16).padStart(2, '0')).join('');
+};
+
+/**
+ * Where an export came from: the input file, what read each page and the pipeline
+ * version. `engines` names the engine behind each page source, e.g.
+ * `{ ocr: { name: 'tesseract.js', version: '4.1.4' }, text_layer: { name: 'pdf.js', version: '3.11.174' } }`;
+ * a page read both ways ('text_layer+ocr') is listed under both.
+ *
+ * @param {{ fileName?: string, fileSize?: number, fileHash?: string, ocrData?: import('./schema.js').OCRDocument|null,
+ *   engines?: Object<string, { name: string, version: string }> }} options
+ * @returns {Provenance}
+ */
+export const buildProvenance = ({ fileName = null, fileSize = null, fileHash = null, ocrData = null, engines = {} }) => {
+  const pagesBySource = new Map();
+  for (const page of (ocrData ? ocrData.pages : []).filter(p => p.done !== false)) {
+    for (const source of (page.source || 'ocr').split('+')) {
+      if (!pagesBySource.has(source)) pagesBySource.set(source, []);
+      pagesBySource.get(source).push(page.pageNumber);
+    }
+  }
+  return {
+    file: { name: fileName || (ocrData && ocrData.fileName) || null, size: fileSize, sha256: fileHash },
+    ocr: {
+      language: (ocrData && ocrData.language) || null,
+      languageDetected: Boolean(ocrData && ocrData.languageDetected),
+      sources: [...pagesBySource].map(([source, pages]) => ({
+        source,
+        engine: engines[source] ? engines[source].name : null,
+        version: engines[source] ? engines[source].version : null,
+        pages
+      }))
+    },
+    pipeline: { name: 'ocr-validation-app', version: PIPELINE_VERSION }
+  };
+};
+
+// The document written by "Export Results" in the app and by the CLI. Statements are
+// built from the results as they stand, so review decisions are reflected in them. The
+// scoring profile, when given, records the weights and thresholds the score came from,
+// and a comparison with a reference (compareWithReference) how far the results were off.
+export const buildExport = ({ fileName, validationScore, results, ruleSet, provenance, profile, comparison }) => ({
+  format: EXPORT_FORMAT,
+  version: EXPORT_VERSION,
+  fileName,
+  processedAt: new Date().toISOString(),
+  ...(provenance ? { provenance } : {}),
+  ...(ruleSet ? { ruleSet: { id: ruleSet.id, name: ruleSet.name, documentType: ruleSet.documentType, language: ruleSet.language || 'eng' } } : {}),
+  ...(profile ? { profile } : {}),
+  ...(comparison ? { comparison } : {}),
+  validationScore,
+  statements: buildStatements(results),
+  results
+});
+
+/**
+ * The roll-up written by "Export Batch" and by the CLI for several inputs: totals over
+ * the batch, then each document's summary and, once processed, its buildExport output.
+ *
+ * @param {Array<{ fileName: string, status: string, error?: string|null, results?: object[]|null,
+ *   validationScore?: object|null, ruleSet?: object|null, provenance?: Provenance }>} documents
+ */
+export const buildBatchExport = (documents) => {
+  const summaries = documents.map(summarizeDocument);
+  return {
+    format: BATCH_EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    processedAt: new Date().toISOString(),
+    pipelineVersion: PIPELINE_VERSION,
+    summary: summarizeBatch(summaries),
+    documents: documents.map((document, i) => ({
+      summary: summaries[i],
+      ...(document.results ? { export: buildExport(document) } : {})
+    }))
+  };
+};
+
+const descending = (a, b) => (a < b ? 1 : a > b ? -1 : 0);
+
+/**
+ * One row per result line, in document order, for the CSV and XLSX exports and the
+ * report. Each period gets a value column (newest first); lines without periods put
+ * their amount under `value`. With several documents a `file` column comes first.
+ *
+ * @param {Array<{ fileName?: string, results: object[] }>} documents
+ * @returns {{ columns: Array<{ key: string, header: string, type: 'string'|'number' }>, rows: Array<Array<string|number|null>> }}
+ */
+export const lineItemTable = (documents) => {
+  const periods = [...new Set(documents.flatMap(d => d.results.flatMap(line => Object.keys(line.values || {}))))].sort(descending);
+  const hasUnperiodized = documents.some(d => d.results.some(line => !Object.keys(line.values || {}).length && typeof line.parsedValue === 'number'));
+  const columns = [
+    ...(documents.length > 1 ? [{ key: 'file', header: 'File', type: 'string' }] : []),
+    { key: 'page', header: 'Page', type: 'number' },
+    { key: 'line', header: 'Line', type: 'number' },
+    { key: 'label', header: 'Label', type: 'string' },
+    { key: 'type', header: 'Type', type: 'string' },
+    { key: 'field', header: 'Field', type: 'string' },
+    ...periods.map(period => ({ key: `value:${period}`, header: period, type: 'number' })),
+    ...(hasUnperiodized ? [{ key: 'value', header: 'Value', type: 'number' }] : []),
+    { key: 'scale', header: 'Scale', type: 'number' },
+    { key: 'confidence', header: 'Confidence', type: 'number' },
+    { key: 'status', header: 'Status', type: 'string' },
+    { key: 'review', header: 'Review', type: 'string' },
+    { key: 'ruleFailures', header: 'Rule failures', type: 'string' },
+    { key: 'anomalyScore', header: 'Anomaly score', type: 'number' },
+    { key: 'text', header: 'OCR text', type: 'string' }
+  ];
+
+  const rows = documents.flatMap(({ fileName, results }) => results.map(line => {
+    const values = line.values || {};
+    const cells = {
+      file: fileName || '',
+      page: line.pageNumber ?? null,
+      line: line.id ?? null,
+      label: (line.label || line.normalized || '').toString().trim(),
+      type: line.predictedLabel || '',
+      field: line.field ? line.field.key : '',
+      value: Object.keys(values).length || typeof line.parsedValue !== 'number' ? null : line.parsedValue,
+      scale: line.scale || 1,
+      confidence: typeof line.confidence === 'number' ? Number(line.confidence.toFixed(3)) : null,
+      status: line.status || '',
+      review: line.review ? line.review.decision : '',
+      ruleFailures: (line.ruleFailures || []).join('; '),
+      anomalyScore: typeof line.anomalyScore === 'number' ? Number(line.anomalyScore.toFixed(3)) : null,
+      text: (line.raw || '').toString()
+    };
+    for (const period of periods) cells[`value:${period}`] = period in values ? values[period] : null;
+    return columns.map(column => cells[column.key]);
+  }));
+
+  return { columns, rows };
+};
+
+// Text starting with one of these is taken for a formula by spreadsheet apps
+const FORMULA_START = /^[=+@\t\r]/;
+
+const csvCell = (value) => {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'number') return String(value);
+  const text = FORMULA_START.test(value) ? `'${value}` : value;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * lineItemTable as CSV (RFC 4180, CRLF line ends). Starts with a byte order mark so
+ * spreadsheet apps read it as UTF-8.
+ *
+ * @param {Array<{ fileName?: string, results: object[] }>} documents
+ */
+export const buildCSV = (documents) => {
+  const { columns, rows } = lineItemTable(documents);
+  const lines = [columns.map(c => csvCell(c.header)), ...rows.map(row => row.map(csvCell))];
+  return `\ufeff${lines.map(cells => cells.join(',')).join('\r\n')}\r\n`;
+};
@@ -0,0 +1,81 @@
+import { readFile } from 'node:fs/promises';
+import { describe, expect, it } from 'vitest';
+import { EXPORT_FORMAT, EXPORT_VERSION, PIPELINE_VERSION, buildCSV, buildExport, buildProvenance, lineItemTable, sha256Hex } from './exports.js';
+import { applyReview } from './stages.js';
+import { runPipeline } from './index.js';
+import { BALANCE_SHEET_ROWS, ocrDocument } from './test-fixtures.js';
+
+describe('buildProvenance', () => {
+  it('records the file, the engine behind each page source and the pipeline version', () => {
+    const ocrData = {
+      ...ocrDocument([[['Cash', '1']], [['Cash', '1']], [['Cash', '1']]]),
+      language: 'deu+eng',
+      languageDetected: true
+    };
+    ocrData.pages[0].source = 'text_layer';
+    ocrData.pages[1].source = 'text_layer+ocr';
+    ocrData.pages[2].done = false;
+    const provenance = buildProvenance({
+      fileSize: 10, fileHash: 'ab', ocrData, engines: { ocr: { name: 'tesseract.js', version: '4.1.4' }, text_layer: { name: 'pdf.js', version: '3.11.174' } }
+    });
+    expect(provenance).toEqual({
+      file: { name: 'report.pdf', size: 10, sha256: 'ab' },
+      ocr: {
+        language: 'deu+eng',
+        languageDetected: true,
+        sources: [
+          { source: 'text_layer', engine: 'pdf.js', version: '3.11.174', pages: [1, 2] },
+          { source: 'ocr', engine: 'tesseract.js', version: '4.1.4', pages: [2] }
+        ]
+      },
+      pipeline: { name: 'ocr-validation-app', version: PIPELINE_VERSION }
+    });
+  });
+
+  it('uses the package version as the pipeline version', async () => {
+    const { version } = JSON.parse(await readFile(new URL('../../package.json', import.meta.url), 'utf8'));
+    expect(PIPELINE_VERSION).toBe(version);
+  });
+
+  it('hashes files with SHA-256', async () => {
+    expect(await sha256Hex(new TextEncoder().encode('abc'))).toBe('ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad');
+  });
+});
+
+describe('buildExport', () => {
+  it('carries the export format, its version and the provenance', () => {
+    const provenance = buildProvenance({ fileName: 'a.pdf' });
+    const exported = buildExport({ fileName: 'a.pdf', validationScore: {}, results: [], provenance });
+    expect(exported).toMatchObject({ format: EXPORT_FORMAT, version: EXPORT_VERSION, provenance });
+  });
+});
+
+describe('lineItemTable and buildCSV', () => {
+  const { results } = runPipeline(ocrDocument([BALANCE_SHEET_ROWS]));
+
+  it('has a row per line with a value column per period', () => {
+    const { columns, rows } = lineItemTable([{ fileName: 'a.pdf', results }]);
+    const headers = columns.map(c => c.header);
+    expect(headers.slice(0, 7)).toEqual(['Page', 'Line', 'Label', 'Type', 'Field', '2023', '2022']);
+    expect(rows).toHaveLength(results.length);
+    const cash = Object.fromEntries(headers.map((h, i) => [h, rows.find(r => r[2] === 'Cash')[i]]));
+    expect(cash).toMatchObject({ Page: 1, Field: 'cash_and_equivalents', 2023: 100, 2022: 90, Scale: 1000, Status: 'auto_accept', 'Rule failures': '' });
+  });
+
+  it('adds a file column for several documents', () => {
+    const { columns, rows } = lineItemTable([{ fileName: 'a.pdf', results }, { fileName: 'b.pdf', results: results.slice(0, 1) }]);
+    expect(columns[0].header).toBe('File');
+    expect(rows.at(-1)[0]).toBe('b.pdf');
+  });
+
+  it('quotes CSV cells and keeps text from being read as a formula', () => {
+    const line = { ...results.find(l => l.label === 'Cash'), label: 'Cash, "on hand"' };
+    const reviewed = applyReview({ ...line, id: 99, label: '=1+1', ruleFailures: ['a', 'b'] }, 'rejected');
+    const csv = buildCSV([{ results: [line, reviewed] }]);
+    expect(csv.startsWith('\ufeffPage,Line,Label,')).toBe(true);
+    const [, first, second] = csv.split('\r\n');
+    expect(first).toContain('"Cash, ""on hand"""');
+    expect(second).toContain("'=1+1");
+    expect(second).toContain(',rejected,rejected,a; b,');
+  });
+});
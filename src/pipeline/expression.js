@@ -0,0 +1,177 @@
+// A small expression language for validation rules. Rule files come from users, so
+// expressions are parsed and evaluated here rather than handed to `eval`.
+//
+//   numbers, 'strings', true, false, null, names with dotted paths (values.2023)
+//   ?? || && == != < <= > >= + - * / %, unary ! and -, parentheses
+//   abs(x), min(a, b, ...), max(a, b, ...), round(x, digits)
+//
+// A missing name is null, and null propagates through arithmetic and comparisons, so
+// an expression over a field the document does not have evaluates to null ("does not
+// apply") instead of failing.
+
+// Each function with the fewest and most arguments it takes
+const FUNCTIONS = {
+  abs: { arity: [1, 1], call: (x) => Math.abs(x) },
+  min: { arity: [2, Infinity], call: (...xs) => Math.min(...xs) },
+  max: { arity: [2, Infinity], call: (...xs) => Math.max(...xs) },
+  round: { arity: [1, 2], call: (x, digits = 0) => Math.round(x * 10 ** digits) / 10 ** digits }
+};
+
+const describeArity = ([fewest, most]) => {
+  if (fewest === most) return `${fewest} argument${fewest === 1 ? '' : 's'}`;
+  return most === Infinity ? `at least ${fewest} arguments` : `${fewest} to ${most} arguments`;
+};
+
+const BINARY_PRECEDENCE = [['??'], ['||'], ['&&'], ['==', '!='], ['<', '<=', '>', '>='], ['+', '-'], ['*', '/', '%']];
+
+const tokenize = (source) => {
+  const pattern = /\s*(?:(\d+(?:\.\d+)?)|('(?:[^'\\]|\\.)*'|"(?:[^"\\]|\\.)*")|([A-Za-z_$][\w$]*(?:\.[\w$]+)*)|(\?\?|\|\||&&|==|!=|<=|>=|[-+*/%<>!(),]))/y;
+  const tokens = [];
+  let position = 0;
+  while (position < source.length) {
+    if (/^\s*$/.test(source.slice(position))) break;
+    pattern.lastIndex = position;
+    const match = pattern.exec(source);
+    if (!match) throw new Error(`Unexpected character at ${position + 1} in "${source}"`);
+    const [, number, string, name, operator] = match;
+    if (number !== undefined) tokens.push({ type: 'literal', value: Number(number) });
+    else if (string !== undefined) tokens.push({ type: 'literal', value: string.slice(1, -1).replace(/\\(.)/g, '$1') });
+    else if (name === 'true' || name === 'false') tokens.push({ type: 'literal', value: name === 'true' });
+    else if (name === 'null') tokens.push({ type: 'literal', value: null });
+    else if (name !== undefined) tokens.push({ type: 'name', value: name });
+    else tokens.push({ type: 'operator', value: operator });
+    position = pattern.lastIndex;
+  }
+  return tokens;
+};
+
+const parse = (source) => {
+  const tokens = tokenize(source);
+  let index = 0;
+  const peek = () => tokens[index];
+  const isOperator = (value) => peek() && peek().type === 'operator' && peek().value === value;
+  const expect = (value) => {
+    if (!isOperator(value)) throw new Error(`Expected "${value}" in "${source}"`);
+    index++;
+  };
+
+  const parseBinary = (level) => {
+    if (level === BINARY_PRECEDENCE.length) return parseUnary();
+    let left = parseBinary(level + 1);
+    while (peek() && peek().type === 'operator' && BINARY_PRECEDENCE[level].includes(peek().value)) {
+      const operator = tokens[index++].value;
+      left = { type: 'binary', operator, left, right: parseBinary(level + 1) };
+    }
+    return left;
+  };
+
+  const parseUnary = () => {
+    if (isOperator('!') || isOperator('-')) {
+      const operator = tokens[index++].value;
+      return { type: 'unary', operator, operand: parseUnary() };
+    }
+    return parsePrimary();
+  };
+
+  const parsePrimary = () => {
+    const token = tokens[index++];
+    if (!token) throw new Error(`Unexpected end of "${source}"`);
+    if (token.type === 'literal') return token;
+    if (token.type === 'name') {
+      if (!isOperator('(')) return token;
+      if (!Object.hasOwn(FUNCTIONS, token.value)) throw new Error(`Unknown function ${token.value}() in "${source}"`);
+      index++;
+      const args = [];
+      while (!isOperator(')')) {
+        if (args.length > 0) expect(',');
+        args.push(parseBinary(0));
+      }
+      index++;
+      const [fewest, most] = FUNCTIONS[token.value].arity;
+      if (args.length < fewest || args.length > most) {
+        throw new Error(`${token.value}() takes ${describeArity(FUNCTIONS[token.value].arity)}, got ${args.length} in "${source}"`);
+      }
+      return { type: 'call', name: token.value, args };
+    }
+    if (token.value === '(') {
+      const inner = parseBinary(0);
+      expect(')');
+      return inner;
+    }
+    throw new Error(`Unexpected "${token.value}" in "${source}"`);
+  };
+
+  const ast = parseBinary(0);
+  if (index < tokens.length) throw new Error(`Unexpected "${tokens[index].value}" in "${source}"`);
+  return ast;
+};
+
+const lookup = (scope, path) => {
+  let value = scope;
+  for (const key of path.split('.')) {
+    if (value === null || value === undefined || !Object.hasOwn(Object(value), key)) return null;
+    value = value[key];
+  }
+  return value === undefined ? null : value;
+};
+
+const evaluate = (node, scope) => {
+  switch (node.type) {
+    case 'literal': return node.value;
+    case 'name': return lookup(scope, node.value);
+    case 'call': {
+      const args = node.args.map(arg => evaluate(arg, scope));
+      return args.some(a => a === null) ? null : FUNCTIONS[node.name].call(...args);
+    }
+    case 'unary': {
+      const operand = evaluate(node.operand, scope);
+      if (operand === null) return null;
+      return node.operator === '!' ? !operand : -operand;
+    }
+    default: {
+      const left = evaluate(node.left, scope);
+      if (node.operator === '??') return left !== null ? left : evaluate(node.right, scope);
+      if (node.operator === '||') return left ? left : evaluate(node.right, scope);
+      if (node.operator === '&&') return left === null || !left ? left : evaluate(node.right, scope);
+      const right = evaluate(node.right, scope);
+      if (left === null || right === null) return null;
+      switch (node.operator) {
+        case '==': return left === right;
+        case '!=': return left !== right;
+        case '<': return left < right;
+        case '<=': return left <= right;
+        case '>': return left > right;
+        case '>=': return left >= right;
+        case '+': return left + right;
+        case '-': return left - right;
+        case '*': return left * right;
+        case '/': return right === 0 ? null : left / right;
+        default: return right === 0 ? null : left % right;
+      }
+    }
+  }
+};
+
+const namesIn = (node) => {
+  if (node.type === 'name') return [node.value];
+  if (node.type === 'call') return node.args.flatMap(namesIn);
+  if (node.type === 'unary') return namesIn(node.operand);
+  if (node.type === 'binary') return [...namesIn(node.left), ...namesIn(node.right)];
+  return [];
+};
+
+/**
+ * Parse an expression once for repeated evaluation. Throws on syntax errors.
+ *
+ * @param {string} source
+ * @returns {{ source: string, names: string[], evaluate: (scope: object) => any }}
+ *   `names` lists the top-level names the expression reads ("values" for values.2023)
+ */
+export const compileExpression = (source) => {
+  const ast = parse(String(source));
+  return {
+    source: String(source),
+    names: [...new Set(namesIn(ast).map(name => name.split('.')[0]))],
+    evaluate: (scope) => evaluate(ast, scope)
+  };
+};
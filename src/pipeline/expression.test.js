@@ -0,0 +1,52 @@
+import { describe, expect, it } from 'vitest';
+import { compileExpression } from './expression.js';
+
+const run = (source, scope = {}) => compileExpression(source).evaluate(scope);
+
+describe('compileExpression', () => {
+  it('follows arithmetic and logical precedence', () => {
+    expect(run('1 + 2 * 3')).toBe(7);
+    expect(run('(1 + 2) * 3')).toBe(9);
+    expect(run('-2 + 5 > 2 && !false')).toBe(true);
+    expect(run("'a' == 'a' || 1 / 0")).toBe(true);
+  });
+
+  it('reads dotted paths and calls functions', () => {
+    const scope = { values: { 2023: 110, 2022: -100 }, label: 'Cash' };
+    expect(run('values.2023 + abs(values.2022)', scope)).toBe(210);
+    expect(run('max(values.2023, 200, 5)', scope)).toBe(200);
+    expect(run('round(10 / 3, 2)')).toBe(3.33);
+    expect(run('label != "Cash"', scope)).toBe(false);
+  });
+
+  it('treats missing names as null and propagates them', () => {
+    expect(run('a + 1')).toBeNull();
+    expect(run('a == 1')).toBeNull();
+    expect(run('abs(a)')).toBeNull();
+    expect(run('a ?? b + 2', { b: 1 })).toBe(3);
+    expect(run('a ?? 5', { a: 0 })).toBe(0);
+    expect(run('constructor')).toBeNull();
+    expect(run('label.toString', { label: 'Cash' })).toBeNull();
+  });
+
+  it('lists the top-level names it reads', () => {
+    expect(compileExpression('assets == liabilities + abs(values.2023)').names).toEqual(['assets', 'liabilities', 'values']);
+  });
+
+  it('rejects syntax errors and unknown functions', () => {
+    expect(() => compileExpression('1 +')).toThrow('Unexpected end');
+    expect(() => compileExpression('a = 1')).toThrow('Unexpected character');
+    expect(() => compileExpression('(1')).toThrow('Expected ")"');
+    expect(() => compileExpression('eval(1)')).toThrow('Unknown function eval()');
+    expect(() => compileExpression('constructor()')).toThrow('Unknown function constructor()');
+    expect(() => compileExpression('toString(1)')).toThrow('Unknown function toString()');
+  });
+
+  it('rejects calls with the wrong number of arguments', () => {
+    expect(() => compileExpression('abs()')).toThrow('abs() takes 1 argument, got 0');
+    expect(() => compileExpression('abs(1, 2)')).toThrow('abs() takes 1 argument, got 2');
+    expect(() => compileExpression('min(x)')).toThrow('min() takes at least 2 arguments, got 1');
+    expect(() => compileExpression('round(1, 2, 3)')).toThrow('round() takes 1 to 2 arguments, got 3');
+    expect(run('round(2.5) + max(1, 2, 3)')).toBe(6);
+  });
+});
@@ -0,0 +1,85 @@
+// Review decisions kept as labelled training data for the models in classifier.js.
+
+const FEEDBACK_FORMAT = 'ocr-validation-feedback';
+const FEEDBACK_VERSION = 1;
+
+/**
+ * A training example from a reviewed line (one that went through applyReview).
+ * `label` is the label the reviewer confirmed or set, null for rejected lines;
+ * `isError` is whether the reviewer found the line's text or values wrong.
+ *
+ * @param {object} line
+ * @param {string} [documentName]
+ */
+export const feedbackExample = (line, documentName = '') => {
+  const { review } = line;
+  const textChanged = review.decision !== 'accepted' && review.decision !== 'rejected'
+    && (review.original.normalized !== line.normalized || JSON.stringify(review.original.values) !== JSON.stringify(line.values));
+  return {
+    id: `${documentName}#${line.pageNumber}-${line.id}`,
+    document: documentName,
+    pageNumber: line.pageNumber,
+    lineId: line.id,
+    decision: review.decision,
+    reviewedAt: review.reviewedAt,
+    text: (line.label || line.normalized || '').toString(),
+    valueCount: Object.keys(line.values || {}).length,
+    machineLabel: review.original.predictedLabel ?? line.predictedLabel,
+    label: review.decision === 'rejected' ? null : line.predictedLabel,
+    anomalyFeatures: line.anomalyFeatures || null,
+    machineAnomaly: Boolean(line.isAnomaly),
+    isError: review.decision === 'rejected' || textChanged
+  };
+};
+
+/**
+ * Feedback examples persisted in a Storage-like object (`getItem`/`setItem`, such as
+ * window.localStorage). A line reviewed again replaces its earlier example.
+ *
+ * @param {{ getItem: (key: string) => string|null, setItem: (key: string, value: string) => void }} storage
+ * @param {string} [key]
+ */
+export const createFeedbackStore = (storage, key = 'ocr-validation-feedback') => {
+  const read = () => {
+    try {
+      const data = JSON.parse(storage.getItem(key) || '[]');
+      return Array.isArray(data) ? data : [];
+    } catch (err) {
+      return [];
+    }
+  };
+  const write = (examples) => storage.setItem(key, JSON.stringify(examples));
+
+  const add = (examples) => {
+    const byId = new Map(read().map(e => [e.id, e]));
+    for (const example of examples) byId.set(example.id, example);
+    write([...byId.values()]);
+    return byId.size;
+  };
+
+  return {
+    all: read,
+    add,
+    clear: () => write([]),
+    export: () => JSON.stringify({ format: FEEDBACK_FORMAT, version: FEEDBACK_VERSION, exportedAt: new Date().toISOString(), examples: read() }, null, 2),
+    // Merges an exported file into the store; returns how many examples it held
+    import: (text) => {
+      const data = JSON.parse(text);
+      if (!data || data.format !== FEEDBACK_FORMAT || !Array.isArray(data.examples)) {
+        throw new Error('Not a feedback export');
+      }
+      if (data.version > FEEDBACK_VERSION) throw new Error(`Feedback export version ${data.version} is newer than this app supports`);
+      add(data.examples.filter(e => e && e.id));
+      return data.examples.length;
+    }
+  };
+};
+
+// A Storage-like object kept in memory, for Node and tests
+export const memoryStorage = () => {
+  const items = new Map();
+  return {
+    getItem: (k) => (items.has(k) ? items.get(k) : null),
+    setItem: (k, v) => { items.set(k, String(v)); }
+  };
+};
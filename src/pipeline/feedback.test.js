@@ -0,0 +1,59 @@
+import { describe, expect, it } from 'vitest';
+import { createFeedbackStore, feedbackExample, memoryStorage } from './feedback.js';
+import { applyReview } from './stages.js';
+
+const line = {
+  id: 4,
+  pageNumber: 2,
+  label: 'Cash',
+  normalized: 'Cash 100',
+  values: { 2023: 100 },
+  cells: [{ raw: '100', normalized: '100', parsedValue: 100, period: '2023' }],
+  currentPeriod: '2023',
+  predictedLabel: 'line_item',
+  isAnomaly: true,
+  anomalyFeatures: { lowConfidence: 1 },
+  status: 'quick_review'
+};
+
+describe('feedbackExample', () => {
+  it('records what the reviewer confirmed or changed', () => {
+    const accepted = feedbackExample(applyReview(line, 'accepted'), 'report.pdf');
+    expect(accepted).toMatchObject({
+      id: 'report.pdf#2-4', decision: 'accepted', text: 'Cash', valueCount: 1,
+      machineLabel: 'line_item', label: 'line_item', machineAnomaly: true, isError: false, anomalyFeatures: { lowConfidence: 1 }
+    });
+    expect(feedbackExample(applyReview(line, 'rejected'))).toMatchObject({ label: null, isError: true });
+    expect(feedbackExample(applyReview(line, 'edited', { cells: ['110'] }))).toMatchObject({ isError: true });
+
+    const relabelled = feedbackExample(applyReview(line, 'edited', { predictedLabel: 'total' }));
+    expect(relabelled).toMatchObject({ machineLabel: 'line_item', label: 'total', isError: false });
+  });
+});
+
+describe('createFeedbackStore', () => {
+  it('keeps one example per line and round-trips through export', () => {
+    const store = createFeedbackStore(memoryStorage());
+    store.add([feedbackExample(applyReview(line, 'accepted'), 'a.pdf')]);
+    store.add([feedbackExample(applyReview(line, 'rejected'), 'a.pdf'), feedbackExample(applyReview(line, 'accepted'), 'b.pdf')]);
+    expect(store.all().map(e => [e.id, e.decision])).toEqual([['a.pdf#2-4', 'rejected'], ['b.pdf#2-4', 'accepted']]);
+
+    const other = createFeedbackStore(memoryStorage());
+    expect(other.import(store.export())).toBe(2);
+    expect(other.all()).toEqual(store.all());
+    other.clear();
+    expect(other.all()).toEqual([]);
+  });
+
+  it('rejects files that are not feedback exports', () => {
+    const store = createFeedbackStore(memoryStorage());
+    expect(() => store.import('{"examples": []}')).toThrow('Not a feedback export');
+    expect(() => store.import(JSON.stringify({ format: 'ocr-validation-feedback', version: 99, examples: [] }))).toThrow('newer');
+  });
+
+  it('survives corrupt storage', () => {
+    const storage = memoryStorage();
+    storage.setItem('ocr-validation-feedback', '{oops');
+    expect(createFeedbackStore(storage).all()).toEqual([]);
+  });
+});
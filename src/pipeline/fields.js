@@ -0,0 +1,346 @@
+// Field mapping: names the lines of a statement with canonical fields (cash_and_equivalents,
+// total_current_assets, net_income, ...) and builds a structured statement per type.
+// A line label matches a field through its synonyms, exactly or fuzzily (OCR misspellings,
+// word order, extra words such as "net"), weighted by where the line sits in the statement.
+// The schemas are English; the vocabularies in languages.js add each language's headings,
+// sections and field names to them.
+
+import { LANGUAGES, TOTAL_WORDS, foldAccents } from './languages.js';
+
+/**
+ * @typedef {object} CanonicalField
+ * @property {string} key
+ * @property {string} label       Also matched as a synonym
+ * @property {string|null} section  Where the field belongs (see SECTION_PARENTS); null for anywhere
+ * @property {string[]} synonyms
+ *
+ * @typedef {object} StatementSchema
+ * @property {string} name
+ * @property {string} heading     Pattern for the statement's heading
+ * @property {Array<{ section: string, pattern: string }>} sections
+ *   Headings that open a section, tried in order
+ * @property {CanonicalField[]} fields
+ */
+
+const field = (key, label, section, synonyms = []) => ({ key, label, section, synonyms });
+
+/** @type {Object<string, StatementSchema>} */
+export const STATEMENT_SCHEMAS = {
+  balance_sheet: {
+    name: 'Balance sheet',
+    heading: 'balance\\s+sheets?|statements?\\s+of\\s+financial\\s+position',
+    sections: [
+      { section: 'noncurrent_assets', pattern: '^(non-?\\s?current|long-?\\s?term)\\s+assets' },
+      { section: 'current_assets', pattern: '^current\\s+assets' },
+      { section: 'assets', pattern: '^assets' },
+      { section: 'noncurrent_liabilities', pattern: '^(non-?\\s?current|long-?\\s?term)\\s+liabilities' },
+      { section: 'current_liabilities', pattern: '^current\\s+liabilities' },
+      { section: 'liabilities', pattern: '^liabilities' },
+      { section: 'equity', pattern: "equity|shareholders'?|stockholders'?" }
+    ],
+    fields: [
+      field('cash_and_equivalents', 'Cash and cash equivalents', 'current_assets', ['cash', 'cash and equivalents', 'cash and bank balances', 'cash at bank and in hand']),
+      field('short_term_investments', 'Short-term investments', 'current_assets', ['marketable securities', 'short term deposits']),
+      field('accounts_receivable', 'Accounts receivable', 'current_assets', ['receivables', 'trade receivables', 'trade and other receivables', 'accounts receivable net']),
+      field('inventory', 'Inventory', 'current_assets', ['inventories', 'stock', 'stocks']),
+      field('prepaid_expenses', 'Prepaid expenses', 'current_assets', ['prepayments', 'prepaid expenses and other current assets']),
+      field('other_current_assets', 'Other current assets', 'current_assets'),
+      field('total_current_assets', 'Total current assets', 'current_assets'),
+      field('property_plant_equipment', 'Property, plant and equipment', 'noncurrent_assets', ['property', 'property and equipment', 'property and equipment net', 'fixed assets', 'ppe']),
+      field('intangible_assets', 'Intangible assets', 'noncurrent_assets', ['intangibles', 'other intangible assets']),
+      field('goodwill', 'Goodwill', 'noncurrent_assets'),
+      field('long_term_investments', 'Long-term investments', 'noncurrent_assets', ['investments', 'investments in associates']),
+      field('other_noncurrent_assets', 'Other non-current assets', 'noncurrent_assets', ['other assets', 'other long term assets']),
+      field('total_noncurrent_assets', 'Total non-current assets', 'noncurrent_assets', ['total long term assets']),
+      field('total_assets', 'Total assets', 'assets'),
+      field('accounts_payable', 'Accounts payable', 'current_liabilities', ['payables', 'trade payables', 'trade and other payables']),
+      field('accrued_liabilities', 'Accrued liabilities', 'current_liabilities', ['accrued expenses', 'accruals']),
+      field('short_term_debt', 'Short-term debt', 'current_liabilities', ['short term borrowings', 'current portion of long term debt', 'notes payable']),
+      field('deferred_revenue', 'Deferred revenue', 'current_liabilities', ['unearned revenue', 'contract liabilities']),
+      field('other_current_liabilities', 'Other current liabilities', 'current_liabilities'),
+      field('total_current_liabilities', 'Total current liabilities', 'current_liabilities'),
+      field('long_term_debt', 'Long-term debt', 'noncurrent_liabilities', ['long term borrowings', 'bonds payable', 'notes due']),
+      field('deferred_tax_liabilities', 'Deferred tax liabilities', 'noncurrent_liabilities', ['deferred income taxes']),
+      field('other_noncurrent_liabilities', 'Other non-current liabilities', 'noncurrent_liabilities', ['other long term liabilities']),
+      field('total_noncurrent_liabilities', 'Total non-current liabilities', 'noncurrent_liabilities', ['total long term liabilities']),
+      field('total_liabilities', 'Total liabilities', 'liabilities'),
+      field('common_stock', 'Common stock', 'equity', ['share capital', 'ordinary shares', 'capital stock']),
+      field('additional_paid_in_capital', 'Additional paid-in capital', 'equity', ['share premium', 'capital surplus']),
+      field('retained_earnings', 'Retained earnings', 'equity', ['accumulated deficit', 'retained profits']),
+      field('treasury_stock', 'Treasury stock', 'equity', ['treasury shares']),
+      field('accumulated_other_comprehensive_income', 'Accumulated other comprehensive income', 'equity', ['accumulated other comprehensive loss', 'other reserves']),
+      field('total_equity', 'Total equity', 'equity', ["total shareholders' equity", "total stockholders' equity"]),
+      field('total_liabilities_and_equity', 'Total liabilities and equity', null, ["total liabilities and shareholders' equity", "total liabilities and stockholders' equity"])
+    ]
+  },
+  income_statement: {
+    name: 'Income statement',
+    heading: 'income\\s+statements?|statements?\\s+of\\s+(operations|income|comprehensive\\s+income|profit\\s+or\\s+loss)|profit\\s+and\\s+loss',
+    sections: [
+      { section: 'revenue', pattern: '^(revenues?|net\\s+sales)$' },
+      { section: 'expenses', pattern: '^(operating\\s+)?(costs\\s+and\\s+)?expenses$' }
+    ],
+    fields: [
+      field('revenue', 'Revenue', null, ['revenues', 'total revenue', 'net revenue', 'net sales', 'sales', 'turnover']),
+      field('cost_of_revenue', 'Cost of revenue', null, ['cost of sales', 'cost of goods sold', 'cost of revenues']),
+      field('gross_profit', 'Gross profit', null, ['gross margin']),
+      field('selling_general_administrative', 'Selling, general and administrative', 'expenses', ['sg&a', 'selling general and administrative expenses', 'administrative expenses']),
+      field('research_and_development', 'Research and development', 'expenses', ['research and development expenses']),
+      field('depreciation_and_amortization', 'Depreciation and amortization', 'expenses'),
+      field('operating_expenses', 'Total operating expenses', 'expenses', ['operating expenses', 'total expenses', 'total costs and expenses']),
+      field('operating_income', 'Operating income', null, ['income from operations', 'operating profit', 'operating loss']),
+      field('interest_expense', 'Interest expense', null, ['finance costs', 'interest expense net']),
+      field('other_income', 'Other income', null, ['other income net', 'other income expense net', 'non operating income']),
+      field('income_before_tax', 'Income before income taxes', null, ['income before tax', 'profit before tax', 'pretax income', 'earnings before income taxes']),
+      field('income_tax_expense', 'Income tax expense', null, ['provision for income taxes', 'income taxes', 'income tax']),
+      field('net_income', 'Net income', null, ['net profit', 'net earnings', 'profit for the year', 'net loss']),
+      field('eps_basic', 'Basic earnings per share', null, ['earnings per share basic', 'basic']),
+      field('eps_diluted', 'Diluted earnings per share', null, ['earnings per share diluted', 'diluted'])
+    ]
+  },
+  cash_flow: {
+    name: 'Cash flow statement',
+    heading: 'statements?\\s+of\\s+cash\\s+flows?|cash\\s+flows?\\s+statements?',
+    sections: [
+      { section: 'operating', pattern: 'operating\\s+activities' },
+      { section: 'investing', pattern: 'investing\\s+activities' },
+      { section: 'financing', pattern: 'financing\\s+activities' }
+    ],
+    fields: [
+      field('net_income', 'Net income', 'operating', ['net profit', 'net earnings', 'profit for the year']),
+      field('depreciation_and_amortization', 'Depreciation and amortization', 'operating', ['depreciation']),
+      field('stock_based_compensation', 'Stock-based compensation', 'operating', ['share based compensation', 'share based payments']),
+      field('net_cash_from_operating', 'Net cash provided by operating activities', 'operating', ['net cash from operating activities', 'cash generated from operations', 'net cash used in operating activities']),
+      field('capital_expenditures', 'Capital expenditures', 'investing', ['purchases of property and equipment', 'purchase of property plant and equipment']),
+      field('acquisitions', 'Acquisitions, net of cash acquired', 'investing', ['acquisitions', 'acquisition of subsidiaries']),
+      field('net_cash_from_investing', 'Net cash used in investing activities', 'investing', ['net cash from investing activities', 'net cash provided by investing activities']),
+      field('debt_issued', 'Proceeds from borrowings', 'financing', ['proceeds from issuance of debt', 'proceeds from long term debt']),
+      field('debt_repaid', 'Repayments of borrowings', 'financing', ['repayments of debt', 'repayment of long term debt']),
+      field('dividends_paid', 'Dividends paid', 'financing'),
+      field('share_repurchases', 'Repurchases of common stock', 'financing', ['purchases of treasury stock', 'share buyback']),
+      field('net_cash_from_financing', 'Net cash used in financing activities', 'financing', ['net cash from financing activities', 'net cash provided by financing activities']),
+      field('net_change_in_cash', 'Net increase in cash and cash equivalents', null, ['net change in cash', 'net decrease in cash and cash equivalents', 'net increase decrease in cash and cash equivalents']),
+      field('cash_beginning', 'Cash at beginning of period', null, ['cash and cash equivalents at beginning of year', 'cash at beginning of year']),
+      field('cash_end', 'Cash at end of period', null, ['cash and cash equivalents at end of year', 'cash at end of year'])
+    ]
+  }
+};
+
+// A line in a sub-section also sits in its parent section
+const SECTION_PARENTS = {
+  current_assets: 'assets',
+  noncurrent_assets: 'assets',
+  current_liabilities: 'liabilities',
+  noncurrent_liabilities: 'liabilities'
+};
+
+// Totals that close a section, leaving the lines after them in the next one
+const SECTION_AFTER_TOTAL = {
+  current_assets: 'noncurrent_assets',
+  current_liabilities: 'noncurrent_liabilities'
+};
+
+const MATCH_THRESHOLD = 0.8;
+
+// Lowercase words without accents ("Vorräte" and an OCR's "Vorrate" read the same)
+export const normalizeLabel = (text) => foldAccents(text)
+  .replace(/&/g, ' and ')
+  .replace(/\([^)]*\)/g, ' ')
+  .replace(/[^a-z0-9]+/g, ' ')
+  .trim();
+
+const editDistance = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+const ratio = (a, b) => (a === b ? 1 : 1 - editDistance(a, b) / Math.max(a.length, b.length, 1));
+
+/**
+ * How alike two labels are, 0–1: the better of a character-level score (OCR misreads)
+ * and a word-overlap score (reordered or extra words), on normalized text.
+ */
+export const labelSimilarity = (a, b) => {
+  const left = normalizeLabel(a);
+  const right = normalizeLabel(b);
+  if (!left || !right) return 0;
+  if (left === right) return 1;
+
+  const leftWords = left.split(' ');
+  const rightWords = right.split(' ');
+  const sameWord = (x, y) => x === y || (x.length >= 5 && y.length >= 5 && ratio(x, y) >= 0.8);
+  const shared = leftWords.filter(w => rightWords.some(r => sameWord(w, r))).length;
+  const overlap = (2 * shared) / (leftWords.length + rightWords.length);
+  // Misreads keep the length about the same; skip the edit distance when it cannot match
+  const closeInLength = Math.abs(left.length - right.length) <= Math.max(left.length, right.length) * (1 - MATCH_THRESHOLD);
+  return Math.max(closeInLength ? ratio(left, right) : 0, overlap * 0.95);
+};
+
+/**
+ * STATEMENT_SCHEMAS with the headings, sections and field names of `languages` added.
+ * English is always included.
+ *
+ * @param {string[]} [languages]
+ * @returns {Object<string, StatementSchema>}
+ */
+export const schemasFor = (languages = []) => Object.fromEntries(Object.entries(STATEMENT_SCHEMAS).map(([type, schema]) => {
+  const vocabularies = languages.map(code => LANGUAGES[code] && LANGUAGES[code].statements && LANGUAGES[code].statements[type]).filter(Boolean);
+  return [type, {
+    ...schema,
+    heading: [schema.heading, ...vocabularies.map(v => v.heading)].join('|'),
+    sections: [...schema.sections, ...vocabularies.flatMap(v => v.sections)],
+    fields: schema.fields.map(canonical => ({
+      ...canonical,
+      synonyms: [...canonical.synonyms, ...vocabularies.flatMap(v => v.synonyms[canonical.key] || [])]
+    }))
+  }];
+}));
+
+// Schemas and their patterns, built once per combination of languages
+const compiledSchemas = new Map();
+const compileSchemas = (languages) => {
+  const key = languages.join('+');
+  if (!compiledSchemas.has(key)) {
+    const schemas = schemasFor(languages);
+    compiledSchemas.set(key, {
+      schemas,
+      patterns: Object.fromEntries(Object.entries(schemas).map(([type, schema]) => [type, {
+        heading: new RegExp(schema.heading, 'i'),
+        sections: schema.sections.map(s => ({ section: s.section, pattern: new RegExp(s.pattern, 'i') }))
+      }]))
+    });
+  }
+  return compiledSchemas.get(key);
+};
+
+// A total line opens with a total word in any language ("Total", "Summe")
+const TOTAL_PREFIX = new RegExp(`^(${TOTAL_WORDS})\\s+`, 'i');
+
+const textOf = (line) => (line.label || line.normalized || '').toString().trim();
+const hasValues = (line) => line.valueType === 'numeric' && line.predictedLabel !== 'date';
+
+// Statement type and section for every line, from the headings above it
+const statementContext = (lines, fallbackType, patterns) => {
+  let type = fallbackType;
+  let section = null;
+  return lines.map(line => {
+    const text = textOf(line);
+    if (!hasValues(line) && text) {
+      const heading = Object.entries(patterns).find(([, schema]) => schema.heading.test(text));
+      if (heading) {
+        type = heading[0];
+        section = null;
+        return { type, section };
+      }
+      const opened = patterns[type].sections.find(s => s.pattern.test(text));
+      if (opened) section = opened.section;
+    }
+    const context = { type, section };
+    if (hasValues(line) && TOTAL_PREFIX.test(text) && SECTION_AFTER_TOTAL[section]) {
+      const closed = patterns[type].sections.filter(s => s.section === section);
+      if (closed.some(s => s.pattern.test(text.replace(TOTAL_PREFIX, '')))) section = SECTION_AFTER_TOTAL[section];
+    }
+    return context;
+  });
+};
+
+// A field in the line's section, or in a section nested with it ("Payables" under a
+// plain "Liabilities" heading), keeps its score; one from another section is unlikely,
+// and with no section known there is little to go on
+const contextWeight = (fieldSection, lineSection) => {
+  if (!fieldSection) return 1;
+  if (!lineSection) return 0.95;
+  if (fieldSection === lineSection || SECTION_PARENTS[lineSection] === fieldSection || SECTION_PARENTS[fieldSection] === lineSection) return 1;
+  return 0.7;
+};
+
+/**
+ * Pipeline stage: add `field` to every line, the canonical field it reports or null.
+ * Each field goes to at most one line per statement type, the best-scoring one.
+ * Lines before any statement heading count as the rule set's document type. Labels are
+ * matched in English and in the document's `languages`.
+ *
+ * @param {object[]} lines
+ * @param {{ ruleSet?: { documentType: string }, languages?: string[] }} [options]
+ */
+export const mapFields = (lines, options = {}) => {
+  const documentType = options.ruleSet && options.ruleSet.documentType;
+  const { schemas, patterns } = compileSchemas(options.languages || []);
+  const contexts = statementContext(lines, documentType in STATEMENT_SCHEMAS ? documentType : 'balance_sheet', patterns);
+
+  const candidates = [];
+  lines.forEach((line, index) => {
+    if (!hasValues(line)) return;
+    const text = textOf(line);
+    const { type, section } = contexts[index];
+    for (const canonical of schemas[type].fields) {
+      const similarity = Math.max(...[canonical.label, ...canonical.synonyms].map(s => labelSimilarity(text, s)));
+      const score = similarity * contextWeight(canonical.section, section);
+      if (score >= MATCH_THRESHOLD) candidates.push({ index, type, canonical, score });
+    }
+  });
+
+  // Best matches first; earlier lines win ties
+  candidates.sort((a, b) => b.score - a.score || a.index - b.index);
+  const byIndex = new Map();
+  const taken = new Set();
+  for (const candidate of candidates) {
+    const fieldId = `${candidate.type}.${candidate.canonical.key}`;
+    if (byIndex.has(candidate.index) || taken.has(fieldId)) continue;
+    byIndex.set(candidate.index, candidate);
+    taken.add(fieldId);
+  }
+
+  return lines.map((line, index) => {
+    const match = byIndex.get(index);
+    return {
+      ...line,
+      field: match
+        ? { key: match.canonical.key, label: match.canonical.label, statement: match.type, score: Number(match.score.toFixed(3)) }
+        : null
+    };
+  });
+};
+
+/**
+ * One structured statement per type found, from lines carrying a `field`. Rejected lines
+ * are left out. A field's confidence is its match score times the line's OCR confidence
+ * (1 once a reviewer has accepted or corrected it).
+ *
+ * @returns {Object<string, { name: string, periods: string[], scale: number, fields: Object<string, {
+ *   label: string, values: Object<string, number>, confidence: number,
+ *   source: { pageNumber: number, id: number, text: string, bbox?: number[] }
+ * }> }>}
+ */
+export const buildStatements = (lines) => {
+  const statements = {};
+  for (const line of lines) {
+    if (!line.field || line.status === 'rejected') continue;
+    const { statement, key, label, score } = line.field;
+    if (!statements[statement]) {
+      statements[statement] = { name: STATEMENT_SCHEMAS[statement].name, periods: [], scale: line.scale || 1, fields: {} };
+    }
+    const verified = line.status === 'accepted' || line.status === 'corrected';
+    const values = line.values && Object.keys(line.values).length
+      ? line.values
+      : line.parsedValue !== null && line.parsedValue !== undefined ? { value: line.parsedValue } : {};
+    statements[statement].fields[key] = {
+      label,
+      values,
+      confidence: Number((score * (verified ? 1 : line.confidence ?? 1)).toFixed(3)),
+      source: { pageNumber: line.pageNumber, id: line.id, text: textOf(line), ...(line.bbox ? { bbox: line.bbox } : {}) }
+    };
+    for (const period of Object.keys(values)) {
+      if (!statements[statement].periods.includes(period)) statements[statement].periods.push(period);
+    }
+  }
+  for (const statement of Object.values(statements)) statement.periods.sort().reverse();
+  return statements;
+};
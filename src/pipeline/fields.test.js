@@ -0,0 +1,120 @@
+import { describe, expect, it } from 'vitest';
+import { buildStatements, labelSimilarity, mapFields, normalizeLabel } from './fields.js';
+import { runPipeline } from './index.js';
+import { BALANCE_SHEET_ROWS, ocrDocument } from './test-fixtures.js';
+
+const INCOME_STATEMENT_ROWS = [
+  ['Income Statement'],
+  ['', '2023', '2022'],
+  ['Net sales', '1,000', '900'],
+  ['Cost of goods sold', '(600)', '(500)'],
+  ['Gross proft', '400', '400'],
+  ['Selling, general & administrative', '(100)', '(90)'],
+  ['Operating income', '300', '310'],
+  ['Income taxes', '(60)', '(50)'],
+  ['Net income', '240', '260']
+];
+
+const CASH_FLOW_ROWS = [
+  ['Consolidated Statements of Cash Flows'],
+  ['Operating activities'],
+  ['Net income', '240'],
+  ['Depreciation', '20'],
+  ['Net cash provided by operating activities', '260'],
+  ['Investing activities'],
+  ['Purchases of property and equipment', '(50)'],
+  ['Net cash used in investing activities', '(50)']
+];
+
+const fieldsOf = (results, pageNumber) => results
+  .filter(l => l.pageNumber === pageNumber && l.field)
+  .map(l => [l.label, l.field.key]);
+
+describe('labelSimilarity', () => {
+  it('scores exact, misread and reworded labels', () => {
+    expect(normalizeLabel('Selling, General & Admin. (Note 4)')).toBe('selling general and admin');
+    expect(labelSimilarity('Cash & cash equivalents', 'cash and cash equivalents')).toBe(1);
+    expect(labelSimilarity('Cash and cash equivalants', 'cash and cash equivalents')).toBeGreaterThan(0.9);
+    expect(labelSimilarity('Accounts receivable, net', 'accounts receivable')).toBeGreaterThan(0.8);
+    expect(labelSimilarity('Total current assets', 'total current liabilities')).toBeLessThan(0.8);
+    expect(labelSimilarity('Total assets', 'total current assets')).toBeLessThan(0.8);
+  });
+});
+
+describe('mapFields', () => {
+  it('maps every statement type through synonyms, typos and headings', () => {
+    const { results } = runPipeline(ocrDocument([BALANCE_SHEET_ROWS, INCOME_STATEMENT_ROWS, CASH_FLOW_ROWS]));
+    expect(fieldsOf(results, 1)).toEqual([
+      ['Cash', 'cash_and_equivalents'],
+      ['Receivables', 'accounts_receivable'],
+      ['Total current assets', 'total_current_assets'],
+      ['Property', 'property_plant_equipment'],
+      ['Total assets', 'total_assets'],
+      ['Payables', 'accounts_payable'],
+      ['Total liabilities', 'total_liabilities'],
+      ['Retained earnings', 'retained_earnings'],
+      ["Total shareholders' equity", 'total_equity'],
+      ['Total liabilities and equity', 'total_liabilities_and_equity']
+    ]);
+    expect(fieldsOf(results, 2)).toEqual([
+      ['Net sales', 'revenue'],
+      ['Cost of goods sold', 'cost_of_revenue'],
+      ['Gross proft', 'gross_profit'],
+      ['Selling, general & administrative', 'selling_general_administrative'],
+      ['Operating income', 'operating_income'],
+      ['Income taxes', 'income_tax_expense'],
+      ['Net income', 'net_income']
+    ]);
+    expect(fieldsOf(results, 3)).toEqual([
+      ['Net income', 'net_income'],
+      ['Depreciation', 'depreciation_and_amortization'],
+      ['Net cash provided by operating activities', 'net_cash_from_operating'],
+      ['Purchases of property and equipment', 'capital_expenditures'],
+      ['Net cash used in investing activities', 'net_cash_from_investing']
+    ]);
+    expect(results.find(l => l.label === 'Net income').field.statement).toBe('income_statement');
+  });
+
+  it('gives a field to one line only, the best match', () => {
+    const lines = [
+      { id: 1, label: 'Cash at bank', valueType: 'numeric', parsedValue: 5 },
+      { id: 2, label: 'Cash and cash equivalents', valueType: 'numeric', parsedValue: 7 }
+    ];
+    expect(mapFields(lines).map(l => l.field && l.field.key)).toEqual([null, 'cash_and_equivalents']);
+  });
+
+  it('discounts fields from another section', () => {
+    const under = (heading) => mapFields([
+      { id: 1, label: heading, valueType: 'text' },
+      { id: 2, label: 'Intangibles', valueType: 'numeric', parsedValue: 1 }
+    ])[1].field;
+    expect(under('Non-current assets').key).toBe('intangible_assets');
+    expect(under('Current liabilities')).toBeNull();
+  });
+
+  it('falls back to the rule set document type without a heading', () => {
+    const lines = [{ id: 1, label: 'Revenue', valueType: 'numeric', parsedValue: 10 }];
+    expect(mapFields(lines, { ruleSet: { documentType: 'income_statement' } })[0].field.statement).toBe('income_statement');
+    expect(mapFields(lines)[0].field).toBeNull();
+  });
+});
+
+describe('buildStatements', () => {
+  it('collects mapped fields with values, confidence and source', () => {
+    const { results, statements } = runPipeline(ocrDocument([BALANCE_SHEET_ROWS]));
+    expect(Object.keys(statements)).toEqual(['balance_sheet']);
+    expect(statements.balance_sheet.periods).toEqual(['2023', '2022']);
+    expect(statements.balance_sheet.scale).toBe(1000);
+    expect(statements.balance_sheet.fields.cash_and_equivalents).toMatchObject({
+      label: 'Cash and cash equivalents',
+      values: { 2023: 100, 2022: 90 },
+      confidence: 0.95,
+      source: { pageNumber: 1, text: 'Cash' }
+    });
+
+    const reviewed = results.map(l => (l.label === 'Cash' ? { ...l, status: 'accepted' } : l.label === 'Property' ? { ...l, status: 'rejected' } : l));
+    const rebuilt = buildStatements(reviewed).balance_sheet.fields;
+    expect(rebuilt.cash_and_equivalents.confidence).toBe(1);
+    expect(rebuilt.property_plant_equipment).toBeUndefined();
+  });
+});
@@ -0,0 +1,167 @@
+// Headless validation pipeline: OCR document in, result lines and validation score out.
+// The app and the CLI (src/cli.js) both run it through `runPipeline`.
+
+import { groupRows } from './layout.js';
+import {
+  normalize, assignPeriods, predictLabels, validateRules, detectAnomalies, suggestCorrections, suggestCorrectionsAsync, makeDecisions
+} from './stages.js';
+import { calculateValidationScore } from './score.js';
+import { buildStatements, mapFields } from './fields.js';
+import { RULE_SETS, selectRuleSet } from './rules.js';
+import { profileFor, resolveProfile } from './profiles.js';
+import { resolveLanguages } from './languages.js';
+
+export * from './amounts.js';
+export * from './languages.js';
+export * from './layout.js';
+export * from './preprocess.js';
+export * from './stages.js';
+export * from './statistics.js';
+export * from './score.js';
+export * from './schema.js';
+export * from './rules.js';
+export * from './profiles.js';
+export * from './expression.js';
+export * from './fields.js';
+export * from './classifier.js';
+export * from './feedback.js';
+export * from './corrections.js';
+export * from './batch.js';
+export * from './exports.js';
+export * from './xlsx.js';
+export * from './pdfwriter.js';
+export * from './report.js';
+export * from './reference.js';
+export * from './sessions.js';
+
+// `name` is the pipeline stage shown in the app's progress list. `runAsync`, where
+// given, replaces `run` in runPipelineAsync.
+export const STAGES = [
+  { key: 'normalize', name: 'Normalization', run: normalize },
+  { key: 'assignPeriods', name: 'Normalization', run: assignPeriods },
+  { key: 'predictLabels', name: 'Field Prediction', run: predictLabels },
+  { key: 'mapFields', name: 'Field Prediction', run: mapFields },
+  { key: 'validateRules', name: 'Rule Validation', run: validateRules },
+  { key: 'detectAnomalies', name: 'Anomaly Detection', run: detectAnomalies },
+  { key: 'suggestCorrections', name: 'LLM Correction', run: suggestCorrections, runAsync: suggestCorrectionsAsync },
+  { key: 'makeDecisions', name: 'Decision Engine', run: makeDecisions }
+];
+
+// Every finished page's rows as one list tagged with pageNumber (row ids restart on each
+// page). Pages that only carry words are grouped into rows first.
+export const flattenPages = (ocrData) => ocrData.pages
+  .filter(page => page.done !== false)
+  .flatMap(page => {
+    const rows = page.lines && page.lines.length > 0 ? page.lines : groupRows(page.words || []);
+    return rows.map(line => ({ ...line, pageNumber: page.pageNumber }));
+  });
+
+const prepare = (ocrData, options) => {
+  const lines = flattenPages(ocrData);
+  const languages = resolveLanguages(options.language || ocrData.language, lines.map(line => (line.raw || '').toString()));
+  const ruleSet = options.ruleSet || selectRuleSet(lines, options.ruleSets || RULE_SETS, options.documentType || 'auto', languages);
+  const profile = options.profile ? resolveProfile(options.profile) : profileFor(ruleSet.documentType, options.profiles);
+  return { lines, ruleSet, languages, profile, stageOptions: { ...options, ruleSet, languages, profile } };
+};
+
+/**
+ * Run every stage over an OCR document.
+ *
+ * The rule set is `options.ruleSet` when given, otherwise the one in `options.ruleSets`
+ * (default: the built-in RULE_SETS) for `options.documentType`, which defaults to
+ * 'auto' (detected from the statement headings).
+ *
+ * `options.language` is an OCR language code such as 'deu' or 'deu+eng' (languages.js);
+ * it defaults to the document's `language`, and with neither, or 'auto', the language
+ * is detected from the text. It picks the rule sets tried first, the field names
+ * matched and the decimal separator assumed when the amounts leave it open.
+ *
+ * The scoring profile (profiles.js) is `options.profile` when given, otherwise the one
+ * in `options.profiles` for the rule set's document type, otherwise DEFAULT_PROFILE.
+ *
+ * @param {import('./schema.js').OCRDocument} ocrData
+ * @param {{
+ *   onStage?: (stage: { key: string, name: string }) => void,
+ *   decimalSeparator?: string,
+ *   language?: string,
+ *   ruleSet?: import('./rules.js').RuleSet,
+ *   ruleSets?: import('./rules.js').RuleSet[],
+ *   documentType?: string,
+ *   profile?: Partial<import('./profiles.js').Profile>,
+ *   profiles?: Array<Partial<import('./profiles.js').Profile>>,
+ *   models?: { label?: object|null, anomaly?: object|null },
+ *   correctionProviders?: import('./corrections.js').CorrectionProvider[],
+ *   onProviderError?: (error: { provider: string, message: string, line: object }) => void
+ * }} [options]  `models` are trained from review feedback (classifier.js); the
+ *   correction providers default to DEFAULT_CORRECTION_PROVIDERS
+ * @returns {{ results: object[], validationScore: object, ruleSet: import('./rules.js').RuleSet, languages: string[],
+ *   profile: import('./profiles.js').Profile, statements: object }}
+ */
+export const runPipeline = (ocrData, options = {}) => {
+  const { lines, ruleSet, languages, profile, stageOptions } = prepare(ocrData, options);
+  let results = lines;
+  for (const stage of STAGES) {
+    if (options.onStage) options.onStage(stage);
+    results = stage.run(results, stageOptions);
+  }
+  return { results, validationScore: calculateValidationScore(results, profile.weights), ruleSet, languages, profile, statements: buildStatements(results) };
+};
+
+/**
+ * runPipeline for correction providers that answer asynchronously, such as
+ * createOpenAICompatibleProvider. Takes the same options.
+ */
+export const runPipelineAsync = async (ocrData, options = {}) => {
+  const { lines, ruleSet, languages, profile, stageOptions } = prepare(ocrData, options);
+  let results = lines;
+  for (const stage of STAGES) {
+    if (options.onStage) options.onStage(stage);
+    results = stage.runAsync ? await stage.runAsync(results, stageOptions) : stage.run(results, stageOptions);
+  }
+  return { results, validationScore: calculateValidationScore(results, profile.weights), ruleSet, languages, profile, statements: buildStatements(results) };
+};
+
+const ROUTES = ['auto_accept', 'quick_review', 'manual_review'];
+
+/**
+ * What-if: how a document's lines would be routed and scored under another profile.
+ * Rule validation, anomaly detection and the decisions run again on the pipeline's
+ * results (corrections are not asked for again); lines a reviewer has decided keep
+ * their decision in the score. Routing is compared by the status the decision engine
+ * gave, before review.
+ *
+ * @param {object[]} results  runPipeline's results
+ * @param {Partial<import('./profiles.js').Profile>} profile
+ * @param {{ ruleSet?: import('./rules.js').RuleSet, models?: { label?: object|null, anomaly?: object|null } }} [options]
+ *   the rule set and models the results were produced with
+ * @returns {{ current: Object<string, number>, simulated: Object<string, number>,
+ *   moves: Array<{ from: string, to: string, count: number }>, validationScore: object }}
+ */
+export const simulateProfile = (results, profile, options = {}) => {
+  const stageOptions = { ...options, profile: resolveProfile(profile) };
+  let lines = results;
+  for (const run of [validateRules, detectAnomalies, makeDecisions]) lines = run(lines, stageOptions);
+
+  const count = () => Object.fromEntries(ROUTES.map(route => [route, 0]));
+  const current = count();
+  const simulated = count();
+  const moves = new Map();
+  lines.forEach((line, i) => {
+    const before = results[i].review ? results[i].review.previousStatus : results[i].status;
+    if (line.valueType === 'empty') return;
+    if (before in current) current[before]++;
+    if (line.status in simulated) simulated[line.status]++;
+    if (before !== line.status) {
+      const key = `${before}→${line.status}`;
+      moves.set(key, { from: before, to: line.status, count: (moves.get(key)?.count || 0) + 1 });
+    }
+  });
+
+  const scored = lines.map((line, i) => (results[i].review ? { ...line, status: results[i].status } : line));
+  return {
+    current,
+    simulated,
+    moves: [...moves.values()].sort((a, b) => b.count - a.count),
+    validationScore: calculateValidationScore(scored, stageOptions.profile.weights)
+  };
+};
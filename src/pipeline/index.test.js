@@ -0,0 +1,112 @@
+import { describe, expect, it } from 'vitest';
+import {
+  BALANCE_SHEET_RULES, INCOME_STATEMENT_RULES, STAGES, applyReview, buildExport, checkOCRDocument, checkStageOutput, flattenPages, runPipeline,
+  simulateProfile
+} from './index.js';
+import { BALANCE_SHEET_ROWS, ocrDocument } from './test-fixtures.js';
+
+describe('flattenPages', () => {
+  it('tags rows with their page and skips unfinished pages', () => {
+    const doc = ocrDocument([[['Cash', '1']], [['Debt', '2']], [['Equity', '3']]]);
+    doc.pages[1].done = false;
+    expect(flattenPages(doc).map(l => [l.pageNumber, l.label])).toEqual([[1, 'Cash'], [3, 'Equity']]);
+  });
+
+  it('uses rows already on the page', () => {
+    const doc = { pages: [{ pageNumber: 1, lines: [{ id: 7, raw: 'Cash 1', bbox: [0, 0, 1, 1], confidence: 0.9 }] }] };
+    expect(flattenPages(doc)).toEqual([expect.objectContaining({ id: 7, pageNumber: 1 })]);
+  });
+});
+
+describe('runPipeline', () => {
+  it('runs every stage in order', () => {
+    const seen = [];
+    runPipeline(ocrDocument([BALANCE_SHEET_ROWS]), { onStage: stage => seen.push(stage.key) });
+    expect(seen).toEqual(STAGES.map(s => s.key));
+  });
+
+  it('returns results and a score for a multi-page document', () => {
+    const { results, validationScore } = runPipeline(ocrDocument([[['Cover page']], BALANCE_SHEET_ROWS]));
+    expect(results.filter(l => l.pageNumber === 2).every(l => l.status === 'auto_accept')).toBe(true);
+    expect(validationScore.pages.map(p => p.pageNumber)).toEqual([1, 2]);
+  });
+
+  it('detects the rule set from the statement heading unless one is given', () => {
+    const incomeStatement = [['Income Statement'], ['Revenue', '100'], ['Cost of sales', '(60)'], ['Gross profit', '50']];
+    const detected = runPipeline(ocrDocument([incomeStatement]));
+    expect(detected.ruleSet).toBe(INCOME_STATEMENT_RULES);
+    expect(detected.results.find(l => l.label === 'Gross profit').ruleFailures).toEqual(['gross_profit_mismatch']);
+
+    const forced = runPipeline(ocrDocument([incomeStatement]), { documentType: 'balance_sheet' });
+    expect(forced.ruleSet).toBe(BALANCE_SHEET_RULES);
+    expect(forced.results.find(l => l.label === 'Gross profit').ruleFailures).toEqual([]);
+  });
+
+  it('produces each stage output in its schema', () => {
+    let lines = flattenPages(ocrDocument([BALANCE_SHEET_ROWS]));
+    for (const stage of STAGES) {
+      lines = stage.run(lines, {});
+      expect(checkStageOutput(stage.key, lines)).toEqual([]);
+    }
+  });
+});
+
+describe('scoring profiles', () => {
+  it('scores with the profile for the rule set document type', () => {
+    const profiles = [
+      { id: 'is', name: 'Income statements', documentType: 'income_statement', weights: { confidence: 50 } },
+      { id: 'bs', name: 'Balance sheets', documentType: 'balance_sheet', weights: { autoAcceptBonus: 0 } }
+    ];
+    const run = runPipeline(ocrDocument([BALANCE_SHEET_ROWS]), { profiles });
+    expect(run.profile).toMatchObject({ id: 'bs', weights: { confidence: 100, autoAcceptBonus: 0 } });
+    expect(run.validationScore.breakdown.autoAcceptBonus).toBe('0.0');
+  });
+
+  it('simulates how lines would move under other thresholds', () => {
+    const run = runPipeline(ocrDocument([BALANCE_SHEET_ROWS], { confidence: 0.88 }));
+    expect(simulateProfile(run.results, {}, { ruleSet: run.ruleSet })).toMatchObject({
+      moves: [],
+      validationScore: { overallScore: run.validationScore.overallScore }
+    });
+
+    const reviewed = run.results.map((line, i) => (i === 5 ? applyReview(line, 'accepted') : line));
+    const simulation = simulateProfile(reviewed, { thresholds: { lowConfidence: 0.85 } }, { ruleSet: run.ruleSet });
+    expect(simulation.current).toEqual({ auto_accept: 0, quick_review: 0, manual_review: 17 });
+    expect(simulation.simulated).toEqual({ auto_accept: 17, quick_review: 0, manual_review: 0 });
+    expect(simulation.moves).toEqual([{ from: 'manual_review', to: 'auto_accept', count: 17 }]);
+    expect(simulation.validationScore).toMatchObject({ humanVerified: 1, overallScore: '98.2' });
+  });
+});
+
+describe('schema checks', () => {
+  it('reports what is wrong with an OCR document', () => {
+    expect(checkOCRDocument({})).toEqual(['document.pages must be an array']);
+    expect(checkOCRDocument({ pages: [{ pageNumber: 1, lines: [{ id: 1, raw: 'x', bbox: [], confidence: '0.9' }] }] }))
+      .toEqual(['pages[0].lines[0].confidence is string, expected number']);
+    expect(checkOCRDocument({ pages: [{ pageNumber: 1, words: [{ raw: 'Cash' }] }] }))
+      .toEqual(['pages[0].words[0].bbox is undefined, expected array', 'pages[0].words[0].confidence is undefined, expected number']);
+    expect(checkOCRDocument(ocrDocument([BALANCE_SHEET_ROWS]))).toEqual([]);
+  });
+
+  it('checks the fields of every stage up to the one named', () => {
+    expect(checkStageOutput('predictLabels', [{ normalized: '', parsedValue: null, valueType: 'empty', values: {}, predictedLabel: 'blank_line', labelConfidence: 1 }])).toEqual([]);
+    expect(checkStageOutput('normalize', [{ normalized: 'x', parsedValue: '1', valueType: 'number' }])).toEqual([
+      'lines[0].parsedValue is string, expected number|null',
+      'lines[0].valueType is "number", expected one of empty, text, numeric'
+    ]);
+    expect(() => checkStageOutput('nope', [])).toThrow('Unknown stage: nope');
+  });
+});
+
+describe('buildExport', () => {
+  it('stamps the processing time', () => {
+    const exported = buildExport({ fileName: 'a.pdf', validationScore: { overallScore: '90.0' }, results: [] });
+    expect(Object.keys(exported)).toEqual(['format', 'version', 'fileName', 'processedAt', 'validationScore', 'statements', 'results']);
+    expect(Date.parse(exported.processedAt)).not.toBeNaN();
+  });
+
+  it('names the rule set the results were validated with', () => {
+    const exported = buildExport({ fileName: 'a.pdf', validationScore: {}, results: [], ruleSet: BALANCE_SHEET_RULES });
+    expect(exported.ruleSet).toEqual({ id: 'balance_sheet', name: 'Balance sheet', documentType: 'balance_sheet', language: 'eng' });
+  });
+});
@@ -0,0 +1,494 @@
+// Languages the pipeline understands beyond its English base: the words that make up
+// statement headings, sections, totals and field names, the month names in dates, and
+// the number format a filing in that language uses. Codes are Tesseract's (eng, deu,
+// fra, spa), so an OCR language such as 'deu+eng' names the vocabularies to use too.
+
+const MONTHS = {
+  eng: 'january|february|march|april|may|june|july|august|september|october|november|december',
+  deu: 'januar|februar|m[äa]rz|april|mai|juni|juli|august|september|oktober|november|dezember',
+  fra: 'janvier|f[ée]vrier|mars|avril|mai|juin|juillet|ao[ûu]t|septembre|octobre|novembre|d[ée]cembre',
+  spa: 'enero|febrero|marzo|abril|mayo|junio|julio|agosto|sep?tiembre|octubre|noviembre|diciembre'
+};
+
+const datePattern = (months) => `\\b(${months})\\b|\\b\\d{1,2}[/.-]\\d{1,2}[/.-]\\d{2,4}\\b`;
+
+/**
+ * @typedef {object} StatementVocabulary  Added to a STATEMENT_SCHEMAS entry (fields.js)
+ * @property {string} heading
+ * @property {Array<{ section: string, pattern: string }>} sections
+ * @property {Object<string, string[]>} synonyms  Canonical field key → names in this language
+ *
+ * @typedef {object} Language
+ * @property {string} name
+ * @property {'.'|','} decimalSeparator  Used when a document's amounts leave it open
+ * @property {string} total        Pattern for the words that open or close a total line
+ * @property {string[]} words      Common words that tell the language apart (detectLanguage)
+ * @property {Object<string, string>} identity  Balance sheet totals checked by crossFoot:
+ *   assets, liabilities, equity, liabilitiesAndEquity
+ * @property {Object<string, StatementVocabulary>} [statements]  Not given for English,
+ *   which is the base vocabulary in STATEMENT_SCHEMAS
+ * @property {object} [rules]      Label patterns for the rule sets built in rules.js
+ */
+
+/** @type {Object<string, Language>} */
+export const LANGUAGES = {
+  eng: {
+    name: 'English',
+    decimalSeparator: '.',
+    total: 'total',
+    words: ['the', 'and', 'of', 'for', 'assets', 'liabilities', 'equity', 'revenue', 'income', 'net', 'year', 'ended', 'cash', 'expenses'],
+    identity: {
+      assets: "^total\\s+assets$",
+      liabilities: "^total\\s+liabilities$",
+      equity: "^total\\s+(shareholders'?|stockholders'?)?\\s*equity$",
+      liabilitiesAndEquity: "^total\\s+liabilities\\s+and\\s+(shareholders'?|stockholders'?)?\\s*equity$"
+    }
+  },
+
+  deu: {
+    name: 'German',
+    decimalSeparator: ',',
+    total: 'summe|gesamt|insgesamt',
+    words: ['und', 'der', 'die', 'das', 'für', 'summe', 'aktiva', 'passiva', 'eigenkapital', 'verbindlichkeiten', 'forderungen', 'rückstellungen', 'umsatzerlöse', 'jahresüberschuss', 'bilanz', 'geschäftsjahr'],
+    identity: {
+      assets: '^(summe\\s+aktiva|aktiva\\s+gesamt|bilanzsumme)$',
+      liabilities: '^summe\\s+(verbindlichkeiten|schulden)$',
+      equity: '^(summe\\s+eigenkapital|eigenkapital\\s+gesamt)$',
+      liabilitiesAndEquity: '^(summe\\s+passiva|passiva\\s+gesamt|summe\\s+eigenkapital\\s+und\\s+schulden)$'
+    },
+    statements: {
+      balance_sheet: {
+        heading: 'bilanz',
+        sections: [
+          { section: 'noncurrent_assets', pattern: '^(anlageverm[öo]gen|langfristige\\s+verm[öo]genswerte)' },
+          { section: 'current_assets', pattern: '^(umlaufverm[öo]gen|kurzfristige\\s+verm[öo]genswerte)' },
+          { section: 'assets', pattern: '^aktiva' },
+          { section: 'noncurrent_liabilities', pattern: '^langfristige\\s+(schulden|verbindlichkeiten)' },
+          { section: 'current_liabilities', pattern: '^kurzfristige\\s+(schulden|verbindlichkeiten)' },
+          { section: 'liabilities', pattern: '^(passiva|verbindlichkeiten|schulden)' },
+          { section: 'equity', pattern: 'eigenkapital' }
+        ],
+        synonyms: {
+          cash_and_equivalents: ['zahlungsmittel und zahlungsmitteläquivalente', 'kassenbestand und guthaben bei kreditinstituten', 'flüssige mittel', 'liquide mittel'],
+          short_term_investments: ['wertpapiere', 'kurzfristige finanzanlagen'],
+          accounts_receivable: ['forderungen aus lieferungen und leistungen', 'forderungen'],
+          inventory: ['vorräte', 'vorratsvermögen'],
+          prepaid_expenses: ['aktive rechnungsabgrenzungsposten', 'rechnungsabgrenzungsposten'],
+          other_current_assets: ['sonstige vermögensgegenstände', 'sonstige kurzfristige vermögenswerte'],
+          total_current_assets: ['summe umlaufvermögen', 'umlaufvermögen gesamt', 'summe kurzfristige vermögenswerte'],
+          property_plant_equipment: ['sachanlagen'],
+          intangible_assets: ['immaterielle vermögensgegenstände', 'immaterielle vermögenswerte'],
+          goodwill: ['geschäfts oder firmenwert', 'firmenwert'],
+          long_term_investments: ['finanzanlagen', 'beteiligungen'],
+          other_noncurrent_assets: ['sonstige langfristige vermögenswerte'],
+          total_noncurrent_assets: ['summe anlagevermögen', 'anlagevermögen gesamt', 'summe langfristige vermögenswerte'],
+          total_assets: ['summe aktiva', 'aktiva gesamt', 'bilanzsumme', 'summe vermögenswerte'],
+          accounts_payable: ['verbindlichkeiten aus lieferungen und leistungen'],
+          accrued_liabilities: ['rückstellungen', 'sonstige rückstellungen'],
+          short_term_debt: ['verbindlichkeiten gegenüber kreditinstituten', 'kurzfristige finanzverbindlichkeiten'],
+          deferred_revenue: ['passive rechnungsabgrenzungsposten', 'vertragsverbindlichkeiten'],
+          other_current_liabilities: ['sonstige verbindlichkeiten', 'sonstige kurzfristige verbindlichkeiten'],
+          total_current_liabilities: ['summe kurzfristige verbindlichkeiten', 'summe kurzfristige schulden'],
+          long_term_debt: ['langfristige finanzverbindlichkeiten', 'anleihen'],
+          deferred_tax_liabilities: ['passive latente steuern', 'latente steuerverbindlichkeiten'],
+          other_noncurrent_liabilities: ['sonstige langfristige verbindlichkeiten'],
+          total_noncurrent_liabilities: ['summe langfristige verbindlichkeiten', 'summe langfristige schulden'],
+          total_liabilities: ['summe verbindlichkeiten', 'summe schulden'],
+          common_stock: ['gezeichnetes kapital', 'grundkapital', 'stammkapital'],
+          additional_paid_in_capital: ['kapitalrücklage'],
+          retained_earnings: ['gewinnrücklagen', 'bilanzgewinn', 'gewinnvortrag'],
+          treasury_stock: ['eigene anteile', 'eigene aktien'],
+          accumulated_other_comprehensive_income: ['sonstige rücklagen', 'kumuliertes sonstiges ergebnis'],
+          total_equity: ['summe eigenkapital', 'eigenkapital gesamt'],
+          total_liabilities_and_equity: ['summe passiva', 'passiva gesamt', 'summe eigenkapital und schulden']
+        }
+      },
+      income_statement: {
+        heading: 'gewinn-?\\s*und\\s+verlustrechnung|gesamtergebnisrechnung',
+        sections: [
+          { section: 'revenue', pattern: '^(umsatzerl[öo]se|ums[äa]tze)$' },
+          { section: 'expenses', pattern: '^(betriebliche\\s+)?aufwendungen$' }
+        ],
+        synonyms: {
+          revenue: ['umsatzerlöse', 'umsatz', 'umsätze', 'erlöse'],
+          cost_of_revenue: ['herstellungskosten der zur erzielung der umsatzerlöse erbrachten leistungen', 'umsatzkosten', 'materialaufwand'],
+          gross_profit: ['bruttoergebnis vom umsatz', 'bruttoergebnis', 'rohergebnis'],
+          selling_general_administrative: ['vertriebskosten', 'allgemeine verwaltungskosten', 'verwaltungskosten'],
+          research_and_development: ['forschungs und entwicklungskosten', 'forschung und entwicklung'],
+          depreciation_and_amortization: ['abschreibungen'],
+          operating_expenses: ['summe betriebliche aufwendungen', 'betriebliche aufwendungen'],
+          operating_income: ['betriebsergebnis', 'operatives ergebnis'],
+          interest_expense: ['zinsen und ähnliche aufwendungen', 'zinsaufwand', 'finanzaufwendungen'],
+          other_income: ['sonstige betriebliche erträge', 'sonstige erträge'],
+          income_before_tax: ['ergebnis vor steuern', 'ergebnis vor ertragsteuern', 'ergebnis der gewöhnlichen geschäftstätigkeit'],
+          income_tax_expense: ['steuern vom einkommen und vom ertrag', 'ertragsteuern', 'ertragsteueraufwand'],
+          net_income: ['jahresüberschuss', 'jahresfehlbetrag', 'konzernjahresüberschuss', 'periodenergebnis', 'jahresergebnis'],
+          eps_basic: ['unverwässertes ergebnis je aktie', 'ergebnis je aktie unverwässert'],
+          eps_diluted: ['verwässertes ergebnis je aktie', 'ergebnis je aktie verwässert']
+        }
+      },
+      cash_flow: {
+        heading: 'kapitalflussrechnung|cash-?\\s*flow-?\\s*rechnung',
+        sections: [
+          { section: 'operating', pattern: 'laufender\\s+gesch[äa]ftst[äa]tigkeit' },
+          { section: 'investing', pattern: 'investitionst[äa]tigkeit' },
+          { section: 'financing', pattern: 'finanzierungst[äa]tigkeit' }
+        ],
+        synonyms: {
+          net_income: ['jahresüberschuss', 'periodenergebnis'],
+          depreciation_and_amortization: ['abschreibungen'],
+          net_cash_from_operating: ['cashflow aus laufender geschäftstätigkeit', 'mittelzufluss aus laufender geschäftstätigkeit'],
+          capital_expenditures: ['investitionen in sachanlagen', 'auszahlungen für investitionen in das sachanlagevermögen'],
+          net_cash_from_investing: ['cashflow aus investitionstätigkeit', 'mittelabfluss aus investitionstätigkeit'],
+          debt_issued: ['einzahlungen aus der aufnahme von finanzkrediten'],
+          debt_repaid: ['auszahlungen für die tilgung von finanzkrediten'],
+          dividends_paid: ['gezahlte dividenden', 'dividendenzahlungen'],
+          net_cash_from_financing: ['cashflow aus finanzierungstätigkeit'],
+          net_change_in_cash: ['zahlungswirksame veränderung des finanzmittelfonds', 'veränderung der zahlungsmittel'],
+          cash_beginning: ['finanzmittelfonds am anfang der periode', 'zahlungsmittel am periodenanfang'],
+          cash_end: ['finanzmittelfonds am ende der periode', 'zahlungsmittel am periodenende']
+        }
+      }
+    },
+    rules: {
+      header: 'bilanz|gewinn-?\\s*und\\s+verlustrechnung|gesamtergebnisrechnung|kapitalflussrechnung',
+      date: datePattern(MONTHS.deu),
+      balance_sheet: {
+        section_header: '^(aktiva|passiva|eigenkapital|verbindlichkeiten|umsatzerl[öo]se|aufwendungen):?$',
+        total: '\\bsumme\\b|\\bgesamt\\b|insgesamt|bilanzsumme',
+        subsection: 'anlageverm[öo]gen|umlaufverm[öo]gen|(kurz|lang)fristige\\s+(verm[öo]genswerte|schulden|verbindlichkeiten)',
+        line_item: 'kasse|guthaben|zahlungsmittel|forderungen|verbindlichkeiten|vorr[äa]te|kapital|r[üu]cklage|gewinn|sachanlagen'
+      },
+      income_statement: {
+        section_header: '^(umsatzerl[öo]se|(betriebliche\\s+)?aufwendungen|sonstige\\s+ertr[äa]ge):?$',
+        total: '\\bsumme\\b|\\bgesamt\\b|insgesamt|bruttoergebnis|betriebsergebnis|jahres([üu]berschuss|ueberschuss|fehlbetrag)|periodenergebnis',
+        line_item: 'umsatz|erl[öo]se|kosten|aufwand|aufwendungen|abschreibungen|zinsen|steuern',
+        fields: {
+          revenue: '^(summe\\s+)?(umsatzerl[öo]se|ums[äa]tze)$',
+          costOfSales: '^(herstellungskosten\\b.*|umsatzkosten)$',
+          grossProfit: '^bruttoergebnis(\\s+vom\\s+umsatz)?$',
+          preTax: '^ergebnis\\s+vor\\s+(ertrag)?steuern$',
+          tax: '^(steuern\\s+vom\\s+einkommen\\s+und\\s+vom\\s+ertrag|ertragsteuern)$',
+          netIncome: '^(jahres([üu]berschuss|fehlbetrag)|periodenergebnis)$'
+        }
+      }
+    }
+  },
+
+  fra: {
+    name: 'French',
+    decimalSeparator: ',',
+    total: 'total',
+    words: ['et', 'le', 'les', 'du', 'au', 'aux', 'actif', 'passif', 'capitaux', 'propres', 'bilan', 'chiffre', 'affaires', 'résultat', 'exercice', 'dettes', 'charges', 'produits', 'créances'],
+    identity: {
+      assets: '^total\\s+(de\\s+l.\\s*)?actif$',
+      liabilities: '^total\\s+(des\\s+)?dettes$',
+      equity: '^total\\s+(des\\s+)?capitaux\\s+propres$',
+      liabilitiesAndEquity: '^total\\s+(du\\s+)?passif$|^total\\s+capitaux\\s+propres\\s+et\\s+passifs$'
+    },
+    statements: {
+      balance_sheet: {
+        heading: 'bilan|[ée]tat\\s+de\\s+la\\s+situation\\s+financi[èe]re',
+        sections: [
+          { section: 'noncurrent_assets', pattern: '^(actifs?\\s+non\\s+courants?|actif\\s+immobilis[ée])' },
+          { section: 'current_assets', pattern: '^(actifs?\\s+courants?|actif\\s+circulant)' },
+          { section: 'assets', pattern: '^actifs?\\b' },
+          { section: 'noncurrent_liabilities', pattern: '^(passifs?\\s+non\\s+courants?|dettes\\s+[àa]\\s+long\\s+terme)' },
+          { section: 'current_liabilities', pattern: '^(passifs?\\s+courants?|dettes\\s+[àa]\\s+court\\s+terme)' },
+          { section: 'liabilities', pattern: '^(passifs?\\b|dettes)' },
+          { section: 'equity', pattern: 'capitaux\\s+propres' }
+        ],
+        synonyms: {
+          cash_and_equivalents: ['trésorerie et équivalents de trésorerie', 'disponibilités', 'trésorerie'],
+          short_term_investments: ['valeurs mobilières de placement', 'placements à court terme'],
+          accounts_receivable: ['clients et comptes rattachés', 'créances clients', 'créances'],
+          inventory: ['stocks', 'stocks et en cours'],
+          prepaid_expenses: ["charges constatées d'avance"],
+          other_current_assets: ['autres actifs courants', 'autres créances'],
+          total_current_assets: ['total actif circulant', 'total actifs courants'],
+          property_plant_equipment: ['immobilisations corporelles'],
+          intangible_assets: ['immobilisations incorporelles'],
+          goodwill: ["écarts d'acquisition", 'fonds commercial'],
+          long_term_investments: ['immobilisations financières', 'participations'],
+          other_noncurrent_assets: ['autres actifs non courants'],
+          total_noncurrent_assets: ['total actif immobilisé', 'total actifs non courants'],
+          total_assets: ['total actif', "total de l'actif", 'total général actif'],
+          accounts_payable: ['fournisseurs et comptes rattachés', 'dettes fournisseurs'],
+          accrued_liabilities: ['provisions pour risques et charges', 'charges à payer'],
+          short_term_debt: ['emprunts à court terme', 'dettes financières à court terme', 'concours bancaires courants'],
+          deferred_revenue: ["produits constatés d'avance"],
+          other_current_liabilities: ['autres dettes', 'autres passifs courants'],
+          total_current_liabilities: ['total passifs courants', 'total dettes à court terme'],
+          long_term_debt: ['emprunts et dettes financières', 'dettes financières à long terme', 'emprunts obligataires'],
+          deferred_tax_liabilities: ['impôts différés passifs', "passifs d'impôts différés"],
+          other_noncurrent_liabilities: ['autres passifs non courants'],
+          total_noncurrent_liabilities: ['total passifs non courants', 'total dettes à long terme'],
+          total_liabilities: ['total dettes', 'total des dettes'],
+          common_stock: ['capital social', 'capital'],
+          additional_paid_in_capital: ["primes d'émission", "prime d'émission"],
+          retained_earnings: ['report à nouveau', 'réserves', 'résultats accumulés'],
+          treasury_stock: ['actions propres'],
+          accumulated_other_comprehensive_income: ['autres éléments du résultat global cumulés', 'autres réserves'],
+          total_equity: ['total capitaux propres', 'total des capitaux propres'],
+          total_liabilities_and_equity: ['total passif', 'total du passif', 'total capitaux propres et passifs']
+        }
+      },
+      income_statement: {
+        heading: 'compte\\s+de\\s+r[ée]sultat|[ée]tat\\s+du\\s+r[ée]sultat',
+        sections: [
+          { section: 'revenue', pattern: "^produits(\\s+d['’]exploitation)?$" },
+          { section: 'expenses', pattern: "^charges(\\s+d['’]exploitation)?$" }
+        ],
+        synonyms: {
+          revenue: ["chiffre d'affaires", "chiffre d'affaires net", 'ventes', 'produits des activités ordinaires'],
+          cost_of_revenue: ['coût des ventes', 'coût des marchandises vendues', 'achats consommés'],
+          gross_profit: ['marge brute'],
+          selling_general_administrative: ['frais commerciaux', 'frais généraux et administratifs', 'charges administratives'],
+          research_and_development: ['frais de recherche et développement'],
+          depreciation_and_amortization: ['dotations aux amortissements', 'amortissements'],
+          operating_expenses: ["total charges d'exploitation", "charges d'exploitation"],
+          operating_income: ["résultat d'exploitation", 'résultat opérationnel'],
+          interest_expense: ['charges financières', "coût de l'endettement financier net", "charges d'intérêts"],
+          other_income: ['autres produits', 'autres produits et charges'],
+          income_before_tax: ['résultat avant impôt', 'résultat avant impôts', 'résultat courant avant impôts'],
+          income_tax_expense: ['impôt sur les bénéfices', 'impôts sur le résultat', "charge d'impôt"],
+          net_income: ['résultat net', 'bénéfice net', "résultat de l'exercice", 'perte nette'],
+          eps_basic: ['résultat par action de base', 'résultat de base par action'],
+          eps_diluted: ['résultat dilué par action', 'résultat par action dilué']
+        }
+      },
+      cash_flow: {
+        heading: 'tableau\\s+des\\s+flux\\s+de\\s+tr[ée]sorerie|flux\\s+de\\s+tr[ée]sorerie',
+        sections: [
+          { section: 'operating', pattern: "activit[ée]s\\s+op[ée]rationnelles|li[ée]s?\\s+[àa]\\s+l['’]activit[ée]" },
+          { section: 'investing', pattern: "(op[ée]rations|activit[ée]s)\\s+d['’]investissement" },
+          { section: 'financing', pattern: '(op[ée]rations|activit[ée]s)\\s+de\\s+financement' }
+        ],
+        synonyms: {
+          net_income: ['résultat net'],
+          depreciation_and_amortization: ['dotations aux amortissements'],
+          net_cash_from_operating: ['flux de trésorerie liés aux activités opérationnelles', "flux net de trésorerie généré par l'activité"],
+          capital_expenditures: ["acquisitions d'immobilisations corporelles et incorporelles", "acquisitions d'immobilisations"],
+          net_cash_from_investing: ["flux de trésorerie liés aux opérations d'investissement", "flux net de trésorerie lié aux opérations d'investissement"],
+          debt_issued: ["émissions d'emprunts"],
+          debt_repaid: ["remboursements d'emprunts"],
+          dividends_paid: ['dividendes versés'],
+          net_cash_from_financing: ['flux de trésorerie liés aux opérations de financement', 'flux net de trésorerie lié aux opérations de financement'],
+          net_change_in_cash: ['variation de trésorerie', 'variation nette de la trésorerie'],
+          cash_beginning: ["trésorerie à l'ouverture", "trésorerie d'ouverture"],
+          cash_end: ['trésorerie à la clôture', 'trésorerie de clôture']
+        }
+      }
+    },
+    rules: {
+      header: 'bilan|compte\\s+de\\s+r[ée]sultat|[ée]tat\\s+du\\s+r[ée]sultat|flux\\s+de\\s+tr[ée]sorerie',
+      date: datePattern(MONTHS.fra),
+      balance_sheet: {
+        section_header: '^(actif|passif|capitaux\\s+propres|dettes|produits|charges):?$',
+        total: '\\btotal\\b',
+        subsection: 'actif\\s+(circulant|immobilis[ée])|actifs?\\s+(non\\s+)?courants?|passifs?\\s+(non\\s+)?courants?',
+        line_item: 'tr[ée]sorerie|disponibilit[ée]s|cr[ée]ances|clients|fournisseurs|stocks|capital|r[ée]serves|dettes'
+      },
+      income_statement: {
+        section_header: "^(produits|charges|produits\\s+d['’]exploitation|charges\\s+d['’]exploitation|autres\\s+produits):?$",
+        total: "\\btotal\\b|marge\\s+brute|r[ée]sultat\\s+(d['’]exploitation|op[ée]rationnel|net)",
+        line_item: "chiffre\\s+d['’]affaires|ventes|co[ûu]t|charges|achats|amortissements|int[ée]r[êe]ts|imp[ôo]ts?",
+        fields: {
+          revenue: "^(total\\s+)?(chiffre\\s+d['’]affaires(\\s+net)?|ventes)$",
+          costOfSales: '^co[ûu]t\\s+des\\s+(ventes|marchandises\\s+vendues)$',
+          grossProfit: '^marge\\s+brute$',
+          preTax: '^r[ée]sultat\\s+(courant\\s+)?avant\\s+imp[ôo]ts?$',
+          tax: "^(imp[ôo]ts?\\s+sur\\s+(les\\s+b[ée]n[ée]fices|le\\s+r[ée]sultat)|charge\\s+d['’]imp[ôo]t)$",
+          netIncome: '^(r[ée]sultat|b[ée]n[ée]fice)\\s+net$'
+        }
+      }
+    }
+  },
+
+  spa: {
+    name: 'Spanish',
+    decimalSeparator: ',',
+    total: 'total',
+    words: ['y', 'el', 'los', 'las', 'del', 'activo', 'pasivo', 'patrimonio', 'neto', 'ingresos', 'gastos', 'resultado', 'ejercicio', 'efectivo', 'cuentas', 'deudas'],
+    identity: {
+      assets: '^total\\s+activos?$',
+      liabilities: '^total\\s+pasivos?$',
+      equity: '^total\\s+patrimonio(\\s+neto)?$',
+      liabilitiesAndEquity: '^total\\s+(patrimonio\\s+neto\\s+y\\s+pasivo|pasivo\\s+y\\s+patrimonio(\\s+neto)?)$'
+    },
+    statements: {
+      balance_sheet: {
+        heading: 'balance\\s+(general|de\\s+situaci[óo]n)|estado\\s+de\\s+situaci[óo]n\\s+financiera',
+        sections: [
+          { section: 'noncurrent_assets', pattern: '^activos?\\s+no\\s+corrientes?' },
+          { section: 'current_assets', pattern: '^activos?\\s+corrientes?' },
+          { section: 'assets', pattern: '^activos?\\b' },
+          { section: 'noncurrent_liabilities', pattern: '^pasivos?\\s+no\\s+corrientes?' },
+          { section: 'current_liabilities', pattern: '^pasivos?\\s+corrientes?' },
+          { section: 'liabilities', pattern: '^pasivos?\\b' },
+          { section: 'equity', pattern: 'patrimonio' }
+        ],
+        synonyms: {
+          cash_and_equivalents: ['efectivo y otros activos líquidos equivalentes', 'efectivo y equivalentes de efectivo', 'efectivo', 'tesorería'],
+          short_term_investments: ['inversiones financieras a corto plazo'],
+          accounts_receivable: ['deudores comerciales y otras cuentas a cobrar', 'cuentas por cobrar', 'clientes'],
+          inventory: ['existencias', 'inventarios'],
+          prepaid_expenses: ['periodificaciones a corto plazo', 'gastos anticipados'],
+          other_current_assets: ['otros activos corrientes'],
+          total_current_assets: ['total activo corriente', 'total activos corrientes'],
+          property_plant_equipment: ['inmovilizado material', 'propiedades planta y equipo'],
+          intangible_assets: ['inmovilizado intangible', 'activos intangibles'],
+          goodwill: ['fondo de comercio'],
+          long_term_investments: ['inversiones financieras a largo plazo', 'inversiones en empresas asociadas'],
+          other_noncurrent_assets: ['otros activos no corrientes'],
+          total_noncurrent_assets: ['total activo no corriente', 'total activos no corrientes'],
+          total_assets: ['total activo', 'total activos'],
+          accounts_payable: ['acreedores comerciales y otras cuentas a pagar', 'cuentas por pagar', 'proveedores'],
+          accrued_liabilities: ['provisiones a corto plazo', 'gastos acumulados'],
+          short_term_debt: ['deudas a corto plazo', 'deudas con entidades de crédito a corto plazo'],
+          deferred_revenue: ['ingresos diferidos', 'anticipos de clientes'],
+          other_current_liabilities: ['otros pasivos corrientes'],
+          total_current_liabilities: ['total pasivo corriente', 'total pasivos corrientes'],
+          long_term_debt: ['deudas a largo plazo', 'deudas con entidades de crédito a largo plazo'],
+          deferred_tax_liabilities: ['pasivos por impuesto diferido'],
+          other_noncurrent_liabilities: ['otros pasivos no corrientes'],
+          total_noncurrent_liabilities: ['total pasivo no corriente', 'total pasivos no corrientes'],
+          total_liabilities: ['total pasivo', 'total pasivos'],
+          common_stock: ['capital social', 'capital suscrito'],
+          additional_paid_in_capital: ['prima de emisión'],
+          retained_earnings: ['reservas', 'resultados acumulados', 'ganancias acumuladas'],
+          treasury_stock: ['acciones propias'],
+          accumulated_other_comprehensive_income: ['otro resultado integral acumulado', 'ajustes por cambios de valor'],
+          total_equity: ['total patrimonio neto', 'total patrimonio'],
+          total_liabilities_and_equity: ['total patrimonio neto y pasivo', 'total pasivo y patrimonio neto', 'total pasivo y patrimonio']
+        }
+      },
+      income_statement: {
+        heading: 'cuenta\\s+de\\s+p[ée]rdidas\\s+y\\s+ganancias|estado\\s+de\\s+resultados',
+        sections: [
+          { section: 'revenue', pattern: '^ingresos(\\s+de\\s+explotaci[óo]n)?$' },
+          { section: 'expenses', pattern: '^gastos(\\s+de\\s+explotaci[óo]n)?$' }
+        ],
+        synonyms: {
+          revenue: ['importe neto de la cifra de negocios', 'cifra de negocios', 'ingresos ordinarios', 'ventas', 'ingresos'],
+          cost_of_revenue: ['coste de las ventas', 'costo de ventas', 'aprovisionamientos'],
+          gross_profit: ['margen bruto', 'utilidad bruta'],
+          selling_general_administrative: ['gastos de administración', 'gastos de ventas', 'gastos generales y de administración'],
+          research_and_development: ['gastos de investigación y desarrollo'],
+          depreciation_and_amortization: ['amortización del inmovilizado', 'depreciación y amortización'],
+          operating_expenses: ['total gastos de explotación', 'gastos de explotación'],
+          operating_income: ['resultado de explotación', 'resultado operativo', 'utilidad de operación'],
+          interest_expense: ['gastos financieros'],
+          other_income: ['otros ingresos de explotación', 'otros ingresos'],
+          income_before_tax: ['resultado antes de impuestos', 'utilidad antes de impuestos'],
+          income_tax_expense: ['impuesto sobre beneficios', 'impuesto sobre las ganancias', 'impuesto a la renta'],
+          net_income: ['resultado del ejercicio', 'resultado neto', 'beneficio neto', 'utilidad neta', 'pérdida neta'],
+          eps_basic: ['beneficio básico por acción', 'ganancia básica por acción'],
+          eps_diluted: ['beneficio diluido por acción', 'ganancia diluida por acción']
+        }
+      },
+      cash_flow: {
+        heading: 'estado\\s+de\\s+flujos?\\s+de\\s+efectivo',
+        sections: [
+          { section: 'operating', pattern: 'actividades\\s+de\\s+(explotaci[óo]n|operaci[óo]n)' },
+          { section: 'investing', pattern: 'actividades\\s+de\\s+inversi[óo]n' },
+          { section: 'financing', pattern: 'actividades\\s+de\\s+(financiaci[óo]n|financiamiento)' }
+        ],
+        synonyms: {
+          net_income: ['resultado del ejercicio', 'resultado neto'],
+          depreciation_and_amortization: ['amortización del inmovilizado'],
+          net_cash_from_operating: ['flujos de efectivo de las actividades de explotación', 'efectivo neto de actividades de operación'],
+          capital_expenditures: ['pagos por inversiones en inmovilizado material', 'adquisición de propiedades planta y equipo'],
+          net_cash_from_investing: ['flujos de efectivo de las actividades de inversión', 'efectivo neto de actividades de inversión'],
+          debt_issued: ['cobros por emisión de deudas'],
+          debt_repaid: ['pagos por devolución de deudas'],
+          dividends_paid: ['dividendos pagados', 'pagos por dividendos'],
+          net_cash_from_financing: ['flujos de efectivo de las actividades de financiación', 'efectivo neto de actividades de financiación'],
+          net_change_in_cash: ['aumento disminución neta del efectivo', 'variación neta del efectivo'],
+          cash_beginning: ['efectivo al comienzo del ejercicio', 'efectivo al inicio del periodo'],
+          cash_end: ['efectivo al final del ejercicio', 'efectivo al final del periodo']
+        }
+      }
+    },
+    rules: {
+      header: 'balance\\s+(general|de\\s+situaci[óo]n)|situaci[óo]n\\s+financiera|p[ée]rdidas\\s+y\\s+ganancias|estado\\s+de\\s+resultados|flujos?\\s+de\\s+efectivo',
+      date: datePattern(MONTHS.spa),
+      balance_sheet: {
+        section_header: '^(activos?|pasivos?|patrimonio(\\s+neto)?|ingresos|gastos):?$',
+        total: '\\btotal\\b',
+        subsection: '(activos?|pasivos?)\\s+(no\\s+)?corrientes?',
+        line_item: 'efectivo|tesorer[íi]a|deudores|clientes|acreedores|proveedores|existencias|inventarios|capital|reservas'
+      },
+      income_statement: {
+        section_header: '^(ingresos|gastos|gastos\\s+de\\s+explotaci[óo]n|otros\\s+ingresos):?$',
+        total: '\\btotal\\b|margen\\s+bruto|resultado\\s+(de\\s+explotaci[óo]n|operativo|neto|del\\s+ejercicio)',
+        line_item: 'ventas|ingresos|cifra\\s+de\\s+negocios|coste|costo|gastos|amortizaci[óo]n|intereses|impuestos?',
+        fields: {
+          revenue: '^(total\\s+)?(importe\\s+neto\\s+de\\s+la\\s+cifra\\s+de\\s+negocios|ventas|ingresos(\\s+ordinarios)?)$',
+          costOfSales: '^cost[eo]\\s+de\\s+(las\\s+)?ventas$',
+          grossProfit: '^margen\\s+bruto$',
+          preTax: '^resultado\\s+antes\\s+de\\s+impuestos$',
+          tax: '^impuesto\\s+sobre\\s+(beneficios|las\\s+ganancias)$',
+          netIncome: '^resultado\\s+(neto|del\\s+ejercicio)$'
+        }
+      }
+    }
+  }
+};
+
+export const LANGUAGE_CODES = Object.keys(LANGUAGES);
+
+// Lowercase without accents, so "Umsatzerlöse" read as "Umsatzerlose" still counts
+export const foldAccents = (text) => (text || '').toString()
+  .toLowerCase()
+  .replace(/ß/g, 'ss')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '');
+
+// Tesseract language codes, one or several joined with '+' ("deu+eng", "chi_sim")
+export const LANGUAGE_CODE = /^[a-z_]{3,}(\+[a-z_]{3,})*$/;
+
+// The codes in an OCR language ('deu+eng' → ['deu', 'eng']) that have a vocabulary here
+export const vocabularyLanguages = (code) => (code || '').split('+')
+  .map(part => part.trim())
+  .filter(part => part in LANGUAGES)
+  .filter((part, i, all) => all.indexOf(part) === i);
+
+const WORD_SETS = Object.fromEntries(LANGUAGE_CODES.map(code => [code, new Set(LANGUAGES[code].words.map(foldAccents))]));
+
+/**
+ * The language most of the text is in, by counting each language's common words, or
+ * null when fewer than `minWords` are found or two languages tie.
+ *
+ * @param {string[]} texts
+ * @param {{ minWords?: number }} [options]
+ * @returns {string|null}
+ */
+export const detectLanguage = (texts, { minWords = 3 } = {}) => {
+  const counts = Object.fromEntries(LANGUAGE_CODES.map(code => [code, 0]));
+  for (const text of texts) {
+    for (const word of foldAccents(text).split(/[^a-z]+/)) {
+      if (!word) continue;
+      for (const code of LANGUAGE_CODES) if (WORD_SETS[code].has(word)) counts[code]++;
+    }
+  }
+  const [[best, top], [, second]] = Object.entries(counts).sort((a, b) => b[1] - a[1]);
+  return top >= minWords && top > second ? best : null;
+};
+
+/**
+ * The vocabularies to read a document with: those named by `code` ('deu+eng'), or with
+ * 'auto' or no code the one detected from the text, falling back to English.
+ *
+ * @param {string|null|undefined} code
+ * @param {string[]} texts
+ * @returns {string[]}
+ */
+export const resolveLanguages = (code, texts) => {
+  const named = code && code !== 'auto' ? vocabularyLanguages(code) : [];
+  if (named.length > 0) return named;
+  return [detectLanguage(texts) || 'eng'];
+};
+
+// The pattern for every language's total words, for code that has to read any of them
+export const TOTAL_WORDS = LANGUAGE_CODES.map(code => LANGUAGES[code].total).join('|');
@@ -0,0 +1,147 @@
+import { describe, expect, it } from 'vitest';
+import { detectLanguage, resolveLanguages, vocabularyLanguages } from './languages.js';
+import { detectScale, inferDecimalSeparator } from './amounts.js';
+import { labelSimilarity } from './fields.js';
+import { RULE_SETS, selectRuleSet } from './rules.js';
+import { runPipeline } from './index.js';
+import { ocrDocument } from './test-fixtures.js';
+
+const GERMAN_BALANCE_SHEET = [
+  ['Konzernbilanz'],
+  ['(in Tausend Euro)'],
+  ['', '2023', '2022'],
+  ['Aktiva'],
+  ['Umlaufvermögen'],
+  ['Kassenbestand und Guthaben bei Kreditinstituten', '1.000', '900'],
+  ['Forderungen', '500', '100'],
+  ['Summe Umlaufvermögen', '1.500', '1.000'],
+  ['Sachanlagen', '3.000', '3.000'],
+  ['Summe Aktiva', '4.500', '4.000'],
+  ['Passiva'],
+  ['Eigenkapital'],
+  ['Gezeichnetes Kapital', '3.500', '3.000'],
+  ['Summe Eigenkapital', '3.500', '3.000'],
+  ['Verbindlichkeiten'],
+  ['Verbindlichkeiten aus Lieferungen und Leistungen', '1.000', '1.000'],
+  ['Summe Verbindlichkeiten', '1.000', '1.000'],
+  ['Summe Passiva', '4.500', '4.000']
+];
+
+const FRENCH_INCOME_STATEMENT = [
+  ['Compte de résultat'],
+  ['', '2023', '2022'],
+  ["Chiffre d'affaires", '1 000,0', '900,0'],
+  ['Coût des ventes', '(600,0)', '(500,0)'],
+  ['Marge brute', '400,0', '450,0'],
+  ['Résultat avant impôt', '300,0', '250,0'],
+  ['Impôt sur les bénéfices', '(60,0)', '(50,0)'],
+  ['Résultat net', '240,0', '210,0']
+];
+
+const byLabel = (results, label) => results.find(line => line.label === label);
+
+describe('detectLanguage', () => {
+  it('recognizes each language from its common words', () => {
+    expect(detectLanguage(['Total assets and liabilities for the year ended'])).toBe('eng');
+    expect(detectLanguage(['Summe Aktiva', 'Forderungen und sonstige Vermögensgegenstände', 'Rückstellungen'])).toBe('deu');
+    expect(detectLanguage(["Total de l'actif", 'Capitaux propres', 'Dettes et charges'])).toBe('fra');
+    expect(detectLanguage(['Total activo', 'Patrimonio neto y pasivo', 'Deudas con entidades'])).toBe('spa');
+  });
+
+  it('reads words that OCR lost the accents of', () => {
+    expect(detectLanguage(['Umsatzerlose', 'Jahresuberschuss', 'Ruckstellungen'])).toBe('deu');
+  });
+
+  it('is null with too little to go on', () => {
+    expect(detectLanguage(['1.234', '2023'])).toBe(null);
+    expect(detectLanguage(['Bilanz'])).toBe(null);
+  });
+});
+
+describe('resolveLanguages', () => {
+  it('uses the languages named, or the one detected, or English', () => {
+    expect(vocabularyLanguages('deu+eng+chi_sim')).toEqual(['deu', 'eng']);
+    expect(resolveLanguages('fra+eng', [])).toEqual(['fra', 'eng']);
+    expect(resolveLanguages('auto', ['Summe Aktiva', 'Summe Passiva', 'Eigenkapital'])).toEqual(['deu']);
+    expect(resolveLanguages('ita', [])).toEqual(['eng']);
+  });
+});
+
+describe('number formats', () => {
+  it('takes the decimal separator from the language when the amounts leave it open', () => {
+    expect(inferDecimalSeparator(['1.000', '500'])).toBe('.');
+    expect(inferDecimalSeparator(['1.000', '500'], ',')).toBe(',');
+    expect(inferDecimalSeparator(['1,000.50'], ',')).toBe('.');
+  });
+
+  it('reads scale notes in each language', () => {
+    expect(detectScale('(in Tausend Euro)')).toBe(1e3);
+    expect(detectScale('TEUR')).toBe(1e3);
+    expect(detectScale('in Mio. €')).toBe(1e6);
+    expect(detectScale('Mrd. EUR')).toBe(1e9);
+    expect(detectScale('(en milliers d\'euros)')).toBe(1e3);
+    expect(detectScale('en millions d\'euros')).toBe(1e6);
+    expect(detectScale('(en miles de euros)')).toBe(1e3);
+    expect(detectScale('Teuerung')).toBe(null);
+  });
+});
+
+describe('localized rule sets', () => {
+  it('are tried first for the document\'s language', () => {
+    const lines = [{ raw: 'Bilanz zum 31. Dezember 2023' }];
+    expect(selectRuleSet(lines, RULE_SETS, 'auto', ['deu']).id).toBe('balance_sheet_deu');
+    expect(selectRuleSet([{ raw: 'Compte de résultat' }], RULE_SETS, 'auto', ['fra']).id).toBe('income_statement_fra');
+    expect(selectRuleSet([], RULE_SETS, 'balance_sheet', ['spa']).id).toBe('balance_sheet_spa');
+    expect(selectRuleSet([], RULE_SETS, 'balance_sheet').id).toBe('balance_sheet');
+  });
+});
+
+describe('pipeline on German and French statements', () => {
+  it('detects German, reads its number format and maps its fields', () => {
+    const { results, ruleSet, languages } = runPipeline(ocrDocument([GERMAN_BALANCE_SHEET]));
+    expect(languages).toEqual(['deu']);
+    expect(ruleSet.id).toBe('balance_sheet_deu');
+    expect(byLabel(results, 'Summe Aktiva').values).toEqual({ 2023: 4500, 2022: 4000 });
+    expect(byLabel(results, 'Summe Aktiva').scale).toBe(1000);
+    expect(byLabel(results, 'Konzernbilanz').predictedLabel).toBe('header');
+
+    const fields = Object.fromEntries(results.filter(l => l.field).map(l => [l.label, l.field.key]));
+    expect(fields).toMatchObject({
+      'Kassenbestand und Guthaben bei Kreditinstituten': 'cash_and_equivalents',
+      Forderungen: 'accounts_receivable',
+      'Summe Umlaufvermögen': 'total_current_assets',
+      Sachanlagen: 'property_plant_equipment',
+      'Summe Aktiva': 'total_assets',
+      'Gezeichnetes Kapital': 'common_stock',
+      'Summe Eigenkapital': 'total_equity',
+      'Verbindlichkeiten aus Lieferungen und Leistungen': 'accounts_payable',
+      'Summe Verbindlichkeiten': 'total_liabilities',
+      'Summe Passiva': 'total_liabilities_and_equity'
+    });
+    expect(results.flatMap(l => l.ruleFailures || []).filter(r => r !== 'low_ocr_confidence')).toEqual([]);
+  });
+
+  it('checks German subtotals and the balance sheet identity', () => {
+    const rows = GERMAN_BALANCE_SHEET.map(row => (row[0] === 'Summe Umlaufvermögen' ? [row[0], '1.600', '1.000'] : row));
+    const { results } = runPipeline(ocrDocument([rows]), { language: 'deu' });
+    expect(byLabel(results, 'Summe Umlaufvermögen').ruleFailures).toContain('total_does_not_foot');
+
+    const unbalanced = GERMAN_BALANCE_SHEET.map(row => (row[0] === 'Summe Passiva' ? [row[0], '4.400', '4.000'] : row));
+    const identity = runPipeline(ocrDocument([unbalanced]), { language: 'deu' }).results;
+    expect(byLabel(identity, 'Summe Aktiva').ruleFailures).toContain('balance_sheet_identity_mismatch');
+  });
+
+  it('runs the French income statement checks', () => {
+    const { results, ruleSet } = runPipeline(ocrDocument([FRENCH_INCOME_STATEMENT]), { language: 'fra+eng' });
+    expect(ruleSet.id).toBe('income_statement_fra');
+    expect(byLabel(results, 'Marge brute').ruleFailures).toContain('gross_profit_mismatch');
+    expect(byLabel(results, 'Résultat net').ruleFailures).toContain('net_income_mismatch');
+    expect(byLabel(results, "Chiffre d'affaires").field.key).toBe('revenue');
+    expect(byLabel(results, 'Impôt sur les bénéfices').field.key).toBe('income_tax_expense');
+  });
+
+  it('matches field names whatever happened to their accents', () => {
+    expect(labelSimilarity('Vorrate', 'vorräte')).toBe(1);
+    expect(labelSimilarity('Tresorerie', 'trésorerie')).toBe(1);
+  });
+});
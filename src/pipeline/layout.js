@@ -0,0 +1,127 @@
+// Stage 2 helpers: turn PDF text-layer items or OCR words into table rows.
+
+import { CURRENCY, isNumericToken } from './amounts.js';
+
+// Same as pdf.js Util.transform: compose two 2D affine matrices [a, b, c, d, e, f]
+const transform = (m1, m2) => [
+  m1[0] * m2[0] + m1[2] * m2[1],
+  m1[1] * m2[0] + m1[3] * m2[1],
+  m1[0] * m2[2] + m1[2] * m2[3],
+  m1[1] * m2[2] + m1[3] * m2[3],
+  m1[0] * m2[4] + m1[2] * m2[5] + m1[4],
+  m1[1] * m2[4] + m1[3] * m2[5] + m1[5]
+];
+
+// Words from a PDF's embedded text layer, in the same pixel space as the rendered page.
+// pdf.js items can hold several words; each is split out with a proportional width.
+export const textLayerWords = (textContent, viewport) => {
+  const words = [];
+  for (const item of textContent.items) {
+    if (!item.str || !item.str.trim()) continue;
+    const tx = transform(viewport.transform, item.transform);
+    const fontHeight = Math.hypot(tx[2], tx[3]);
+    const charWidth = (item.width * viewport.scale) / item.str.length;
+    for (const match of item.str.matchAll(/\S+/g)) {
+      const x0 = tx[4] + match.index * charWidth;
+      words.push({
+        raw: match[0],
+        bbox: [x0, tx[5] - fontHeight, x0 + match[0].length * charWidth, tx[5]],
+        confidence: 0.99,
+        source: 'text_layer'
+      });
+    }
+  }
+  return words;
+};
+
+// A text layer is usable when it holds a reasonable amount of text and little of it is
+// unmapped glyphs (private-use or replacement characters from broken font encodings)
+export const isUsableTextLayer = (words) => {
+  const text = words.map(w => w.raw).join('');
+  if (text.length < 20) return false;
+  const garbled = (text.match(/[\uE000-\uF8FF\uFFFD]/g) || []).length;
+  return garbled / text.length < 0.1;
+};
+
+// Cross-check: attach the OCR reading of each value cell's region so validateRules can
+// compare the two sources
+export const attachCrossCheck = (rows, ocrWords) => {
+  const overlaps = (a, b) => {
+    const cx = (b[0] + b[2]) / 2;
+    const cy = (b[1] + b[3]) / 2;
+    return cx >= a[0] && cx <= a[2] && cy >= a[1] && cy <= a[3];
+  };
+  return rows.map(row => ({
+    ...row,
+    cells: row.cells.map(cell => {
+      const matched = ocrWords.filter(w => overlaps(cell.bbox, w.bbox)).sort((a, b) => a.bbox[0] - b.bbox[0]);
+      return { ...cell, crossCheck: { raw: matched.map(w => w.raw).join(' '), confidence: matched.length ? Math.min(...matched.map(w => w.confidence)) : 0 } };
+    })
+  }));
+};
+
+// Rebuild table rows from Tesseract words: words sharing a baseline form a row,
+// wide horizontal gaps split the row into cells, and numeric cells become values
+export const groupRows = (words) => {
+  const heights = words.map(w => w.bbox[3] - w.bbox[1]).sort((a, b) => a - b);
+  const medianHeight = heights.length ? heights[Math.floor(heights.length / 2)] : 0;
+  const centerY = (w) => (w.bbox[1] + w.bbox[3]) / 2;
+
+  const kindOf = (text) => CURRENCY.test(text) ? 'currency' : isNumericToken(text) ? 'number' : 'text';
+
+  const rows = [];
+  for (const word of [...words].sort((a, b) => centerY(a) - centerY(b))) {
+    const row = rows[rows.length - 1];
+    if (row && Math.abs(centerY(word) - row.centerY) <= medianHeight * 0.5) {
+      row.words.push(word);
+      row.centerY = row.words.reduce((s, w) => s + centerY(w), 0) / row.words.length;
+    } else {
+      rows.push({ words: [word], centerY: centerY(word) });
+    }
+  }
+
+  const unionBbox = (ws) => [
+    Math.min(...ws.map(w => w.bbox[0])), Math.min(...ws.map(w => w.bbox[1])),
+    Math.max(...ws.map(w => w.bbox[2])), Math.max(...ws.map(w => w.bbox[3]))
+  ];
+
+  return rows.map((row, idx) => {
+    const sorted = row.words.sort((a, b) => a.bbox[0] - b.bbox[0]);
+    const cells = [];
+    for (const word of sorted) {
+      const cell = cells[cells.length - 1];
+      const prev = cell && cell.words[cell.words.length - 1];
+      const gap = prev ? word.bbox[0] - prev.bbox[2] : Infinity;
+      const prevKind = prev && kindOf(prev.raw);
+      const kind = kindOf(word.raw);
+      // Label words join across normal spacing, a currency symbol always joins its
+      // number, and numbers only join when split by a thousands space ("1 234 567")
+      const joins = (prevKind === 'text' && kind === 'text' && gap <= medianHeight * 1.5)
+        || (prevKind === 'currency' && kind === 'number')
+        || (prevKind === 'number' && kind === 'currency' && gap <= medianHeight * 1.5)
+        || (prevKind === 'number' && kind === 'number' && gap <= medianHeight * 0.5);
+      if (joins) cell.words.push(word);
+      else cells.push({ words: [word] });
+    }
+
+    const built = cells.map(cell => ({
+      raw: cell.words.map(w => w.raw).join(' '),
+      bbox: unionBbox(cell.words),
+      confidence: Math.min(...cell.words.map(w => w.confidence))
+    }));
+    // Everything before the first numeric cell is the row label
+    const firstValue = built.findIndex(c => isNumericToken(c.raw));
+    const labelCells = firstValue === -1 ? built : built.slice(0, firstValue);
+    const valueCells = firstValue === -1 ? [] : built.slice(firstValue);
+
+    return {
+      id: idx + 1,
+      raw: sorted.map(w => w.raw).join(' '),
+      label: labelCells.map(c => c.raw).join(' '),
+      cells: valueCells,
+      bbox: unionBbox(sorted),
+      confidence: sorted.reduce((s, w) => s + w.confidence, 0) / sorted.length,
+      source: sorted[0].source || 'ocr'
+    };
+  });
+};
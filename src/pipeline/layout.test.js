@@ -0,0 +1,79 @@
+import { describe, expect, it } from 'vitest';
+import { attachCrossCheck, groupRows, isUsableTextLayer, textLayerWords } from './layout.js';
+import { wordsFromRows } from './test-fixtures.js';
+
+describe('groupRows', () => {
+  it('rebuilds a row from its words with a label cell and value cells', () => {
+    const [row] = groupRows(wordsFromRows([['Total current assets', '1,234,567', '1,100,000']]));
+    expect(row.label).toBe('Total current assets');
+    expect(row.cells.map(c => c.raw)).toEqual(['1,234,567', '1,100,000']);
+    expect(row.raw).toBe('Total current assets 1,234,567 1,100,000');
+    expect(row.id).toBe(1);
+  });
+
+  it('groups words on the same baseline even when boxes are slightly offset', () => {
+    const words = wordsFromRows([['Cash', '100']]);
+    words[1].bbox = [400, 44, 427, 64];
+    expect(groupRows(words)).toHaveLength(1);
+  });
+
+  it('keeps a currency symbol with its number', () => {
+    const words = wordsFromRows([['Cash', '1,234']]);
+    words.splice(1, 0, { raw: '$', bbox: [380, 40, 389, 60], confidence: 0.9 });
+    const [row] = groupRows(words);
+    expect(row.label).toBe('Cash');
+    expect(row.cells.map(c => c.raw)).toEqual(['$ 1,234']);
+  });
+
+  it('splits a number printed right after the label', () => {
+    const [row] = groupRows([
+      { raw: 'Cash', bbox: [10, 40, 46, 60], confidence: 0.9 },
+      { raw: '100', bbox: [52, 40, 79, 60], confidence: 0.9 }
+    ]);
+    expect(row.label).toBe('Cash');
+    expect(row.cells.map(c => c.raw)).toEqual(['100']);
+  });
+
+  it('takes a cell confidence from its weakest word and the row source from its words', () => {
+    const words = wordsFromRows([['Cash', '100']]).map(w => ({ ...w, source: 'text_layer' }));
+    words[1].confidence = 0.4;
+    const [row] = groupRows(words);
+    expect(row.cells[0].confidence).toBe(0.4);
+    expect(row.source).toBe('text_layer');
+  });
+});
+
+describe('textLayerWords', () => {
+  it('splits pdf.js items into words in rendered-page pixels', () => {
+    const viewport = { scale: 1.5, transform: [1.5, 0, 0, -1.5, 0, 1188] };
+    const words = textLayerWords({ items: [{ str: 'Total assets', transform: [10, 0, 0, 10, 50, 680], width: 60 }] }, viewport);
+    expect(words.map(w => w.raw)).toEqual(['Total', 'assets']);
+    expect(words[0].bbox[0]).toBeCloseTo(75);
+    expect(words[0].bbox[3]).toBeCloseTo(168);
+    expect(words[0].bbox[3] - words[0].bbox[1]).toBeCloseTo(15);
+    expect(words[1].bbox[0]).toBeCloseTo(75 + 6 * 7.5);
+    expect(words[0].source).toBe('text_layer');
+  });
+});
+
+describe('isUsableTextLayer', () => {
+  const word = (raw) => ({ raw, bbox: [0, 0, 1, 1], confidence: 0.99 });
+
+  it('needs enough text', () => {
+    expect(isUsableTextLayer([word('Page 1')])).toBe(false);
+    expect(isUsableTextLayer(['Balance', 'Sheet', 'Total', 'assets', '1,234'].map(word))).toBe(true);
+  });
+
+  it('rejects text from broken font encodings', () => {
+    expect(isUsableTextLayer([word('abcdefgh')])).toBe(false);
+  });
+});
+
+describe('attachCrossCheck', () => {
+  it('attaches the OCR words inside each value cell', () => {
+    const rows = groupRows(wordsFromRows([['Cash', '1,234']]));
+    const ocrWords = [{ raw: '1,284', bbox: [401, 41, 446, 59], confidence: 0.8 }];
+    const [row] = attachCrossCheck(rows, ocrWords);
+    expect(row.cells[0].crossCheck).toEqual({ raw: '1,284', confidence: 0.8 });
+  });
+});
@@ -0,0 +1,122 @@
+// Searchable PDF export: each page image with its OCR words laid over it as invisible
+// text, so the PDF can be searched and copied from like the original digital report.
+
+// Helvetica advance widths (1/1000 em) for character codes 32–126; other codes use 556
+const HELVETICA_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
+
+// Characters WinAnsiEncoding puts at codes 0x80–0x9f (undefined codes left blank)
+const WIN_ANSI_HIGH = '€\0‚ƒ„…†‡ˆ‰Š‹Œ\0Ž\0\0‘’“”•–—˜™š›œ\0žŸ';
+
+// The word's character codes in WinAnsiEncoding; characters it cannot show become '?'
+const winAnsiCodes = (text) => [...text].map((char) => {
+  const code = char.codePointAt(0);
+  if ((code >= 32 && code <= 126) || (code >= 160 && code <= 255)) return code;
+  const high = WIN_ANSI_HIGH.indexOf(char);
+  return high >= 0 && char !== '\0' ? 0x80 + high : 63;
+});
+
+const pdfString = (codes) => `(${codes.map((code) => {
+  if (code === 40 || code === 41 || code === 92) return `\\${String.fromCharCode(code)}`;
+  return code >= 32 && code <= 126 ? String.fromCharCode(code) : `\\${code.toString(8).padStart(3, '0')}`;
+}).join('')})`;
+
+// Text strings outside page content (document info) as UTF-16BE, which can hold any character
+const pdfTextString = (text) => `<FEFF${[...String(text)].map((char) => {
+  const code = char.codePointAt(0);
+  if (code <= 0xffff) return code.toString(16).padStart(4, '0');
+  const offset = code - 0x10000;
+  return (0xd800 + (offset >> 10)).toString(16) + (0xdc00 + (offset & 0x3ff)).toString(16);
+}).join('').toUpperCase()}>`;
+
+const pdfDate = (date) => `D:${date.toISOString().replace(/\D/g, '').slice(0, 14)}Z`;
+
+const num = (value) => String(Number(value.toFixed(2)));
+
+// Invisible text (render mode 3) at each word's box: font size from the box height,
+// horizontal scaling so the word spans the box width
+const textLayer = (words, scale, pageHeight) => {
+  const commands = [];
+  for (const { raw, bbox } of words) {
+    const text = (raw || '').toString().trim();
+    if (!text || !bbox) continue;
+    const [x0, y0, x1, y1] = bbox.map(v => v / scale);
+    const size = Math.max(1, y1 - y0);
+    const codes = winAnsiCodes(text);
+    const advance = codes.reduce((s, code) => s + (code >= 32 && code <= 126 ? HELVETICA_WIDTHS[code - 32] : 556), 0) / 1000 * size;
+    const stretch = advance > 0 ? Math.max(1, ((x1 - x0) / advance) * 100) : 100;
+    // Baseline above the box bottom by roughly a descender
+    commands.push(`/F1 ${num(size)} Tf ${num(stretch)} Tz 1 0 0 1 ${num(x0)} ${num(pageHeight - y1 + size * 0.2)} Tm ${pdfString(codes)} Tj`);
+  }
+  return commands.length ? `BT 3 Tr\n${commands.join('\n')}\nET` : '';
+};
+
+/**
+ * A PDF with one page per image, each sized to its image at `scale` image pixels per
+ * point, with the page's words as searchable invisible text.
+ *
+ * @param {Array<{ image: { data: Uint8Array, width: number, height: number }, scale: number,
+ *   words?: Array<{ raw: string, bbox: import('./schema.js').BBox }> }>} pages
+ *   `image.data` is a JPEG; word boxes are in image pixels (the app's rendered page pixels)
+ * @param {{ title?: string, subject?: string, keywords?: string, creator?: string, createdAt?: Date }} [info]
+ * @returns {Uint8Array}
+ */
+export const buildSearchablePDF = (pages, { title, subject, keywords, creator = 'ocr-validation-app', createdAt = new Date() } = {}) => {
+  const encoder = new TextEncoder();
+  const objects = [];
+  const pageRefs = pages.map((_, i) => `${5 + i * 3} 0 R`);
+
+  objects.push('<< /Type /Catalog /Pages 2 0 R >>');
+  objects.push(`<< /Type /Pages /Kids [${pageRefs.join(' ')}] /Count ${pages.length} >>`);
+  objects.push('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+  const infoEntries = { Title: title, Subject: subject, Keywords: keywords, Creator: creator, Producer: creator };
+  objects.push(`<< ${Object.entries(infoEntries).filter(([, value]) => value).map(([key, value]) => `/${key} ${pdfTextString(value)}`).join(' ')} /CreationDate (${pdfDate(createdAt)}) >>`);
+
+  pages.forEach(({ image, scale, words = [] }, i) => {
+    const width = image.width / scale;
+    const height = image.height / scale;
+    const content = `q ${num(width)} 0 0 ${num(height)} 0 0 cm /Im0 Do Q\n${textLayer(words, scale, height)}`;
+    const ref = 5 + i * 3;
+    objects.push(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${num(width)} ${num(height)}] /Contents ${ref + 1} 0 R `
+      + `/Resources << /Font << /F1 3 0 R >> /XObject << /Im0 ${ref + 2} 0 R >> >> >>`);
+    objects.push([`<< /Length ${content.length} >>\nstream\n`, content, '\nendstream']);
+    objects.push([
+      `<< /Type /XObject /Subtype /Image /Width ${image.width} /Height ${image.height} /ColorSpace /DeviceRGB `
+        + `/BitsPerComponent 8 /Filter /DCTDecode /Length ${image.data.length} >>\nstream\n`,
+      image.data,
+      '\nendstream'
+    ]);
+  });
+
+  const chunks = [encoder.encode('%PDF-1.4\n'), new Uint8Array([0x25, 0xe2, 0xe3, 0xcf, 0xd3, 0x0a])];
+  let length = chunks.reduce((s, c) => s + c.length, 0);
+  const add = (part) => {
+    const bytes = typeof part === 'string' ? encoder.encode(part) : part;
+    chunks.push(bytes);
+    length += bytes.length;
+  };
+  const offsets = objects.map((object, i) => {
+    const offset = length;
+    add(`${i + 1} 0 obj\n`);
+    for (const part of Array.isArray(object) ? object : [object]) add(part);
+    add('\nendobj\n');
+    return offset;
+  });
+  const xref = length;
+  add(`xref\n0 ${objects.length + 1}\n0000000000 65535 f \n${offsets.map(o => `${String(o).padStart(10, '0')} 00000 n \n`).join('')}`);
+  add(`trailer\n<< /Size ${objects.length + 1} /Root 1 0 R /Info 4 0 R >>\nstartxref\n${xref}\n%%EOF\n`);
+
+  const pdf = new Uint8Array(length);
+  let at = 0;
+  for (const chunk of chunks) {
+    pdf.set(chunk, at);
+    at += chunk.length;
+  }
+  return pdf;
+};
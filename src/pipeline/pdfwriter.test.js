@@ -0,0 +1,41 @@
+import { describe, expect, it } from 'vitest';
+import { buildSearchablePDF } from './pdfwriter.js';
+import { readPdfTextLayer } from '../cli.js';
+
+// pdf.js does not decode images to read text, so any bytes do for the JPEG
+const image = { data: new Uint8Array([0xff, 0xd8, 0xff, 0xd9]), width: 918, height: 1188 };
+
+describe('buildSearchablePDF', () => {
+  it('puts each word where it was on the page', async () => {
+    const words = [
+      { raw: 'Total', bbox: [60, 100, 120, 118] },
+      { raw: 'assets', bbox: [128, 100, 200, 118] },
+      { raw: '1.234,5', bbox: [600, 100, 690, 118] },
+      { raw: 'Umlaufvermögen', bbox: [60, 140, 240, 158] }
+    ];
+    const pdf = buildSearchablePDF([{ image, scale: 1.5, words }, { image, scale: 1.5 }], { title: 'Bilanz – 2023' });
+    const text = new TextDecoder('latin1').decode(pdf);
+    expect(text).toContain('/MediaBox [0 0 612 792]');
+    expect(text).toContain('/Count 2');
+
+    const { pages } = await readPdfTextLayer(pdf, 'out.pdf');
+    const read = pages[0].words.map(w => w.raw);
+    expect(read).toEqual(['Total', 'assets', '1.234,5', 'Umlaufvermögen']);
+    for (const [i, word] of pages[0].words.entries()) {
+      expect(Math.abs(word.bbox[0] - words[i].bbox[0])).toBeLessThan(2);
+      expect(Math.abs(word.bbox[2] - words[i].bbox[2])).toBeLessThan(4);
+      expect(Math.abs(word.bbox[3] - words[i].bbox[3])).toBeLessThan(8);
+    }
+    expect(pages[1].words).toEqual([]);
+  });
+
+  it('escapes PDF string syntax in words', async () => {
+    const words = [
+      { raw: 'Net (loss)', bbox: [60, 100, 160, 118] },
+      { raw: '(1,234)', bbox: [600, 100, 670, 118] },
+      { raw: 'C:\\reports', bbox: [60, 140, 170, 158] }
+    ];
+    const { pages } = await readPdfTextLayer(buildSearchablePDF([{ image, scale: 1.5, words }]), 'out.pdf');
+    expect(pages[0].words.map(w => w.raw)).toEqual(['Net', '(loss)', '(1,234)', 'C:\\reports']);
+  });
+});
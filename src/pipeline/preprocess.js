@@ -0,0 +1,544 @@
+// Stage 1 helpers: clean up a rendered page before it goes to OCR. Scanned filings come
+// in skewed, faint, sideways and crossed by table rules; each step here undoes one of
+// those. Images are grayscale ({ width, height, data }, one byte per pixel, 0 = black)
+// so everything runs in Node and tests as well as the browser.
+
+export const DEFAULT_PREPROCESSING = {
+  enabled: true,
+  // Render resolution for OCR. Scans stored at a higher resolution are rendered at
+  // their own, up to maxDpi; pages over maxPixels are rendered smaller.
+  targetDpi: 300,
+  maxDpi: 600,
+  maxPixels: 16_000_000,
+  contrast: true,
+  binarize: 'adaptive', // 'adaptive' | 'otsu' | 'off'
+  orientation: true,
+  deskew: true,
+  maxSkewDegrees: 5,
+  removeLines: true,
+  denoise: true
+};
+
+// PDF user space units per inch
+const POINTS_PER_INCH = 72;
+
+/**
+ * The scale to render a page at for OCR. `pageSize` is the page in PDF points;
+ * `imageDpi` is the resolution of the scan embedded in it, when there is one.
+ *
+ * @returns {{ scale: number, dpi: number }}
+ */
+export const chooseRenderScale = (pageSize, options = {}, imageDpi = null) => {
+  const { targetDpi, maxDpi, maxPixels } = { ...DEFAULT_PREPROCESSING, ...options };
+  let dpi = imageDpi && imageDpi > targetDpi ? Math.min(imageDpi, maxDpi) : targetDpi;
+  const pixels = (pageSize.width / POINTS_PER_INCH) * (pageSize.height / POINTS_PER_INCH) * dpi * dpi;
+  if (pixels > maxPixels) dpi *= Math.sqrt(maxPixels / pixels);
+  return { scale: dpi / POINTS_PER_INCH, dpi: Math.round(dpi) };
+};
+
+/**
+ * Resolution of a scanned page: the largest embedded image, when its shape matches the
+ * page's (a full-page scan), measured against the page size in points. Null otherwise.
+ *
+ * @param {{ width: number, height: number }} pageSize
+ * @param {{ width: number, height: number }[]} images  Pixel sizes of the page's images
+ */
+export const scanDpi = (pageSize, images) => {
+  const largest = [...images].sort((a, b) => b.width * b.height - a.width * a.height)[0];
+  if (!largest) return null;
+  const pageLong = Math.max(pageSize.width, pageSize.height);
+  const pageShort = Math.min(pageSize.width, pageSize.height);
+  const imageLong = Math.max(largest.width, largest.height);
+  const imageShort = Math.min(largest.width, largest.height);
+  if (Math.abs(imageShort / imageLong - pageShort / pageLong) > 0.05) return null;
+  return Math.round(imageLong / (pageLong / POINTS_PER_INCH));
+};
+
+// 2D affine matrices [a, b, c, d, e, f] as in pdf.js: x' = ax + cy + e, y' = bx + dy + f
+const IDENTITY = [1, 0, 0, 1, 0, 0];
+
+// m1 after m2
+const compose = (m1, m2) => [
+  m1[0] * m2[0] + m1[2] * m2[1],
+  m1[1] * m2[0] + m1[3] * m2[1],
+  m1[0] * m2[2] + m1[2] * m2[3],
+  m1[1] * m2[2] + m1[3] * m2[3],
+  m1[0] * m2[4] + m1[2] * m2[5] + m1[4],
+  m1[1] * m2[4] + m1[3] * m2[5] + m1[5]
+];
+
+const applyMatrix = (m, x, y) => [m[0] * x + m[2] * y + m[4], m[1] * x + m[3] * y + m[5]];
+
+/**
+ * A box [x0, y0, x1, y1] carried through `matrix`: the box around its mapped corners.
+ * `scale` is the size of one matrix unit in the box's units (boxes in page-view pixels
+ * over a matrix in render pixels).
+ */
+export const mapBox = (bbox, matrix, scale = 1) => {
+  const [x0, y0, x1, y1] = bbox.map(v => v / scale);
+  const corners = [[x0, y0], [x1, y0], [x0, y1], [x1, y1]].map(([x, y]) => applyMatrix(matrix, x, y));
+  const xs = corners.map(c => c[0] * scale);
+  const ys = corners.map(c => c[1] * scale);
+  return [Math.min(...xs), Math.min(...ys), Math.max(...xs), Math.max(...ys)];
+};
+
+// Rows from groupRows with their row and cell boxes carried through `matrix`
+export const mapRows = (rows, matrix, scale = 1) => rows.map(row => ({
+  ...row,
+  bbox: mapBox(row.bbox, matrix, scale),
+  cells: row.cells.map(cell => ({ ...cell, bbox: mapBox(cell.bbox, matrix, scale) }))
+}));
+
+// RGBA pixels (canvas ImageData) to gray; transparent pixels count as white paper
+export const toGrayscale = ({ width, height, data }) => {
+  const gray = new Uint8Array(width * height);
+  for (let i = 0; i < gray.length; i++) {
+    const alpha = data[i * 4 + 3] / 255;
+    const luminance = 0.299 * data[i * 4] + 0.587 * data[i * 4 + 1] + 0.114 * data[i * 4 + 2];
+    gray[i] = Math.round(luminance * alpha + 255 * (1 - alpha));
+  }
+  return { width, height, data: gray };
+};
+
+// Gray back to RGBA, for a canvas
+export const toRGBA = ({ data }) => {
+  const rgba = new Uint8ClampedArray(data.length * 4);
+  for (let i = 0; i < data.length; i++) {
+    rgba[i * 4] = rgba[i * 4 + 1] = rgba[i * 4 + 2] = data[i];
+    rgba[i * 4 + 3] = 255;
+  }
+  return rgba;
+};
+
+const histogram = (data) => {
+  const counts = new Uint32Array(256);
+  for (let i = 0; i < data.length; i++) counts[data[i]]++;
+  return counts;
+};
+
+const percentile = (counts, total, fraction) => {
+  let seen = 0;
+  for (let v = 0; v < 256; v++) {
+    seen += counts[v];
+    if (seen >= total * fraction) return v;
+  }
+  return 255;
+};
+
+// Stretches the 1st–99th percentile of a faint scan to the full range. Images that
+// already use the full range, or are nearly flat, are left alone.
+export const stretchContrast = (image) => {
+  const counts = histogram(image.data);
+  const low = percentile(counts, image.data.length, 0.01);
+  const high = percentile(counts, image.data.length, 0.99);
+  if (high - low < 16 || (low <= 8 && high >= 247)) return { image, low, high, applied: false };
+  const data = new Uint8Array(image.data.length);
+  for (let i = 0; i < data.length; i++) {
+    data[i] = Math.max(0, Math.min(255, Math.round(((image.data[i] - low) * 255) / (high - low))));
+  }
+  return { image: { ...image, data }, low, high, applied: true };
+};
+
+// Otsu's threshold: the gray level that best splits the histogram into ink and paper
+export const otsuThreshold = (image) => {
+  const counts = histogram(image.data);
+  const total = image.data.length;
+  let sumAll = 0;
+  for (let v = 0; v < 256; v++) sumAll += v * counts[v];
+  let sumBelow = 0;
+  let countBelow = 0;
+  let best = 128;
+  let bestVariance = -1;
+  for (let v = 0; v < 256; v++) {
+    countBelow += counts[v];
+    if (countBelow === 0) continue;
+    const countAbove = total - countBelow;
+    if (countAbove === 0) break;
+    sumBelow += v * counts[v];
+    const meanBelow = sumBelow / countBelow;
+    const meanAbove = (sumAll - sumBelow) / countAbove;
+    const variance = countBelow * countAbove * (meanBelow - meanAbove) ** 2;
+    if (variance > bestVariance) {
+      bestVariance = variance;
+      best = v;
+    }
+  }
+  return best + 1;
+};
+
+/**
+ * Black text on white paper. 'otsu' uses one threshold for the page; 'adaptive'
+ * compares each pixel with its neighbourhood (Bradley–Roth), which copes with shadows
+ * and uneven scans.
+ *
+ * @returns {{ image: object, threshold?: number }}
+ */
+export const binarize = (image, method = 'adaptive') => {
+  const { width, height } = image;
+  const out = new Uint8Array(width * height);
+  if (method === 'otsu') {
+    const threshold = otsuThreshold(image);
+    for (let i = 0; i < out.length; i++) out[i] = image.data[i] < threshold ? 0 : 255;
+    return { image: { width, height, data: out }, threshold };
+  }
+
+  const integral = new Uint32Array((width + 1) * (height + 1));
+  for (let y = 0; y < height; y++) {
+    let rowSum = 0;
+    for (let x = 0; x < width; x++) {
+      rowSum += image.data[y * width + x];
+      integral[(y + 1) * (width + 1) + x + 1] = integral[y * (width + 1) + x + 1] + rowSum;
+    }
+  }
+  const half = Math.max(7, Math.round(width / 32));
+  for (let y = 0; y < height; y++) {
+    const y0 = Math.max(0, y - half);
+    const y1 = Math.min(height, y + half + 1);
+    for (let x = 0; x < width; x++) {
+      const x0 = Math.max(0, x - half);
+      const x1 = Math.min(width, x + half + 1);
+      const sum = integral[y1 * (width + 1) + x1] - integral[y0 * (width + 1) + x1] - integral[y1 * (width + 1) + x0] + integral[y0 * (width + 1) + x0];
+      const count = (x1 - x0) * (y1 - y0);
+      out[y * width + x] = image.data[y * width + x] * count <= sum * 0.85 ? 0 : 255;
+    }
+  }
+  return { image: { width, height, data: out } };
+};
+
+/**
+ * Rotates by a quarter turn clockwise `turns` times (1 = 90°, 2 = 180°, 3 = 270°).
+ *
+ * @returns {{ image: object, toInput: number[] }}  toInput maps output points to input points
+ */
+export const rotateQuarter = (image, turns) => {
+  const { width, height, data } = image;
+  const quarter = ((turns % 4) + 4) % 4;
+  const sideways = quarter % 2 === 1;
+  const outWidth = sideways ? height : width;
+  const outHeight = sideways ? width : height;
+  const toInput = [
+    IDENTITY,
+    [0, -1, 1, 0, 0, height],
+    [-1, 0, 0, -1, width, height],
+    [0, 1, -1, 0, width, 0]
+  ][quarter];
+  const out = new Uint8Array(width * height);
+  for (let y = 0; y < outHeight; y++) {
+    for (let x = 0; x < outWidth; x++) {
+      const [sx, sy] = applyMatrix(toInput, x + 0.5, y + 0.5);
+      out[y * outWidth + x] = data[Math.floor(sy) * width + Math.floor(sx)];
+    }
+  }
+  return { image: { width: outWidth, height: outHeight, data: out }, toInput };
+};
+
+/**
+ * Rotates by `degrees` clockwise about the centre, keeping the image size; corners that
+ * come in from outside are white.
+ *
+ * @returns {{ image: object, toInput: number[] }}
+ */
+export const rotateImage = (image, degrees) => {
+  const { width, height, data } = image;
+  const rad = (degrees * Math.PI) / 180;
+  const cos = Math.cos(rad);
+  const sin = Math.sin(rad);
+  const cx = width / 2;
+  const cy = height / 2;
+  const toInput = [cos, -sin, sin, cos, cx - cos * cx - sin * cy, cy + sin * cx - cos * cy];
+  const out = new Uint8Array(width * height).fill(255);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const [px, py] = applyMatrix(toInput, x + 0.5, y + 0.5);
+      const sx = px - 0.5;
+      const sy = py - 0.5;
+      const x0 = Math.floor(sx);
+      const y0 = Math.floor(sy);
+      if (x0 < 0 || y0 < 0 || x0 + 1 >= width || y0 + 1 >= height) continue;
+      const fx = sx - x0;
+      const fy = sy - y0;
+      const i = y0 * width + x0;
+      const top = data[i] * (1 - fx) + data[i + 1] * fx;
+      const bottom = data[i + width] * (1 - fx) + data[i + width + 1] * fx;
+      out[y * width + x] = Math.round(top * (1 - fy) + bottom * fy);
+    }
+  }
+  return { image: { width, height, data: out }, toInput };
+};
+
+// Ink pixel coordinates, thinned out evenly to at most `limit`
+const inkPoints = (image, threshold, limit = 40000) => {
+  let total = 0;
+  for (let i = 0; i < image.data.length; i++) if (image.data[i] < threshold) total++;
+  const step = Math.max(1, Math.ceil(total / limit));
+  const xs = [];
+  const ys = [];
+  let seen = 0;
+  for (let i = 0; i < image.data.length; i++) {
+    if (image.data[i] < threshold && seen++ % step === 0) {
+      xs.push(i % image.width);
+      ys.push(Math.floor(i / image.width));
+    }
+  }
+  return { xs, ys };
+};
+
+// How strongly ink bunches into rows across the direction `angle` (degrees, text lines
+// falling to the right): the squared coefficient of variation of the projection profile,
+// so long and short profiles compare fairly. Text lines give a high score.
+const profileScore = ({ xs, ys }, angle, binSize) => {
+  if (xs.length === 0) return 0;
+  const rad = (angle * Math.PI) / 180;
+  const cos = Math.cos(rad);
+  const sin = Math.sin(rad);
+  const bins = new Map();
+  let min = Infinity;
+  let max = -Infinity;
+  for (let i = 0; i < xs.length; i++) {
+    const bin = Math.floor((ys[i] * cos - xs[i] * sin) / binSize);
+    bins.set(bin, (bins.get(bin) || 0) + 1);
+    if (bin < min) min = bin;
+    if (bin > max) max = bin;
+  }
+  let squares = 0;
+  for (const count of bins.values()) squares += (count / xs.length) ** 2;
+  return (max - min + 1) * squares - 1;
+};
+
+const bestAngle = (points, from, to, step, binSize) => {
+  let best = { angle: 0, score: -Infinity };
+  for (let angle = from; angle <= to + 1e-9; angle += step) {
+    const score = profileScore(points, angle, binSize);
+    if (score > best.score) best = { angle, score };
+  }
+  return best;
+};
+
+/**
+ * Skew of the text lines in degrees, positive when they fall to the right. Searched in
+ * 0.5° steps up to ±maxDegrees, then refined to 0.05°.
+ */
+export const detectSkew = (image, threshold = 128, maxDegrees = 5, dpi = 300) => {
+  const points = inkPoints(image, threshold);
+  const binSize = Math.max(1, dpi / 150);
+  const coarse = bestAngle(points, -maxDegrees, maxDegrees, 0.5, binSize);
+  const fine = bestAngle(points, coarse.angle - 0.5, coarse.angle + 0.5, 0.05, binSize);
+  return Math.round(fine.angle * 100) / 100;
+};
+
+/**
+ * Whether text lines run top to bottom: ink bunches into columns more strongly than
+ * into rows, allowing for a few degrees of skew either way.
+ */
+export const isSideways = (image, threshold = 128, dpi = 300) => {
+  const points = inkPoints(image, threshold);
+  const transposed = { xs: points.ys, ys: points.xs };
+  const binSize = Math.max(1, dpi / 150);
+  const rows = bestAngle(points, -3, 3, 1, binSize).score;
+  const columns = bestAngle(transposed, -3, 3, 1, binSize).score;
+  return columns > rows * 1.2;
+};
+
+/**
+ * Which way up level text lines are, from -1 (upside down) to 1 (upright). Every glyph
+ * sits on the baseline, while tops split between cap height and x-height, so in each
+ * line the sharpest edge is the baseline: a drop in ink going down when upright, a rise
+ * when upside down.
+ */
+export const uprightScore = (image, threshold = 128) => {
+  const { width, height, data } = image;
+  const profile = new Float64Array(height);
+  for (let y = 0; y < height; y++) {
+    let count = 0;
+    for (let x = 0; x < width; x++) if (data[y * width + x] < threshold) count++;
+    profile[y] = count;
+  }
+  const cutoff = Math.max(1, Math.max(...profile) * 0.02);
+
+  let votes = 0;
+  let weight = 0;
+  for (let y = 0; y < height;) {
+    if (profile[y] < cutoff) {
+      y++;
+      continue;
+    }
+    let end = y;
+    let ink = 0;
+    while (end < height && profile[end] >= cutoff) ink += profile[end++];
+    if (end - y >= 4) {
+      let rise = profile[y];
+      let drop = profile[end - 1];
+      for (let i = y + 1; i < end; i++) {
+        rise = Math.max(rise, profile[i] - profile[i - 1]);
+        drop = Math.max(drop, profile[i - 1] - profile[i]);
+      }
+      votes += ((drop - rise) / (drop + rise)) * ink;
+      weight += ink;
+    }
+    y = end;
+  }
+  return weight ? votes / weight : 0;
+};
+
+// Horizontal and vertical ink runs at least `minLength` long (table rules and
+// underlines) turned white. Counts one line per run that does not continue the run
+// beside it.
+export const removeRuleLines = (image, threshold = 128, minLength = 150) => {
+  const { width, height } = image;
+  const data = new Uint8Array(image.data);
+  const removed = new Uint8Array(width * height);
+  const counts = { horizontal: 0, vertical: 0 };
+
+  const sweep = (outer, inner, index, direction) => {
+    for (let o = 0; o < outer; o++) {
+      let start = -1;
+      for (let i = 0; i <= inner; i++) {
+        const ink = i < inner && image.data[index(o, i)] < threshold;
+        if (ink && start < 0) start = i;
+        if (!ink && start >= 0) {
+          if (i - start >= minLength) {
+            const continues = o > 0 && removed[index(o - 1, Math.floor((start + i) / 2))] === (direction === 'horizontal' ? 1 : 2);
+            if (!continues) counts[direction]++;
+            for (let j = start; j < i; j++) {
+              data[index(o, j)] = 255;
+              removed[index(o, j)] = direction === 'horizontal' ? 1 : 2;
+            }
+          }
+          start = -1;
+        }
+      }
+    }
+  };
+  sweep(height, width, (y, x) => y * width + x, 'horizontal');
+  sweep(width, height, (x, y) => y * width + x, 'vertical');
+  return { image: { width, height, data }, ...counts };
+};
+
+// Connected ink specks of at most `maxArea` pixels turned white
+export const removeSpecks = (image, threshold = 128, maxArea = 6) => {
+  const { width, height } = image;
+  const data = new Uint8Array(image.data);
+  const seen = new Uint8Array(width * height);
+  const stack = new Int32Array(width * height);
+  const component = [];
+  let specks = 0;
+
+  for (let start = 0; start < data.length; start++) {
+    if (seen[start] || image.data[start] >= threshold) continue;
+    let top = 0;
+    stack[top++] = start;
+    seen[start] = 1;
+    component.length = 0;
+    while (top > 0) {
+      const i = stack[--top];
+      if (component.length <= maxArea) component.push(i);
+      const x = i % width;
+      const y = (i - x) / width;
+      for (let dy = -1; dy <= 1; dy++) {
+        for (let dx = -1; dx <= 1; dx++) {
+          const nx = x + dx;
+          const ny = y + dy;
+          if (nx < 0 || ny < 0 || nx >= width || ny >= height) continue;
+          const n = ny * width + nx;
+          if (!seen[n] && image.data[n] < threshold) {
+            seen[n] = 1;
+            stack[top++] = n;
+          }
+        }
+      }
+    }
+    if (component.length <= maxArea) {
+      for (const i of component) data[i] = 255;
+      specks++;
+    }
+  }
+  return { image: { width, height, data }, specks };
+};
+
+/**
+ * @typedef {object} PreprocessingStep
+ * @property {string} step  scale | grayscale | contrast | binarize | orientation | deskew | remove_lines | denoise
+ */
+
+/**
+ * Runs the enabled steps on a rendered page. Returns the image for OCR, the steps that
+ * ran with what they found, and `toInput`, which maps points on the returned image back
+ * onto the rendered page (the image may be rotated or a different size).
+ *
+ * @param {{ width: number, height: number, data: Uint8ClampedArray }} rgba  Canvas ImageData
+ * @param {Partial<typeof DEFAULT_PREPROCESSING>} [options]
+ * @param {{ dpi?: number }} [render]  The resolution the page was rendered at
+ * @returns {{ image: object, steps: PreprocessingStep[], toInput: number[], rotation: number, skew: number }}
+ */
+export const preprocessImage = (rgba, options = {}, { dpi = 300 } = {}) => {
+  const settings = { ...DEFAULT_PREPROCESSING, ...options };
+  const steps = [{ step: 'scale', dpi }, { step: 'grayscale' }];
+  let image = toGrayscale(rgba);
+  let toInput = IDENTITY;
+  let rotation = 0;
+  let skew = 0;
+  const transform = (result) => {
+    image = result.image;
+    toInput = compose(toInput, result.toInput);
+  };
+
+  if (settings.contrast) {
+    const result = stretchContrast(image);
+    if (result.applied) {
+      image = result.image;
+      steps.push({ step: 'contrast', low: result.low, high: result.high });
+    }
+  }
+
+  // Steps after this look at ink: black pixels once binarized, or below Otsu's level
+  let threshold = 128;
+  if (settings.binarize !== 'off') {
+    const result = binarize(image, settings.binarize);
+    image = result.image;
+    steps.push({ step: 'binarize', method: settings.binarize, ...(result.threshold !== undefined ? { threshold: result.threshold } : {}) });
+  } else {
+    threshold = otsuThreshold(image);
+  }
+
+  // Sideways pages are turned before deskewing; whether the page is upside down can
+  // only be told once its lines are level and its rules removed
+  const orientation = { step: 'orientation', rotation: 0, confidence: 0 };
+  if (settings.orientation) {
+    steps.push(orientation);
+    if (isSideways(image, threshold, dpi)) {
+      transform(rotateQuarter(image, 1));
+      rotation = 90;
+    }
+  }
+
+  if (settings.deskew) {
+    skew = detectSkew(image, threshold, settings.maxSkewDegrees, dpi);
+    if (Math.abs(skew) >= 0.1) transform(rotateImage(image, -skew));
+    steps.push({ step: 'deskew', angle: skew });
+  }
+
+  if (settings.removeLines) {
+    const result = removeRuleLines(image, threshold, Math.max(20, Math.round(dpi / 2)));
+    image = result.image;
+    steps.push({ step: 'remove_lines', horizontal: result.horizontal, vertical: result.vertical });
+  }
+
+  // Table rules are level too, and would only blur the vote
+  if (settings.orientation) {
+    const score = uprightScore(image, threshold);
+    if (score < -0.1) {
+      transform(rotateQuarter(image, 2));
+      rotation = (rotation + 180) % 360;
+    }
+    orientation.rotation = rotation;
+    orientation.confidence = Math.round(Math.min(1, Math.abs(score)) * 100) / 100;
+  }
+
+  if (settings.denoise) {
+    const result = removeSpecks(image, threshold, Math.max(1, Math.round(((dpi / 300) ** 2) * 6)));
+    image = result.image;
+    steps.push({ step: 'denoise', specks: result.specks });
+  }
+
+  return { image, steps, toInput, rotation, skew };
+};
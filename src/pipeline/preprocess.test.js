@@ -0,0 +1,135 @@
+import { describe, expect, it } from 'vitest';
+import {
+  binarize, chooseRenderScale, detectSkew, mapBox, preprocessImage, removeRuleLines, removeSpecks, rotateImage, rotateQuarter,
+  scanDpi, toRGBA, uprightScore
+} from './preprocess.js';
+
+// A page of text-like rows at 100 dpi: glyphs on a shared baseline, capitals up to cap
+// height, lowercase to x-height with some ascenders and a few descenders
+const textPage = ({ width = 600, height = 400, rows = 10, rule = false } = {}) => {
+  const data = new Uint8Array(width * height).fill(255);
+  const fill = (x0, y0, x1, y1) => {
+    for (let y = y0; y < y1; y++) for (let x = x0; x < x1; x++) data[y * width + x] = 0;
+  };
+  for (let r = 0; r < rows; r++) {
+    const baseline = 60 + r * 28;
+    for (let g = 0, x = 60; x < width - 60; g++, x += g % 6 === 0 ? 14 : 8) {
+      fill(x, g % 4 === 0 ? baseline - 13 : baseline - 9, x + 6, baseline);
+      if (g % 4 !== 0 && g % 5 < 2) fill(x, baseline - 15, x + 2, baseline - 9);
+      if (g % 7 === 3) fill(x + 4, baseline, x + 6, baseline + 4);
+    }
+  }
+  if (rule) fill(40, height - 40, width - 40, height - 38);
+  return { width, height, data };
+};
+
+const rgbaOf = (image) => ({ width: image.width, height: image.height, data: toRGBA(image) });
+
+describe('chooseRenderScale', () => {
+  it('renders at the target resolution, or a scan\'s own when it is higher', () => {
+    const letter = { width: 612, height: 792 };
+    expect(chooseRenderScale(letter)).toEqual({ scale: 300 / 72, dpi: 300 });
+    expect(chooseRenderScale(letter, {}, 400).dpi).toBe(400);
+    expect(chooseRenderScale(letter, {}, 150).dpi).toBe(300);
+    expect(chooseRenderScale(letter, { maxPixels: Infinity }, 1200).dpi).toBe(600);
+  });
+
+  it('renders large pages smaller to stay under the pixel limit', () => {
+    const { dpi } = chooseRenderScale({ width: 2448, height: 3168 }, { maxPixels: 16_000_000 });
+    expect(dpi).toBeLessThan(300);
+    expect((2448 / 72) * (3168 / 72) * dpi * dpi).toBeLessThanOrEqual(16_100_000);
+  });
+});
+
+describe('scanDpi', () => {
+  it('measures a full-page scan against the page size', () => {
+    expect(scanDpi({ width: 612, height: 792 }, [{ width: 40, height: 40 }, { width: 2550, height: 3300 }])).toBe(300);
+    expect(scanDpi({ width: 612, height: 792 }, [{ width: 3300, height: 2550 }])).toBe(300);
+  });
+
+  it('is null without an image shaped like the page', () => {
+    expect(scanDpi({ width: 612, height: 792 }, [])).toBe(null);
+    expect(scanDpi({ width: 612, height: 792 }, [{ width: 400, height: 100 }])).toBe(null);
+  });
+});
+
+describe('binarize', () => {
+  it('keeps text on a shaded background with the adaptive method', () => {
+    const page = textPage();
+    // Paper darkens from left to right; text stays darker than the paper around it
+    const shaded = { ...page, data: page.data.map((v, i) => (v === 0 ? 40 + (i % page.width) / 10 : 230 - (i % page.width) / 8)) };
+    const { image } = binarize(shaded, 'adaptive');
+    const mismatched = image.data.filter((v, i) => (v === 0) !== (page.data[i] === 0)).length;
+    expect(mismatched / page.data.length).toBeLessThan(0.01);
+  });
+});
+
+describe('detectSkew', () => {
+  it('finds the angle text lines fall at', () => {
+    const skewed = rotateImage(textPage(), 2).image;
+    expect(detectSkew(skewed, 128, 5, 100)).toBeCloseTo(2, 0);
+    expect(Math.abs(detectSkew(textPage(), 128, 5, 100))).toBeLessThan(0.2);
+  });
+});
+
+describe('uprightScore', () => {
+  it('is positive for upright text and negative upside down', () => {
+    expect(uprightScore(textPage())).toBeGreaterThan(0.1);
+    expect(uprightScore(rotateQuarter(textPage(), 2).image)).toBeLessThan(-0.1);
+  });
+});
+
+describe('removeRuleLines and removeSpecks', () => {
+  it('removes a table rule but not the text', () => {
+    const page = textPage({ rule: true });
+    const { image, horizontal, vertical } = removeRuleLines(page, 128, 50);
+    expect(horizontal).toBe(1);
+    expect(vertical).toBe(0);
+    expect(image.data.filter(v => v === 0).length).toBe(textPage().data.filter(v => v === 0).length);
+  });
+
+  it('removes isolated specks', () => {
+    const page = textPage();
+    page.data[5 * page.width + 5] = 0;
+    page.data[390 * page.width + 590] = 0;
+    const { image, specks } = removeSpecks(page, 128, 2);
+    expect(specks).toBe(2);
+    expect(image.data).toEqual(textPage().data);
+  });
+});
+
+describe('preprocessImage', () => {
+  it('records the steps that ran with what they found', () => {
+    const { steps, rotation, skew } = preprocessImage(rgbaOf(rotateImage(textPage({ rule: true }), 1.5).image), {}, { dpi: 100 });
+    expect(steps.map(s => s.step)).toEqual(['scale', 'grayscale', 'binarize', 'orientation', 'deskew', 'remove_lines', 'denoise']);
+    expect(rotation).toBe(0);
+    expect(skew).toBeCloseTo(1.5, 0);
+    expect(steps.find(s => s.step === 'remove_lines').horizontal).toBeGreaterThanOrEqual(1);
+  });
+
+  it('skips steps that are turned off', () => {
+    const { steps, toInput } = preprocessImage(rgbaOf(textPage()), { binarize: 'off', orientation: false, deskew: false, removeLines: false, denoise: false }, { dpi: 100 });
+    expect(steps.map(s => s.step)).toEqual(['scale', 'grayscale']);
+    expect(toInput).toEqual([1, 0, 0, 1, 0, 0]);
+  });
+
+  it('turns sideways and upside-down pages upright', () => {
+    for (const turns of [1, 2, 3]) {
+      const { image, rotation } = preprocessImage(rgbaOf(rotateQuarter(textPage(), turns).image), { deskew: false }, { dpi: 100 });
+      expect(rotation).toBe((360 - turns * 90) % 360);
+      expect(image.width).toBe(600);
+      expect(uprightScore(image)).toBeGreaterThan(0.1);
+    }
+  });
+
+  it('maps boxes on the processed image back onto the rendered page', () => {
+    const page = textPage();
+    const sideways = rotateQuarter(page, 3).image;
+    const { toInput } = preprocessImage(rgbaOf(sideways), { deskew: false }, { dpi: 100 });
+    // A box at the left end of the first row, upright at [60, 51, 66, 60]: on the
+    // sideways page it sits at the bottom left
+    const [x0, y0, x1, y1] = mapBox([60, 51, 66, 60], toInput);
+    expect([x0, y0, x1, y1].map(Math.round)).toEqual([51, 600 - 66, 60, 600 - 60]);
+    expect(mapBox([120, 102, 132, 120], toInput, 2).map(Math.round)).toEqual([102, 1200 - 132, 120, 1200 - 120]);
+  });
+});
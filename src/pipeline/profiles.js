@@ -0,0 +1,126 @@
+// Scoring profiles: the weights calculateValidationScore combines into the score and the
+// thresholds detectAnomalies, makeDecisions and the rule sets route lines by. A profile
+// applies to one document type; profiles are plain data so they can be saved and edited.
+
+import { parse as parseYAML } from 'yaml';
+
+/**
+ * @typedef {object} Profile
+ * @property {string} id
+ * @property {string} name
+ * @property {string} documentType  A rule set's documentType, or '*' for every type
+ * @property {{ confidence: number, anomalyPenalty: number, ruleFailurePenalty: number, autoAcceptBonus: number }} weights
+ *   Points for the average confidence, off per unit of average anomaly score, off per
+ *   rule failure per line, and for the share of lines auto-accepted or verified
+ * @property {{ lowConfidence: number, lowNumericConfidence: number, lowLabelConfidence: number, anomaly: number }} thresholds
+ *   Below lowConfidence a line is an anomaly indicator (and fails low_ocr_confidence);
+ *   numeric lines below lowNumericConfidence go to quick review; labels below
+ *   lowLabelConfidence are an indicator; anomaly scores above `anomaly` go to quick review
+ * @property {Object<string, number>} anomalyWeights  How much each indicator adds to a
+ *   line's anomaly score when no trained model is given
+ */
+
+/** @type {Profile} */
+export const DEFAULT_PROFILE = {
+  id: 'default',
+  name: 'Default',
+  documentType: '*',
+  weights: {
+    confidence: 100,
+    anomalyPenalty: 20,
+    ruleFailurePenalty: 30,
+    autoAcceptBonus: 10
+  },
+  thresholds: {
+    lowConfidence: 0.9,
+    lowNumericConfidence: 0.85,
+    lowLabelConfidence: 0.7,
+    anomaly: 0.5
+  },
+  anomalyWeights: {
+    lowConfidence: 0.3,
+    ruleFailures: 0.4,
+    lowLabelConfidence: 0.2,
+    lowNumericConfidence: 0.2,
+    implausibleChange: 0.3,
+    columnNotFooting: 0.2,
+    benfordDeviation: 0.1,
+    magnitudeOutlier: 0.3,
+    digitSlip: 0.6,
+    duplicateValue: 0.3
+  }
+};
+
+const GROUPS = ['weights', 'thresholds', 'anomalyWeights'];
+
+/**
+ * A complete profile from a partial one: missing weights and thresholds are the defaults'.
+ *
+ * @param {Partial<Profile>} [profile]
+ * @returns {Profile}
+ */
+export const resolveProfile = (profile = {}) => ({
+  ...DEFAULT_PROFILE,
+  ...profile,
+  ...Object.fromEntries(GROUPS.map(group => [group, { ...DEFAULT_PROFILE[group], ...(profile[group] || {}) }]))
+});
+
+/**
+ * The profile for a document type: the one for that type, else one for '*', else the default.
+ *
+ * @param {string} [documentType]
+ * @param {Array<Partial<Profile>>} [profiles]
+ * @returns {Profile}
+ */
+export const profileFor = (documentType, profiles = []) => resolveProfile(
+  profiles.find(p => p.documentType === documentType) || profiles.find(p => p.documentType === '*') || DEFAULT_PROFILE
+);
+
+/**
+ * Problems with a profile, in the style of schema.js (empty when valid). Groups may be
+ * partial; thresholds must lie in 0–1 and weights must not be negative.
+ *
+ * @param {Partial<Profile>} profile
+ * @returns {string[]}
+ */
+export const checkProfile = (profile) => {
+  if (!profile || typeof profile !== 'object' || Array.isArray(profile)) return ['profile must be an object'];
+  const problems = [];
+  for (const field of ['id', 'name', 'documentType']) {
+    if (typeof profile[field] !== 'string' || !profile[field]) problems.push(`${field} must be a non-empty string`);
+  }
+  for (const group of GROUPS) {
+    if (profile[group] === undefined) continue;
+    if (!profile[group] || typeof profile[group] !== 'object') {
+      problems.push(`${group} must be an object`);
+      continue;
+    }
+    for (const [key, value] of Object.entries(profile[group])) {
+      if (!(key in DEFAULT_PROFILE[group])) problems.push(`${group}.${key} is not one of ${Object.keys(DEFAULT_PROFILE[group]).join(', ')}`);
+      else if (typeof value !== 'number' || !Number.isFinite(value)) problems.push(`${group}.${key} must be a number`);
+      else if (group === 'thresholds' && (value < 0 || value > 1)) problems.push(`${group}.${key} must be between 0 and 1`);
+      else if (value < 0) problems.push(`${group}.${key} must not be negative`);
+    }
+  }
+  return problems;
+};
+
+/**
+ * Read profiles from JSON or YAML text: a single profile or a list of them, in the
+ * style of parseRuleSets. Throws with every problem found.
+ *
+ * @param {string} text
+ * @returns {Array<Partial<Profile>>}
+ */
+export const parseProfiles = (text) => {
+  let data;
+  try {
+    data = parseYAML(text);
+  } catch (err) {
+    throw new Error(`Profile file is not valid JSON or YAML: ${err.message}`);
+  }
+  const profiles = Array.isArray(data) ? data : [data];
+  const problems = profiles.flatMap((profile, i) => checkProfile(profile).map(p => (profiles.length > 1 ? `[${i}] ${p}` : p)));
+  if (problems.length > 0) throw new Error(`Invalid profile:\n${problems.join('\n')}`);
+  return profiles;
+};
@@ -0,0 +1,62 @@
+import { describe, expect, it } from 'vitest';
+import { DEFAULT_PROFILE, checkProfile, parseProfiles, profileFor, resolveProfile } from './profiles.js';
+
+describe('resolveProfile', () => {
+  it('fills missing weights and thresholds from the default', () => {
+    const profile = resolveProfile({ id: 'strict', name: 'Strict', documentType: 'balance_sheet', thresholds: { lowConfidence: 0.95 } });
+    expect(profile.thresholds).toEqual({ ...DEFAULT_PROFILE.thresholds, lowConfidence: 0.95 });
+    expect(profile.weights).toEqual(DEFAULT_PROFILE.weights);
+    expect(profile.anomalyWeights).toEqual(DEFAULT_PROFILE.anomalyWeights);
+    expect(profile.id).toBe('strict');
+  });
+});
+
+describe('profileFor', () => {
+  const profiles = [
+    { id: 'bs', name: 'Balance sheets', documentType: 'balance_sheet', weights: { ruleFailurePenalty: 50 } },
+    { id: 'all', name: 'Everything else', documentType: '*', weights: { ruleFailurePenalty: 40 } }
+  ];
+
+  it('picks the profile for the document type, then the catch-all, then the default', () => {
+    expect(profileFor('balance_sheet', profiles).weights.ruleFailurePenalty).toBe(50);
+    expect(profileFor('income_statement', profiles).weights.ruleFailurePenalty).toBe(40);
+    expect(profileFor('income_statement', [profiles[0]])).toEqual(DEFAULT_PROFILE);
+    expect(profileFor('balance_sheet')).toEqual(DEFAULT_PROFILE);
+  });
+});
+
+describe('checkProfile', () => {
+  it('accepts the default and partial profiles', () => {
+    expect(checkProfile(DEFAULT_PROFILE)).toEqual([]);
+    expect(checkProfile({ id: 'p', name: 'P', documentType: '*', weights: { anomalyPenalty: 0 } })).toEqual([]);
+  });
+
+  it('reports unknown keys and out-of-range values', () => {
+    expect(checkProfile({ id: 'p', name: 'P', documentType: '*', thresholds: { anomaly: 1.5, cutoff: 0.5 }, weights: { confidence: -1, autoAcceptBonus: '10' } })).toEqual([
+      'weights.confidence must not be negative',
+      'weights.autoAcceptBonus must be a number',
+      'thresholds.anomaly must be between 0 and 1',
+      'thresholds.cutoff is not one of lowConfidence, lowNumericConfidence, lowLabelConfidence, anomaly'
+    ]);
+    expect(checkProfile({ name: 'P', documentType: '*' })).toEqual(['id must be a non-empty string']);
+    expect(checkProfile([])).toEqual(['profile must be an object']);
+  });
+});
+
+describe('parseProfiles', () => {
+  it('reads YAML and JSON, one profile or a list', () => {
+    const yaml = `
+id: strict
+name: Strict
+documentType: balance_sheet
+thresholds: { lowConfidence: 0.95 }
+`;
+    expect(parseProfiles(yaml)).toEqual([{ id: 'strict', name: 'Strict', documentType: 'balance_sheet', thresholds: { lowConfidence: 0.95 } }]);
+    expect(parseProfiles(JSON.stringify([DEFAULT_PROFILE]))).toEqual([DEFAULT_PROFILE]);
+  });
+
+  it('throws with the problems found', () => {
+    expect(() => parseProfiles('id: x')).toThrow(/Invalid profile:\nname must be a non-empty string/);
+    expect(() => parseProfiles('weights: [')).toThrow('not valid JSON or YAML');
+  });
+});
@@ -0,0 +1,442 @@
+// Comparison with a reference for the same document: a hand-checked ground truth or an
+// earlier validated export. Measures how far the pipeline's text is from the reference
+// (character and word error rates over aligned lines), which statement fields it found
+// (precision and recall) and which of their values differ, and keeps a line-by-line diff.
+
+import { BATCH_EXPORT_FORMAT } from './exports.js';
+import { STATEMENT_SCHEMAS, buildStatements } from './fields.js';
+
+/**
+ * @typedef {object} Reference
+ * @property {Array<{ pageNumber: number|null, text: string }>} lines  Empty when the
+ *   reference has no line text (a CSV without a Text column)
+ * @property {Array<{ statement: string|null, key: string, label: string, values: Object<string, number> }>} fields
+ *   `statement` is null when the reference only names the field
+ */
+
+// Lines less alike than this (edit distance over the longer length) are not paired
+const MAX_LINE_DISTANCE = 0.6;
+// Amounts closer than this are equal
+const VALUE_TOLERANCE = 0.005;
+
+const cleanText = (text) => (text ?? '').toString().replace(/\s+/g, ' ').trim();
+const wordsOf = (text) => (text ? text.split(' ') : []);
+const ratioOf = (numerator, denominator) => (denominator > 0 ? numerator / denominator : null);
+
+// Levenshtein distance between two strings or arrays of words
+const editDistance = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+/**
+ * Character diff of `actual` against `expected` as runs of equal, deleted (only in
+ * `expected`) and inserted (only in `actual`) text.
+ *
+ * @param {string} expected
+ * @param {string} actual
+ * @returns {Array<{ type: 'equal'|'delete'|'insert', text: string }>}
+ */
+export const diffText = (expected, actual) => {
+  const a = [...expected];
+  const b = [...actual];
+  const table = Array.from({ length: a.length + 1 }, (_, i) => Array.from({ length: b.length + 1 }, (_, j) => (i === 0 ? j : j === 0 ? i : 0)));
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      table[i][j] = Math.min(table[i - 1][j] + 1, table[i][j - 1] + 1, table[i - 1][j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+  }
+  const ops = [];
+  let i = a.length;
+  let j = b.length;
+  while (i > 0 || j > 0) {
+    if (i > 0 && j > 0 && a[i - 1] === b[j - 1] && table[i][j] === table[i - 1][j - 1]) {
+      ops.push({ type: 'equal', text: a[--i] });
+      j--;
+    } else if (i > 0 && j > 0 && table[i][j] === table[i - 1][j - 1] + 1) {
+      ops.push({ type: 'insert', text: b[--j] }, { type: 'delete', text: a[--i] });
+    } else if (i > 0 && table[i][j] === table[i - 1][j] + 1) {
+      ops.push({ type: 'delete', text: a[--i] });
+    } else {
+      ops.push({ type: 'insert', text: b[--j] });
+    }
+  }
+  const segments = [];
+  for (const op of ops.reverse()) {
+    const last = segments[segments.length - 1];
+    if (last && last.type === op.type) last.text += op.text;
+    else segments.push({ ...op });
+  }
+  return segments;
+};
+
+// How many lines ahead the alignment looks for a line's counterpart between exact matches
+const ALIGN_WINDOW = 5;
+
+const lineDistance = (e, a) => {
+  if (e === a) return 0;
+  const longest = Math.max(e.length, a.length, 1);
+  // The length difference alone already rules some pairs out
+  return Math.abs(e.length - a.length) / longest > MAX_LINE_DISTANCE ? Infinity : editDistance(e, a) / longest;
+};
+
+// Longest increasing run of `second` over pairs sorted by `first` (patience sorting)
+const increasingPairs = (pairs) => {
+  const tails = [];
+  const previous = [];
+  pairs.forEach(([, second], k) => {
+    let low = 0;
+    let high = tails.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (pairs[tails[mid]][1] < second) low = mid + 1;
+      else high = mid;
+    }
+    previous[k] = low > 0 ? tails[low - 1] : -1;
+    tails[low] = k;
+  });
+  const run = [];
+  for (let k = tails.length ? tails[tails.length - 1] : -1; k >= 0; k = previous[k]) run.push(pairs[k]);
+  return run.reverse();
+};
+
+// Exactly equal lines to anchor the alignment on, in order (patience diff): common
+// leading and trailing lines, then lines that occur once on each side, recursively
+const anchorLines = (expected, actual) => {
+  const anchors = [];
+  const within = (e0, e1, a0, a1) => {
+    while (e0 < e1 && a0 < a1 && expected[e0] === actual[a0]) anchors.push([e0++, a0++]);
+    const trailing = [];
+    while (e0 < e1 && a0 < a1 && expected[e1 - 1] === actual[a1 - 1]) trailing.push([--e1, --a1]);
+    const counts = new Map();
+    for (let i = e0; i < e1; i++) {
+      const entry = counts.get(expected[i]) || { e: 0, a: 0, i, j: -1 };
+      entry.e++;
+      counts.set(expected[i], entry);
+    }
+    for (let j = a0; j < a1; j++) {
+      const entry = counts.get(actual[j]);
+      if (!entry) continue;
+      entry.a++;
+      entry.j = j;
+    }
+    const unique = [...counts.values()].filter(c => c.e === 1 && c.a === 1).map(c => [c.i, c.j]).sort((x, y) => x[0] - y[0]);
+    let e = e0;
+    let a = a0;
+    for (const [i, j] of increasingPairs(unique)) {
+      within(e, i, a, j);
+      anchors.push([i, j]);
+      e = i + 1;
+      a = j + 1;
+    }
+    if (e > e0) within(e, e1, a, a1);
+    anchors.push(...trailing.reverse());
+  };
+  within(0, expected.length, 0, actual.length);
+  return anchors;
+};
+
+// Pairs up the lines between two anchors: a line goes with the next one on the other
+// side when they are alike, else with the nearest alike line within ALIGN_WINDOW, the
+// lines skipped over being missing or extra
+const alignGap = (expected, actual, e, e1, a, a1, pairs) => {
+  const alike = (i, j) => lineDistance(expected[i], actual[j]) <= MAX_LINE_DISTANCE;
+  while (e < e1 && a < a1) {
+    if (alike(e, a)) {
+      pairs.push([e++, a++]);
+      continue;
+    }
+    let skip = null;
+    for (let k = 1; k <= ALIGN_WINDOW && !skip; k++) {
+      if (a + k < a1 && alike(e, a + k)) skip = { extra: k };
+      else if (e + k < e1 && alike(e + k, a)) skip = { missing: k };
+    }
+    if (skip && skip.extra) for (let k = 0; k < skip.extra; k++) pairs.push([null, a++]);
+    else if (skip) for (let k = 0; k < skip.missing; k++) pairs.push([e++, null]);
+    else pairs.push([e++, null], [null, a++]);
+  }
+  while (e < e1) pairs.push([e++, null]);
+  while (a < a1) pairs.push([null, a++]);
+};
+
+// Pairs up two lists of line texts in order: [expectedIndex, actualIndex] with null on
+// the side a line is missing from. Near-linear in the number of lines, so whole
+// documents can be aligned without page numbers.
+const alignLines = (expected, actual) => {
+  const pairs = [];
+  let e = 0;
+  let a = 0;
+  for (const [i, j] of [...anchorLines(expected, actual), [expected.length, actual.length]]) {
+    alignGap(expected, actual, e, i, a, j, pairs);
+    if (i < expected.length) pairs.push([i, j]);
+    e = i + 1;
+    a = j + 1;
+  }
+  return pairs;
+};
+
+// RFC 4180 rows; a leading byte order mark is dropped
+const parseCSVRows = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  const source = text.replace(/^\ufeff/, '');
+  for (let i = 0; i < source.length; i++) {
+    const ch = source[i];
+    if (quoted) {
+      if (ch === '"' && source[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') quoted = false;
+      else cell += ch;
+    } else if (ch === '"') quoted = true;
+    else if (ch === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && source[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else cell += ch;
+  }
+  if (cell || row.length) rows.push([...row, cell]);
+  return rows.filter(r => r.some(c => c.trim()));
+};
+
+// Undoes the apostrophe buildCSV puts before text a spreadsheet would take for a formula
+const csvText = (cell) => (/^'[=+@\t\r]/.test(cell) ? cell.slice(1) : cell);
+const csvNumber = (cell) => (cell.trim() === '' || !Number.isFinite(Number(cell)) ? null : Number(cell));
+const PERIOD_HEADER = /^(\d{4}|FY\s?\d{2,4})/i;
+
+const fromCSV = (text) => {
+  const [header, ...rows] = parseCSVRows(text);
+  if (!header) throw new Error('Reference CSV is empty');
+  const columns = header.map(h => h.trim());
+  const find = (name) => columns.findIndex(c => c.toLowerCase() === name);
+  const [page, label, field, textColumn, value] = ['page', 'label', 'field', 'text', 'value'].map(find);
+  const periods = columns.map((c, i) => (PERIOD_HEADER.test(c) ? [c, i] : null)).filter(Boolean);
+  if (textColumn < 0 && field < 0) throw new Error('Reference CSV needs a Text or a Field column');
+
+  const lines = textColumn < 0 ? [] : rows.map(cells => ({
+    pageNumber: page < 0 ? null : csvNumber(cells[page] || ''),
+    text: cleanText(csvText(cells[textColumn] || ''))
+  })).filter(line => line.text);
+  const fields = field < 0 ? [] : rows.filter(cells => (cells[field] || '').trim()).map(cells => {
+    const values = Object.fromEntries(periods.map(([period, i]) => [period, csvNumber(cells[i] || '')]).filter(([, v]) => v !== null));
+    if (!Object.keys(values).length && value >= 0 && csvNumber(cells[value] || '') !== null) values.value = csvNumber(cells[value]);
+    return { statement: null, key: cells[field].trim(), label: label < 0 ? '' : csvText(cells[label] || '').trim(), values };
+  });
+  return { lines, fields };
+};
+
+// Statements as in the export (`{ type: { fields: { key: { label, values } } } }`) or
+// written by hand (`{ type: { key: { period: value } } }`)
+const fieldsOf = (statements = {}) => Object.entries(statements).flatMap(([statement, content]) => (
+  Object.entries(content && content.fields ? content.fields : content || {}).map(([key, entry]) => ({
+    statement,
+    key,
+    label: (entry && entry.label) || '',
+    values: entry && entry.values ? entry.values : entry || {}
+  }))
+));
+
+const fromJSON = (data) => {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) throw new Error('Reference JSON must be an object');
+  if (data.format === BATCH_EXPORT_FORMAT) throw new Error('Reference is a batch export; compare with one document\'s export');
+  if (Array.isArray(data.results)) {
+    const kept = data.results.filter(line => line.status !== 'rejected');
+    return {
+      lines: kept.map(line => ({ pageNumber: line.pageNumber ?? null, text: cleanText(line.normalized) })).filter(line => line.text),
+      fields: fieldsOf(data.statements || buildStatements(data.results))
+    };
+  }
+  if (Array.isArray(data.lines) || data.statements) {
+    return {
+      lines: (data.lines || []).map(line => ({ pageNumber: line.pageNumber ?? line.page ?? null, text: cleanText(typeof line === 'string' ? line : line.text) })).filter(line => line.text),
+      fields: fieldsOf(data.statements)
+    };
+  }
+  throw new Error('Reference JSON must be an export (with results) or a ground truth (with lines and/or statements)');
+};
+
+/**
+ * Read a reference: an export from "Export Results" or the CLI (any version), a ground
+ * truth JSON (`{ lines: [{ pageNumber, text }], statements: { balance_sheet: {
+ * cash_and_equivalents: { "2023": 100 } } } }`), or a CSV with a header row and Text,
+ * Page, Label, Field and period or Value columns. The CSV export's OCR text column is
+ * what the pipeline read, so it is not taken as reference text; its fields and values
+ * are. Throws when it is none of these.
+ *
+ * @param {string} text
+ * @returns {Reference}
+ */
+export const parseReference = (text) => {
+  const trimmed = text.replace(/^\ufeff/, '').trim();
+  if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+    let data;
+    try {
+      data = JSON.parse(trimmed);
+    } catch (err) {
+      throw new Error(`Reference is not valid JSON: ${err.message}`);
+    }
+    return fromJSON(data);
+  }
+  return fromCSV(text);
+};
+
+// The statement a field named without one belongs to: where the pipeline put it, else
+// the first schema that has it
+const statementOf = (field, actualByKey) => field.statement
+  || actualByKey.get(field.key)?.statement
+  || Object.keys(STATEMENT_SCHEMAS).find(type => STATEMENT_SCHEMAS[type].fields.some(f => f.key === field.key))
+  || null;
+
+// What the pipeline read, before any review
+const readText = (line) => cleanText(line.review ? line.review.original.normalized : line.normalized);
+
+/**
+ * The text half of compareWithReference: error rates and the line diff. It measures what
+ * the pipeline read, so review decisions do not change it. Null parts when the reference
+ * has no line text.
+ *
+ * @param {object[]} results
+ * @param {Reference} reference
+ */
+export const compareReferenceText = (results, reference) => {
+  if (!reference.lines.length) return { text: null, lines: null };
+  const actualLines = results
+    .map(line => ({ pageNumber: line.pageNumber ?? null, id: line.id, text: readText(line) }))
+    .filter(line => line.text);
+  const byPage = reference.lines.every(line => line.pageNumber !== null);
+  const pages = byPage
+    ? [...new Set([...reference.lines, ...actualLines].map(line => line.pageNumber))].sort((a, b) => a - b)
+    : [null];
+
+  const diff = [];
+  const totals = { characters: 0, characterErrors: 0, words: 0, wordErrors: 0 };
+  for (const pageNumber of pages) {
+    const expected = byPage ? reference.lines.filter(line => line.pageNumber === pageNumber) : reference.lines;
+    const actual = byPage ? actualLines.filter(line => line.pageNumber === pageNumber) : actualLines;
+    for (const [e, a] of alignLines(expected.map(line => line.text), actual.map(line => line.text))) {
+      const expectedText = e === null ? '' : expected[e].text;
+      const actualText = a === null ? '' : actual[a].text;
+      const characterErrors = editDistance(expectedText, actualText);
+      const wordErrors = editDistance(wordsOf(expectedText), wordsOf(actualText));
+      totals.characters += expectedText.length;
+      totals.characterErrors += characterErrors;
+      totals.words += wordsOf(expectedText).length;
+      totals.wordErrors += wordErrors;
+      diff.push({
+        type: e === null ? 'extra' : a === null ? 'missing' : characterErrors ? 'changed' : 'equal',
+        pageNumber: a === null ? expected[e].pageNumber : actual[a].pageNumber,
+        id: a === null ? null : actual[a].id,
+        expected: e === null ? null : expectedText,
+        actual: a === null ? null : actualText,
+        characterErrors,
+        segments: e !== null && a !== null && characterErrors ? diffText(expectedText, actualText) : null
+      });
+    }
+  }
+  const count = (type) => diff.filter(d => d.type === type).length;
+  return {
+    text: {
+      cer: ratioOf(totals.characterErrors, totals.characters),
+      wer: ratioOf(totals.wordErrors, totals.words),
+      ...totals
+    },
+    lines: { equal: count('equal'), changed: count('changed'), missing: count('missing'), extra: count('extra'), diff }
+  };
+};
+
+/**
+ * The field half of compareWithReference: field precision and recall and value
+ * mismatches, from the statements as reviewed. Null parts when the reference has no fields.
+ *
+ * @param {object[]} results
+ * @param {Reference} reference
+ */
+export const compareReferenceFields = (results, reference) => {
+  if (!reference.fields.length) return { fields: null, values: null };
+  const actual = fieldsOf(buildStatements(results));
+  const actualByKey = new Map(actual.map(field => [field.key, field]));
+  const id = (statement, key) => `${statement}.${key}`;
+  const expected = new Map(reference.fields.map(field => {
+    const statement = statementOf(field, actualByKey);
+    return [id(statement, field.key), { ...field, statement }];
+  }));
+  const found = new Map(actual.map(field => [id(field.statement, field.key), field]));
+  const statementPeriods = (statement) => new Set(actual.filter(f => f.statement === statement).flatMap(f => Object.keys(f.values)));
+
+  const matched = [...expected.keys()].filter(key => found.has(key));
+  const missing = [...expected.keys()].filter(key => !found.has(key)).map(key => expected.get(key));
+  const extra = [...found.keys()].filter(key => !expected.has(key)).map(key => found.get(key));
+
+  // Periods the document does not cover (e.g. the oldest year of an earlier filing) are not compared
+  const mismatches = [];
+  let compared = 0;
+  for (const key of matched) {
+    const want = expected.get(key);
+    const got = found.get(key);
+    const periods = statementPeriods(got.statement);
+    for (const [period, value] of Object.entries(want.values)) {
+      if (typeof value !== 'number' || !periods.has(period)) continue;
+      compared++;
+      const actualValue = got.values[period];
+      if (typeof actualValue === 'number' && Math.abs(actualValue - value) <= VALUE_TOLERANCE) continue;
+      mismatches.push({ statement: got.statement, field: got.key, label: got.label || want.label, period, expected: value, actual: actualValue ?? null });
+    }
+  }
+
+  const precision = ratioOf(matched.length, matched.length + extra.length);
+  const recall = ratioOf(matched.length, matched.length + missing.length);
+  const short = ({ statement, key, label }) => ({ statement, field: key, label });
+  return {
+    fields: {
+      precision,
+      recall,
+      f1: precision !== null && recall !== null && precision + recall > 0 ? (2 * precision * recall) / (precision + recall) : null,
+      truePositives: matched.length,
+      falsePositives: extra.length,
+      falseNegatives: missing.length,
+      missing: missing.map(short),
+      extra: extra.map(short)
+    },
+    values: { compared, matched: compared - mismatches.length, accuracy: ratioOf(compared - mismatches.length, compared), mismatches }
+  };
+};
+
+/**
+ * Compare pipeline results with a reference. Lines are aligned in order, page by page
+ * when every reference line has a page number, anchored on lines that match exactly.
+ * The text is compared as the pipeline read it; fields and values as reviewed (rejected
+ * lines left out). `text` and `lines` are null when the reference has no line text,
+ * `fields` and `values` when it has no fields; rates are null when there is nothing to
+ * measure them on.
+ *
+ * @param {object[]} results
+ * @param {Reference} reference
+ * @returns {{
+ *   text: { cer: number|null, wer: number|null, characters: number, characterErrors: number, words: number, wordErrors: number }|null,
+ *   lines: { equal: number, changed: number, missing: number, extra: number,
+ *     diff: Array<{ type: 'equal'|'changed'|'missing'|'extra', pageNumber: number|null, id: number|null, expected: string|null,
+ *       actual: string|null, characterErrors: number, segments: ReturnType<typeof diffText>|null }> }|null,
+ *   fields: { precision: number|null, recall: number|null, f1: number|null, truePositives: number, falsePositives: number,
+ *     falseNegatives: number, missing: object[], extra: object[] }|null,
+ *   values: { compared: number, matched: number, accuracy: number|null,
+ *     mismatches: Array<{ statement: string, field: string, label: string, period: string, expected: number, actual: number|null }> }|null
+ * }}
+ */
+export const compareWithReference = (results, reference) => ({
+  ...compareReferenceText(results, reference),
+  ...compareReferenceFields(results, reference)
+});
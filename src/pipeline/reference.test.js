@@ -0,0 +1,129 @@
+import { describe, expect, it } from 'vitest';
+import { compareReferenceFields, compareReferenceText, compareWithReference, diffText, parseReference } from './reference.js';
+import { buildBatchExport, buildCSV, buildExport } from './exports.js';
+import { applyReview } from './stages.js';
+import { runPipeline } from './index.js';
+import { BALANCE_SHEET_ROWS, ocrDocument } from './test-fixtures.js';
+
+const truth = runPipeline(ocrDocument([BALANCE_SHEET_ROWS]));
+const exported = JSON.stringify(buildExport({ fileName: 'report.pdf', ...truth }));
+
+// 'Cash' misread, Receivables read as 60 and the Property line lost
+const misread = BALANCE_SHEET_ROWS
+  .filter(row => row[0] !== 'Property')
+  .map(row => (row[0] === 'Cash' ? ['Cahs', '100', '90'] : row[0] === 'Receivables' ? [row[0], '60', '10'] : row));
+
+describe('parseReference', () => {
+  it('reads an export, leaving out rejected lines', () => {
+    const reference = parseReference(exported);
+    expect(reference.lines).toHaveLength(17);
+    expect(reference.lines[5]).toEqual({ pageNumber: 1, text: 'Cash 100 90' });
+    expect(reference.fields).toContainEqual({ statement: 'balance_sheet', key: 'cash_and_equivalents', label: 'Cash and cash equivalents', values: { 2023: 100, 2022: 90 } });
+
+    const results = truth.results.map(line => (line.label === 'Cash' ? applyReview(line, 'rejected') : line));
+    const reviewed = parseReference(JSON.stringify(buildExport({ fileName: 'report.pdf', ...truth, results })));
+    expect(reviewed.lines).toHaveLength(16);
+    expect(reviewed.fields.map(f => f.key)).not.toContain('cash_and_equivalents');
+  });
+
+  it('reads a ground truth with hand-written statements', () => {
+    const reference = parseReference(JSON.stringify({
+      lines: [{ pageNumber: 1, text: '  Cash   100 90 ' }, 'Receivables 50 10'],
+      statements: { balance_sheet: { cash_and_equivalents: { 2023: 100 } } }
+    }));
+    expect(reference.lines).toEqual([{ pageNumber: 1, text: 'Cash 100 90' }, { pageNumber: null, text: 'Receivables 50 10' }]);
+    expect(reference.fields).toEqual([{ statement: 'balance_sheet', key: 'cash_and_equivalents', label: '', values: { 2023: 100 } }]);
+  });
+
+  it('reads the fields of a CSV export and the text of a Text column', () => {
+    const reference = parseReference(buildCSV([truth]));
+    expect(reference.lines).toEqual([]);
+    expect(reference.fields).toContainEqual({ statement: null, key: 'accounts_receivable', label: 'Receivables', values: { 2023: 50, 2022: 10 } });
+
+    const csv = parseReference('Page,Text,Field,Value\r\n1,"Cash, at bank 100",cash_and_equivalents,100\r\n2,"Say ""hi""",,\r\n');
+    expect(csv.lines).toEqual([{ pageNumber: 1, text: 'Cash, at bank 100' }, { pageNumber: 2, text: 'Say "hi"' }]);
+    expect(csv.fields).toEqual([{ statement: null, key: 'cash_and_equivalents', label: '', values: { value: 100 } }]);
+  });
+
+  it('throws on anything else', () => {
+    expect(() => parseReference(JSON.stringify(buildBatchExport([{ fileName: 'a.pdf', ...truth, status: 'done' }])))).toThrow('batch export');
+    expect(() => parseReference('{"pages": []}')).toThrow('must be an export');
+    expect(() => parseReference('{ nope')).toThrow('not valid JSON');
+    expect(() => parseReference('Page,Label\r\n1,Cash\r\n')).toThrow('needs a Text or a Field column');
+  });
+});
+
+describe('diffText', () => {
+  it('marks what was dropped and what was added', () => {
+    expect(diffText('Receivables 50', 'Receivables 60')).toEqual([
+      { type: 'equal', text: 'Receivables ' }, { type: 'delete', text: '5' }, { type: 'insert', text: '6' }, { type: 'equal', text: '0' }
+    ]);
+    expect(diffText('Total', 'Total assets')).toEqual([{ type: 'equal', text: 'Total' }, { type: 'insert', text: ' assets' }]);
+  });
+});
+
+describe('compareWithReference', () => {
+  const reference = parseReference(exported);
+
+  it('matches the reference it was exported as', () => {
+    const comparison = compareWithReference(truth.results, reference);
+    expect(comparison.text).toMatchObject({ cer: 0, wer: 0, characterErrors: 0 });
+    expect(comparison.lines).toMatchObject({ equal: 17, changed: 0, missing: 0, extra: 0 });
+    expect(comparison.fields).toMatchObject({ precision: 1, recall: 1, f1: 1 });
+    expect(comparison.values).toMatchObject({ compared: 20, accuracy: 1, mismatches: [] });
+  });
+
+  it('measures error rates, missed fields and wrong values', () => {
+    const { text, lines, fields, values } = compareWithReference(runPipeline(ocrDocument([misread])).results, reference);
+    expect(text).toEqual({ cer: 19 / 315, wer: 5 / 52, characters: 315, characterErrors: 19, words: 52, wordErrors: 5 });
+    expect(lines.diff.filter(d => d.type !== 'equal').map(d => [d.type, d.expected, d.actual])).toEqual([
+      ['changed', 'Cash 100 90', 'Cahs 100 90'],
+      ['changed', 'Receivables 50 10', 'Receivables 60 10'],
+      ['missing', 'Property 300 300', null]
+    ]);
+    expect(fields).toMatchObject({ precision: 1, recall: 0.8, truePositives: 8, falseNegatives: 2 });
+    expect(fields.missing.map(f => f.field)).toEqual(['cash_and_equivalents', 'property_plant_equipment']);
+    expect(values.mismatches).toEqual([
+      { statement: 'balance_sheet', field: 'accounts_receivable', label: 'Accounts receivable', period: '2023', expected: 50, actual: 60 }
+    ]);
+  });
+
+  it('compares an earlier filing on the periods both cover', () => {
+    const earlier = BALANCE_SHEET_ROWS.map(row => (row[0] === '' ? ['', '2022', '2021'] : row[0] === 'Cash' ? ['Cash', '90', '80'] : row));
+    const previous = runPipeline(ocrDocument([earlier]));
+    const { values } = compareWithReference(truth.results, parseReference(buildCSV([previous])));
+    expect(values.compared).toBe(10);
+    expect(values.mismatches.map(m => [m.field, m.period, m.expected, m.actual])).toContainEqual(['accounts_receivable', '2022', 50, 10]);
+    expect(values.mismatches.every(m => m.period === '2022')).toBe(true);
+  });
+
+  it('compares the text as read, and the fields as reviewed', () => {
+    const results = truth.results.map(line => (line.label === 'Receivables' ? applyReview(line, 'edited', { cells: ['60', '10'] }) : line));
+    expect(compareReferenceText(results, reference).text.cer).toBe(0);
+    expect(compareReferenceFields(results, reference).values.mismatches.map(m => [m.field, m.actual])).toEqual([['accounts_receivable', 60]]);
+  });
+
+  it('aligns thousands of lines without page numbers quickly', () => {
+    const texts = Array.from({ length: 3000 }, (_, i) => `Line item ${i} ${(i * 7919) % 100000} ${(i * 104729) % 100000}`);
+    // Six lines lost, eight footers added, and 0 read as O in every 40th line read
+    const kept = texts.filter((_, i) => i % 500 !== 7);
+    const misread = kept.filter((text, i) => i % 40 === 0 && text.includes('0')).length;
+    const read = kept.flatMap((text, i) => (i % 400 === 3 ? ['Page footer', text] : [i % 40 === 0 ? text.replace(/0/g, 'O') : text]));
+    const started = Date.now();
+    const { text, lines } = compareReferenceText(
+      read.map((normalized, id) => ({ pageNumber: 1, id, normalized })),
+      { lines: texts.map(t => ({ pageNumber: null, text: t })), fields: [] }
+    );
+    expect(Date.now() - started).toBeLessThan(1000);
+    expect(lines).toMatchObject({ missing: 6, extra: 8, changed: misread, equal: 3000 - 6 - misread });
+    expect(text.cer).toBeGreaterThan(0);
+  });
+
+  it('skips what the reference has nothing to measure against', () => {
+    const comparison = compareWithReference(truth.results, { lines: [], fields: [{ statement: null, key: 'total_assets', label: '', values: { 2023: 450 } }] });
+    expect(comparison.text).toBe(null);
+    expect(comparison.lines).toBe(null);
+    expect(comparison.fields.recall).toBe(1);
+    expect(compareWithReference(truth.results, { lines: [{ pageNumber: null, text: 'Cash 100 90' }], fields: [] }).fields).toBe(null);
+  });
+});
@@ -0,0 +1,153 @@
+// Validation report: a self-contained, printable HTML page with the score breakdown,
+// rule failures, page thumbnails with the problem lines highlighted, and the lines
+// themselves. Printing it from a browser gives the PDF version.
+
+const STATUS_COLORS = {
+  manual_review: '#dc2626',
+  quick_review: '#d97706',
+  rejected: '#6b7280',
+  accepted: '#2563eb',
+  corrected: '#7c3aed',
+  auto_accept: '#16a34a'
+};
+
+const escapeHTML = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+
+// Lines the decision engine sent to a reviewer or that failed a rule, reviewed or not
+export const reportProblemLines = (results) => results.filter((line) => {
+  const routed = line.review ? line.review.previousStatus : line.status;
+  return routed === 'manual_review' || routed === 'quick_review' || (line.ruleFailures || []).length > 0;
+});
+
+const formatValues = (line) => {
+  const entries = Object.entries(line.values || {}).sort(([a], [b]) => (a < b ? 1 : -1));
+  if (entries.length) return entries.map(([period, value]) => `${period}: ${value.toLocaleString('en-US')}`).join(' · ');
+  return typeof line.parsedValue === 'number' ? line.parsedValue.toLocaleString('en-US') : '';
+};
+
+const STYLE = `
+  body { font: 13px/1.45 -apple-system, "Segoe UI", Helvetica, Arial, sans-serif; color: #111827; margin: 24px; }
+  h1 { font-size: 20px; margin: 0 0 4px; } h2 { font-size: 15px; margin: 24px 0 8px; border-bottom: 1px solid #e5e7eb; padding-bottom: 4px; }
+  .meta { color: #4b5563; font-size: 12px; } .meta code { font-size: 11px; }
+  table { border-collapse: collapse; width: 100%; } th, td { text-align: left; padding: 4px 8px; border-bottom: 1px solid #e5e7eb; vertical-align: top; }
+  th { background: #f9fafb; font-weight: 600; } td.num { text-align: right; font-variant-numeric: tabular-nums; }
+  .score { font-size: 32px; font-weight: 700; }
+  .status { display: inline-block; padding: 0 6px; border-radius: 4px; color: #fff; font-size: 11px; white-space: nowrap; }
+  .page { break-inside: avoid; margin-bottom: 16px; }
+  .thumb { position: relative; display: inline-block; border: 1px solid #d1d5db; max-width: 100%; }
+  .thumb img { display: block; width: 100%; height: auto; }
+  .box { position: absolute; border: 2px solid; background: rgba(255, 255, 255, 0.1); box-sizing: border-box; }
+  .box span { position: absolute; left: -2px; top: -16px; font-size: 10px; color: #fff; padding: 0 3px; }
+  @media print { body { margin: 0; } h2 { break-after: avoid; } tr { break-inside: avoid; } }
+`;
+
+/**
+ * The report as a complete HTML document.
+ *
+ * @param {{ fileName?: string, results: object[], validationScore: object, ruleSet?: object|null,
+ *   profile?: import('./profiles.js').Profile|null,
+ *   provenance?: import('./exports.js').Provenance|null,
+ *   thumbnails?: Array<{ pageNumber: number, src: string, width: number, height: number }> }} document
+ *   Thumbnails are image URLs (data: URLs keep the report self-contained); `width` and
+ *   `height` are the rendered page size the line boxes are measured in
+ * @returns {string}
+ */
+export const buildReport = ({ fileName, results, validationScore: score, ruleSet = null, profile = null, provenance = null, thumbnails = [] }) => {
+  const problems = reportProblemLines(results);
+  const key = (line) => `${line.pageNumber}-${line.id}`;
+  const numbers = new Map(problems.map((line, i) => [key(line), i + 1]));
+  const status = (value) => `<span class="status" style="background:${STATUS_COLORS[value] || '#6b7280'}">${escapeHTML(value)}</span>`;
+
+  const failures = new Map();
+  for (const line of results) {
+    for (const rule of line.ruleFailures || []) {
+      const detail = (line.ruleDetails || []).find(d => d.rule === rule);
+      const entry = failures.get(rule) || { rule, severity: detail ? detail.severity : '', message: detail ? detail.message : '', count: 0 };
+      entry.count++;
+      failures.set(rule, entry);
+    }
+  }
+
+  const breakdown = score.breakdown ? [
+    ['Average OCR confidence', `+${score.breakdown.confidence}`],
+    ['Anomaly penalty', `−${score.breakdown.anomalyPenalty}`],
+    ['Rule failure penalty', `−${score.breakdown.ruleFailurePenalty}`],
+    ['Auto-accepted and verified bonus', `+${score.breakdown.autoAcceptBonus}`]
+  ] : [];
+  const counts = [
+    ['Lines', score.totalLines], ['Auto-accepted', score.autoAccepted], ['Quick review', score.quickReview],
+    ['Manual review', score.manualReview], ['Verified by a reviewer', score.humanVerified], ['Rejected', score.rejected],
+    ['Rule failures', score.totalRuleFailures]
+  ];
+
+  // [label, HTML]
+  const meta = [
+    ['Processed', escapeHTML(new Date().toISOString())],
+    ruleSet && ['Rule set', escapeHTML(`${ruleSet.name || ruleSet.id} (${ruleSet.id})`)],
+    profile && ['Scoring profile', escapeHTML(`${profile.name} (thresholds ${Object.entries(profile.thresholds).map(([key, value]) => `${key} ${value}`).join(', ')})`)],
+    provenance && provenance.ocr.language && ['OCR language', escapeHTML(`${provenance.ocr.language}${provenance.ocr.languageDetected ? ' (detected)' : ''}`)],
+    provenance && provenance.ocr.sources.length > 0 && ['Read with', escapeHTML(provenance.ocr.sources
+      .map(s => `${s.engine ? `${s.engine}${s.version ? ` ${s.version}` : ''}` : s.source} (pages ${s.pages.join(', ')})`).join('; '))],
+    provenance && provenance.file.sha256 && ['SHA-256', `<code>${escapeHTML(provenance.file.sha256)}</code>`],
+    provenance && ['Pipeline', escapeHTML(`${provenance.pipeline.name} ${provenance.pipeline.version}`)]
+  ].filter(Boolean);
+
+  const pageSections = thumbnails.map(({ pageNumber, src, width, height }) => {
+    const pageScore = (score.pages || []).find(p => p.pageNumber === pageNumber);
+    const boxes = problems.filter(line => line.pageNumber === pageNumber && line.bbox).map((line) => {
+      const [x0, y0, x1, y1] = line.bbox;
+      const color = STATUS_COLORS[line.status] || '#6b7280';
+      const style = `left:${(x0 / width) * 100}%;top:${(y0 / height) * 100}%;width:${((x1 - x0) / width) * 100}%;height:${((y1 - y0) / height) * 100}%;border-color:${color}`;
+      return `<div class="box" style="${style}"><span style="background:${color}">${numbers.get(key(line))}</span></div>`;
+    });
+    return `<div class="page"><h3>Page ${pageNumber}${pageScore ? ` · score ${escapeHTML(pageScore.overallScore)}` : ''}</h3>`
+      + `<div class="thumb"><img src="${escapeHTML(src)}" alt="Page ${pageNumber}">${boxes.join('')}</div></div>`;
+  });
+
+  const problemRows = problems.map((line) => {
+    const details = line.ruleDetails || [];
+    const rules = [
+      ...(line.ruleFailures || []).filter(rule => !details.some(d => d.rule === rule)).map(escapeHTML),
+      ...details.map(d => `${escapeHTML(d.rule)}: ${escapeHTML(d.message)}`),
+      ...(line.anomalyReasons || []).map(r => `${escapeHTML(r.code)}: ${escapeHTML(r.message)}`)
+    ].join('<br>');
+    const suggestion = (line.suggestions || [])[0];
+    return `<tr><td class="num">${numbers.get(key(line))}</td><td class="num">${line.pageNumber}</td>`
+      + `<td>${escapeHTML((line.label || line.normalized || line.raw || '').toString())}</td><td class="num">${escapeHTML(formatValues(line))}</td>`
+      + `<td class="num">${typeof line.confidence === 'number' ? `${(line.confidence * 100).toFixed(0)}%` : ''}</td>`
+      + `<td>${status(line.status)}${line.review ? `<br><small>${escapeHTML(line.review.decision)} by reviewer</small>` : ''}</td>`
+      + `<td>${rules}${suggestion ? `<br><small>Suggested: ${escapeHTML(suggestion.original)} → ${escapeHTML(suggestion.suggested)} (${escapeHTML(suggestion.provider)})</small>` : ''}</td></tr>`;
+  });
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Validation report · ${escapeHTML(fileName || 'document')}</title>
+<style>${STYLE}</style>
+</head>
+<body>
+<h1>Validation report · ${escapeHTML(fileName || 'document')}</h1>
+<div class="meta">${meta.map(([label, html]) => `${label}: ${html}`).join('<br>')}</div>
+
+<h2>Score</h2>
+<table>
+<tr><td class="score">${escapeHTML(score.overallScore)}</td><td>
+<table>${breakdown.map(([label, value]) => `<tr><td>${label}</td><td class="num">${value}</td></tr>`).join('')}</table>
+</td><td><table>${counts.map(([label, value]) => `<tr><td>${label}</td><td class="num">${value ?? ''}</td></tr>`).join('')}</table></td></tr>
+</table>
+${(score.pages || []).length > 1 ? `<table><tr><th>Page</th><th>Score</th><th>Lines</th><th>Quick review</th><th>Manual review</th><th>Rule failures</th></tr>${score.pages
+    .map(p => `<tr><td>${p.pageNumber}</td><td class="num">${escapeHTML(p.overallScore)}</td><td class="num">${p.totalLines}</td><td class="num">${p.quickReview}</td><td class="num">${p.manualReview}</td><td class="num">${p.totalRuleFailures}</td></tr>`).join('')}</table>` : ''}
+
+<h2>Rule failures</h2>
+${failures.size ? `<table><tr><th>Rule</th><th>Severity</th><th>Lines</th><th>Message</th></tr>${[...failures.values()]
+    .map(f => `<tr><td>${escapeHTML(f.rule)}</td><td>${escapeHTML(f.severity)}</td><td class="num">${f.count}</td><td>${escapeHTML(f.message)}</td></tr>`).join('')}</table>` : '<p>None.</p>'}
+
+<h2>Lines for review (${problems.length})</h2>
+${problems.length ? `<table><tr><th>#</th><th>Page</th><th>Line</th><th>Values</th><th>Confidence</th><th>Status</th><th>Rule failures and anomalies</th></tr>${problemRows.join('')}</table>` : '<p>None.</p>'}
+${pageSections.length ? `\n<h2>Pages</h2>\n${pageSections.join('\n')}` : ''}
+</body>
+</html>
+`;
+};
@@ -0,0 +1,43 @@
+import { describe, expect, it } from 'vitest';
+import { buildReport, reportProblemLines } from './report.js';
+import { buildProvenance } from './exports.js';
+import { applyReview } from './stages.js';
+import { runPipeline } from './index.js';
+import { BALANCE_SHEET_ROWS, ocrDocument } from './test-fixtures.js';
+
+// Receivables of 60 keep 'Total current assets' from footing
+const rows = BALANCE_SHEET_ROWS.map(row => (row[0] === 'Receivables' ? [row[0], '60', '10'] : row));
+
+describe('buildReport', () => {
+  const ocrData = ocrDocument([rows]);
+  const run = runPipeline(ocrData);
+  const problems = reportProblemLines(run.results);
+
+  it('lists the lines sent to review or failing a rule, reviewed ones included', () => {
+    expect(problems.map(l => l.label)).toContain('Total current assets');
+    const reviewed = run.results.map(l => (l.label === 'Total current assets' ? applyReview(l, 'accepted') : l));
+    expect(reportProblemLines(reviewed)).toHaveLength(problems.length);
+  });
+
+  it('shows the score breakdown, rule failures and provenance', () => {
+    const html = buildReport({ fileName: 'Q4 <draft>.pdf', ...run, provenance: buildProvenance({ fileHash: 'f00d', ocrData }) });
+    expect(html).toContain(`<td class="score">${run.validationScore.overallScore}</td>`);
+    expect(html).toContain('Rule failure penalty');
+    expect(html).toContain('total_does_not_foot');
+    expect(html).toContain('column_does_not_foot: Only the 2023 column fails to foot');
+    expect(html).toContain('<code>f00d</code>');
+    expect(html).toContain('Scoring profile: Default (thresholds lowConfidence 0.9, lowNumericConfidence 0.85');
+    expect(html).toContain(`Lines for review (${problems.length})`);
+    expect(html).toContain('2023: 150 · 2022: 100');
+    expect(html).toContain('Validation report · Q4 &lt;draft&gt;.pdf');
+    expect(html).not.toContain('<draft>');
+  });
+
+  it('highlights the problem lines on the page thumbnails', () => {
+    const html = buildReport({ ...run, thumbnails: [{ pageNumber: 1, src: 'data:image/jpeg;base64,AA', width: 1000, height: 1000 }] });
+    const line = problems[0];
+    expect(html).toContain('<img src="data:image/jpeg;base64,AA" alt="Page 1">');
+    expect(html).toContain(`left:${line.bbox[0] / 10}%;top:${line.bbox[1] / 10}%`);
+    expect(html.match(/class="box"/g)).toHaveLength(problems.length);
+  });
+});
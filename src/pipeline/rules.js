@@ -0,0 +1,532 @@
+// Declarative rule sets: the label patterns used by predictLabels and the checks run by
+// validateRules, per document type. Rule sets are plain data, so they can be written
+// as JSON or YAML, loaded at runtime and edited in the app.
+
+import { parse as parseYAML } from 'yaml';
+import { compileExpression } from './expression.js';
+import { LANGUAGE_CODES, LANGUAGES } from './languages.js';
+import { DEFAULT_PROFILE } from './profiles.js';
+
+/**
+ * @typedef {string|number|boolean|null|Array<string|number|boolean|null>|{ pattern: string, flags?: string }|{ min?: number, max?: number }} FieldMatcher
+ *   A value to equal, a list of allowed values, a regex, or a numeric range
+ *
+ * @typedef {object} Rule
+ * @property {string} id                 Reported in ruleFailures and ruleDetails
+ * @property {'error'|'warning'|'info'} [severity]  error (default) sends the line to
+ *   manual review, warning to quick review; info is only reported
+ * @property {'line'|'statement'} [scope]  line (default): checked on every line that
+ *   matches `when`. statement: checked once per statement and period column
+ * @property {string} [description]
+ * @property {string} [message]          Template; {name} is replaced by that field's value,
+ *   {thresholds.name} by the profile's threshold
+ * @property {Object<string, FieldMatcher>} [when]  Line rules: which lines the rule applies to
+ * @property {string[]} [require]        Line rules: fields that must be present
+ * @property {{ field: string, min?: number|string, max?: number|string }} [range]
+ *   A bound given as a string names one of the scoring profile's thresholds (profiles.js)
+ * @property {{ field: string, pattern: string, flags?: string, negate?: boolean }} [match]
+ *   The field must match the pattern, or must not when `negate` is set
+ * @property {Object<string, string>} [fields]  Statement rules: name → label pattern of
+ *   the line whose value the name stands for
+ * @property {string} [expression]       Must not evaluate to false (see expression.js)
+ * @property {{ left: string, right: string, tolerance?: number }} [equation]
+ *   Two expressions that must be equal within `tolerance`
+ *
+ * @typedef {object} RuleSet
+ * @property {string} id
+ * @property {string} name
+ * @property {string} documentType
+ * @property {string} [language]         Language code (languages.js) of the labels and
+ *   patterns; sets without one count as English
+ * @property {string} [detect]           Pattern for the statement heading that selects this set
+ * @property {Array<{ label: string, pattern: string, flags?: string }>} labels
+ *   Tried in order; the first match labels the line
+ * @property {Rule[]} rules
+ */
+
+const LINE_CHECKS = ['require', 'range', 'match', 'expression', 'equation'];
+
+const BASE_LINE_RULES = [
+  {
+    id: 'numeric_parse_failed',
+    description: 'A value cell could not be parsed as an amount',
+    when: { valueType: 'numeric' },
+    require: ['parsedValue']
+  },
+  {
+    id: 'low_ocr_confidence',
+    description: 'OCR confidence below the scoring profile threshold lowConfidence (default 0.9)',
+    when: { valueType: ['text', 'numeric'] },
+    range: { field: 'confidence', min: 'lowConfidence' },
+    message: 'OCR confidence {confidence} is below {thresholds.lowConfidence}'
+  },
+  {
+    id: 'suspicious_chars_in_number',
+    description: 'Letters that OCR confuses with digits inside a value',
+    when: { valueType: 'numeric' },
+    match: { field: 'valueText', pattern: '[OolI]', flags: '', negate: true },
+    message: 'Value "{valueText}" contains O, o, l or I'
+  },
+  {
+    id: 'total_line_missing_value',
+    description: 'Total lines must carry an amount',
+    when: { predictedLabel: 'total' },
+    require: ['parsedValue'],
+    message: '"{text}" has no amount'
+  }
+];
+
+/** @type {RuleSet} */
+export const BALANCE_SHEET_RULES = {
+  id: 'balance_sheet',
+  name: 'Balance sheet',
+  documentType: 'balance_sheet',
+  language: 'eng',
+  detect: 'balance\\s+sheet|financial\\s+position',
+  labels: [
+    // Order matters: "Total current assets" must be a total, not a subsection
+    { label: 'header', pattern: 'balance\\s+sheet|income\\s+statement|cash\\s+flow' },
+    { label: 'section_header', pattern: '^(assets|liabilities|equity|revenue|expenses):?$' },
+    { label: 'total', pattern: 'total' },
+    { label: 'subsection', pattern: 'current\\s+(assets|liabilities)|shareholders' },
+    { label: 'line_item', pattern: 'cash|receivable|payable|inventory|stock|earnings' },
+    { label: 'date', pattern: '\\b(january|february|march|april|may|june|july|august|september|october|november|december)\\b|\\b\\d{1,2}[/.-]\\d{1,2}[/.-]\\d{2,4}\\b' }
+  ],
+  rules: BASE_LINE_RULES
+};
+
+// Gross profit and net income checks, given the label patterns of the lines involved
+const incomeStatementChecks = ({ revenue, costOfSales, grossProfit, preTax, tax, netIncome }) => [
+  {
+    id: 'gross_profit_mismatch',
+    description: 'Gross profit = revenue - cost of sales',
+    scope: 'statement',
+    fields: { revenue, costOfSales, grossProfit },
+    equation: { left: 'grossProfit', right: 'revenue - abs(costOfSales)', tolerance: 1 }
+  },
+  {
+    id: 'net_income_mismatch',
+    description: 'Net income = income before tax - income tax',
+    scope: 'statement',
+    fields: { preTax, tax, netIncome },
+    equation: { left: 'netIncome', right: 'preTax - abs(tax)', tolerance: 1 }
+  }
+];
+
+/** @type {RuleSet} */
+export const INCOME_STATEMENT_RULES = {
+  id: 'income_statement',
+  name: 'Income statement',
+  documentType: 'income_statement',
+  language: 'eng',
+  detect: 'income\\s+statement|statement\\s+of\\s+(operations|income|profit\\s+or\\s+loss)|profit\\s+and\\s+loss',
+  labels: [
+    { label: 'header', pattern: 'balance\\s+sheet|income\\s+statement|statement\\s+of\\s+(operations|income)|cash\\s+flow' },
+    { label: 'section_header', pattern: '^(revenue|revenues|expenses|operating\\s+expenses|other\\s+income):?$' },
+    { label: 'total', pattern: 'total|gross\\s+profit|operating\\s+(income|profit|loss)|net\\s+(income|profit|loss)' },
+    { label: 'line_item', pattern: 'revenue|sales|cost|expense|depreciation|amortization|interest|tax' },
+    { label: 'date', pattern: '\\b(january|february|march|april|may|june|july|august|september|october|november|december)\\b|\\b\\d{1,2}[/.-]\\d{1,2}[/.-]\\d{2,4}\\b' }
+  ],
+  rules: [
+    ...BASE_LINE_RULES,
+    ...incomeStatementChecks({
+      revenue: '^(total\\s+)?(net\\s+)?(revenue|revenues|sales)$',
+      costOfSales: '^(total\\s+)?cost\\s+of\\s+(sales|revenue|revenues|goods\\s+sold)$',
+      grossProfit: '^gross\\s+profit$',
+      preTax: '^(income|profit)\\s+before\\s+(income\\s+)?tax(es)?$',
+      tax: '^(provision\\s+for\\s+)?income\\s+tax(es)?(\\s+expense)?$',
+      netIncome: '^net\\s+(income|profit)$'
+    })
+  ]
+};
+
+// The balance sheet and income statement rule sets for a language in LANGUAGES, from
+// its vocabulary; the checks are the same as the English sets'
+const localizedRuleSets = (code) => {
+  const { name, statements, rules: words } = LANGUAGES[code];
+  const balanceSheet = words.balance_sheet;
+  const incomeStatement = words.income_statement;
+  return [
+    {
+      id: `balance_sheet_${code}`,
+      name: `Balance sheet (${name})`,
+      documentType: 'balance_sheet',
+      language: code,
+      detect: statements.balance_sheet.heading,
+      labels: [
+        { label: 'header', pattern: words.header },
+        { label: 'section_header', pattern: balanceSheet.section_header },
+        { label: 'total', pattern: balanceSheet.total },
+        { label: 'subsection', pattern: balanceSheet.subsection },
+        { label: 'line_item', pattern: balanceSheet.line_item },
+        { label: 'date', pattern: words.date }
+      ],
+      rules: BASE_LINE_RULES
+    },
+    {
+      id: `income_statement_${code}`,
+      name: `Income statement (${name})`,
+      documentType: 'income_statement',
+      language: code,
+      detect: statements.income_statement.heading,
+      labels: [
+        { label: 'header', pattern: words.header },
+        { label: 'section_header', pattern: incomeStatement.section_header },
+        { label: 'total', pattern: incomeStatement.total },
+        { label: 'line_item', pattern: incomeStatement.line_item },
+        { label: 'date', pattern: words.date }
+      ],
+      rules: [...BASE_LINE_RULES, ...incomeStatementChecks(incomeStatement.fields)]
+    }
+  ];
+};
+
+// English first: without a language to go by, the first set is the fallback
+export const RULE_SETS = [
+  BALANCE_SHEET_RULES,
+  INCOME_STATEMENT_RULES,
+  ...LANGUAGE_CODES.filter(code => code !== 'eng').flatMap(localizedRuleSets)
+];
+export const DEFAULT_RULE_SET = BALANCE_SHEET_RULES;
+
+const SEVERITIES = ['error', 'warning', 'info'];
+
+const checkPattern = (pattern, flags, where) => {
+  try {
+    new RegExp(pattern, flags);
+    return [];
+  } catch (err) {
+    return [`${where}: ${err.message}`];
+  }
+};
+
+const checkExpression = (source, where) => {
+  try {
+    return { problems: [], names: compileExpression(source).names };
+  } catch (err) {
+    return { problems: [`${where}: ${err.message}`], names: [] };
+  }
+};
+
+/**
+ * Problems with a rule set, in the style of schema.js (empty when valid).
+ *
+ * @param {RuleSet} ruleSet
+ * @returns {string[]}
+ */
+export const checkRuleSet = (ruleSet) => {
+  if (!ruleSet || typeof ruleSet !== 'object' || Array.isArray(ruleSet)) return ['rule set must be an object'];
+  const problems = [];
+  for (const field of ['id', 'name', 'documentType']) {
+    if (typeof ruleSet[field] !== 'string' || !ruleSet[field]) problems.push(`${field} must be a non-empty string`);
+  }
+  if (ruleSet.language !== undefined && (typeof ruleSet.language !== 'string' || !ruleSet.language)) problems.push('language must be a non-empty string');
+  if (ruleSet.detect !== undefined) problems.push(...checkPattern(ruleSet.detect, 'i', 'detect'));
+
+  if (!Array.isArray(ruleSet.labels)) problems.push('labels must be an array');
+  else {
+    ruleSet.labels.forEach((entry, i) => {
+      if (!entry || typeof entry.label !== 'string' || typeof entry.pattern !== 'string') problems.push(`labels[${i}] needs a label and a pattern`);
+      else problems.push(...checkPattern(entry.pattern, entry.flags ?? 'i', `labels[${i}] (${entry.label})`));
+    });
+  }
+
+  if (!Array.isArray(ruleSet.rules)) return [...problems, 'rules must be an array'];
+  const seen = new Set();
+  ruleSet.rules.forEach((rule, i) => {
+    const where = `rules[${i}]${rule && rule.id ? ` (${rule.id})` : ''}`;
+    if (!rule || typeof rule.id !== 'string' || !rule.id) {
+      problems.push(`${where} needs an id`);
+      return;
+    }
+    if (seen.has(rule.id)) problems.push(`${where}: duplicate rule id`);
+    seen.add(rule.id);
+    if (rule.severity !== undefined && !SEVERITIES.includes(rule.severity)) problems.push(`${where}: severity must be one of ${SEVERITIES.join(', ')}`);
+    const scope = rule.scope || 'line';
+    if (!['line', 'statement'].includes(scope)) problems.push(`${where}: scope must be line or statement`);
+    if (!LINE_CHECKS.some(check => rule[check] !== undefined)) problems.push(`${where} has no check (${LINE_CHECKS.join(', ')})`);
+
+    for (const [field, matcher] of Object.entries(rule.when || {})) {
+      if (matcher && typeof matcher === 'object' && !Array.isArray(matcher) && matcher.pattern !== undefined) {
+        problems.push(...checkPattern(matcher.pattern, matcher.flags ?? 'i', `${where} when.${field}`));
+      }
+    }
+    if (rule.require !== undefined && !Array.isArray(rule.require)) problems.push(`${where}: require must be a list of fields`);
+    if (rule.range !== undefined && (typeof rule.range.field !== 'string' || (rule.range.min === undefined && rule.range.max === undefined))) {
+      problems.push(`${where}: range needs a field and a min or max`);
+    }
+    for (const bound of ['min', 'max']) {
+      const value = rule.range ? rule.range[bound] : undefined;
+      if (value === undefined || typeof value === 'number') continue;
+      if (typeof value !== 'string' || !(value in DEFAULT_PROFILE.thresholds)) {
+        problems.push(`${where}: range.${bound} must be a number or one of ${Object.keys(DEFAULT_PROFILE.thresholds).join(', ')}`);
+      }
+    }
+    if (rule.match !== undefined) {
+      if (typeof rule.match.field !== 'string' || typeof rule.match.pattern !== 'string') problems.push(`${where}: match needs a field and a pattern`);
+      else problems.push(...checkPattern(rule.match.pattern, rule.match.flags ?? 'i', `${where} match`));
+    }
+
+    const names = [];
+    for (const source of [rule.expression, rule.equation && rule.equation.left, rule.equation && rule.equation.right]) {
+      if (source === undefined) continue;
+      const checked = checkExpression(source, where);
+      problems.push(...checked.problems);
+      names.push(...checked.names);
+    }
+    if (rule.equation !== undefined && (rule.equation.left === undefined || rule.equation.right === undefined)) {
+      problems.push(`${where}: equation needs left and right`);
+    }
+
+    if (scope === 'statement') {
+      if (!rule.fields || typeof rule.fields !== 'object') problems.push(`${where}: statement rules need fields`);
+      else {
+        for (const [name, pattern] of Object.entries(rule.fields)) problems.push(...checkPattern(pattern, 'i', `${where} fields.${name}`));
+        for (const name of names) {
+          if (!(name in rule.fields)) problems.push(`${where}: ${name} is not one of its fields`);
+        }
+      }
+      if (rule.expression === undefined && rule.equation === undefined) problems.push(`${where}: statement rules need an expression or an equation`);
+    }
+  });
+  return problems;
+};
+
+/**
+ * Read rule sets from JSON or YAML text: a single rule set or a list of them.
+ * Throws with every problem found when the text is not a valid rule set.
+ *
+ * @param {string} text
+ * @returns {RuleSet[]}
+ */
+export const parseRuleSets = (text) => {
+  let data;
+  try {
+    data = parseYAML(text);
+  } catch (err) {
+    throw new Error(`Rule file is not valid JSON or YAML: ${err.message}`);
+  }
+  const ruleSets = Array.isArray(data) ? data : [data];
+  const problems = ruleSets.flatMap((ruleSet, i) => checkRuleSet(ruleSet).map(p => (ruleSets.length > 1 ? `[${i}] ${p}` : p)));
+  if (problems.length > 0) throw new Error(`Invalid rule set:\n${problems.join('\n')}`);
+  return ruleSets;
+};
+
+/**
+ * The rule set for a document: the one for `documentType` (a document type or a set's
+ * id), or with 'auto' the first whose `detect` pattern matches a line, in document
+ * order. Sets in one of `languages` are tried before the others. Falls back to the
+ * first set.
+ *
+ * @param {Array<{ raw?: string, label?: string }>} lines
+ * @param {RuleSet[]} [ruleSets]
+ * @param {string} [documentType]
+ * @param {string[]} [languages]  Language codes, preferred first
+ * @returns {RuleSet}
+ */
+export const selectRuleSet = (lines, ruleSets = RULE_SETS, documentType = 'auto', languages = []) => {
+  const languageOf = (set) => set.language || 'eng';
+  const preferred = languages.flatMap(code => ruleSets.filter(set => languageOf(set) === code));
+  const ordered = [...preferred, ...ruleSets.filter(set => !preferred.includes(set))];
+  if (documentType !== 'auto') {
+    const chosen = ordered.find(set => set.documentType === documentType) || ruleSets.find(set => set.id === documentType);
+    if (!chosen) throw new Error(`No rule set for document type "${documentType}"`);
+    return chosen;
+  }
+  const detectors = ordered.filter(set => set.detect).map(set => ({ set, pattern: new RegExp(set.detect, 'i') }));
+  for (const line of lines) {
+    const text = (line.label || line.raw || '').toString();
+    const found = detectors.find(d => d.pattern.test(text));
+    if (found) return found.set;
+  }
+  return ordered[0];
+};
+
+// Compiled patterns and expressions, built once per rule set object
+const compiled = new WeakMap();
+
+export const compileRuleSet = (ruleSet) => {
+  if (compiled.has(ruleSet)) return compiled.get(ruleSet);
+  const matcherOf = (spec) => {
+    if (Array.isArray(spec)) return (value) => spec.includes(value);
+    if (spec && typeof spec === 'object' && spec.pattern !== undefined) {
+      const regex = new RegExp(spec.pattern, spec.flags ?? 'i');
+      return (value) => value !== null && value !== undefined && regex.test(String(value));
+    }
+    if (spec && typeof spec === 'object') {
+      return (value) => typeof value === 'number' && (spec.min === undefined || value >= spec.min) && (spec.max === undefined || value <= spec.max);
+    }
+    return (value) => value === spec;
+  };
+
+  const result = {
+    ruleSet,
+    labels: ruleSet.labels.map(entry => ({ label: entry.label, pattern: new RegExp(entry.pattern, entry.flags ?? 'i') })),
+    rules: ruleSet.rules.map(rule => ({
+      ...rule,
+      severity: rule.severity || 'error',
+      scope: rule.scope || 'line',
+      when: Object.entries(rule.when || {}).map(([field, spec]) => ({ field, test: matcherOf(spec) })),
+      matchPattern: rule.match ? new RegExp(rule.match.pattern, rule.match.flags ?? 'i') : null,
+      fieldPatterns: Object.entries(rule.fields || {}).map(([name, pattern]) => ({ name, pattern: new RegExp(pattern, 'i') })),
+      compiledExpression: rule.expression !== undefined ? compileExpression(rule.expression) : null,
+      compiledEquation: rule.equation
+        ? { left: compileExpression(rule.equation.left), right: compileExpression(rule.equation.right), tolerance: rule.equation.tolerance ?? 0 }
+        : null
+    }))
+  };
+  compiled.set(ruleSet, result);
+  return result;
+};
+
+const labelOf = (line) => (line.label || line.normalized || '').replace(/[:.]+$/, '').replace(/\s+/g, ' ').trim();
+const refOf = (line) => ({ pageNumber: line.pageNumber, id: line.id, label: labelOf(line) });
+const fmt = (value) => (typeof value === 'number' ? value.toLocaleString('en-US', { maximumFractionDigits: 2 }) : String(value));
+const fieldOf = (object, path) => path.split('.').reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), object);
+const fillTemplate = (template, scope) => template.replace(/\{([\w.$]+)\}/g, (whole, path) => {
+  const value = fieldOf(scope, path);
+  return value === undefined || value === null ? whole : fmt(value);
+});
+
+// What line rules can refer to: the line's own fields plus `text` (its label, or the
+// whole line when it has no cells), `valueText` (the raw text of its value cells) and
+// the profile's `thresholds`
+const lineScope = (line, thresholds) => ({
+  ...line,
+  text: labelOf(line),
+  valueText: line.cells ? line.cells.map(c => c.raw).join(' ') : (line.raw || '').toString(),
+  thresholds
+});
+
+const checkLine = (rule, scope) => {
+  for (const field of rule.require || []) {
+    const value = fieldOf(scope, field);
+    if (value === null || value === undefined || value === '') return `${field} is missing`;
+  }
+  if (rule.range) {
+    const value = fieldOf(scope, rule.range.field);
+    const bound = (limit) => (typeof limit === 'string' ? scope.thresholds[limit] : limit);
+    const min = bound(rule.range.min);
+    const max = bound(rule.range.max);
+    if (typeof value === 'number') {
+      if (min !== undefined && value < min) return `${rule.range.field} ${fmt(value)} is below ${fmt(min)}`;
+      if (max !== undefined && value > max) return `${rule.range.field} ${fmt(value)} is above ${fmt(max)}`;
+    }
+  }
+  if (rule.matchPattern) {
+    const value = fieldOf(scope, rule.match.field);
+    const matches = value !== null && value !== undefined && rule.matchPattern.test(String(value));
+    if (matches === Boolean(rule.match.negate)) {
+      return `${rule.match.field} "${value ?? ''}" ${rule.match.negate ? 'matches' : 'does not match'} /${rule.match.pattern}/`;
+    }
+  }
+  if (rule.compiledExpression && rule.compiledExpression.evaluate(scope) === false) return `${rule.expression} is false`;
+  if (rule.compiledEquation) {
+    const left = rule.compiledEquation.left.evaluate(scope);
+    const right = rule.compiledEquation.right.evaluate(scope);
+    if (typeof left === 'number' && typeof right === 'number' && Math.abs(left - right) > rule.compiledEquation.tolerance) {
+      return `${rule.equation.left} is ${fmt(left)} but ${rule.equation.right} is ${fmt(right)}`;
+    }
+  }
+  return null;
+};
+
+/**
+ * Run a rule set's line rules on one line. Range bounds that name a threshold are
+ * read from `thresholds` (a scoring profile's, default DEFAULT_PROFILE's).
+ *
+ * @returns {Array<{ rule: string, severity: string, message: string, lines: object[] }>}
+ */
+export const evaluateLineRules = (line, ruleSet = DEFAULT_RULE_SET, thresholds = DEFAULT_PROFILE.thresholds) => {
+  const scope = lineScope(line, thresholds);
+  const details = [];
+  for (const rule of compileRuleSet(ruleSet).rules) {
+    if (rule.scope !== 'line' || !rule.when.every(w => w.test(fieldOf(scope, w.field)))) continue;
+    const problem = checkLine(rule, scope);
+    if (problem) {
+      details.push({
+        rule: rule.id,
+        severity: rule.severity,
+        message: rule.message ? fillTemplate(rule.message, scope) : problem,
+        lines: [refOf(line)]
+      });
+    }
+  }
+  return details;
+};
+
+/**
+ * Run a rule set's statement rules. Statements start at each `header` line; in each,
+ * a rule's field names stand for the first line whose label matches their pattern, and
+ * the rule is checked once per period column those lines share. A rule whose lines are
+ * missing from a statement does not apply to it.
+ *
+ * @returns {Map<number, object[]>} details by line index
+ */
+export const evaluateStatementRules = (lines, ruleSet = DEFAULT_RULE_SET) => {
+  const rules = compileRuleSet(ruleSet).rules.filter(rule => rule.scope === 'statement');
+  const detailsByIndex = new Map();
+  if (rules.length === 0) return detailsByIndex;
+
+  const valuesOf = (line) => line.values && Object.keys(line.values).length
+    ? line.values
+    : line.parsedValue !== null && line.parsedValue !== undefined ? { value: line.parsedValue } : {};
+  const statements = [[]];
+  lines.forEach((line, index) => {
+    if (line.predictedLabel === 'header') statements.push([]);
+    else if (line.valueType !== 'empty') statements[statements.length - 1].push(index);
+  });
+
+  for (const indices of statements) {
+    for (const rule of rules) {
+      const bound = {};
+      for (const { name, pattern } of rule.fieldPatterns) {
+        const index = indices.find(i => pattern.test(labelOf(lines[i])) && Object.keys(valuesOf(lines[i])).length > 0);
+        if (index !== undefined) bound[name] = index;
+      }
+      const boundIndices = Object.values(bound);
+      if (boundIndices.length === 0) continue;
+      const periods = [...new Set(boundIndices.flatMap(i => Object.keys(valuesOf(lines[i]))))];
+
+      for (const period of periods) {
+        const scope = { period };
+        for (const [name, index] of Object.entries(bound)) scope[name] = valuesOf(lines[index])[period] ?? null;
+        const inColumn = period === 'value' ? '' : ` in the ${period} column`;
+        let detail = null;
+
+        if (rule.compiledEquation) {
+          const left = rule.compiledEquation.left.evaluate(scope);
+          const right = rule.compiledEquation.right.evaluate(scope);
+          if (typeof left === 'number' && typeof right === 'number' && Math.abs(left - right) > rule.compiledEquation.tolerance) {
+            const difference = left - right;
+            detail = {
+              message: `${rule.equation.left} is ${fmt(left)} but ${rule.equation.right} is ${fmt(right)}${inColumn} (difference ${fmt(difference)})`,
+              expected: right,
+              actual: left,
+              difference
+            };
+          }
+        }
+        if (!detail && rule.compiledExpression && rule.compiledExpression.evaluate(scope) === false) {
+          detail = { message: `${rule.expression} is false${inColumn}` };
+        }
+        if (!detail) continue;
+
+        const involved = boundIndices.filter(i => valuesOf(lines[i])[period] !== undefined);
+        const full = {
+          rule: rule.id,
+          severity: rule.severity,
+          ...detail,
+          message: rule.message ? fillTemplate(rule.message, { ...scope, ...detail }) : detail.message,
+          lines: involved.map(i => refOf(lines[i])),
+          period
+        };
+        for (const index of involved) {
+          if (!detailsByIndex.has(index)) detailsByIndex.set(index, []);
+          detailsByIndex.get(index).push(full);
+        }
+      }
+    }
+  }
+  return detailsByIndex;
+};
@@ -0,0 +1,159 @@
+import { describe, expect, it } from 'vitest';
+import { groupRows } from './layout.js';
+import {
+  BALANCE_SHEET_RULES, INCOME_STATEMENT_RULES, RULE_SETS, checkRuleSet, evaluateLineRules, parseRuleSets, selectRuleSet
+} from './rules.js';
+import { assignPeriods, makeDecisions, normalize, predictLabels, suggestCorrections, detectAnomalies, validateRules } from './stages.js';
+import { wordsFromRows } from './test-fixtures.js';
+
+const rowsOf = (rows) => groupRows(wordsFromRows(rows)).map(line => ({ ...line, pageNumber: 1 }));
+const validate = (rows, ruleSet) => {
+  const labelled = predictLabels(assignPeriods(normalize(rowsOf(rows))), { ruleSet });
+  return makeDecisions(suggestCorrections(detectAnomalies(validateRules(labelled, { ruleSet }))));
+};
+const byLabel = (lines, label) => lines.find(l => l.label === label);
+
+const customSet = (rules, extra = {}) => ({ ...BALANCE_SHEET_RULES, id: 'custom', name: 'Custom', rules, ...extra });
+
+describe('built-in rule sets', () => {
+  it('are valid', () => {
+    for (const ruleSet of RULE_SETS) expect(checkRuleSet(ruleSet)).toEqual([]);
+  });
+
+  it('check gross profit and net income per column on income statements', () => {
+    const lines = validate([
+      ['Income Statement'],
+      ['', '2023', '2022'],
+      ['Revenue', '1,000', '900'],
+      ['Cost of sales', '(600)', '(500)'],
+      ['Gross profit', '400', '450'],
+      ['Income before tax', '300', '250'],
+      ['Income tax', '(60)', '(50)'],
+      ['Net income', '240', '200']
+    ], INCOME_STATEMENT_RULES);
+
+    const gross = byLabel(lines, 'Gross profit');
+    expect(gross.ruleFailures).toEqual(['gross_profit_mismatch']);
+    expect(gross.ruleDetails[0]).toMatchObject({ period: '2022', expected: 400, actual: 450, difference: 50, severity: 'error' });
+    expect(gross.ruleDetails[0].lines.map(l => l.label)).toEqual(['Revenue', 'Cost of sales', 'Gross profit']);
+    expect(byLabel(lines, 'Revenue').status).toBe('manual_review');
+    expect(byLabel(lines, 'Net income').ruleFailures).toEqual([]);
+  });
+});
+
+describe('line rules', () => {
+  it('match fields, ranges and requirements and report the rule id', () => {
+    const ruleSet = customSet([
+      { id: 'cash_positive', when: { label: { pattern: '^cash$' } }, range: { field: 'parsedValue', min: 0 } },
+      { id: 'label_required', severity: 'warning', when: { valueType: 'numeric' }, require: ['label'] },
+      { id: 'note', severity: 'info', when: { predictedLabel: 'line_item' }, expression: 'parsedValue < 1000', message: '{text} is {parsedValue}' }
+    ]);
+    const lines = validate([['Cash', '(5)'], ['', '7'], ['Inventory', '1,500']], ruleSet);
+
+    expect(lines[0].ruleFailures).toEqual(['cash_positive']);
+    expect(lines[0].ruleDetails[0]).toMatchObject({ rule: 'cash_positive', severity: 'error', message: 'parsedValue -5 is below 0' });
+    expect(lines[0].status).toBe('manual_review');
+    expect(lines[1].ruleFailures).toEqual(['label_required']);
+    expect(lines[1].status).toBe('quick_review');
+    expect(lines[2].ruleFailures).toEqual([]);
+    expect(lines[2].ruleDetails).toEqual([expect.objectContaining({ rule: 'note', severity: 'info', message: 'Inventory is 1,500' })]);
+    expect(lines[2].status).toBe('auto_accept');
+  });
+
+  it('evaluate cross-field expressions over period values', () => {
+    const ruleSet = customSet([{ id: 'yoy_within_half', when: { predictedLabel: 'line_item' }, expression: 'abs(values.2023 - values.2022) <= values.2022 / 2' }]);
+    const lines = validate([['', '2023', '2022'], ['Cash', '100', '90'], ['Inventory', '300', '100'], ['Payables', '50', '']], ruleSet);
+    expect(lines.map(l => l.ruleFailures)).toEqual([[], [], ['yoy_within_half'], []]);
+  });
+
+  it('use the rule set label patterns', () => {
+    const ruleSet = customSet([], { labels: [{ label: 'revenue', pattern: '^sales' }] });
+    const lines = validate([['Sales', '10'], ['Cash', '5']], ruleSet);
+    expect(lines.map(l => l.predictedLabel)).toEqual(['revenue', 'unknown']);
+  });
+
+  it('keep their checks independent of the pipeline', () => {
+    const details = evaluateLineRules({ id: 1, label: 'Total assets', valueType: 'text', predictedLabel: 'total', parsedValue: null, confidence: 0.95 });
+    expect(details.map(d => d.rule)).toEqual(['total_line_missing_value']);
+    expect(details[0].message).toBe('"Total assets" has no amount');
+  });
+
+  it('read range bounds that name a threshold from the scoring profile', () => {
+    const line = { id: 1, label: 'Cash', valueType: 'numeric', predictedLabel: 'line_item', parsedValue: 5, confidence: 0.88 };
+    const [detail] = evaluateLineRules(line);
+    expect(detail).toMatchObject({ rule: 'low_ocr_confidence', message: 'OCR confidence 0.88 is below 0.9' });
+    expect(evaluateLineRules(line, BALANCE_SHEET_RULES, { lowConfidence: 0.85 })).toEqual([]);
+  });
+});
+
+describe('statement rules', () => {
+  it('skip statements that lack the lines they name', () => {
+    const ruleSet = customSet([{
+      id: 'debt_limit', scope: 'statement', fields: { debt: '^debt$', equity: '^equity$' }, expression: 'debt <= equity * 2'
+    }]);
+    expect(validate([['Debt', '500']], ruleSet)[0].ruleFailures).toEqual([]);
+    expect(validate([['Debt', '500'], ['Equity', '100']], ruleSet)[0].ruleFailures).toEqual(['debt_limit']);
+  });
+});
+
+describe('checkRuleSet', () => {
+  it('reports every problem', () => {
+    const problems = checkRuleSet({
+      id: 'x',
+      name: 'X',
+      documentType: 'x',
+      labels: [{ label: 'total', pattern: '(' }],
+      rules: [
+        { id: 'a', severity: 'fatal', require: ['label'] },
+        { id: 'a', range: { field: 'confidence' } },
+        { id: 'b' },
+        { id: 'c', scope: 'statement', fields: { assets: 'assets' }, expression: 'assets == debt' },
+        { id: 'd', expression: 'a +' },
+        { id: 'e', range: { field: 'confidence', min: 'cutoff' } }
+      ]
+    });
+    expect(problems).toEqual([
+      expect.stringContaining('labels[0] (total)'),
+      'rules[0] (a): severity must be one of error, warning, info',
+      'rules[1] (a): duplicate rule id',
+      'rules[1] (a): range needs a field and a min or max',
+      'rules[2] (b) has no check (require, range, match, expression, equation)',
+      'rules[3] (c): debt is not one of its fields',
+      expect.stringContaining('rules[4] (d): Unexpected end'),
+      'rules[5] (e): range.min must be a number or one of lowConfidence, lowNumericConfidence, lowLabelConfidence, anomaly'
+    ]);
+  });
+});
+
+describe('parseRuleSets', () => {
+  it('reads YAML and JSON, one set or a list', () => {
+    const yaml = `
+id: leases
+name: Leases
+documentType: lease_note
+labels:
+  - { label: total, pattern: 'total' }
+rules:
+  - id: positive
+    when: { predictedLabel: total }
+    range: { field: parsedValue, min: 0 }
+`;
+    const [fromYaml] = parseRuleSets(yaml);
+    expect(fromYaml.rules[0].range).toEqual({ field: 'parsedValue', min: 0 });
+    expect(parseRuleSets(JSON.stringify(RULE_SETS)).map(s => s.id)).toEqual(RULE_SETS.map(s => s.id));
+  });
+
+  it('throws with the problems found', () => {
+    expect(() => parseRuleSets('id: x')).toThrow(/Invalid rule set:\nname must be a non-empty string/);
+    expect(() => parseRuleSets('rules: [')).toThrow('not valid JSON or YAML');
+  });
+});
+
+describe('selectRuleSet', () => {
+  it('picks by document type or by the first heading that matches', () => {
+    expect(selectRuleSet([], RULE_SETS, 'income_statement')).toBe(INCOME_STATEMENT_RULES);
+    expect(selectRuleSet([{ raw: 'Consolidated Statement of Operations' }, { raw: 'Balance Sheet' }])).toBe(INCOME_STATEMENT_RULES);
+    expect(selectRuleSet([{ raw: 'Notes' }])).toBe(BALANCE_SHEET_RULES);
+    expect(() => selectRuleSet([], RULE_SETS, 'cash_flow')).toThrow('No rule set for document type "cash_flow"');
+  });
+});
@@ -0,0 +1,108 @@
+// The OCR document the pipeline reads and the fields each stage adds to a line.
+// `checkOCRDocument` and `checkStageOutput` return a list of problems (empty when valid).
+
+/**
+ * @typedef {[number, number, number, number]} BBox  x0, y0, x1, y1 in rendered page pixels (scale 1.5)
+ * @typedef {{ raw: string, bbox: BBox, confidence: number, source?: 'ocr'|'text_layer' }} Word
+ * @typedef {{ raw: string, bbox: BBox, confidence: number, crossCheck?: { raw: string, confidence: number } }} Cell
+ * @typedef {{ id: number, raw: string, label?: string, cells?: Cell[], bbox: BBox, confidence: number, source?: 'ocr'|'text_layer' }} Row
+ * @typedef {{ options: object, dpi: number, rotation: number, skew: number, steps: object[] }} PagePreprocessing
+ *   How a scanned page was cleaned up before OCR (see preprocess.js); boxes are still in
+ *   rendered page pixels
+ * @typedef {{ pageNumber: number, source?: string, done?: boolean, preprocessing?: PagePreprocessing|null, language?: string, words?: Word[], lines: Row[] }} OCRPage
+ * @typedef {{ fileName: string, pageCount: number, language?: string, pages: OCRPage[] }} OCRDocument
+ *   `language` is the Tesseract language the pages were read with ('deu+eng')
+ */
+
+// A field spec is a type name ('string', 'number', 'boolean', 'array', 'object'),
+// several joined with '|' ('number|null'), or an array of allowed values
+export const OCR_LINE_SCHEMA = {
+  id: 'number',
+  raw: 'string',
+  bbox: 'array',
+  confidence: 'number'
+};
+
+export const OCR_WORD_SCHEMA = {
+  raw: 'string',
+  bbox: 'array',
+  confidence: 'number'
+};
+
+// Fields each stage adds, in pipeline order; a line after a stage carries its fields
+// and those of every stage before it
+export const STAGE_SCHEMAS = {
+  normalize: {
+    normalized: 'string',
+    parsedValue: 'number|null',
+    valueType: ['empty', 'text', 'numeric']
+  },
+  assignPeriods: {
+    values: 'object'
+  },
+  predictLabels: {
+    // Labels come from the rule set; crossFoot understands header, section_header,
+    // subsection and total
+    predictedLabel: 'string',
+    labelConfidence: 'number'
+  },
+  mapFields: {
+    field: 'object|null'
+  },
+  validateRules: {
+    ruleFailures: 'array',
+    ruleDetails: 'array',
+    rulePassed: 'boolean'
+  },
+  detectAnomalies: {
+    anomalyScore: 'number',
+    isAnomaly: 'boolean',
+    anomalyReasons: 'array',
+    anomalyFeatures: 'object'
+  },
+  suggestCorrections: {
+    suggestions: 'array'
+  },
+  makeDecisions: {
+    status: ['auto_accept', 'quick_review', 'manual_review']
+  }
+};
+
+const typeOf = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+};
+
+const checkFields = (object, schema, where) => {
+  const problems = [];
+  for (const [field, spec] of Object.entries(schema)) {
+    const value = object[field];
+    if (Array.isArray(spec)) {
+      if (!spec.includes(value)) problems.push(`${where}.${field} is ${JSON.stringify(value)}, expected one of ${spec.join(', ')}`);
+    } else if (!spec.split('|').includes(typeOf(value))) {
+      problems.push(`${where}.${field} is ${typeOf(value)}, expected ${spec}`);
+    }
+  }
+  return problems;
+};
+
+export const checkOCRDocument = (doc) => {
+  if (!doc || !Array.isArray(doc.pages)) return ['document.pages must be an array'];
+  return doc.pages.flatMap((page, p) => {
+    const where = `pages[${p}]`;
+    if (typeof page.pageNumber !== 'number') return [`${where}.pageNumber must be a number`];
+    if (!Array.isArray(page.lines) && !Array.isArray(page.words)) return [`${where} needs lines or words`];
+    return [
+      ...(page.lines || []).flatMap((line, i) => checkFields(line, OCR_LINE_SCHEMA, `${where}.lines[${i}]`)),
+      ...(page.words || []).flatMap((word, i) => checkFields(word, OCR_WORD_SCHEMA, `${where}.words[${i}]`))
+    ];
+  });
+};
+
+export const checkStageOutput = (stageKey, lines) => {
+  const keys = Object.keys(STAGE_SCHEMAS);
+  if (!keys.includes(stageKey)) throw new Error(`Unknown stage: ${stageKey}`);
+  const schema = Object.assign({}, ...keys.slice(0, keys.indexOf(stageKey) + 1).map(k => STAGE_SCHEMAS[k]));
+  return lines.flatMap((line, i) => checkFields(line, schema, `lines[${i}]`));
+};
@@ -0,0 +1,62 @@
+// Validation score for a set of result lines, overall and per page.
+
+import { DEFAULT_PROFILE } from './profiles.js';
+
+// `weights` are a scoring profile's (profiles.js)
+export const scoreLines = (lines, weights = DEFAULT_PROFILE.weights) => {
+  // Lines a reviewer accepted or corrected count as verified: full confidence and no
+  // anomaly or rule penalties. Rejected lines keep their penalties.
+  const isVerified = (l) => l.status === 'accepted' || l.status === 'corrected';
+  const nonEmpty = lines
+    .filter(l => l.valueType !== 'empty')
+    .map(l => isVerified(l) ? { ...l, confidence: 1, anomalyScore: 0, ruleFailures: [] } : l);
+  const totalLines = nonEmpty.length || 1;
+  const autoAccepted = lines.filter(l => l.status === 'auto_accept').length;
+  const quickReview = lines.filter(l => l.status === 'quick_review').length;
+  const manualReview = lines.filter(l => l.status === 'manual_review').length;
+  const humanVerified = lines.filter(isVerified).length;
+  const rejected = lines.filter(l => l.status === 'rejected').length;
+  const avgConfidence = nonEmpty.reduce((s, l) => s + (l.confidence || 0), 0) / totalLines;
+  const avgAnomalyScore = nonEmpty.reduce((s, l) => s + (l.anomalyScore || 0), 0) / totalLines;
+  const totalRuleFailures = nonEmpty.reduce((s, l) => s + (l.ruleFailures ? l.ruleFailures.length : 0), 0);
+
+  const confidenceScore = avgConfidence * weights.confidence;
+  const anomalyPenalty = avgAnomalyScore * weights.anomalyPenalty;
+  const ruleFailurePenalty = (totalRuleFailures / totalLines) * weights.ruleFailurePenalty;
+  const autoAcceptBonus = ((autoAccepted + humanVerified) / totalLines) * weights.autoAcceptBonus;
+
+  const overallScore = Math.max(0, Math.min(100, confidenceScore - anomalyPenalty - ruleFailurePenalty + autoAcceptBonus));
+
+  return {
+    overallScore: overallScore.toFixed(1),
+    totalLines,
+    autoAccepted,
+    quickReview,
+    manualReview,
+    humanVerified,
+    rejected,
+    avgConfidence: (avgConfidence * 100).toFixed(1),
+    avgAnomalyScore: avgAnomalyScore.toFixed(2),
+    totalRuleFailures,
+    accuracy: ((autoAccepted / totalLines) * 100).toFixed(1),
+    quality: (avgConfidence * 100).toFixed(1),
+    // The terms overallScore is made of, before clamping to 0–100
+    breakdown: {
+      confidence: confidenceScore.toFixed(1),
+      anomalyPenalty: anomalyPenalty.toFixed(1),
+      ruleFailurePenalty: ruleFailurePenalty.toFixed(1),
+      autoAcceptBonus: autoAcceptBonus.toFixed(1)
+    }
+  };
+};
+
+// Whole-document score plus one score per page (lines carry their pageNumber)
+export const calculateValidationScore = (results, weights = DEFAULT_PROFILE.weights) => {
+  const pageNumbers = [...new Set(results.map(l => l.pageNumber))].sort((a, b) => a - b);
+  const pages = pageNumbers.map(pageNumber => ({
+    pageNumber,
+    ...scoreLines(results.filter(l => l.pageNumber === pageNumber), weights)
+  }));
+
+  return { ...scoreLines(results, weights), pages };
+};
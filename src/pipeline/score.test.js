@@ -0,0 +1,44 @@
+import { describe, expect, it } from 'vitest';
+import { calculateValidationScore, scoreLines } from './score.js';
+
+const line = (overrides) => ({ valueType: 'numeric', confidence: 0.95, anomalyScore: 0, ruleFailures: [], status: 'auto_accept', pageNumber: 1, ...overrides });
+
+describe('scoreLines', () => {
+  it('combines confidence, penalties and the auto-accept bonus', () => {
+    const score = scoreLines([
+      line({}),
+      line({ confidence: 0.75, anomalyScore: 0.5, ruleFailures: ['low_ocr_confidence'], status: 'manual_review' })
+    ]);
+    // 85 - 0.25 × 20 - 0.5 × 30 + 0.5 × 10
+    expect(score.overallScore).toBe('70.0');
+    expect(score).toMatchObject({ totalLines: 2, autoAccepted: 1, manualReview: 1, totalRuleFailures: 1, accuracy: '50.0' });
+    expect(score.breakdown).toEqual({ confidence: '85.0', anomalyPenalty: '5.0', ruleFailurePenalty: '15.0', autoAcceptBonus: '5.0' });
+  });
+
+  it('ignores empty lines in the averages', () => {
+    expect(scoreLines([line({}), { valueType: 'empty', status: 'auto_accept' }]).avgConfidence).toBe('95.0');
+  });
+
+  it('counts reviewer-verified lines as fully confident', () => {
+    const flagged = line({ confidence: 0.5, anomalyScore: 1, ruleFailures: ['x'], status: 'manual_review' });
+    expect(scoreLines([{ ...flagged, status: 'accepted' }])).toMatchObject({ overallScore: '100.0', humanVerified: 1 });
+    expect(scoreLines([{ ...flagged, status: 'rejected' }])).toMatchObject({ overallScore: '0.0', rejected: 1 });
+  });
+
+  it('weighs the factors by the given profile weights', () => {
+    const score = scoreLines([
+      line({}),
+      line({ confidence: 0.75, anomalyScore: 0.5, ruleFailures: ['low_ocr_confidence'], status: 'manual_review' })
+    ], { confidence: 100, anomalyPenalty: 0, ruleFailurePenalty: 10, autoAcceptBonus: 0 });
+    expect(score.breakdown).toEqual({ confidence: '85.0', anomalyPenalty: '0.0', ruleFailurePenalty: '5.0', autoAcceptBonus: '0.0' });
+    expect(score.overallScore).toBe('80.0');
+  });
+});
+
+describe('calculateValidationScore', () => {
+  it('scores the document and each page', () => {
+    const score = calculateValidationScore([line({ pageNumber: 2 }), line({ pageNumber: 1, confidence: 0.5, status: 'quick_review' })]);
+    expect(score.totalLines).toBe(2);
+    expect(score.pages.map(p => [p.pageNumber, p.overallScore])).toEqual([[1, '50.0'], [2, '100.0']]);
+  });
+});
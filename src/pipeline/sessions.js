@@ -0,0 +1,182 @@
+// Saved sessions: a document's PDF, page renders, per-page OCR output, pipeline results
+// and review decisions, so work survives a reload. The store sits on a small key-value
+// backend: IndexedDB in the browser, memory in Node and tests.
+
+import { summarizeDocument } from './batch.js';
+
+export const SESSION_STORES = ['sessions', 'states', 'pages', 'files', 'renders'];
+
+const pageKey = (id, pageNumber) => `${id}:${pageNumber}`;
+
+/**
+ * @typedef {object} SessionBackend
+ * @property {(store: string, key: string) => Promise<any>} get  undefined when missing
+ * @property {(store: string, key: string, value: any) => Promise<void>} put
+ * @property {(store: string, key: string) => Promise<void>} delete
+ * @property {(store: string) => Promise<any[]>} getAll
+ */
+
+/**
+ * A backend over an IndexedDB database with one object store per entry in SESSION_STORES.
+ *
+ * @param {string} [name]
+ * @param {IDBFactory} [factory]
+ * @returns {SessionBackend}
+ */
+export const indexedDBBackend = (name = 'ocr-validation-sessions', factory = globalThis.indexedDB) => {
+  let opening = null;
+  const open = () => opening || (opening = new Promise((resolve, reject) => {
+    const request = factory.open(name, 1);
+    request.onupgradeneeded = () => {
+      for (const store of SESSION_STORES) {
+        if (!request.result.objectStoreNames.contains(store)) request.result.createObjectStore(store);
+      }
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => {
+      opening = null;
+      reject(request.error);
+    };
+  }));
+
+  const run = async (store, mode, action) => {
+    const db = await open();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(store, mode);
+      const request = action(transaction.objectStore(store));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+    });
+  };
+
+  return {
+    get: (store, key) => run(store, 'readonly', s => s.get(key)),
+    put: (store, key, value) => run(store, 'readwrite', s => s.put(value, key)).then(() => undefined),
+    delete: (store, key) => run(store, 'readwrite', s => s.delete(key)).then(() => undefined),
+    getAll: (store) => run(store, 'readonly', s => s.getAll())
+  };
+};
+
+// A backend kept in memory. Values are copied the way IndexedDB copies them; blobs are
+// kept as they are.
+export const memoryBackend = () => {
+  const stores = new Map(SESSION_STORES.map(store => [store, new Map()]));
+  const copy = (value) => (typeof Blob !== 'undefined' && value instanceof Blob ? value : structuredClone(value));
+  return {
+    get: async (store, key) => (stores.get(store).has(key) ? copy(stores.get(store).get(key)) : undefined),
+    put: async (store, key, value) => { stores.get(store).set(key, copy(value)); },
+    delete: async (store, key) => { stores.get(store).delete(key); },
+    getAll: async (store) => [...stores.get(store).values()].map(copy)
+  };
+};
+
+/**
+ * @typedef {object} SessionSummary  What the recent documents list shows
+ * @property {string} id
+ * @property {string} fileName
+ * @property {number|null} size
+ * @property {string} status
+ * @property {number} pageCount
+ * @property {number} pagesRead
+ * @property {number|null} overallScore
+ * @property {number} reviewed      Lines with a review decision
+ * @property {number} waiting       Lines still waiting for review
+ * @property {string} createdAt
+ * @property {string} updatedAt
+ */
+
+/**
+ * @param {SessionBackend} backend
+ */
+export const createSessionStore = (backend) => {
+  const list = async () => (await backend.getAll('sessions'))
+    .sort((a, b) => (a.updatedAt < b.updatedAt ? 1 : a.updatedAt > b.updatedAt ? -1 : 0));
+
+  const remove = async (id) => {
+    const summary = await backend.get('sessions', id);
+    const pageCount = summary ? summary.pageCount : 0;
+    await Promise.all([
+      ...['sessions', 'states', 'files', 'renders'].map(store => backend.delete(store, id)),
+      ...Array.from({ length: pageCount }, (_, i) => backend.delete('pages', pageKey(id, i + 1)))
+    ]);
+  };
+
+  return {
+    list,
+
+    /**
+     * Saves a session's state and returns its summary. The PDF is written when `file`
+     * is given and the OCR pages when `ocrData` is; otherwise the stored ones are kept,
+     * as is the stored `view` (page, selected line, filters) when none is given.
+     *
+     * @param {{ id: string, fileName: string, file?: Blob, status: string, error?: string|null,
+     *   ocrData?: object|null, results?: object[]|null, validationScore?: object|null,
+     *   ruleSet?: object|null, correctionErrors?: object[], view?: object }} session
+     * @returns {Promise<SessionSummary>}
+     */
+    save: async ({ id, fileName, file, status, error = null, ocrData, results = null, validationScore = null, ruleSet = null, correctionErrors = [], view }) => {
+      const [previous, previousState] = await Promise.all([backend.get('sessions', id), backend.get('states', id)]);
+      const now = new Date().toISOString();
+      if (file) await backend.put('files', id, file);
+      if (ocrData) {
+        await Promise.all(ocrData.pages.filter(page => page.done).map(page => backend.put('pages', pageKey(id, page.pageNumber), page)));
+      }
+      const ocrMeta = ocrData
+        ? { fileName: ocrData.fileName, pageCount: ocrData.pageCount, language: ocrData.language, languageDetected: ocrData.languageDetected, pagesRead: ocrData.pages.filter(page => page.done).map(page => page.pageNumber) }
+        : previousState ? previousState.ocrMeta : null;
+      await backend.put('states', id, {
+        id, fileName, status, error, ocrMeta, results, validationScore, ruleSet, correctionErrors, view: view || (previousState ? previousState.view : {})
+      });
+
+      const documentSummary = summarizeDocument({ fileName, status, error, results, validationScore, ruleSet });
+      const summary = {
+        id,
+        fileName,
+        size: file ? file.size : previous ? previous.size : null,
+        status,
+        pageCount: ocrMeta ? ocrMeta.pageCount : 0,
+        pagesRead: ocrMeta ? ocrMeta.pagesRead.length : 0,
+        overallScore: documentSummary.overallScore,
+        reviewed: documentSummary.review.reviewed,
+        waiting: documentSummary.review.pending,
+        createdAt: previous ? previous.createdAt : now,
+        updatedAt: now
+      };
+      await backend.put('sessions', id, summary);
+      return summary;
+    },
+
+    // One page as soon as it has been read, so a reload during OCR keeps it
+    savePage: (id, page) => backend.put('pages', pageKey(id, page.pageNumber), page),
+
+    saveRenders: (id, renders) => backend.put('renders', id, renders),
+    loadRenders: async (id) => (await backend.get('renders', id)) || null,
+
+    /**
+     * Everything saved for a session: its state, the PDF and the OCR document rebuilt
+     * from the saved pages (pages never read come back with `done: false`). Null when
+     * there is no such session.
+     */
+    load: async (id) => {
+      const [state, file] = await Promise.all([backend.get('states', id), backend.get('files', id)]);
+      if (!state) return null;
+      let ocrData = null;
+      if (state.ocrMeta) {
+        const pages = await Promise.all(Array.from({ length: state.ocrMeta.pageCount }, async (_, i) => (
+          (await backend.get('pages', pageKey(id, i + 1))) || { pageNumber: i + 1, done: false, lines: [] }
+        )));
+        const { fileName, pageCount, language, languageDetected } = state.ocrMeta;
+        ocrData = { fileName, pageCount, ...(language ? { language, languageDetected: Boolean(languageDetected) } : {}), pages };
+      }
+      const named = file && typeof File !== 'undefined' && !(file instanceof File) ? new File([file], state.fileName, { type: 'application/pdf' }) : file;
+      const { ocrMeta, ...rest } = state;
+      return { ...rest, file: named || null, ocrData };
+    },
+
+    remove,
+    clear: async () => {
+      for (const { id } of await list()) await remove(id);
+    }
+  };
+};
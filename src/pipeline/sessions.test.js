@@ -0,0 +1,66 @@
+import { describe, expect, it } from 'vitest';
+import { createSessionStore, memoryBackend } from './sessions.js';
+import { applyReview } from './stages.js';
+import { runPipeline } from './index.js';
+import { BALANCE_SHEET_ROWS, ocrDocument } from './test-fixtures.js';
+
+const pdf = () => new File(['%PDF-1.4'], 'report.pdf', { type: 'application/pdf' });
+
+describe('createSessionStore', () => {
+  it('saves a session and loads it back with its pages, file and view', async () => {
+    const store = createSessionStore(memoryBackend());
+    const ocrData = { ...ocrDocument([BALANCE_SHEET_ROWS, [['Notes']]]), language: 'deu+eng', languageDetected: true };
+    ocrData.pages[1].done = false;
+    const run = runPipeline(ocrData);
+    const results = run.results.map(l => (l.label === 'Cash' ? applyReview(l, 'accepted') : l));
+
+    const summary = await store.save({
+      id: 's1', fileName: 'report.pdf', file: pdf(), status: 'done', ocrData, results,
+      validationScore: run.validationScore, ruleSet: run.ruleSet, view: { currentPage: 1, selectedLine: '1-5' }
+    });
+    expect(summary).toMatchObject({ id: 's1', fileName: 'report.pdf', size: 8, status: 'done', pageCount: 2, pagesRead: 1, reviewed: 1 });
+
+    const loaded = await store.load('s1');
+    expect(loaded.results).toEqual(results);
+    expect(loaded.view).toEqual({ currentPage: 1, selectedLine: '1-5' });
+    expect(loaded.ruleSet.id).toBe('balance_sheet');
+    expect(loaded.file.name).toBe('report.pdf');
+    expect(loaded.ocrData.pages[0]).toEqual(ocrData.pages[0]);
+    expect(loaded.ocrData).toMatchObject({ language: 'deu+eng', languageDetected: true });
+    expect(loaded.ocrData.pages[1]).toEqual({ pageNumber: 2, done: false, lines: [] });
+  });
+
+  it('keeps stored pages and the file when later saves leave them out', async () => {
+    const store = createSessionStore(memoryBackend());
+    const ocrData = ocrDocument([BALANCE_SHEET_ROWS, [['Notes']]]);
+    ocrData.pages[1].done = false;
+    await store.save({ id: 's1', fileName: 'report.pdf', file: pdf(), status: 'running', ocrData });
+    await store.savePage('s1', { pageNumber: 2, done: true, lines: [] });
+
+    const summary = await store.save({ id: 's1', fileName: 'report.pdf', status: 'done', view: { currentPage: 1 } });
+    expect(summary).toMatchObject({ size: 8, pageCount: 2 });
+    await store.save({ id: 's1', fileName: 'report.pdf', status: 'done' });
+    const loaded = await store.load('s1');
+    expect(loaded.view).toEqual({ currentPage: 1 });
+    expect(loaded.ocrData.pages.map(p => p.done)).toEqual([true, true]);
+    expect(loaded.file).not.toBe(null);
+  });
+
+  it('lists the most recent session first and deletes sessions', async () => {
+    const store = createSessionStore(memoryBackend());
+    await store.save({ id: 'a', fileName: 'a.pdf', status: 'new', ocrData: ocrDocument([[['Cash', '1']]]) });
+    await new Promise(resolve => setTimeout(resolve, 5));
+    await store.save({ id: 'b', fileName: 'b.pdf', status: 'new' });
+    await store.saveRenders('a', ['data:image/png;base64,AAAA']);
+    expect((await store.list()).map(s => s.id)).toEqual(['b', 'a']);
+    expect(await store.loadRenders('a')).toEqual(['data:image/png;base64,AAAA']);
+
+    await store.remove('a');
+    expect((await store.list()).map(s => s.id)).toEqual(['b']);
+    expect(await store.load('a')).toBe(null);
+    expect(await store.loadRenders('a')).toBe(null);
+
+    await store.clear();
+    expect(await store.list()).toEqual([]);
+  });
+});
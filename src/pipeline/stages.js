@@ -0,0 +1,439 @@
+// Stages 3–9 of the validation pipeline. Each stage takes the lines produced by the one
+// before it and returns new line objects with its own fields added (see schema.js).
+
+import { detectScale, fixNumericChars, inferDecimalSeparator, isNumericToken, parseAmount } from './amounts.js';
+import { DEFAULT_RULE_SET, compileRuleSet, evaluateLineRules, evaluateStatementRules } from './rules.js';
+import { predictAnomalyWithModel, predictLabelWithModel } from './classifier.js';
+import { LANGUAGES, LANGUAGE_CODES, TOTAL_WORDS, foldAccents } from './languages.js';
+import { DEFAULT_PROFILE } from './profiles.js';
+import { valueAnomalies } from './statistics.js';
+
+// A trained label model overrides the patterns when it is at least this sure
+const LABEL_MODEL_THRESHOLD = 0.6;
+
+// Parse every value cell as an accounting amount. Character fixes only touch numeric
+// tokens, each cell keeps its raw text, and scale notes ("in thousands") carry forward
+// to the rows after them. Values stay in the units printed; `scale` converts them.
+// Without `options.decimalSeparator` it is inferred from the amounts, and where they
+// leave it open taken from the document's first language (`options.languages`).
+export const normalize = (lines, options = {}) => {
+  const language = LANGUAGES[(options.languages || [])[0]] || LANGUAGES.eng;
+  const decimalSeparator = options.decimalSeparator || inferDecimalSeparator(lines.map(l => (l.raw || '').toString()), language.decimalSeparator);
+  const collapse = (text) => text.toString().replace(/\s+/g, ' ').trim();
+  let scale = 1;
+
+  return lines.map(line => {
+    if (!line.raw || !line.raw.toString().trim()) return { ...line, normalized: '', parsedValue: null, valueType: 'empty' };
+
+    const noted = detectScale(line.raw.toString());
+    if (noted) scale = noted;
+
+    // Plain lines without cells are split into whitespace tokens
+    const sourceCells = line.cells || collapse(line.raw).split(' ').filter(isNumericToken).map(raw => ({ raw }));
+    const cells = sourceCells.map(cell => {
+      const amount = parseAmount(cell.raw, { decimalSeparator });
+      return {
+        ...cell,
+        normalized: collapse(fixNumericChars(cell.raw)),
+        parsedValue: amount ? amount.value : null,
+        currency: amount ? amount.currency : null,
+        isPercent: amount ? amount.isPercent : false,
+        scale
+      };
+    });
+
+    const normalized = line.cells
+      ? [collapse(line.label || ''), ...cells.map(c => c.normalized)].filter(Boolean).join(' ')
+      : collapse(line.raw).split(' ').map(fixNumericChars).join(' ');
+    const parsedValue = cells.find(c => c.parsedValue !== null)?.parsedValue ?? null;
+
+    return {
+      ...line,
+      ...(line.cells ? { cells } : {}),
+      normalized,
+      parsedValue,
+      currency: cells.find(c => c.currency)?.currency ?? null,
+      scale,
+      decimalSeparator,
+      valueType: parsedValue !== null ? 'numeric' : normalized ? 'text' : 'empty'
+    };
+  });
+};
+
+// Find period column headers ("2023" / "2022") and key each row's value cells by the
+// column they sit under. Columns stay active across pages until a new header row appears.
+export const assignPeriods = (lines) => {
+  const yearCell = /^(FY\s?)?(19|20)\d{2}$/i;
+  const centerX = (bbox) => (bbox[0] + bbox[2]) / 2;
+  let columns = null;
+
+  return lines.map(line => {
+    if (line.valueType === 'empty' || !line.cells) return { ...line, values: {} };
+
+    // A lone year after a label ("Notes due 2027") is a value, not a column header
+    const isPeriodHeader = line.cells.length > 0
+      && line.cells.every(c => yearCell.test(c.normalized))
+      && (line.cells.length > 1 || !(line.label || '').trim());
+    if (isPeriodHeader) {
+      columns = line.cells.map(c => ({ period: c.normalized.replace(/^FY\s?/i, ''), x: centerX(c.bbox), width: c.bbox[2] - c.bbox[0] }));
+      return { ...line, isPeriodHeader: true, periods: columns.map(c => c.period), values: {}, parsedValue: null, valueType: 'text' };
+    }
+
+    const numericCells = line.cells.filter(c => c.parsedValue !== null);
+    const values = {};
+    const cells = line.cells.map(c => ({ ...c, period: null }));
+    if (columns) {
+      // A cell belongs to the nearest column, within half the column spacing, so a
+      // notes-reference column to the left of the figures is not mistaken for a period
+      const spacing = columns.length > 1
+        ? Math.min(...columns.slice(1).map((c, i) => Math.abs(c.x - columns[i].x)))
+        : columns[0].width * 4;
+      for (const cell of cells) {
+        if (cell.parsedValue === null) continue;
+        const nearest = columns.reduce((best, c) => Math.abs(c.x - centerX(cell.bbox)) < Math.abs(best.x - centerX(cell.bbox)) ? c : best);
+        if (Math.abs(nearest.x - centerX(cell.bbox)) <= spacing / 2 && !(nearest.period in values)) {
+          values[nearest.period] = cell.parsedValue;
+          cell.period = nearest.period;
+        }
+      }
+    } else {
+      numericCells.forEach((c, i) => { values[`col${i + 1}`] = c.parsedValue; });
+      cells.filter(c => c.parsedValue !== null).forEach((c, i) => { c.period = `col${i + 1}`; });
+    }
+
+    // parsedValue stays the current-period figure for single-value consumers
+    const currentPeriod = columns ? columns.map(c => c.period).sort().reverse().find(p => p in values) : 'col1';
+    const parsedValue = currentPeriod !== undefined && currentPeriod in values ? values[currentPeriod] : line.parsedValue;
+    return { ...line, cells, values, parsedValue, currentPeriod };
+  });
+};
+
+// Labels come from the rule set's ordered label patterns (rules.js), or from a label
+// model trained on review feedback (options.models.label) where it is confident
+export const predictLabels = (lines, options = {}) => {
+  const { labels } = compileRuleSet(options.ruleSet || DEFAULT_RULE_SET);
+  const model = options.models && options.models.label;
+
+  return lines.map(line => {
+    if (line.valueType === 'empty') {
+      return { ...line, predictedLabel: 'blank_line', labelConfidence: 1.0 };
+    }
+    if (line.isPeriodHeader) {
+      return { ...line, predictedLabel: 'date', labelConfidence: 0.9 };
+    }
+
+    let predictedLabel = 'unknown';
+    let confidence = 0.5;
+
+    const text = line.label ? line.label.trim() : line.normalized;
+    const match = labels.find(entry => entry.pattern.test(text));
+    if (match) {
+      predictedLabel = match.label;
+      confidence = 0.9;
+    }
+
+    if (model) {
+      const learned = predictLabelWithModel(model, { text, valueCount: (line.cells || []).filter(c => c.parsedValue !== null).length });
+      if (learned.probability >= LABEL_MODEL_THRESHOLD) {
+        return { ...line, predictedLabel: learned.label, labelConfidence: Number(learned.probability.toFixed(3)), labelSource: 'model' };
+      }
+    }
+
+    return { ...line, predictedLabel, labelConfidence: confidence, labelSource: 'pattern' };
+  });
+};
+
+// The rule set's checks (rules.js), then the built-in ones: text layer against OCR and
+// statement arithmetic (crossFoot). Every failure has a ruleDetails entry with its rule
+// ID and severity; `ruleFailures` lists the IDs of errors and warnings. Range bounds
+// that name a threshold come from the scoring profile (options.profile).
+export const validateRules = (lines, options = {}) => {
+  const ruleSet = options.ruleSet || DEFAULT_RULE_SET;
+  const { thresholds } = options.profile || DEFAULT_PROFILE;
+  const statementDetails = evaluateStatementRules(lines, ruleSet);
+
+  const checked = lines.map((line, index) => {
+    if (line.valueType === 'empty') {
+      return { ...line, ruleFailures: [], ruleDetails: [], rulePassed: true };
+    }
+
+    const details = [...evaluateLineRules(line, ruleSet, thresholds), ...(statementDetails.get(index) || [])];
+    // Text layer and OCR read the same cell differently (digits and sign only)
+    const digitsOf = (text) => text.replace(/[^\d()-]/g, '');
+    const disagreements = (line.cells || []).filter(c => c.crossCheck && digitsOf(c.crossCheck.raw) !== digitsOf(c.raw));
+    for (const cell of disagreements) {
+      details.push({
+        rule: 'text_layer_ocr_mismatch',
+        severity: 'error',
+        message: `PDF text "${cell.raw}" but OCR read "${cell.crossCheck.raw || '(nothing)'}"`,
+        lines: [{ pageNumber: line.pageNumber, id: line.id, label: line.label }]
+      });
+    }
+
+    const failures = [...new Set(details.filter(d => d.severity !== 'info').map(d => d.rule))];
+    return { ...line, ruleFailures: failures, ruleDetails: details, rulePassed: failures.length === 0 };
+  });
+
+  return crossFoot(checked);
+};
+
+// Total words and balance sheet totals in every language, since crossFoot runs without
+// knowing the document's; the words are matched on text without accents
+const TOTAL_WORD = new RegExp(`\\b(${foldAccents(TOTAL_WORDS)})\\b`, 'g');
+const IDENTITY_TOTALS = Object.fromEntries(['assets', 'liabilities', 'equity', 'liabilitiesAndEquity'].map(key => [
+  key,
+  new RegExp(LANGUAGE_CODES.map(code => `(?:${LANGUAGES[code].identity[key]})`).join('|'), 'i')
+]));
+
+// Statement-level arithmetic, checked separately in every period column: line items
+// under each section/subsection must sum to its total, and each balance sheet must
+// satisfy Assets = Liabilities + Equity
+export const crossFoot = (lines) => {
+  const TOLERANCE = 1; // rounding in statements presented in thousands/millions
+  const labelOf = (line) => (line.label || line.normalized || '').replace(/[:.]+$/, '').replace(/\s+/g, ' ').trim();
+  const refOf = (line) => ({ pageNumber: line.pageNumber, id: line.id, label: labelOf(line) });
+  const fmt = (n) => n.toLocaleString('en-US', { maximumFractionDigits: 2 });
+  const keyWords = (text) => foldAccents(text).replace(TOTAL_WORD, '').replace(/[^a-z\s]/g, '').split(/\s+/).filter(Boolean).join(' ');
+  const valuesOf = (line) => line.values && Object.keys(line.values).length
+    ? line.values
+    : line.parsedValue !== null && line.parsedValue !== undefined ? { value: line.parsedValue } : {};
+  const inColumn = (period) => (period === 'value' ? '' : ` in the ${period} column`);
+
+  const failuresByIndex = new Map();
+  const fail = (index, detail) => {
+    if (!failuresByIndex.has(index)) failuresByIndex.set(index, []);
+    failuresByIndex.get(index).push(detail);
+  };
+
+  // Footing: a stack of open groups, each collecting the rows that should add up to its total
+  const statements = [[]];
+  let stack = [];
+  lines.forEach((line, index) => {
+    const label = line.predictedLabel;
+    if (label === 'header') {
+      stack = [];
+      statements.push([]);
+      return;
+    }
+    statements[statements.length - 1].push(index);
+
+    if (label === 'section_header' || label === 'subsection') {
+      if (label === 'section_header') stack = [];
+      stack.push({ header: line, items: [] });
+      return;
+    }
+
+    if (label === 'total' && line.parsedValue !== null) {
+      // Only totals that name an open group are checked ("Total current assets" closes
+      // "Current assets"); others such as "Total liabilities and equity" are left alone
+      const wanted = keyWords(labelOf(line));
+      const groupIdx = stack.findLastIndex(g => keyWords(labelOf(g.header)) === wanted);
+      if (groupIdx < 0) return;
+
+      // Close any unterminated inner groups into the one being totalled
+      const [group, ...inner] = stack.splice(groupIdx);
+      for (const g of inner) group.items.push(...g.items);
+
+      for (const [period, actual] of Object.entries(valuesOf(line))) {
+        const items = group.items.filter(i => valuesOf(lines[i])[period] !== undefined);
+        if (items.length === 0) continue;
+        const expected = items.reduce((s, i) => s + valuesOf(lines[i])[period], 0);
+        const difference = actual - expected;
+        if (Math.abs(difference) > TOLERANCE) {
+          fail(index, {
+            rule: 'total_does_not_foot',
+            severity: 'error',
+            message: `${labelOf(line)} is ${fmt(actual)}${inColumn(period)} but its ${items.length} line items sum to ${fmt(expected)} (difference ${fmt(difference)})`,
+            lines: [refOf(line), ...items.map(i => refOf(lines[i]))],
+            period,
+            expected,
+            actual,
+            difference
+          });
+        }
+      }
+      // The subtotal counts as one item of the enclosing group
+      if (stack.length > 0) stack[stack.length - 1].items.push(index);
+      return;
+    }
+
+    if (line.valueType === 'numeric' && label !== 'date' && stack.length > 0) {
+      stack[stack.length - 1].items.push(index);
+    }
+  });
+
+  // Accounting identity, checked separately within each statement
+  for (const indices of statements) {
+    const found = {};
+    for (const index of indices) {
+      const line = lines[index];
+      if (line.predictedLabel !== 'total' || line.parsedValue === null) continue;
+      for (const [key, pattern] of Object.entries(IDENTITY_TOTALS)) {
+        if (found[key] === undefined && pattern.test(labelOf(line))) found[key] = index;
+      }
+    }
+    if (found.assets === undefined) continue;
+
+    const sides = found.liabilitiesAndEquity !== undefined
+      ? [found.liabilitiesAndEquity]
+      : found.liabilities !== undefined && found.equity !== undefined ? [found.liabilities, found.equity] : null;
+    if (!sides) continue;
+
+    for (const [period, assets] of Object.entries(valuesOf(lines[found.assets]))) {
+      if (sides.some(i => valuesOf(lines[i])[period] === undefined)) continue;
+      const expected = sides.reduce((s, i) => s + valuesOf(lines[i])[period], 0);
+      const difference = assets - expected;
+      if (Math.abs(difference) > TOLERANCE) {
+        const detail = {
+          rule: 'balance_sheet_identity_mismatch',
+          severity: 'error',
+          message: `Total assets ${fmt(assets)} does not equal liabilities + equity ${fmt(expected)}${inColumn(period)} (difference ${fmt(difference)})`,
+          lines: [found.assets, ...sides].map(i => refOf(lines[i])),
+          period,
+          expected,
+          actual: assets,
+          difference
+        };
+        for (const index of [found.assets, ...sides]) fail(index, detail);
+      }
+    }
+  }
+
+  return lines.map((line, index) => {
+    const details = failuresByIndex.get(index);
+    if (!details) return line;
+    const ruleFailures = [...line.ruleFailures, ...new Set(details.map(d => d.rule))];
+    return { ...line, ruleFailures, ruleDetails: [...line.ruleDetails, ...details], rulePassed: false };
+  });
+};
+
+// Each line gets its indicators (`anomalyFeatures`) and a score from them: the scoring
+// profile's anomaly weights and thresholds (options.profile, default DEFAULT_PROFILE),
+// or a model trained on review feedback (options.models.anomaly). Besides confidence
+// and rule failures, the indicators test the amounts themselves (statistics.js). Every
+// reason has a code, a message and the evidence behind it.
+export const detectAnomalies = (lines, options = {}) => {
+  const model = options.models && options.models.anomaly;
+  const { thresholds, anomalyWeights } = options.profile || DEFAULT_PROFILE;
+  const values = valueAnomalies(lines);
+  return lines.map((line, index) => {
+    if (line.valueType === 'empty') {
+      return { ...line, anomalyScore: 0, isAnomaly: false, anomalyReasons: [], anomalyFeatures: {} };
+    }
+
+    const anomalyReasons = [];
+    const features = {
+      lowConfidence: line.confidence < thresholds.lowConfidence ? 1 : 0,
+      ruleFailures: line.ruleFailures && line.ruleFailures.length > 0 ? 1 : 0,
+      lowLabelConfidence: line.labelConfidence < thresholds.lowLabelConfidence ? 1 : 0,
+      lowNumericConfidence: line.confidence < thresholds.lowNumericConfidence && line.valueType === 'numeric' ? 1 : 0,
+      implausibleChange: 0,
+      columnNotFooting: 0,
+      ...values.byLine[index].features
+    };
+
+    // Year-over-year: a tenfold swing between adjacent years is more often a dropped
+    // or doubled digit than a real movement
+    const years = Object.keys(line.values || {}).filter(p => /^\d{4}$/.test(p)).sort().reverse();
+    for (let i = 0; i + 1 < years.length; i++) {
+      const current = line.values[years[i]];
+      const prior = line.values[years[i + 1]];
+      if (!current || !prior) continue;
+      const ratio = Math.abs(current / prior);
+      if (ratio >= 10 || ratio <= 0.1) {
+        features.implausibleChange++;
+        anomalyReasons.push({
+          code: 'implausible_yoy_change',
+          message: `${years[i]} value ${current} against ${years[i + 1]} value ${prior} (ratio ${ratio.toFixed(2)})`,
+          evidence: { period: years[i], value: current, priorPeriod: years[i + 1], priorValue: prior, ratio: Number(ratio.toFixed(4)) }
+        });
+      }
+    }
+
+    // A total that foots in one column but not another points at an OCR error in that column
+    const footing = (line.ruleDetails || []).filter(d => d.rule === 'total_does_not_foot');
+    const periodCount = Object.keys(line.values || {}).length;
+    if (footing.length > 0 && footing.length < periodCount) {
+      features.columnNotFooting = 1;
+      for (const detail of footing) {
+        anomalyReasons.push({
+          code: 'column_does_not_foot',
+          message: `Only the ${detail.period} column fails to foot (difference ${detail.difference})`,
+          evidence: { period: detail.period, expected: detail.expected, actual: detail.actual, difference: detail.difference }
+        });
+      }
+    }
+    anomalyReasons.push(...values.byLine[index].reasons);
+
+    const anomalyScore = model
+      ? predictAnomalyWithModel(model, features)
+      : Object.entries(anomalyWeights).reduce((s, [name, weight]) => s + weight * features[name], 0);
+    return { ...line, anomalyScore: Math.min(anomalyScore, 1.0), isAnomaly: anomalyScore > thresholds.anomaly, anomalyReasons, anomalyFeatures: features };
+  });
+};
+
+// Stage 7 lives in corrections.js with its providers
+export { suggestCorrections, suggestCorrectionsAsync } from './corrections.js';
+
+// A failed error rule needs manual review; failures that are all warnings need a quick
+// look, as do lines over the profile's anomaly or under its numeric confidence threshold
+export const makeDecisions = (lines, options = {}) => {
+  const { thresholds } = options.profile || DEFAULT_PROFILE;
+  return lines.map(line => {
+    if (line.valueType === 'empty') return { ...line, status: 'auto_accept' };
+    const severityOf = (rule) => (line.ruleDetails || []).find(d => d.rule === rule)?.severity || 'error';
+    const failures = line.ruleFailures || [];
+    let status = 'auto_accept';
+    if (failures.some(rule => severityOf(rule) === 'error')) status = 'manual_review';
+    else if (failures.length > 0) status = 'quick_review';
+    else if (line.anomalyScore > thresholds.anomaly) status = 'quick_review';
+    else if (line.confidence < thresholds.lowNumericConfidence && line.valueType === 'numeric') status = 'quick_review';
+    return { ...line, status };
+  });
+};
+
+// Stage 9: a reviewer's decision on one line. Corrections are re-parsed like OCR
+// output; the line keeps what the machine produced under `review.original`.
+export const applyReview = (line, decision, edits = {}) => {
+  const review = {
+    decision,
+    previousStatus: line.review ? line.review.previousStatus : line.status,
+    original: line.review ? line.review.original : { label: line.label, normalized: line.normalized, values: line.values, predictedLabel: line.predictedLabel },
+    reviewedAt: new Date().toISOString()
+  };
+  if (decision === 'accepted') return { ...line, review, status: 'accepted' };
+  if (decision === 'rejected') return { ...line, review, status: 'rejected' };
+
+  const label = edits.label !== undefined ? edits.label : line.label;
+  // The reviewer can also correct the label class, which feeds the label model
+  const labelClass = edits.predictedLabel && edits.predictedLabel !== line.predictedLabel
+    ? { predictedLabel: edits.predictedLabel, labelConfidence: 1, labelSource: 'review' }
+    : {};
+  const cells = (line.cells || []).map((cell, i) => {
+    const text = edits.cells ? edits.cells[i] : undefined;
+    if (text === undefined || text === cell.normalized) return cell;
+    const amount = parseAmount(text, { decimalSeparator: line.decimalSeparator });
+    return { ...cell, normalized: text.trim(), parsedValue: amount ? amount.value : null, currency: amount ? amount.currency : cell.currency };
+  });
+  const values = {};
+  for (const cell of cells) {
+    if (cell.period && cell.parsedValue !== null) values[cell.period] = cell.parsedValue;
+  }
+  const parsedValue = line.currentPeriod && line.currentPeriod in values
+    ? values[line.currentPeriod]
+    : cells.find(c => c.parsedValue !== null)?.parsedValue ?? null;
+  const normalized = [label || '', ...cells.map(c => c.normalized)].filter(Boolean).join(' ');
+
+  return {
+    ...line,
+    label,
+    cells,
+    values,
+    parsedValue,
+    normalized,
+    valueType: parsedValue !== null ? 'numeric' : normalized ? 'text' : 'empty',
+    ...labelClass,
+    review,
+    status: 'corrected'
+  };
+};
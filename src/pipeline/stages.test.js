@@ -0,0 +1,255 @@
+import { describe, expect, it } from 'vitest';
+import { groupRows } from './layout.js';
+import {
+  applyReview, assignPeriods, crossFoot, detectAnomalies, makeDecisions, normalize, predictLabels, suggestCorrections, validateRules
+} from './stages.js';
+import { resolveProfile } from './profiles.js';
+import { BALANCE_SHEET_ROWS, wordsFromRows } from './test-fixtures.js';
+
+const rowsOf = (rows, options) => groupRows(wordsFromRows(rows, options)).map(line => ({ ...line, pageNumber: 1 }));
+const throughLabels = (rows, options) => predictLabels(assignPeriods(normalize(rowsOf(rows, options))));
+const throughDecisions = (rows, options) => makeDecisions(suggestCorrections(detectAnomalies(validateRules(throughLabels(rows, options)))));
+const byLabel = (lines, label) => lines.find(l => l.label === label);
+
+describe('normalize', () => {
+  it('parses value cells and keeps the raw text', () => {
+    const [line] = normalize(rowsOf([['Receivables', '(12,345)', '1O0']]));
+    expect(line.cells.map(c => c.parsedValue)).toEqual([-12345, 100]);
+    expect(line.cells[1].raw).toBe('1O0');
+    expect(line.cells[1].normalized).toBe('100');
+    expect(line.parsedValue).toBe(-12345);
+    expect(line.valueType).toBe('numeric');
+  });
+
+  it('never rewrites letters in labels', () => {
+    const [line] = normalize(rowsOf([['OPERATING INCOME', '10']]));
+    expect(line.normalized).toBe('OPERATING INCOME 10');
+  });
+
+  it('carries scale notes forward', () => {
+    const lines = normalize(rowsOf([['Cash', '1'], ['(in millions)'], ['Debt', '2']]));
+    expect(lines.map(l => l.scale)).toEqual([1, 1e6, 1e6]);
+  });
+
+  it('infers the decimal separator from the document', () => {
+    const lines = normalize(rowsOf([['Cash', '1.234,56'], ['Debt', '1.234']]));
+    expect(lines[1].parsedValue).toBe(1234);
+    expect(lines[1].decimalSeparator).toBe(',');
+  });
+
+  it('marks blank lines empty', () => {
+    expect(normalize([{ id: 1, raw: '  ' }])[0].valueType).toBe('empty');
+  });
+
+  it('parses plain lines without cells', () => {
+    const [line] = normalize([{ id: 1, raw: 'Cash l00' }]);
+    expect(line.parsedValue).toBe(100);
+    expect(line.cells).toBeUndefined();
+  });
+});
+
+describe('assignPeriods', () => {
+  it('keys values by the period column they sit under', () => {
+    const lines = assignPeriods(normalize(rowsOf([['', '2023', '2022'], ['Cash', '100', '90']])));
+    expect(lines[0].isPeriodHeader).toBe(true);
+    expect(lines[0].periods).toEqual(['2023', '2022']);
+    expect(lines[1].values).toEqual({ 2023: 100, 2022: 90 });
+    expect(lines[1].parsedValue).toBe(100);
+    expect(lines[1].currentPeriod).toBe('2023');
+  });
+
+  it('ignores a notes column outside the period columns', () => {
+    const lines = assignPeriods(normalize(rowsOf([['', '', '2023', '2022'], ['Cash', '5', '100', '90']], { columnX: [250, 550, 700] })));
+    expect(lines[1].values).toEqual({ 2023: 100, 2022: 90 });
+  });
+
+  it('numbers columns when there is no period header', () => {
+    const [line] = assignPeriods(normalize(rowsOf([['Cash', '100', '90']])));
+    expect(line.values).toEqual({ col1: 100, col2: 90 });
+  });
+});
+
+describe('predictLabels', () => {
+  it('labels statement structure', () => {
+    const lines = throughLabels(BALANCE_SHEET_ROWS);
+    expect(byLabel(lines, 'Balance Sheet').predictedLabel).toBe('header');
+    expect(byLabel(lines, 'Assets').predictedLabel).toBe('section_header');
+    expect(byLabel(lines, 'Current assets').predictedLabel).toBe('subsection');
+    expect(byLabel(lines, 'Cash').predictedLabel).toBe('line_item');
+    expect(byLabel(lines, 'Total current assets').predictedLabel).toBe('total');
+    expect(byLabel(lines, 'Property').predictedLabel).toBe('unknown');
+  });
+
+  it('treats the period header row as a date and bare years elsewhere as values', () => {
+    const lines = throughLabels([['', '2023', '2022'], ['Notes due', '2027']]);
+    expect(lines[0].predictedLabel).toBe('date');
+    expect(lines[1].predictedLabel).toBe('unknown');
+    expect(throughLabels([['December 31']])[0].predictedLabel).toBe('date');
+  });
+});
+
+describe('validateRules', () => {
+  it('passes a statement that foots', () => {
+    const lines = validateRules(throughLabels(BALANCE_SHEET_ROWS));
+    expect(lines.flatMap(l => l.ruleFailures)).toEqual([]);
+  });
+
+  it('flags per-line problems', () => {
+    const lines = validateRules(throughLabels([['Cash', '1O0'], ['Total assets']], { confidence: 0.8 }));
+    expect(lines[0].ruleFailures).toEqual(['low_ocr_confidence', 'suspicious_chars_in_number']);
+    expect(lines[1].ruleFailures).toContain('total_line_missing_value');
+  });
+
+  it('flags disagreement between the text layer and OCR', () => {
+    const lines = throughLabels([['Cash', '1,234']]);
+    lines[0].cells[0].crossCheck = { raw: '1,284', confidence: 0.9 };
+    const [line] = validateRules(lines);
+    expect(line.ruleFailures).toContain('text_layer_ocr_mismatch');
+    expect(line.ruleDetails[0].message).toBe('PDF text "1,234" but OCR read "1,284"');
+  });
+});
+
+describe('crossFoot', () => {
+  const withFailures = (rows) => crossFoot(throughLabels(rows).map(l => ({ ...l, ruleFailures: [], ruleDetails: [] })));
+
+  it('allows a rounding difference of one', () => {
+    const rows = BALANCE_SHEET_ROWS.map(r => (r[0] === 'Total current assets' ? [r[0], '151', '100'] : r));
+    expect(byLabel(withFailures(rows), 'Total current assets').ruleFailures).toEqual([]);
+  });
+
+  it('reports a total that does not match its line items, per column', () => {
+    const rows = BALANCE_SHEET_ROWS.map(r => (r[0] === 'Receivables' ? ['Receivables', '60', '10'] : r));
+    const total = byLabel(withFailures(rows), 'Total current assets');
+    expect(total.ruleFailures).toEqual(['total_does_not_foot']);
+    expect(total.ruleDetails).toHaveLength(1);
+    expect(total.ruleDetails[0]).toMatchObject({ period: '2023', expected: 160, actual: 150, difference: -10 });
+    expect(total.ruleDetails[0].lines.map(l => l.label)).toEqual(['Total current assets', 'Cash', 'Receivables']);
+  });
+
+  it('counts subtotals, not their line items, toward the enclosing total', () => {
+    const lines = withFailures(BALANCE_SHEET_ROWS);
+    expect(byLabel(lines, 'Total assets').ruleFailures).toEqual([]);
+  });
+
+  it('checks Assets = Liabilities + Equity', () => {
+    const rows = BALANCE_SHEET_ROWS.map(r => (r[0] === 'Total liabilities and equity' ? [r[0], '440', '400'] : r));
+    const lines = withFailures(rows);
+    for (const label of ['Total assets', 'Total liabilities and equity']) {
+      expect(byLabel(lines, label).ruleFailures).toEqual(['balance_sheet_identity_mismatch']);
+    }
+    expect(byLabel(lines, 'Total assets').ruleDetails[0]).toMatchObject({ period: '2023', difference: 10 });
+  });
+
+  it('adds liabilities and equity when there is no combined total', () => {
+    const rows = BALANCE_SHEET_ROWS.filter(r => r[0] !== 'Total liabilities and equity')
+      .map(r => (r[0] === 'Retained earnings' || r[0] === "Total shareholders' equity" ? [r[0], '340', '300'] : r));
+    const assets = byLabel(withFailures(rows), 'Total assets');
+    expect(assets.ruleFailures).toEqual(['balance_sheet_identity_mismatch']);
+    expect(assets.ruleDetails[0].lines.map(l => l.label)).toEqual(['Total assets', 'Total liabilities', "Total shareholders' equity"]);
+  });
+});
+
+describe('detectAnomalies', () => {
+  it('scores low confidence and rule failures', () => {
+    const [line] = detectAnomalies(validateRules(throughLabels([['Cash', '1O0']], { confidence: 0.8 })));
+    expect(line.anomalyScore).toBeCloseTo(0.9);
+    expect(line.isAnomaly).toBe(true);
+  });
+
+  it('flags a tenfold year-over-year swing', () => {
+    const lines = detectAnomalies(validateRules(throughLabels([['', '2023', '2022'], ['Cash', '1,000', '90']])));
+    expect(lines[1].anomalyReasons.map(r => r.code)).toEqual(['implausible_yoy_change']);
+    expect(lines[1].anomalyReasons[0].evidence).toMatchObject({ period: '2023', value: 1000, priorPeriod: '2022', priorValue: 90 });
+  });
+
+  it('flags a column whose total does not foot when the others do', () => {
+    const rows = BALANCE_SHEET_ROWS.map(r => (r[0] === 'Cash' ? ['Cash', '100', '95'] : r));
+    const lines = detectAnomalies(validateRules(throughLabels(rows)));
+    const [reason] = byLabel(lines, 'Total current assets').anomalyReasons;
+    expect(reason.code).toBe('column_does_not_foot');
+    expect(reason.evidence).toEqual(expect.objectContaining({ period: expect.any(String), expected: expect.any(Number), actual: expect.any(Number) }));
+  });
+
+  it('scores with a trained model instead of the default weights', () => {
+    const model = { type: 'logistic_regression', bias: -2, weights: { lowConfidence: 0, ruleFailures: 4 } };
+    const [line] = detectAnomalies(validateRules(throughLabels([['Cash', '1O0']], { confidence: 0.8 })), { models: { anomaly: model } });
+    expect(line.anomalyFeatures).toMatchObject({ lowConfidence: 1, ruleFailures: 1, lowNumericConfidence: 1 });
+    expect(line.anomalyScore).toBeCloseTo(1 / (1 + Math.exp(-2)));
+  });
+
+  it('uses the thresholds and weights of the scoring profile', () => {
+    const profile = resolveProfile({ thresholds: { lowConfidence: 0.7, lowNumericConfidence: 0.7, anomaly: 0.2 }, anomalyWeights: { ruleFailures: 0.1 } });
+    const [line] = detectAnomalies(validateRules(throughLabels([['Cash', '1O0']], { confidence: 0.8 }), { profile }), { profile });
+    expect(line.anomalyFeatures).toMatchObject({ lowConfidence: 0, ruleFailures: 1, lowNumericConfidence: 0 });
+    expect(line.anomalyScore).toBeCloseTo(0.1);
+    expect(line.isAnomaly).toBe(false);
+  });
+});
+
+describe('suggestCorrections', () => {
+  it('suggests digit fixes for the cells that need them', () => {
+    const [line] = suggestCorrections(detectAnomalies(validateRules(throughLabels([['Cash', '1O0', '90']]))));
+    expect(line.suggestions).toEqual([expect.objectContaining({ type: 'text_correction', original: '1O0', suggested: '100' })]);
+  });
+
+  it('asks for verification of low-confidence numbers', () => {
+    const [line] = suggestCorrections(detectAnomalies(validateRules(throughLabels([['Cash', '100']], { confidence: 0.8 }))));
+    expect(line.suggestions.map(s => s.type)).toEqual(['manual_verification']);
+  });
+});
+
+describe('makeDecisions', () => {
+  it('routes lines by rule failures, anomalies and confidence', () => {
+    const lines = makeDecisions([
+      { valueType: 'numeric', confidence: 0.95, ruleFailures: [], anomalyScore: 0 },
+      { valueType: 'numeric', confidence: 0.95, ruleFailures: ['low_ocr_confidence'], anomalyScore: 0.4 },
+      { valueType: 'text', confidence: 0.95, ruleFailures: [], anomalyScore: 0.6 },
+      { valueType: 'numeric', confidence: 0.8, ruleFailures: [], anomalyScore: 0.2 },
+      { valueType: 'empty' }
+    ]);
+    expect(lines.map(l => l.status)).toEqual(['auto_accept', 'manual_review', 'quick_review', 'quick_review', 'auto_accept']);
+  });
+
+  it('routes by the thresholds of the scoring profile', () => {
+    const lines = [
+      { valueType: 'numeric', confidence: 0.8, ruleFailures: [], anomalyScore: 0.2 },
+      { valueType: 'text', confidence: 0.95, ruleFailures: [], anomalyScore: 0.3 }
+    ];
+    const profile = resolveProfile({ thresholds: { lowNumericConfidence: 0.75, anomaly: 0.25 } });
+    expect(makeDecisions(lines, { profile }).map(l => l.status)).toEqual(['auto_accept', 'quick_review']);
+  });
+
+  it('sends the balance sheet fixture straight through', () => {
+    expect(throughDecisions(BALANCE_SHEET_ROWS).every(l => l.status === 'auto_accept')).toBe(true);
+  });
+});
+
+describe('applyReview', () => {
+  const [, line] = throughDecisions([['', '2023', '2022'], ['Cash', '1O0', '90']]);
+
+  it('accepts and rejects without changing values', () => {
+    expect(applyReview(line, 'accepted')).toMatchObject({ status: 'accepted', values: line.values, review: { decision: 'accepted', previousStatus: 'manual_review' } });
+    expect(applyReview(line, 'rejected').status).toBe('rejected');
+  });
+
+  it('re-parses edited cells and keeps the original', () => {
+    const edited = applyReview(line, 'edited', { label: 'Cash and equivalents', cells: ['110', '90'] });
+    expect(edited.status).toBe('corrected');
+    expect(edited.values).toEqual({ 2023: 110, 2022: 90 });
+    expect(edited.parsedValue).toBe(110);
+    expect(edited.normalized).toBe('Cash and equivalents 110 90');
+    expect(edited.review.original).toEqual({ label: 'Cash', normalized: 'Cash 100 90', values: { 2023: 100, 2022: 90 }, predictedLabel: 'line_item' });
+  });
+
+  it('takes a corrected label class', () => {
+    const edited = applyReview(line, 'edited', { predictedLabel: 'total' });
+    expect(edited).toMatchObject({ predictedLabel: 'total', labelConfidence: 1, labelSource: 'review', status: 'corrected' });
+    expect(applyReview(line, 'edited', { predictedLabel: 'line_item' }).labelSource).not.toBe('review');
+  });
+
+  it('keeps the first original across repeated reviews', () => {
+    const twice = applyReview(applyReview(line, 'edited', { cells: ['110', '90'] }), 'accepted');
+    expect(twice.review.previousStatus).toBe('manual_review');
+    expect(twice.review.original.normalized).toBe('Cash 100 90');
+  });
+});
@@ -0,0 +1,235 @@
+// Value-level anomaly tests over a document's amounts: first digits against Benford's
+// law, magnitudes far from the sibling line items, single-digit slips that would make a
+// failing total foot, and the same amount on several line items. detectAnomalies turns
+// what they find into indicators and reasons with evidence.
+
+import { digitSlip } from './corrections.js';
+
+// Share of each first digit 1–9 under Benford's law
+export const BENFORD_SHARES = Array.from({ length: 9 }, (_, i) => Math.log10(1 + 1 / (i + 1)));
+
+// Fewer amounts than this say little about their digit distribution
+export const BENFORD_MIN_VALUES = 100;
+// Chi-square with 8 degrees of freedom at p = 0.05, and Nigrini's first-digit MAD limit
+// for nonconformity; both must be exceeded
+const CHI_SQUARE_CRITICAL = 15.507;
+const MAD_NONCONFORMITY = 0.015;
+const Z_CRITICAL = 1.96;
+
+// Sections with fewer items than this have no meaningful typical magnitude
+const MIN_SIBLINGS = 5;
+// Robust z-score (from the median absolute deviation) beyond which a magnitude is an
+// outlier; it must also be at least tenfold off the siblings' median
+const OUTLIER_Z = 3.5;
+// Round amounts such as 100 or 5,000 repeat by chance; duplicates need this many
+// significant digits to count
+const MIN_SIGNIFICANT_DIGITS = 3;
+
+const SUM_RULES = new Set(['total_does_not_foot', 'balance_sheet_identity_mismatch']);
+const SLIP_CODES = { transposed: 'digit_transposition', dropped: 'dropped_digit', doubled: 'extra_digit' };
+// Labels that end a run of sibling line items, and labels that are not line items
+const GROUP_BREAKS = new Set(['header', 'section_header', 'subsection', 'total']);
+const NOT_ITEMS = new Set([...GROUP_BREAKS, 'date']);
+
+const valuesOf = (line) => (line.values && Object.keys(line.values).length
+  ? line.values
+  : typeof line.parsedValue === 'number' ? { value: line.parsedValue } : {});
+const inColumn = (period) => (period === 'value' ? '' : ` in ${period}`);
+const fmt = (value) => value.toLocaleString('en-US', { maximumFractionDigits: 2 });
+const refOf = (line) => ({ pageNumber: line.pageNumber, id: line.id, label: line.label || '' });
+const median = (sorted) => (sorted.length % 2 ? sorted[(sorted.length - 1) / 2] : (sorted[sorted.length / 2 - 1] + sorted[sorted.length / 2]) / 2);
+const medianOf = (values) => median([...values].sort((a, b) => a - b));
+
+export const firstDigit = (value) => (Number.isFinite(value) && value !== 0 ? Number(Math.abs(value).toExponential()[0]) : null);
+
+const significantDigits = (value) => String(Math.abs(value)).replace('.', '').replace(/^0+/, '').replace(/0+$/, '').length;
+
+/**
+ * Every amount on the document's numeric lines, one per period column.
+ *
+ * @param {object[]} lines
+ * @returns {Array<{ index: number, period: string, value: number }>}
+ */
+export const documentAmounts = (lines) => lines.flatMap((line, index) => (
+  line.valueType === 'numeric' && line.predictedLabel !== 'date'
+    ? Object.entries(valuesOf(line)).map(([period, value]) => ({ index, period, value }))
+    : []
+));
+
+/**
+ * First-digit test of amounts against Benford's law. Amounts under 10 are left out.
+ * The distribution fails to conform when both the chi-square statistic and the mean
+ * absolute deviation are past their limits; `excessDigits` are then the digits seen
+ * significantly more often than expected.
+ *
+ * @param {number[]} values
+ * @param {{ minValues?: number }} [options]
+ * @returns {{ n: number, digits: Array<{ digit: number, count: number, observed: number, expected: number, z: number }>,
+ *   chiSquare: number, mad: number, conforms: boolean, excessDigits: number[] }|null}  null with too few amounts
+ */
+export const benfordTest = (values, { minValues = BENFORD_MIN_VALUES } = {}) => {
+  const leading = values.filter(v => typeof v === 'number' && Math.abs(v) >= 10).map(firstDigit);
+  const n = leading.length;
+  if (n === 0 || n < minValues) return null;
+  const counts = Array(9).fill(0);
+  for (const digit of leading) counts[digit - 1]++;
+
+  const digits = BENFORD_SHARES.map((expected, i) => {
+    const observed = counts[i] / n;
+    // z-statistic with continuity correction
+    const z = (Math.abs(observed - expected) - 1 / (2 * n)) / Math.sqrt((expected * (1 - expected)) / n);
+    return { digit: i + 1, count: counts[i], observed, expected, z: Math.max(0, z) };
+  });
+  const chiSquare = digits.reduce((s, d) => s + (d.count - n * d.expected) ** 2 / (n * d.expected), 0);
+  const mad = digits.reduce((s, d) => s + Math.abs(d.observed - d.expected), 0) / 9;
+  const conforms = chiSquare <= CHI_SQUARE_CRITICAL || mad <= MAD_NONCONFORMITY;
+  return {
+    n,
+    digits,
+    chiSquare,
+    mad,
+    conforms,
+    excessDigits: conforms ? [] : digits.filter(d => d.observed > d.expected && d.z > Z_CRITICAL).map(d => d.digit)
+  };
+};
+
+// Runs of line items between headings and totals, on one page
+const siblingGroups = (lines) => {
+  const groups = [];
+  let current = [];
+  lines.forEach((line, index) => {
+    const previous = current.length ? lines[current[current.length - 1]] : null;
+    if (GROUP_BREAKS.has(line.predictedLabel) || (previous && previous.pageNumber !== line.pageNumber)) {
+      if (current.length) groups.push(current);
+      current = [];
+    }
+    if (!NOT_ITEMS.has(line.predictedLabel) && line.valueType === 'numeric') current.push(index);
+  });
+  if (current.length) groups.push(current);
+  return groups;
+};
+
+const magnitudeOutliers = (lines, report) => {
+  for (const group of siblingGroups(lines)) {
+    if (group.length < MIN_SIBLINGS) continue;
+    const periods = new Set(group.flatMap(i => Object.keys(valuesOf(lines[i]))));
+    for (const period of periods) {
+      const entries = group.map(index => ({ index, value: valuesOf(lines[index])[period] })).filter(e => typeof e.value === 'number' && e.value !== 0);
+      if (entries.length < MIN_SIBLINGS) continue;
+      const logs = entries.map(e => Math.log10(Math.abs(e.value)));
+      const center = medianOf(logs);
+      const spread = medianOf(logs.map(x => Math.abs(x - center)));
+      const typical = medianOf(entries.map(e => Math.abs(e.value)));
+      entries.forEach(({ index, value }, i) => {
+        const distance = logs[i] - center;
+        const z = spread > 0 ? (0.6745 * distance) / spread : Infinity;
+        if (Math.abs(distance) < 1 || Math.abs(z) <= OUTLIER_Z) return;
+        const factor = Math.abs(value) / typical;
+        report(index, 'magnitudeOutlier', {
+          code: 'magnitude_outlier',
+          message: `${fmt(value)}${inColumn(period)} is ${factor >= 1 ? `${fmt(factor)}×` : `1/${fmt(1 / factor)} of`} the median of its ${entries.length} sibling line items (${fmt(typical)})`,
+          evidence: { period, value, siblingMedian: typical, siblings: entries.length, orders: Number(distance.toFixed(2)), z: Number.isFinite(z) ? Number(z.toFixed(2)) : null }
+        });
+      });
+    }
+  }
+};
+
+// A failing sum where one figure, read with two adjacent digits swapped or a digit
+// dropped or added, would make it hold
+const digitSlips = (lines, report) => {
+  const indexByRef = new Map(lines.map((line, index) => [`${line.pageNumber}-${line.id}`, index]));
+  const seen = new Set();
+  for (const line of lines) {
+    for (const detail of line.ruleDetails || []) {
+      if (!SUM_RULES.has(detail.rule) || detail.difference === undefined) continue;
+      const key = `${detail.rule}|${detail.period}|${detail.lines.map(ref => `${ref.pageNumber}-${ref.id}`).join(',')}`;
+      if (seen.has(key)) continue;
+      seen.add(key);
+      detail.lines.forEach((ref, position) => {
+        const index = indexByRef.get(`${ref.pageNumber}-${ref.id}`);
+        const value = index === undefined ? undefined : valuesOf(lines[index])[detail.period];
+        if (typeof value !== 'number') return;
+        // The total (or assets) should equal the sum; any other figure should move by the difference
+        const candidate = position === 0 ? detail.expected : value + detail.difference;
+        const code = SLIP_CODES[digitSlip(value, candidate)];
+        if (!code || Math.sign(candidate) !== Math.sign(value)) return;
+        const how = {
+          digit_transposition: `with two adjacent digits swapped (the difference ${fmt(Math.abs(detail.difference))} is a multiple of 9)`,
+          dropped_digit: 'with a digit dropped',
+          extra_digit: 'with a digit added or doubled'
+        }[code];
+        const outcome = detail.rule === 'total_does_not_foot' ? 'the total foot' : 'the balance sheet balance';
+        report(index, 'digitSlip', {
+          code,
+          message: `${fmt(value)}${inColumn(detail.period)} looks like ${fmt(candidate)} ${how}; ${fmt(candidate)} makes ${outcome}`,
+          evidence: { rule: detail.rule, period: detail.period, value, expectedValue: candidate, difference: detail.difference, total: detail.lines[0] }
+        });
+      });
+    }
+  }
+};
+
+// The same amount on several line items of one statement and period column
+const duplicateValues = (lines, report) => {
+  const byAmount = new Map();
+  let statement = 0;
+  lines.forEach((line, index) => {
+    if (line.predictedLabel === 'header') statement++;
+    if (line.valueType !== 'numeric' || NOT_ITEMS.has(line.predictedLabel)) return;
+    for (const [period, value] of Object.entries(valuesOf(line))) {
+      if (significantDigits(value) < MIN_SIGNIFICANT_DIGITS) continue;
+      const key = `${statement}|${period}|${Math.abs(value)}`;
+      if (!byAmount.has(key)) byAmount.set(key, []);
+      byAmount.get(key).push({ index, period, value });
+    }
+  });
+  for (const entries of byAmount.values()) {
+    if (entries.length < 2) continue;
+    for (const { index, period, value } of entries) {
+      const others = entries.filter(e => e.index !== index).map(e => refOf(lines[e.index]));
+      report(index, 'duplicateValue', {
+        code: 'duplicate_value',
+        message: `${fmt(value)}${inColumn(period)} also appears on ${others.map(o => `"${o.label}"`).join(', ')}`,
+        evidence: { period, value, lines: others }
+      });
+    }
+  }
+};
+
+const benfordDeviations = (lines, report, test) => {
+  if (!test || test.conforms) return;
+  for (const { index, period, value } of documentAmounts(lines)) {
+    const digit = Math.abs(value) >= 10 ? firstDigit(value) : null;
+    if (!test.excessDigits.includes(digit)) continue;
+    const { observed, expected } = test.digits[digit - 1];
+    report(index, 'benfordDeviation', {
+      code: 'benford_deviation',
+      message: `${fmt(value)}${inColumn(period)} starts with ${digit}, which leads ${(observed * 100).toFixed(1)}% of the document's ${test.n} amounts against ${(expected * 100).toFixed(1)}% under Benford's law`,
+      evidence: { period, value, digit, observed, expected, n: test.n, chiSquare: Number(test.chiSquare.toFixed(2)), mad: Number(test.mad.toFixed(4)) }
+    });
+  }
+};
+
+/**
+ * Every value-level test over a document's lines (after validateRules, whose footing
+ * failures the digit-slip test reads).
+ *
+ * @param {object[]} lines
+ * @returns {{ byLine: Array<{ features: Object<string, number>, reasons: Array<{ code: string, message: string, evidence: object }> }>,
+ *   benford: ReturnType<typeof benfordTest> }}  `features` are 0/1 indicators:
+ *   benfordDeviation, magnitudeOutlier, digitSlip and duplicateValue
+ */
+export const valueAnomalies = (lines) => {
+  const byLine = lines.map(() => ({ features: { benfordDeviation: 0, magnitudeOutlier: 0, digitSlip: 0, duplicateValue: 0 }, reasons: [] }));
+  const report = (index, feature, reason) => {
+    byLine[index].features[feature] = 1;
+    byLine[index].reasons.push(reason);
+  };
+  const benford = benfordTest(documentAmounts(lines).map(a => a.value));
+  benfordDeviations(lines, report, benford);
+  magnitudeOutliers(lines, report);
+  digitSlips(lines, report);
+  duplicateValues(lines, report);
+  return { byLine, benford };
+};
@@ -0,0 +1,104 @@
+import { describe, expect, it } from 'vitest';
+import { BENFORD_SHARES, benfordTest, documentAmounts, firstDigit, valueAnomalies } from './statistics.js';
+import { runPipeline } from './index.js';
+import { ocrDocument } from './test-fixtures.js';
+
+const CURRENT_ASSETS = [['Balance Sheet'], ['', '2023'], ['Current assets'], ['Cash', '1,234'], ['Receivables', '5,678'], ['Total current assets', '6,912']];
+
+const withRows = (replace) => CURRENT_ASSETS.map(row => (row[0] in replace ? [row[0], replace[row[0]]] : row));
+const reasonsOf = (results, label) => results.find(l => l.label === label).anomalyReasons;
+
+describe('firstDigit', () => {
+  it('reads the leading digit of any magnitude', () => {
+    expect([1234, -0.052, 9, 1000].map(firstDigit)).toEqual([1, 5, 9, 1]);
+    expect(firstDigit(0)).toBe(null);
+  });
+});
+
+describe('benfordTest', () => {
+  it('accepts amounts spread evenly on a log scale', () => {
+    const values = Array.from({ length: 600 }, (_, i) => Math.round(10 ** (1 + (3 * (i + 0.5)) / 600)));
+    const test = benfordTest(values);
+    expect(test.n).toBe(600);
+    expect(test.conforms).toBe(true);
+    expect(test.digits.map(d => d.expected)).toEqual(BENFORD_SHARES);
+  });
+
+  it('names the digits seen too often in amounts that do not conform', () => {
+    const values = Array.from({ length: 200 }, (_, i) => (i % 2 ? 7000 + i : 1000 + i));
+    const test = benfordTest(values);
+    expect(test.conforms).toBe(false);
+    expect(test.excessDigits).toEqual([1, 7]);
+    expect(test.chiSquare).toBeGreaterThan(15.507);
+  });
+
+  it('needs enough amounts of 10 or more', () => {
+    expect(benfordTest([1, 2, 3, 45])).toBe(null);
+    expect(benfordTest([12, 345], { minValues: 2 }).n).toBe(2);
+  });
+});
+
+describe('valueAnomalies', () => {
+  it('finds two swapped digits that keep a total from footing', () => {
+    const { results } = runPipeline(ocrDocument([withRows({ Cash: '1,324' })]));
+    expect(reasonsOf(results, 'Cash')).toEqual([expect.objectContaining({
+      code: 'digit_transposition',
+      evidence: expect.objectContaining({ rule: 'total_does_not_foot', period: '2023', value: 1324, expectedValue: 1234, difference: -90 })
+    })]);
+    expect(reasonsOf(results, 'Receivables')).toEqual([]);
+    const cash = results.find(l => l.label === 'Cash');
+    expect(cash.anomalyFeatures.digitSlip).toBe(1);
+    expect(cash.status).toBe('quick_review');
+  });
+
+  it('finds a dropped digit', () => {
+    const { results } = runPipeline(ocrDocument([withRows({ Receivables: '568' })]));
+    expect(reasonsOf(results, 'Receivables').map(r => [r.code, r.evidence.expectedValue])).toEqual([['dropped_digit', 5678]]);
+  });
+
+  it('finds the same amount on two line items', () => {
+    const { results } = runPipeline(ocrDocument([withRows({ Receivables: '1,234', 'Total current assets': '2,468' })]));
+    expect(reasonsOf(results, 'Cash')).toEqual([expect.objectContaining({
+      code: 'duplicate_value',
+      message: '1,234 in 2023 also appears on "Receivables"',
+      evidence: { period: '2023', value: 1234, lines: [expect.objectContaining({ label: 'Receivables' })] }
+    })]);
+    // Round amounts repeat by chance
+    const round = runPipeline(ocrDocument([withRows({ Cash: '1,000', Receivables: '1,000', 'Total current assets': '2,000' })]));
+    expect(reasonsOf(round.results, 'Cash')).toEqual([]);
+  });
+
+  it('finds a magnitude far from the sibling line items', () => {
+    const rows = [['Balance Sheet'], ['', '2023'], ['Current assets'], ['Cash', '120'], ['Receivables', '95'], ['Inventory', '130'], ['Prepaid expenses', '110'], ['Other assets', '98,000']];
+    const { results } = runPipeline(ocrDocument([rows]));
+    expect(reasonsOf(results, 'Other assets')).toEqual([expect.objectContaining({
+      code: 'magnitude_outlier',
+      evidence: expect.objectContaining({ period: '2023', value: 98000, siblingMedian: 120, siblings: 5 })
+    })]);
+    expect(reasonsOf(results, 'Cash')).toEqual([]);
+  });
+
+  it('flags amounts with an over-represented first digit when the document does not conform', () => {
+    const lines = Array.from({ length: 120 }, (_, i) => ({
+      id: i, pageNumber: 1, label: `Item ${i}`, valueType: 'numeric', predictedLabel: 'line_item', parsedValue: i % 3 ? 8000 + i * 7 : 1000 + i * 13, values: {}
+    }));
+    const { byLine, benford } = valueAnomalies(lines);
+    expect(benford.conforms).toBe(false);
+    expect(benford.excessDigits).toEqual([8]);
+    expect(byLine[1].features.benfordDeviation).toBe(1);
+    expect(byLine[1].reasons.find(r => r.code === 'benford_deviation').evidence).toMatchObject({ digit: 8, n: 120 });
+    expect(byLine[0].features.benfordDeviation).toBe(0);
+  });
+});
+
+describe('documentAmounts', () => {
+  it('lists every period value of the numeric lines', () => {
+    const lines = [
+      { valueType: 'numeric', predictedLabel: 'line_item', values: { 2023: 5, 2022: 4 } },
+      { valueType: 'numeric', predictedLabel: 'date', values: {}, parsedValue: 2023 },
+      { valueType: 'text', predictedLabel: 'header' },
+      { valueType: 'numeric', predictedLabel: 'total', values: {}, parsedValue: 9 }
+    ];
+    expect(documentAmounts(lines)).toEqual([{ index: 0, period: '2022', value: 4 }, { index: 0, period: '2023', value: 5 }, { index: 3, period: 'value', value: 9 }]);
+  });
+});
@@ -0,0 +1,50 @@
+// Synthetic OCR input for the tests: each row is [label, ...values], laid out the way a
+// statement renders, with the label at the left and one column per value.
+
+const wordsOf = (text, x, y, confidence) => {
+  const words = [];
+  for (const raw of text.split(' ').filter(Boolean)) {
+    words.push({ raw, bbox: [x, y, x + raw.length * 9, y + 20], confidence });
+    x += raw.length * 9 + 6;
+  }
+  return words;
+};
+
+// Values go in the columns at `columnX`; an empty string leaves a column blank
+export const wordsFromRows = (rows, { confidence = 0.95, columnX = [400, 550, 700] } = {}) => {
+  const words = [];
+  rows.forEach(([label, ...values], i) => {
+    const y = 40 + i * 30;
+    if (label) words.push(...wordsOf(label, 10, y, confidence));
+    values.forEach((value, col) => {
+      if (value) words.push(...wordsOf(value, columnX[col], y, confidence));
+    });
+  });
+  return words;
+};
+
+export const BALANCE_SHEET_ROWS = [
+  ['Balance Sheet'],
+  ['(in thousands)'],
+  ['', '2023', '2022'],
+  ['Assets'],
+  ['Current assets'],
+  ['Cash', '100', '90'],
+  ['Receivables', '50', '10'],
+  ['Total current assets', '150', '100'],
+  ['Property', '300', '300'],
+  ['Total assets', '450', '400'],
+  ['Liabilities'],
+  ['Payables', '100', '100'],
+  ['Total liabilities', '100', '100'],
+  ["Shareholders' equity"],
+  ['Retained earnings', '350', '300'],
+  ["Total shareholders' equity", '350', '300'],
+  ['Total liabilities and equity', '450', '400']
+];
+
+export const ocrDocument = (pages, options) => ({
+  fileName: 'report.pdf',
+  pageCount: pages.length,
+  pages: pages.map((rows, i) => ({ pageNumber: i + 1, done: true, lines: [], words: wordsFromRows(rows, options) }))
+});
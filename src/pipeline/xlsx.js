@@ -0,0 +1,224 @@
+// XLSX export: the line-item table, the mapped statement fields and a summary per
+// document, as an Office Open XML workbook written without a spreadsheet library.
+
+import { lineItemTable } from './exports.js';
+import { buildStatements } from './fields.js';
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+export const crc32 = (bytes) => {
+  let crc = 0xffffffff;
+  for (const byte of bytes) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+/**
+ * A ZIP archive of the given files, stored uncompressed (all an XLSX reader needs).
+ *
+ * @param {Array<{ name: string, data: string|Uint8Array }>} files  strings are written as UTF-8
+ * @param {Date} [date]
+ * @returns {Uint8Array}
+ */
+export const zipStore = (files, date = new Date()) => {
+  const encoder = new TextEncoder();
+  const time = (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1);
+  const day = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+  const chunks = [];
+  const central = [];
+  let offset = 0;
+
+  for (const file of files) {
+    const name = encoder.encode(file.name);
+    const data = typeof file.data === 'string' ? encoder.encode(file.data) : file.data;
+    const crc = crc32(data);
+    // Version needed, flags (bit 11: UTF-8 names), method 0 (stored), time, date, CRC, sizes
+    const fields = (view, at) => {
+      view.setUint16(at, 20, true);
+      view.setUint16(at + 2, 0x0800, true);
+      view.setUint16(at + 4, 0, true);
+      view.setUint16(at + 6, time, true);
+      view.setUint16(at + 8, day, true);
+      view.setUint32(at + 10, crc, true);
+      view.setUint32(at + 14, data.length, true);
+      view.setUint32(at + 18, data.length, true);
+      view.setUint16(at + 22, name.length, true);
+    };
+
+    const local = new Uint8Array(30 + name.length);
+    const localView = new DataView(local.buffer);
+    localView.setUint32(0, 0x04034b50, true);
+    fields(localView, 4);
+    local.set(name, 30);
+    chunks.push(local, data);
+
+    const entry = new Uint8Array(46 + name.length);
+    const entryView = new DataView(entry.buffer);
+    entryView.setUint32(0, 0x02014b50, true);
+    entryView.setUint16(4, 20, true);
+    fields(entryView, 6);
+    entryView.setUint32(42, offset, true);
+    entry.set(name, 46);
+    central.push(entry);
+
+    offset += local.length + data.length;
+  }
+
+  const centralSize = central.reduce((s, c) => s + c.length, 0);
+  const end = new Uint8Array(22);
+  const endView = new DataView(end.buffer);
+  endView.setUint32(0, 0x06054b50, true);
+  endView.setUint16(8, files.length, true);
+  endView.setUint16(10, files.length, true);
+  endView.setUint32(12, centralSize, true);
+  endView.setUint32(16, offset, true);
+
+  const zip = new Uint8Array(offset + centralSize + end.length);
+  let at = 0;
+  for (const chunk of [...chunks, ...central, end]) {
+    zip.set(chunk, at);
+    at += chunk.length;
+  }
+  return zip;
+};
+
+// Characters XML 1.0 does not allow are dropped
+const xmlText = (value) => String(value)
+  .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f\ufffe\uffff]/g, '')
+  .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+const columnName = (index) => {
+  let name = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  return name;
+};
+
+const cellXML = (value, ref, style) => {
+  const s = style ? ` s="${style}"` : '';
+  if (value === null || value === undefined || value === '') return '';
+  if (typeof value === 'number' && Number.isFinite(value)) return `<c r="${ref}"${s}><v>${value}</v></c>`;
+  return `<c r="${ref}"${s} t="inlineStr"><is><t xml:space="preserve">${xmlText(value)}</t></is></c>`;
+};
+
+// Header row in bold and frozen, columns sized to their longest text (up to 60 characters)
+const sheetXML = (headers, rows) => {
+  const all = [headers, ...rows];
+  const widths = headers.map((_, c) => Math.min(60, Math.max(8, ...all.map(row => String(row[c] ?? '').length + 2))));
+  const rowXML = all.map((row, r) => `<row r="${r + 1}">${row.map((value, c) => cellXML(value, `${columnName(c)}${r + 1}`, r === 0 ? 1 : 0)).join('')}</row>`);
+  return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n'
+    + '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+    + '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>'
+    + `<cols>${widths.map((width, c) => `<col min="${c + 1}" max="${c + 1}" width="${width}" customWidth="1"/>`).join('')}</cols>`
+    + `<sheetData>${rowXML.join('')}</sheetData>`
+    + '</worksheet>';
+};
+
+const statementRows = (documents) => {
+  const periods = new Set();
+  const entries = documents.flatMap(({ fileName, results }) => Object.entries(buildStatements(results)).flatMap(([statement, { name, scale, fields }]) => (
+    Object.entries(fields).map(([key, field]) => {
+      for (const period of Object.keys(field.values)) periods.add(period);
+      return { fileName, statement: name || statement, key, scale, field };
+    })
+  )));
+  const columns = [...periods].sort().reverse();
+  const headers = [
+    ...(documents.length > 1 ? ['File'] : []), 'Statement', 'Field', 'Label', ...columns, 'Scale', 'Confidence', 'Page', 'Source text'
+  ];
+  const rows = entries.map(({ fileName, statement, key, scale, field }) => [
+    ...(documents.length > 1 ? [fileName || ''] : []), statement, key, field.label,
+    ...columns.map(period => (period in field.values ? field.values[period] : null)),
+    scale, field.confidence, field.source.pageNumber, field.source.text
+  ]);
+  return { headers, rows };
+};
+
+const summaryRows = (documents) => {
+  const headers = [
+    'File', 'Score', 'Lines', 'Auto-accepted', 'Quick review', 'Manual review', 'Verified', 'Rejected', 'Rule failures',
+    'Average confidence', 'Rule set', 'OCR language', 'SHA-256', 'Pipeline version'
+  ];
+  const rows = documents.map(({ fileName, validationScore: score, ruleSet, provenance }) => [
+    fileName || '',
+    score ? Number(score.overallScore) : null,
+    score ? score.totalLines : null,
+    score ? score.autoAccepted : null,
+    score ? score.quickReview : null,
+    score ? score.manualReview : null,
+    score ? score.humanVerified : null,
+    score ? score.rejected : null,
+    score ? score.totalRuleFailures : null,
+    score ? Number(score.avgConfidence) : null,
+    ruleSet ? ruleSet.id : '',
+    provenance ? provenance.ocr.language || '' : '',
+    provenance ? provenance.file.sha256 || '' : '',
+    provenance ? provenance.pipeline.version : ''
+  ]);
+  return { headers, rows };
+};
+
+const SHEETS = ['Line items', 'Statements', 'Summary'];
+
+/**
+ * The workbook for one document, or for a batch with a File column on every sheet.
+ *
+ * @param {Array<{ fileName?: string, results: object[], validationScore?: object|null, ruleSet?: object|null,
+ *   provenance?: import('./exports.js').Provenance }>} documents
+ * @returns {Uint8Array}
+ */
+export const buildXLSX = (documents) => {
+  const { columns, rows } = lineItemTable(documents);
+  const statements = statementRows(documents);
+  const summary = summaryRows(documents);
+  const sheets = [
+    sheetXML(columns.map(c => c.header), rows),
+    sheetXML(statements.headers, statements.rows),
+    sheetXML(summary.headers, summary.rows)
+  ];
+
+  const xml = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+  const relationships = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+  return zipStore([
+    {
+      name: '[Content_Types].xml',
+      data: `${xml}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">`
+        + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+        + '<Default Extension="xml" ContentType="application/xml"/>'
+        + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+        + '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>'
+        + sheets.map((_, i) => `<Override PartName="/xl/worksheets/sheet${i + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join('')
+        + '</Types>'
+    },
+    {
+      name: '_rels/.rels',
+      data: `${xml}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">`
+        + `<Relationship Id="rId1" Type="${relationships}/officeDocument" Target="xl/workbook.xml"/></Relationships>`
+    },
+    {
+      name: 'xl/workbook.xml',
+      data: `${xml}<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="${relationships}"><sheets>`
+        + SHEETS.map((name, i) => `<sheet name="${name}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`).join('')
+        + '</sheets></workbook>'
+    },
+    {
+      name: 'xl/_rels/workbook.xml.rels',
+      data: `${xml}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">`
+        + sheets.map((_, i) => `<Relationship Id="rId${i + 1}" Type="${relationships}/worksheet" Target="worksheets/sheet${i + 1}.xml"/>`).join('')
+        + `<Relationship Id="rId${sheets.length + 1}" Type="${relationships}/styles" Target="styles.xml"/></Relationships>`
+    },
+    {
+      name: 'xl/styles.xml',
+      data: `${xml}<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">`
+        + '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>'
+        + '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>'
+        + '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>'
+        + '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>'
+        + '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/><xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>'
+        + '</styleSheet>'
+    },
+    ...sheets.map((data, i) => ({ name: `xl/worksheets/sheet${i + 1}.xml`, data }))
+  ]);
+};
@@ -0,0 +1,60 @@
+import { describe, expect, it } from 'vitest';
+import { buildXLSX, crc32, zipStore } from './xlsx.js';
+import { buildProvenance } from './exports.js';
+import { runPipeline } from './index.js';
+import { BALANCE_SHEET_ROWS, ocrDocument } from './test-fixtures.js';
+
+// The entries of a stored (uncompressed) ZIP, read from its central directory
+const unzip = (zip) => {
+  const view = new DataView(zip.buffer, zip.byteOffset, zip.byteLength);
+  const end = zip.length - 22;
+  expect(view.getUint32(end, true)).toBe(0x06054b50);
+  const files = {};
+  let at = view.getUint32(end + 16, true);
+  for (let i = 0; i < view.getUint16(end + 10, true); i++) {
+    expect(view.getUint32(at, true)).toBe(0x02014b50);
+    const size = view.getUint32(at + 24, true);
+    const nameLength = view.getUint16(at + 28, true);
+    const offset = view.getUint32(at + 42, true);
+    const name = new TextDecoder().decode(zip.subarray(at + 46, at + 46 + nameLength));
+    const start = offset + 30 + view.getUint16(offset + 26, true);
+    const data = zip.subarray(start, start + size);
+    expect(crc32(data)).toBe(view.getUint32(at + 16, true));
+    files[name] = new TextDecoder().decode(data);
+    at += 46 + nameLength;
+  }
+  return files;
+};
+
+describe('zipStore', () => {
+  it('computes the standard CRC-32', () => {
+    expect(crc32(new TextEncoder().encode('123456789'))).toBe(0xcbf43926);
+  });
+
+  it('writes entries a ZIP reader finds again', () => {
+    const files = unzip(zipStore([{ name: 'a.txt', data: 'hello' }, { name: 'dir/ü.xml', data: new TextEncoder().encode('<x/>') }]));
+    expect(files).toEqual({ 'a.txt': 'hello', 'dir/ü.xml': '<x/>' });
+  });
+});
+
+describe('buildXLSX', () => {
+  it('writes the line items, statement fields and summary sheets', () => {
+    const run = runPipeline(ocrDocument([BALANCE_SHEET_ROWS]));
+    const provenance = buildProvenance({ fileHash: 'abc123', ocrData: ocrDocument([BALANCE_SHEET_ROWS]) });
+    const files = unzip(buildXLSX([{ fileName: 'report.pdf', ...run, provenance }]));
+
+    expect(Object.keys(files)).toEqual(expect.arrayContaining(['[Content_Types].xml', 'xl/workbook.xml', 'xl/worksheets/sheet3.xml']));
+    expect(files['xl/workbook.xml']).toContain('<sheet name="Line items" sheetId="1" r:id="rId1"/>');
+    const lineItems = files['xl/worksheets/sheet1.xml'];
+    expect(lineItems).toContain('<c r="A1" s="1" t="inlineStr"><is><t xml:space="preserve">Page</t></is></c>');
+    // Cash: page 1, its label, then 100 and 90 under 2023 and 2022
+    expect(lineItems).toMatch(/<row r="7"><c r="A7"><v>1<\/v><\/c>.*<t xml:space="preserve">Cash<\/t>.*<c r="F7"><v>100<\/v><\/c><c r="G7"><v>90<\/v><\/c>/);
+    expect(files['xl/worksheets/sheet2.xml']).toContain('cash_and_equivalents');
+    expect(files['xl/worksheets/sheet3.xml']).toContain('abc123');
+  });
+
+  it('escapes text for XML', () => {
+    const files = unzip(buildXLSX([{ results: [{ pageNumber: 1, id: 1, label: 'R&D <net>', raw: 'R&D' }] }]));
+    expect(files['xl/worksheets/sheet1.xml']).toContain('R&amp;D &lt;net&gt;');
+  });
+});
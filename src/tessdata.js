@@ -0,0 +1,43 @@
+// Downloads Tesseract traineddata into the folder the app reads it from (public/tessdata),
+// so OCR needs no network once the files are there.
+
+import { mkdir, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { LANGUAGE_CODE, LANGUAGE_CODES } from './pipeline/languages.js';
+
+// The files tesseract.js 4 loads by default: LSTM models, gzipped
+export const TESSDATA_SOURCE = 'https://tessdata.projectnaptha.com/4.0.0';
+
+export const USAGE = `Usage: fetch-tessdata [code...] [--dir <folder>] [--source <url>]
+
+Downloads <code>.traineddata.gz for each Tesseract language code (default: ${LANGUAGE_CODES.join(' ')})
+into --dir (default: public/tessdata), from --source (default: ${TESSDATA_SOURCE}).
+Codes joined with + (deu+eng) are split. Files already there are kept.`;
+
+/**
+ * @param {string[]} codes
+ * @param {{ dir?: string, source?: string, fetch?: typeof fetch, exists?: (file: string) => Promise<boolean>,
+ *   log?: (message: string) => void }} [options]
+ * @returns {Promise<string[]>} the files written
+ */
+export const fetchTessdata = async (codes, { dir = 'public/tessdata', source = TESSDATA_SOURCE, fetch = globalThis.fetch, exists, log = () => {} } = {}) => {
+  const languages = [...new Set(codes.flatMap(code => code.split('+')))];
+  const invalid = languages.filter(code => !LANGUAGE_CODE.test(code));
+  if (invalid.length > 0) throw new Error(`Not a Tesseract language code: ${invalid.join(', ')}`);
+
+  await mkdir(dir, { recursive: true });
+  const written = [];
+  for (const code of languages) {
+    const file = path.join(dir, `${code}.traineddata.gz`);
+    if (exists && await exists(file)) {
+      log(`${file} is already there`);
+      continue;
+    }
+    const response = await fetch(`${source.replace(/\/$/, '')}/${code}.traineddata.gz`);
+    if (!response.ok) throw new Error(`Downloading ${code}.traineddata.gz failed: HTTP ${response.status}`);
+    await writeFile(file, Buffer.from(await response.arrayBuffer()));
+    log(`Wrote ${file}`);
+    written.push(file);
+  }
+  return written;
+};